@@ -0,0 +1,158 @@
+/**
+ * Access control — config-defined roles that decide which WhatsApp numbers may run which actions,
+ * and for which parties.
+ *
+ * Config (config.access):
+ *   {
+ *     "enabled": true,
+ *     "defaultRole": null,                      // role for numbers not listed under users (null = refuse them)
+ *     "roles": {
+ *       "accountant": { "actions": ["*"], "deny": ["restart_tally", "send_reminders_bulk"] },
+ *       "sales": { "actions": ["get_party_balance", "get_ledger", "get_party_invoices"], "parties": "assigned" }
+ *     },
+ *     "users": {
+ *       "919876543210": { "name": "Ravi", "role": "sales", "parties": ["Meril Life Sciences", "ABC Traders"] }
+ *     }
+ *   }
+ *
+ * Action patterns may end in * ("get_*"). A role with "parties": "assigned" (or a user with a parties list)
+ * may only reach those parties. What the user typed ("meril") can't be judged before Tally resolves it to a
+ * ledger, so the list goes to the skill (partyScope → params._allowedParties), which checks the resolved
+ * ledger, an invoice's party and each imported row, cuts outstanding and payment reminders down to those
+ * parties and refuses the other whole-book reports (WHOLE_BOOK_ACTIONS in the skill). A name counts only when it equals an assigned party
+ * once normalized (case, punctuation, Pvt/Ltd — samePartyName); party suggestion lists are filtered the same
+ * way so other debtors' names never show up.
+ * Messages you send yourself (fromMe) are always allowed — the linked number is the owner.
+ *
+ * Usage:
+ *   const access = createAccessControl(config);
+ *   const user = await access.identify(message);
+ *   const verdict = access.check(user, action);          // { allowed, reason, message }
+ *   const parties = access.partyScope(user);            // null, or the only parties the user may reach
+ */
+
+const { samePartyName } = require('../skills/tally/tdl/helpers');
+
+function digitsOf(id) {
+  if (id == null) return '';
+  const s = String(id._serialized || id);
+  const at = s.indexOf('@');
+  return (at >= 0 ? s.slice(0, at) : s).replace(/\D/g, '');
+}
+
+function matchesPattern(action, pattern) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('*')) return action.startsWith(pattern.slice(0, -1));
+  return action === pattern;
+}
+
+// A fragment ("Life") never matches: it could resolve to someone else's ledger
+function partyMatches(party, allowed) {
+  return allowed.some(a => samePartyName(party, a));
+}
+
+function actionLabel(action) {
+  return String(action).replace(/^get_/, '').replace(/_/g, ' ');
+}
+
+function createAccessControl(config) {
+  const accessConfig = (config && config.access) || {};
+  const enabled = accessConfig.enabled === true;
+  const roles = accessConfig.roles || {};
+  // Normalize user keys to digits so "+91 98765 43210" and "919876543210" both match
+  const users = {};
+  for (const [number, user] of Object.entries(accessConfig.users || {})) {
+    users[digitsOf(number)] = Object.assign({}, typeof user === 'string' ? { role: user } : user);
+  }
+
+  /**
+   * Work out who sent a message. In groups the sender is message.author, in 1:1 chats message.from.
+   * @param {import('whatsapp-web.js').Message} message
+   * @returns {Promise<{ number: string, name: string|null, role: string|null, parties: string[]|null, isOwner: boolean }>}
+   */
+  async function identify(message) {
+    if (message.fromMe) return { number: digitsOf(message.from), name: null, role: 'owner', parties: null, isOwner: true };
+    const senderId = String((message.author && (message.author._serialized || message.author)) || message.from || '');
+    let number = digitsOf(senderId);
+    // Linked-device IDs (@lid) are not phone numbers — ask WhatsApp for the contact's number
+    if (enabled && senderId.endsWith('@lid') && typeof message.getContact === 'function') {
+      try {
+        const contact = await message.getContact();
+        if (contact && contact.number) number = digitsOf(contact.number);
+      } catch (_) { /* keep the @lid digits */ }
+    }
+    return forNumber(number);
+  }
+
+  /**
+   * Look up the configured role for a phone number.
+   * @param {string} number
+   */
+  function forNumber(number) {
+    const digits = digitsOf(number);
+    const user = users[digits];
+    const roleName = (user && user.role) || accessConfig.defaultRole || null;
+    const role = roleName ? roles[roleName] : null;
+    let parties = null;
+    if (user && Array.isArray(user.parties)) parties = user.parties;
+    else if (role && Array.isArray(role.parties)) parties = role.parties;
+    else if (role && role.parties === 'assigned') parties = [];
+    return { number: digits, name: (user && user.name) || null, role: roleName, parties, isOwner: false };
+  }
+
+  /**
+   * Decide whether a user may run an action. Parties are checked by the skill (partyScope).
+   * With action = null only checks that the sender has a role at all (done before parsing the message).
+   * @param {object} user - From identify()
+   * @param {string|null} action
+   * @returns {{ allowed: boolean, reason?: string, message?: string }}
+   */
+  function check(user, action) {
+    if (!enabled || !user || user.isOwner) return { allowed: true };
+    const hi = user.name ? `Sorry ${user.name}` : 'Sorry';
+    const role = user.role ? roles[user.role] : null;
+    if (!role) {
+      return {
+        allowed: false,
+        reason: user.role ? `unknown role "${user.role}"` : 'number not registered',
+        message: `🔒 ${hi}, this number isn't set up to use Tathastu yet. Please ask the owner to give you access.`,
+      };
+    }
+    if (action == null) return { allowed: true };
+    const allowedActions = Array.isArray(role.actions) ? role.actions : [];
+    const denied = (Array.isArray(role.deny) ? role.deny : []).some(p => matchesPattern(action, p));
+    if (denied || !allowedActions.some(p => matchesPattern(action, p))) {
+      return {
+        allowed: false,
+        reason: `action ${action} not allowed for role ${user.role}`,
+        message: `🔒 ${hi}, your role (${user.role}) doesn't have access to *${actionLabel(action)}*. Please ask the owner if you need it.`,
+      };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * The parties a user may reach, for the skill to check resolved ledgers against; null = any party.
+   * @param {object} user
+   * @returns {string[]|null}
+   */
+  function partyScope(user) {
+    if (!enabled || !user || user.isOwner || !Array.isArray(user.parties)) return null;
+    return user.parties.slice();
+  }
+
+  /**
+   * Drop party suggestions the user may not see (e.g. "did you mean…" lists).
+   * @param {object} user
+   * @param {Array<{ name: string }>} suggestions
+   * @returns {Array<{ name: string }>}
+   */
+  function filterSuggestions(user, suggestions) {
+    if (!enabled || !user || user.isOwner || !user.parties || !Array.isArray(suggestions)) return suggestions;
+    return suggestions.filter(s => partyMatches(s && s.name, user.parties));
+  }
+
+  return { enabled, identify, forNumber, check, partyScope, filterSuggestions };
+}
+
+module.exports = { createAccessControl, matchesPattern, partyMatches };
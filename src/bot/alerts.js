@@ -1,48 +1,241 @@
 /**
  * Alert manager — lets users set threshold-based alerts that are checked periodically.
- * Alerts are stored in memory (reset on restart). Persistent storage can be added later.
+ * Alerts are persisted in the data store (src/storage, collection "alerts") and reloaded at startup.
  *
  * Supported alert types:
- *   - cash_below: "alert me when cash drops below 50K"
- *   - receivable_above: "alert when receivable goes above 10L"
- *   - payable_above: "alert when payable goes above 5L"
+ *   - cash_below / bank_below: "alert me when cash drops below 50K"
+ *   - receivable_above / payable_above: "alert when receivable goes above 10L"
+ *   - party_balance_above / party_balance_below: "alert when Meril balance goes above 5L"
+ *   - overdue_days_above: "alert if any bill is overdue more than 60 days"
+ *   - sales_below: "alert if today's sales are below 1L by 6 pm"
+ *   - stock_below: "alert when stock of Widget A falls below 20"
+ *
+ * Event alerts (watch mode — fired per voucher by src/bot/voucher-watch.js, polled every couple of minutes):
+ *   - sale_above: "alert me on any sale above 1L"
+ *   - payment_to_party: "alert on payment to Meril"
+ *   - cash_payment_above: "alert on cash payments above 10K" (default ₹10,000)
+ *   - voucher_deleted / voucher_altered: "alert when a voucher is deleted"
+ *
+ * A threshold alert keeps the company it was set for (the chat's company or the one named) and checks that
+ * company's books; event alerts follow the day book of Tally's active company.
+ *
+ * Each type declares how to fetch its metric (fetch) and how to compare it (direction → COMPARISONS),
+ * or, for event types, which day book events it matches (match) — checkAlerts()/handleEvents() stay generic.
  *
  * Usage:
- *   const alertMgr = createAlertManager({ registry, config, client, onLog });
+ *   const alertMgr = createAlertManager({ registry, config, client, store, onLog });
  *   alertMgr.start(); // begins periodic checks
  *   alertMgr.addAlert({ type: 'cash_below', threshold: 50000 });
+ *   alertMgr.addAlert({ type: 'stock_below', threshold: 20, target: 'Widget A' });
  *   alertMgr.listAlerts();
  *   alertMgr.removeAlert(id);
  *   alertMgr.stop();
  */
 const { sendToSelf } = require('../whatsapp/client');
+const { parseScheduleTime } = require('./report-runner');
+const { createVoucherWatcher } = require('./voucher-watch');
+const { formatTallyDate } = require('../skills/tally/tdl/helpers');
+
+const SKILL_ID = 'tally';
+const HOUR_MS = 60 * 60 * 1000;
+
+const COMPARISONS = {
+  below: (value, threshold) => value < threshold,
+  above: (value, threshold) => value > threshold,
+};
+
+const inr = (n) => '₹' + Math.abs(n).toLocaleString('en-IN');
+const days = (n) => n + ' days';
+const qty = (unit) => (n) => n.toLocaleString('en-IN') + (unit ? ' ' + unit : '');
+
+function todayTallyDate(now) {
+  return now.getFullYear() + String(now.getMonth() + 1).padStart(2, '0') + String(now.getDate()).padStart(2, '0');
+}
 
+function isSameDay(a, b) {
+  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+}
+
+// Tally params for an alert's fetch, with the company it was set for
+function withCompany(alert, params) {
+  return alert.company ? Object.assign({ company: alert.company }, params) : params;
+}
+
+async function fetchCashBank(registry, alert, key) {
+  const result = await registry.execute(SKILL_ID, 'get_cash_bank_balance', withCompany(alert, {}));
+  if (!result.success || !result.data) return null;
+  return { value: result.data[key] || 0 };
+}
+
+async function fetchOutstanding(registry, alert, type) {
+  const result = await registry.execute(SKILL_ID, 'get_outstanding', withCompany(alert, { type }));
+  if (!result.success || !result.data) return null;
+  return { value: result.data.total || 0 };
+}
+
+async function fetchPartyBalance(registry, alert) {
+  const result = await registry.execute(SKILL_ID, 'get_party_balance', withCompany(alert, { party_name: alert.target }));
+  // Ambiguous or unknown party → no closingBalance; skip until the user fixes the alert
+  if (!result.success || !result.data || typeof result.data.closingBalance !== 'number') return null;
+  const d = result.data;
+  return { value: Math.abs(d.closingBalance), label: `${d.name} balance`, note: d.balanceType ? `(${d.balanceType})` : '' };
+}
+
+async function fetchOverdueDays(registry, alert) {
+  const result = await registry.execute(SKILL_ID, 'get_payment_reminders', withCompany(alert, {}));
+  if (!result.success || !result.data) return null;
+  let parties = result.data.reminders || [];
+  if (alert.target) {
+    const t = alert.target.toLowerCase();
+    parties = parties.filter(p => (p.party || '').toLowerCase().includes(t));
+  }
+  const late = parties.filter(p => p.maxDaysOverdue > alert.threshold);
+  const value = parties.reduce((max, p) => Math.max(max, p.maxDaysOverdue || 0), 0);
+  const detail = late.slice(0, 5).map(p => `• ${p.party}: ${p.maxDaysOverdue}d, ${inr(p.totalDue)}`).join('\n');
+  return { value, detail: late.length > 5 ? detail + `\n… and ${late.length - 5} more` : detail };
+}
+
+async function fetchTodaySales(registry, alert, now) {
+  const today = todayTallyDate(now);
+  const result = await registry.execute(SKILL_ID, 'get_sales_report', withCompany(alert, { type: 'sales', date_from: today, date_to: today }));
+  if (!result.success || !result.data) return null;
+  return { value: result.data.total || 0 };
+}
+
+async function fetchStockQty(registry, alert) {
+  const result = await registry.execute(SKILL_ID, 'get_stock_summary', withCompany(alert, { item_name: alert.target }));
+  if (!result.success || !result.data) return null;
+  const items = result.data.items || [];
+  const t = alert.target.toLowerCase();
+  const item = items.find(i => i.name.toLowerCase() === t) || (items.length === 1 ? items[0] : null);
+  if (!item) return null;
+  return { value: item.qty || 0, label: `${item.name} stock`, format: qty(item.unit) };
+}
+
+// ── Day book event matchers (event = { kind: 'new' | 'altered' | 'deleted', voucher }) ──
+
+const isSales = (v) => /sales/i.test(v.type) && !/order/i.test(v.type);
+const isPayment = (v) => /payment/i.test(v.type);
+const paidInCash = (v) => /\bcash\b/i.test(v.party) || (v.ledgers || []).some(l => /\bcash\b/i.test(l.name));
+const mentionsParty = (v, name) => {
+  const t = name.toLowerCase();
+  return (v.party || '').toLowerCase().includes(t) || (v.ledgers || []).some(l => l.name.toLowerCase().includes(t));
+};
+
+function describeVoucher(v) {
+  return `${v.type}${v.number ? ' #' + v.number : ''} — ${inr(v.amount)}${v.party ? ' — ' + v.party : ''} (${formatTallyDate(v.date)})`;
+}
+
+/**
+ * Alert type registry.
+ *   Event types instead declare event: true and match(event, alert) → boolean; title is the notification heading.
+ *   noThreshold: the alert has no amount; defaultThreshold: used when the user gives none
+ *   fetch(registry, alert, now) → { value, label?, note?, detail?, format? } | null (null = no data, skip)
+ *   metric: name shown in the notification ("Cash balance: ₹12,000"); fetch may override it with label
+ *   direction: key into COMPARISONS
+ *   target: 'party' | 'item' when the alert needs a name; activeAfter: alert only fires after alert.time (HH:MM)
+ *   oncePerDay: at most one notification per calendar day (default: once per hour)
+ */
 const ALERT_TYPES = {
-  cash_below: { label: 'Cash balance below', metric: 'cash', direction: 'below' },
-  bank_below: { label: 'Bank balance below', metric: 'bank', direction: 'below' },
-  receivable_above: { label: 'Total receivable above', metric: 'receivable', direction: 'above' },
-  payable_above: { label: 'Total payable above', metric: 'payable', direction: 'above' },
+  cash_below: { label: 'Cash balance below', metric: 'Cash balance', direction: 'below', format: inr, fetch: (r, a) => fetchCashBank(r, a, 'cashBalance') },
+  bank_below: { label: 'Bank balance below', metric: 'Bank balance', direction: 'below', format: inr, fetch: (r, a) => fetchCashBank(r, a, 'bankBalance') },
+  receivable_above: { label: 'Total receivable above', metric: 'Total receivable', direction: 'above', format: inr, fetch: (r, a) => fetchOutstanding(r, a, 'receivable') },
+  payable_above: { label: 'Total payable above', metric: 'Total payable', direction: 'above', format: inr, fetch: (r, a) => fetchOutstanding(r, a, 'payable') },
+  party_balance_above: { label: 'Party balance above', metric: 'Party balance', direction: 'above', format: inr, target: 'party', fetch: fetchPartyBalance },
+  party_balance_below: { label: 'Party balance below', metric: 'Party balance', direction: 'below', format: inr, target: 'party', fetch: fetchPartyBalance },
+  overdue_days_above: { label: 'Bill overdue more than', metric: 'Longest overdue', direction: 'above', format: days, fetch: fetchOverdueDays, oncePerDay: true },
+  sales_below: { label: "Today's sales below", metric: "Today's sales", direction: 'below', format: inr, fetch: fetchTodaySales, activeAfter: '18:00', oncePerDay: true },
+  stock_below: { label: 'Stock below', metric: 'Stock', direction: 'below', format: qty(''), target: 'item', fetch: fetchStockQty },
+
+  sale_above: { label: 'Any sale above', title: '🧾 New sale', event: true, format: inr,
+    match: (e, a) => e.kind === 'new' && isSales(e.voucher) && Math.abs(e.voucher.amount) > a.threshold },
+  payment_to_party: { label: 'Payment to', title: '💸 Payment made', event: true, format: inr, target: 'party', noThreshold: true,
+    match: (e, a) => e.kind === 'new' && isPayment(e.voucher) && mentionsParty(e.voucher, a.target) },
+  cash_payment_above: { label: 'Cash payment above', title: '💵 Cash payment', event: true, format: inr, defaultThreshold: 10000,
+    match: (e, a) => e.kind === 'new' && isPayment(e.voucher) && paidInCash(e.voucher) && Math.abs(e.voucher.amount) > a.threshold },
+  voucher_deleted: { label: 'Voucher deleted', title: '🗑️ Voucher deleted', event: true, format: inr, noThreshold: true,
+    match: (e) => e.kind === 'deleted' },
+  voucher_altered: { label: 'Voucher altered', title: '✏️ Voucher altered', event: true, format: inr, noThreshold: true,
+    match: (e) => e.kind === 'altered' },
 };
 
-function createAlertManager({ registry, config, client, onLog }) {
+/** One-line description of an alert: "Stock below 20 — Widget A", "Today's sales below ₹1,00,000 (by 18:00)" */
+function describeAlert(alert) {
+  const info = ALERT_TYPES[alert.type] || { label: alert.type, format: String };
+  if (info.noThreshold) return alert.target ? `${info.label} ${alert.target}` : info.label;
+  let text = `${info.label} ${info.format(alert.threshold)}`;
+  if (alert.target) text += ` — ${alert.target}`;
+  if (alert.time) text += ` (by ${alert.time})`;
+  if (alert.company) text += ` [${alert.company}]`;
+  return text;
+}
+
+function createAlertManager({ registry, config, client, store, onLog }) {
   const log = onLog || (() => {});
-  const alerts = []; // { id, type, threshold, createdAt, lastTriggered }
+  const alerts = []; // { id, type, threshold, target?, time?, company?, createdAt, lastTriggered }
   let nextId = 1;
   let intervalHandle = null;
+  let watchHandle = null;
   const CHECK_INTERVAL_MS = 10 * 60 * 1000; // check every 10 minutes
+  const watchConfig = (config && config.alerts && config.alerts.watch) || {};
+  const WATCH_INTERVAL_MS = Math.max(1, parseFloat(watchConfig.intervalMinutes) || 2) * 60 * 1000;
+  const watcher = watchConfig.enabled === false ? null : createVoucherWatcher({ registry, config, store, onLog: log });
+  let watching = false;
 
-  function addAlert({ type, threshold }) {
-    if (!ALERT_TYPES[type]) {
+  // Load saved alerts (dates are stored as ISO strings)
+  function reload() {
+    const saved = store ? store.get('alerts', null) : null;
+    alerts.length = 0;
+    nextId = 1;
+    if (!saved || !Array.isArray(saved.items)) return;
+    for (const a of saved.items) {
+      alerts.push(Object.assign({}, a, {
+        createdAt: a.createdAt ? new Date(a.createdAt) : new Date(),
+        lastTriggered: a.lastTriggered ? new Date(a.lastTriggered) : null,
+      }));
+    }
+    nextId = Math.max(saved.nextId || 1, ...alerts.map(a => a.id + 1));
+  }
+
+  function persist() {
+    if (store) store.set('alerts', { nextId, items: alerts });
+  }
+
+  reload();
+  if (store) store.onImport(() => { reload(); log('[alerts] Reloaded ' + alerts.length + ' alert(s) from import'); });
+
+  function addAlert({ type, threshold, target, time, company }) {
+    const info = ALERT_TYPES[type];
+    if (!info) {
       return { success: false, message: `Unknown alert type "${type}". Supported: ${Object.keys(ALERT_TYPES).join(', ')}` };
     }
-    const t = parseFloat(threshold);
-    if (isNaN(t) || t <= 0) {
+    if (info.event && !watcher) {
+      return { success: false, message: '⚠️ Voucher watch is turned off. Set `"alerts": {"watch": {"enabled": true}}` in config.' };
+    }
+    let t = parseFloat(threshold);
+    if (isNaN(t) && info.noThreshold) t = 0;
+    if (isNaN(t) && info.defaultThreshold) t = info.defaultThreshold;
+    if (isNaN(t) || t < 0 || (t === 0 && !info.noThreshold)) {
       return { success: false, message: 'Threshold must be a positive number.' };
     }
+    const name = typeof target === 'string' ? target.trim() : '';
+    if (info.target && !name) {
+      return { success: false, message: `Please name the ${info.target} for this alert. Example: "${info.target === 'item' ? 'alert when stock of Widget A below 20' : 'alert when Meril balance above 5L'}"` };
+    }
+    let alertTime = null;
+    if (info.activeAfter) {
+      alertTime = (time && parseScheduleTime(time)) || info.activeAfter;
+    }
     const alert = { id: nextId++, type, threshold: t, createdAt: new Date(), lastTriggered: null };
+    if (name) alert.target = name;
+    if (alertTime) alert.time = alertTime;
+    if (company && !info.event) alert.company = company;
+    // First event alert: start from a fresh day book baseline rather than whatever was seen long ago
+    if (info.event && watcher && !hasEventAlerts()) watcher.reset();
     alerts.push(alert);
-    log(`[alerts] Added: ${ALERT_TYPES[type].label} ₹${t.toLocaleString('en-IN')}`);
-    return { success: true, message: `✅ Alert set: ${ALERT_TYPES[type].label} ₹${t.toLocaleString('en-IN')}`, data: alert };
+    persist();
+    log(`[alerts] Added: ${describeAlert(alert)}`);
+    return { success: true, message: `✅ Alert set: ${describeAlert(alert)}`, data: alert };
   }
 
   function listAlerts() {
@@ -51,9 +244,8 @@ function createAlertManager({ registry, config, client, onLog }) {
     }
     const lines = ['🔔 *Your Alerts:*', ''];
     for (const a of alerts) {
-      const info = ALERT_TYPES[a.type] || { label: a.type };
       const triggered = a.lastTriggered ? ` (last triggered: ${a.lastTriggered.toLocaleString()})` : '';
-      lines.push(`${a.id}. ${info.label} ₹${a.threshold.toLocaleString('en-IN')}${triggered}`);
+      lines.push(`${a.id}. ${describeAlert(a)}${triggered}`);
     }
     lines.push('', '_Reply "remove alert 1" to delete an alert._');
     return { success: true, message: lines.join('\n'), data: alerts };
@@ -63,77 +255,116 @@ function createAlertManager({ registry, config, client, onLog }) {
     const idx = alerts.findIndex(a => a.id === parseInt(id, 10));
     if (idx === -1) return { success: false, message: `Alert #${id} not found.` };
     const removed = alerts.splice(idx, 1)[0];
-    const info = ALERT_TYPES[removed.type] || { label: removed.type };
-    return { success: true, message: `🗑️ Removed alert: ${info.label} ₹${removed.threshold.toLocaleString('en-IN')}` };
+    persist();
+    return { success: true, message: `🗑️ Removed alert: ${describeAlert(removed)}` };
+  }
+
+  // Cooldown and time-of-day gating, declared per type
+  function canTrigger(alert, info, now) {
+    if (alert.time) {
+      const [h, m] = alert.time.split(':').map(Number);
+      if (now.getHours() * 60 + now.getMinutes() < h * 60 + m) return false;
+    }
+    if (!alert.lastTriggered) return true;
+    if (info.oncePerDay) return !isSameDay(alert.lastTriggered, now);
+    return (now - alert.lastTriggered) >= HOUR_MS; // Don't spam — only trigger once per hour
   }
 
-  async function checkAlerts() {
-    if (alerts.length === 0) return;
+  function hasEventAlerts() {
+    return alerts.some(a => ALERT_TYPES[a.type] && ALERT_TYPES[a.type].event);
+  }
+
+  async function checkAlerts(now = new Date()) {
+    const thresholdAlerts = alerts.filter(a => ALERT_TYPES[a.type] && !ALERT_TYPES[a.type].event);
+    if (thresholdAlerts.length === 0) return;
     if (!client || !client.info) return; // client not ready
 
-    log('[alerts] Checking ' + alerts.length + ' alert(s)…');
-    const skillId = 'tally';
+    log('[alerts] Checking ' + thresholdAlerts.length + ' alert(s)…');
 
-    for (const alert of alerts) {
+    for (const alert of thresholdAlerts) {
       try {
         const info = ALERT_TYPES[alert.type];
-        if (!info) continue;
-
-        let currentValue = null;
-        let label = '';
-
-        if (info.metric === 'cash' || info.metric === 'bank') {
-          const result = await registry.execute(skillId, 'get_cash_bank_balance', {});
-          if (!result.success || !result.data) continue;
-          if (info.metric === 'cash') {
-            currentValue = result.data.cashBalance || 0;
-            label = 'Cash balance';
-          } else {
-            currentValue = result.data.bankBalance || 0;
-            label = 'Bank balance';
-          }
-        } else if (info.metric === 'receivable') {
-          const result = await registry.execute(skillId, 'get_outstanding', { type: 'receivable' });
-          if (!result.success || !result.data) continue;
-          currentValue = result.data.total || 0;
-          label = 'Total receivable';
-        } else if (info.metric === 'payable') {
-          const result = await registry.execute(skillId, 'get_outstanding', { type: 'payable' });
-          if (!result.success || !result.data) continue;
-          currentValue = result.data.total || 0;
-          label = 'Total payable';
-        }
-
-        if (currentValue === null) continue;
-
-        let triggered = false;
-        if (info.direction === 'below' && currentValue < alert.threshold) triggered = true;
-        if (info.direction === 'above' && currentValue > alert.threshold) triggered = true;
-
-        if (triggered) {
-          // Don't spam — only trigger once per hour
-          const now = new Date();
-          if (alert.lastTriggered && (now - alert.lastTriggered) < 60 * 60 * 1000) continue;
-          alert.lastTriggered = now;
-
-          const emoji = info.direction === 'below' ? '🔴' : '🟡';
-          const msg = `${emoji} *Alert Triggered*\n\n${label}: ₹${Math.abs(currentValue).toLocaleString('en-IN')}\nThreshold: ${info.direction} ₹${alert.threshold.toLocaleString('en-IN')}\n\n_Check your Tally data for details._`;
-          await sendToSelf(client, '*Tathastu:*\n' + msg);
-          log('[alerts] TRIGGERED: ' + info.label + ' — current: ₹' + currentValue.toLocaleString('en-IN'));
-        }
+        if (!canTrigger(alert, info, now)) continue;
+
+        const metric = await info.fetch(registry, alert, now);
+        if (!metric || typeof metric.value !== 'number') continue;
+        if (!COMPARISONS[info.direction](metric.value, alert.threshold)) continue;
+
+        alert.lastTriggered = now;
+        persist();
+
+        const format = metric.format || info.format;
+        const label = metric.label || info.metric;
+        const emoji = info.direction === 'below' ? '🔴' : '🟡';
+        const lines = [`${emoji} *Alert Triggered*${alert.company ? ' — ' + alert.company : ''}`, '', `${label}: ${format(metric.value)}${metric.note ? ' ' + metric.note : ''}`,
+          `Threshold: ${info.direction} ${format(alert.threshold)}`];
+        if (metric.detail) lines.push('', metric.detail);
+        lines.push('', '_Check your Tally data for details._');
+        await sendToSelf(client, '*Tathastu:*\n' + lines.join('\n'));
+        log('[alerts] TRIGGERED: ' + describeAlert(alert) + ' — current: ' + format(metric.value));
       } catch (err) {
         log('[alerts] Check error for alert #' + alert.id + ': ' + (err.message || err));
       }
     }
   }
 
+  /**
+   * Notify every event alert that matches one of the day book events (one message per alert).
+   * @param {object[]} events - From voucherWatcher.poll()
+   */
+  async function handleEvents(events, now = new Date()) {
+    if (!events.length) return;
+    for (const alert of alerts) {
+      const info = ALERT_TYPES[alert.type];
+      if (!info || !info.event) continue;
+      const matched = events.filter(e => info.match(e, alert));
+      if (matched.length === 0) continue;
+
+      alert.lastTriggered = now;
+      persist();
+      const lines = [`🔔 *Alert: ${describeAlert(alert)}*`, ''];
+      for (const e of matched.slice(0, 10)) {
+        const was = e.kind === 'altered' && e.before && e.before.amount !== e.voucher.amount ? ` _(was ${inr(e.before.amount)})_` : '';
+        lines.push(`${info.title}: ${describeVoucher(e.voucher)}${was}`);
+      }
+      if (matched.length > 10) lines.push(`… and ${matched.length - 10} more`);
+      try {
+        await sendToSelf(client, '*Tathastu:*\n' + lines.join('\n'));
+        log('[alerts] TRIGGERED: ' + describeAlert(alert) + ' — ' + matched.length + ' voucher(s)');
+      } catch (err) {
+        log('[alerts] Send error for alert #' + alert.id + ': ' + (err.message || err));
+      }
+    }
+  }
+
+  /** Poll the day book for new/altered/deleted vouchers and fire event alerts. */
+  async function checkEvents(now = new Date()) {
+    if (!watcher || watching || !hasEventAlerts()) return;
+    if (!client || !client.info) return; // client not ready
+    watching = true;
+    try {
+      const events = await watcher.poll(now);
+      await handleEvents(events, now);
+    } finally {
+      watching = false;
+    }
+  }
+
   function start() {
     if (intervalHandle) return;
     intervalHandle = setInterval(() => checkAlerts().catch(e => log('[alerts] Error: ' + e.message)), CHECK_INTERVAL_MS);
     log('[alerts] Started — checking every ' + (CHECK_INTERVAL_MS / 60000) + ' min');
+    if (watcher) {
+      watchHandle = setInterval(() => checkEvents().catch(e => log('[alerts] Watch error: ' + e.message)), WATCH_INTERVAL_MS);
+      log('[alerts] Voucher watch every ' + (WATCH_INTERVAL_MS / 60000) + ' min');
+    }
   }
 
   function stop() {
+    if (watchHandle) {
+      clearInterval(watchHandle);
+      watchHandle = null;
+    }
     if (intervalHandle) {
       clearInterval(intervalHandle);
       intervalHandle = null;
@@ -141,7 +372,7 @@ function createAlertManager({ registry, config, client, onLog }) {
     }
   }
 
-  return { addAlert, listAlerts, removeAlert, checkAlerts, start, stop, getAlerts: () => alerts };
+  return { addAlert, listAlerts, removeAlert, checkAlerts, checkEvents, handleEvents, start, stop, reload, getAlerts: () => alerts };
 }
 
-module.exports = { createAlertManager, ALERT_TYPES };
+module.exports = { createAlertManager, ALERT_TYPES, COMPARISONS, describeAlert };
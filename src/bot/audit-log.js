@@ -0,0 +1,168 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_AUDIT_PATH = path.join('data', 'audit.jsonl');
+const DEFAULT_SEARCH_LIMIT = 200;
+const CSV_COLUMNS = ['ts', 'tenant', 'type', 'chatId', 'sender', 'role', 'text', 'tier', 'action', 'params', 'success', 'responseSize', 'reason', 'write'];
+
+function localDate(ts) {
+  const d = new Date(ts);
+  if (isNaN(d.getTime())) return '';
+  return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+}
+
+// Every value in an entry (params, XML…) as one lowercase string, so free-text search sees raw quotes
+function entryText(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') return Object.values(value).map(entryText).join(' ');
+  return String(value).toLowerCase();
+}
+
+function filterEntries(entries, query) {
+  const q = String(query.q || '').toLowerCase().trim();
+  const sender = String(query.sender || '').replace(/\D/g, '');
+  return entries.filter((e) => {
+    if (query.type && e.type !== query.type) return false;
+    if (query.action && e.action !== query.action) return false;
+    if (sender && !String(e.sender || '').includes(sender)) return false;
+    if (query.from && localDate(e.ts) < query.from) return false;
+    if (query.to && localDate(e.ts) > query.to) return false;
+    return !q || entryText(e).includes(q);
+  });
+}
+
+/**
+ * Append-only audit journal: one JSON object per line, never rewritten.
+ * Pass filePath = null for an in-memory journal (nothing is read or written).
+ *
+ * Entries written by the orchestrator (one per handled message):
+ *   { ts, type: 'command'|'access_denied', chatId, sender, role, text, tier, action, params,
+ *     success, responseSize, reason?, write? }
+ * write holds what a write action sent and got back, e.g. create_voucher's { requestXml, responseXml }.
+ */
+class AuditLog {
+  /**
+   * @param {string|null} filePath - Path to the JSONL file
+   */
+  constructor(filePath) {
+    this._filePath = filePath || null;
+    this._entries = []; // in-memory mode only
+  }
+
+  /**
+   * Append one entry. A timestamp is added when missing. Never throws.
+   * @param {object} entry
+   * @returns {object} The stored entry
+   */
+  record(entry) {
+    const stored = Object.assign({ ts: new Date().toISOString() }, entry);
+    if (!this._filePath) {
+      this._entries.push(stored);
+      return stored;
+    }
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(this._filePath, JSON.stringify(stored) + '\n', 'utf-8');
+    } catch (err) {
+      console.error(`[AuditLog] Failed to append to ${this._filePath}: ${err.message}`);
+    }
+    return stored;
+  }
+
+  /**
+   * Find entries, newest first.
+   * @param {object} [query]
+   * @param {string} [query.q] - Case-insensitive text matched against the whole entry (text, party, XML…)
+   * @param {string} [query.action]
+   * @param {string} [query.sender] - Digits; matches numbers containing them
+   * @param {string} [query.type] - 'command' | 'access_denied'
+   * @param {string} [query.from] - YYYY-MM-DD (local date, inclusive)
+   * @param {string} [query.to] - YYYY-MM-DD (local date, inclusive)
+   * @param {number} [query.limit] - Default 200; 0 = no limit
+   * @returns {object[]}
+   */
+  search(query = {}) {
+    const matches = filterEntries(this.readAll(), query).reverse();
+    const limit = query.limit != null ? parseInt(query.limit, 10) : DEFAULT_SEARCH_LIMIT;
+    return limit > 0 ? matches.slice(0, limit) : matches;
+  }
+
+  /**
+   * Read all entries, oldest first. Corrupt lines are skipped.
+   * @returns {object[]}
+   */
+  readAll() {
+    if (!this._filePath) return this._entries.slice();
+    try {
+      if (!fs.existsSync(this._filePath)) return [];
+      const out = [];
+      for (const line of fs.readFileSync(this._filePath, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try { out.push(JSON.parse(line)); } catch (_) { /* skip partial line */ }
+      }
+      return out;
+    } catch (err) {
+      console.warn(`[AuditLog] Failed to read ${this._filePath}: ${err.message}`);
+      return [];
+    }
+  }
+}
+
+/**
+ * Search several journals at once (one per tenant), newest first. Entries get a tenant field
+ * unless the only journal is "default".
+ * @param {Object<string, AuditLog>} logs - { [tenantId]: AuditLog }
+ * @param {object} [query] - See AuditLog#search
+ * @returns {object[]}
+ */
+function searchAuditLogs(logs, query = {}) {
+  const names = Object.keys(logs);
+  const single = names.length === 1 && names[0] === 'default';
+  let all = [];
+  for (const name of names) {
+    const found = logs[name].search(Object.assign({}, query, { limit: 0 }));
+    all = all.concat(single ? found : found.map(e => Object.assign({ tenant: name }, e)));
+  }
+  all.sort((a, b) => String(b.ts).localeCompare(String(a.ts)));
+  const limit = query.limit != null ? parseInt(query.limit, 10) : DEFAULT_SEARCH_LIMIT;
+  return limit > 0 ? all.slice(0, limit) : all;
+}
+
+/**
+ * Render entries as CSV (Excel-friendly: quoted fields, objects as JSON).
+ * @param {object[]} entries
+ * @returns {string}
+ */
+function auditToCsv(entries) {
+  const cell = (v) => {
+    if (v == null) return '';
+    const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  };
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const e of entries) lines.push(CSV_COLUMNS.map(c => cell(e[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Resolve the audit file path from config.audit ({ persist?, path? }).
+ * Multi-tenant runs get one file per tenant (audit-<tenantId>.jsonl).
+ * @param {object} config - Result of loadConfig()
+ * @param {string} [tenantId]
+ * @returns {string|null} Absolute path, or null when persistence is disabled
+ */
+function resolveAuditPath(config, tenantId) {
+  const auditConfig = (config && config.audit) || {};
+  if (auditConfig.persist === false) return null;
+  let filePath = path.resolve(process.cwd(), auditConfig.path || DEFAULT_AUDIT_PATH);
+  if (tenantId) {
+    const ext = path.extname(filePath);
+    filePath = filePath.slice(0, filePath.length - ext.length) + '-' + tenantId + ext;
+  }
+  return filePath;
+}
+
+module.exports = { AuditLog, resolveAuditPath, searchAuditLogs, auditToCsv };
@@ -0,0 +1,134 @@
+/**
+ * Pending confirmations — write actions show a preview first and only run after an explicit "yes".
+ *
+ * A skill asks for confirmation by returning `_confirm: { params?, editable?, verb?, action? }` next to its preview message.
+ * The orchestrator parks the call in the chat session (session.pending) and, on "yes" from the same sender,
+ * runs it again with { confirmed: true } — or runs `action` with just `params` when the skill offers a different
+ * step (create_voucher offering create_ledger for an unknown party). "edit amount 45000" changes one field and
+ * shows a fresh preview; "cancel" drops the draft. Drafts older than config.confirmations.timeoutMinutes (default 10) expire.
+ *
+ * session.pending: { skillId, action, params, sender, editable: string[], verb, createdAt }
+ */
+
+const { parseDates } = require('../openai/date-parser');
+const { VOUCHER_TYPES, normalizeVoucherType } = require('../skills/tally/tdl/voucher-create');
+
+const DEFAULT_TIMEOUT_MINUTES = 10;
+const YES_RE = /^(yes|y|haan|ha|han|send|bhejo|ok|okay|confirm|post|kar do)$/i;
+const CANCEL_RE = /^(no|n|cancel|nahi|nahin|mat karo|rehne do|discard|stop)$/i;
+const EDIT_RE = /^(?:edit|change|update|badlo)\s+(amount|date|party|narration|ledger|type|gst|bill|phone)\s+(?:to\s+|=\s*)?(.+)$/i;
+// Edit keyword -> action parameter it replaces
+const EDIT_PARAMS = { amount: 'amount', date: 'date', party: 'party_name', narration: 'narration', ledger: 'ledger', type: 'voucher_type', gst: 'gst_rate', bill: 'against_voucher', phone: 'phone' };
+
+/**
+ * Parse "45000", "45,000", "₹45k", "4.5 lakh", "1.2 cr".
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseAmount(text) {
+  const m = String(text || '').trim().match(/^(?:rs\.?\s*|₹\s*)?(\d[\d,]*(?:\.\d+)?)\s*(k|l|lakh|lakhs|lac|cr|crore|crores)?$/i);
+  if (!m) return null;
+  const n = parseFloat(m[1].replace(/,/g, ''));
+  const unit = (m[2] || '').toLowerCase();
+  if (unit === 'k') return n * 1000;
+  if (unit.startsWith('l')) return n * 100000;
+  if (unit.startsWith('cr')) return n * 10000000;
+  return n;
+}
+
+/**
+ * Parse a single day: "today", "kal", "20/10/2026", "2026-10-20".
+ * @param {string} text
+ * @returns {string|null} YYYYMMDD
+ */
+function parseSingleDate(text) {
+  const s = String(text || '').trim();
+  if (/^\d{4}-?\d{2}-?\d{2}$/.test(s)) return s.replace(/-/g, '');
+  const range = parseDates(s);
+  return range && range.date_from === range.date_to ? range.date_from : null;
+}
+
+/**
+ * Parse an edit command for a pending draft.
+ * @param {string} text
+ * @returns {{ field: string, param: string, value: any } | { error: string } | null} null when it is not an edit
+ */
+function parseEdit(text) {
+  const m = String(text || '').trim().match(EDIT_RE);
+  if (!m) return null;
+  const field = m[1].toLowerCase();
+  const raw = m[2].trim();
+  let value = raw;
+  if (field === 'amount') {
+    value = parseAmount(raw);
+    if (!value || value <= 0) return { error: `❓ "${raw}" is not an amount. Example: "edit amount 45000"` };
+  } else if (field === 'date') {
+    value = parseSingleDate(raw);
+    if (!value) return { error: `❓ I couldn't read the date "${raw}". Example: "edit date 20/10/2026" or "edit date yesterday"` };
+  } else if (field === 'gst') {
+    const m = raw.match(/^(\d+(?:\.\d+)?)\s*%?$/);
+    value = m ? parseFloat(m[1]) : (/^(none|no|nil|exempt)$/i.test(raw) ? 0 : null);
+    if (value == null || value > 28) return { error: `❓ "${raw}" is not a GST rate. Example: "edit gst 18" or "edit gst none"` };
+  } else if (field === 'bill') {
+    // "edit bill INV-101" settles that bill, "edit bill on account" none
+    value = raw.replace(/^#/, '');
+  } else if (field === 'phone') {
+    // "edit phone 98765 43210" — the number a document is sent to
+    if (!/^\+?\d[\d\s-]{8,16}\d$/.test(raw)) return { error: `❓ "${raw}" is not a phone number. Example: "edit phone 9876543210"` };
+    value = raw.replace(/[\s-]/g, '');
+  } else if (field === 'type') {
+    // The types create_voucher posts, with its aliases ("sales return", "jv")
+    value = VOUCHER_TYPES.find(t => t === normalizeVoucherType(raw));
+    if (!value) return { error: `❓ Voucher type must be one of: ${VOUCHER_TYPES.join(', ')}` };
+  }
+  return { field, param: EDIT_PARAMS[field], value };
+}
+
+/**
+ * Build the session entry for a call waiting on "yes".
+ * @param {object} opts
+ * @param {string} opts.skillId
+ * @param {string} opts.action
+ * @param {object} [opts.params]
+ * @param {string} [opts.sender] - Only this number may confirm, edit or cancel
+ * @param {string[]} [opts.editable] - Edit keywords allowed (see EDIT_PARAMS)
+ * @param {string} [opts.verb] - What "yes" does, for the hint (default "post")
+ * @param {Date} [opts.now]
+ */
+function createPending({ skillId, action, params, sender, editable, verb, now = new Date() }) {
+  const clean = Object.assign({}, params);
+  delete clean.confirmed;
+  delete clean._reportData;
+  delete clean._file;
+  delete clean._allowedParties; // added again from the sender's role when the draft runs
+  return { skillId, action, params: clean, sender: sender || null, editable: editable || [], verb: verb || 'post', createdAt: now.toISOString() };
+}
+
+/**
+ * @param {object} pending
+ * @param {number} [timeoutMinutes]
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isExpired(pending, timeoutMinutes = DEFAULT_TIMEOUT_MINUTES, now = new Date()) {
+  const created = new Date(pending.createdAt).getTime();
+  return isNaN(created) || now.getTime() - created > timeoutMinutes * 60 * 1000;
+}
+
+/**
+ * Footer appended under a preview.
+ * @param {object} pending
+ * @param {number} [timeoutMinutes]
+ * @returns {string}
+ */
+function confirmationHint(pending, timeoutMinutes = DEFAULT_TIMEOUT_MINUTES) {
+  const edit = pending.editable.length
+    ? `, *edit ${pending.editable[0]} …* to change ${pending.editable.join('/')},`
+    : '';
+  return `\n\n👉 Reply *yes* to ${pending.verb || 'post'}${edit} or *cancel*. _Expires in ${timeoutMinutes} min._`;
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MINUTES, YES_RE, CANCEL_RE, EDIT_PARAMS,
+  parseAmount, parseSingleDate, parseEdit, createPending, isExpired, confirmationHint,
+};
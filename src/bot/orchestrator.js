@@ -1,11 +1,31 @@
 const { loadConfig } = require('../config/load');
 const { SkillRegistry } = require('../skills');
 const { parseIntent, getAvailableCommandsHelp, getCapabilitiesMessage } = require('../openai/parse');
-const { reply, sendDocument } = require('../whatsapp/client');
+const { reply, sendDocument, sendDocumentToNumber, isRecentlySentDocument } = require('../whatsapp/client');
 const { SarvamClient } = require('../translation/sarvam');
 const { createResolver } = require('../intent/resolver');
 const { createAlertManager } = require('./alerts');
 const { createScheduler } = require('./scheduler');
+const { createReportRunner, parseScheduleTime, parseScheduleDays, formatScheduleDays, MISSED_POLICIES } = require('./report-runner');
+const { SessionStore, resolveSessionPath } = require('./session-store');
+const { AuditLog, resolveAuditPath } = require('./audit-log');
+const { createAccessControl } = require('./access-control');
+const { YES_RE, CANCEL_RE, DEFAULT_TIMEOUT_MINUTES, parseEdit, createPending, isExpired, confirmationHint } = require('./confirmations');
+const { DEFAULT_UNDO_WINDOW_MINUTES, recordCreatedVoucher, findUndoableVoucher, markVoucherUndone, undoVoucherParams } = require('./voucher-undo');
+const { createStore } = require('../storage');
+const { isSpreadsheetFile } = require('../skills/tally/tdl/voucher-import');
+const { runWithTallyContext, runWithoutCancel } = require('../skills/tally/tdl/request-queue');
+
+/**
+ * Params as written to logs and the audit journal: no report rows or file contents.
+ */
+function loggableParams(params) {
+  const clean = Object.assign({}, params);
+  delete clean._reportData;
+  delete clean._allowedParties;
+  if (clean._file) clean._file = clean._file.filename;
+  return clean;
+}
 
 /**
  * Smart follow-ups: suggest next actions based on what the user just did.
@@ -39,6 +59,9 @@ function getSmartFollowUp(action, params, result) {
       tips.push('💡 _"send invoice #NUMBER" to share as PDF_');
       tips.push('💡 _"excel" to export_');
       break;
+    case 'get_invoice_pdf':
+      if (!params.send_to && result.data?.invoice) tips.push('💡 _"send invoice ' + result.data.invoice.number + ' to party" to WhatsApp it to ' + result.data.invoice.party + '_');
+      break;
     case 'get_ageing_analysis':
       tips.push('💡 _"payment reminders" to send collection messages_');
       break;
@@ -80,6 +103,9 @@ function getSmartFollowUp(action, params, result) {
  * @param {object} [options.config] - Pre-loaded config; otherwise loadConfig() is called
  * @param {SkillRegistry} [options.registry] - Pre-built registry; otherwise built from config
  * @param {function} [options.onLog] - (text: string) => void - optional log for UI/debug
+ * @param {SessionStore} [options.sessionStore] - Pre-loaded per-chat session store; otherwise built from config.sessions
+ * @param {object} [options.store] - Loaded data store (src/storage) for alerts, credit limits and schedules; otherwise built from config.storage
+ * @param {AuditLog} [options.auditLog] - Audit journal; otherwise built from config.audit
  */
 function createOrchestrator(options = {}) {
   const config = options.config || loadConfig();
@@ -89,28 +115,30 @@ function createOrchestrator(options = {}) {
   const onLog = options.onLog || (() => {});
   const client = options.client || null; // WhatsApp client (for getting user's own number)
   
-  // Conversation history for LLM context (user + assistant pairs)
-  const conversationHistory = [];
   const MAX_HISTORY = 10; // Keep last 10 turns (5 user + 5 bot)
-  
-  // Last report data for Excel export
-  let lastReportData = null;
-  let lastReportName = '';
-  
-  // Track last paginated action for "more"/"next" navigation
-  let lastAction = null;
-  let lastParams = null;
-  let lastSkillId = null;
-  let lastPage = 1;
-  
-  // Track last suggestions for number-based selection
-  let lastSuggestions = null; // array of { name, ... }
+  // Drafts waiting on "yes" (create_voucher, bulk reminders) are dropped after this long
+  const confirmTimeoutMinutes = config.confirmations?.timeoutMinutes > 0 ? config.confirmations.timeoutMinutes : DEFAULT_TIMEOUT_MINUTES;
+  // "undo last voucher" reaches vouchers this bot posted within the window; mode "cancel" keeps them as cancelled
+  const undoWindowMinutes = config.undo?.windowMinutes > 0 ? config.undo.windowMinutes : DEFAULT_UNDO_WINDOW_MINUTES;
+  const undoMode = config.undo?.mode === 'cancel' ? 'cancel' : 'delete';
+
+  // Per-chat conversation state (history, last report, pagination, suggestions), persisted to disk
+  // so "more", "2" and "export excel" act on the chat that asked — and survive a restart.
+  const sessionStore = options.sessionStore || new SessionStore(resolveSessionPath(config), { ttlHours: config.sessions?.ttlHours });
+  if (!options.sessionStore) sessionStore.load();
+
+  // Durable bot data (alerts, credit limits, scheduled reports) — reloaded at startup
+  const dataStore = options.store || createStore(config);
+
+  // Who may run what (config.access) and the append-only journal of every command
+  const accessControl = createAccessControl(config);
+  const auditLog = options.auditLog || new AuditLog(resolveAuditPath(config));
   
   // Initialize alert manager if enabled
   let alertManager = null;
   if (config.alerts?.enabled !== false && client) {
     try {
-      alertManager = createAlertManager({ registry, config, client, onLog });
+      alertManager = createAlertManager({ registry, config, client, store: dataStore, onLog });
       // Start checking after WhatsApp is ready (client.info available)
       // We'll start it lazily on first message when client.info is available
       onLog('[alerts] Alert manager initialized');
@@ -133,12 +161,9 @@ function createOrchestrator(options = {}) {
   // Flag to start background services once client is ready
   let backgroundStarted = false;
 
-  // Credit limits (in-memory, reset on restart)
-  let creditLimits = {};
-
-  // Scheduled reports (in-memory)
-  let scheduledReports = [];
-  let scheduleNextId = 0;
+  // Credit limits { [partyLower]: { party, limit, setAt } } and scheduled reports { nextId, items } live in the data store
+  function getCreditLimits() { return dataStore.get('creditLimits', {}); }
+  function getSchedules() { return dataStore.get('scheduledReports', { nextId: 1, items: [] }); }
   
   // Initialize Sarvam translation client if enabled
   let sarvamClient = null;
@@ -165,11 +190,47 @@ function createOrchestrator(options = {}) {
     }
   }
 
+  // Resolve a schedule's free-text report ("sales report", "outstanding receivable") to a read-only report action
+  async function resolveReportIntent(text) {
+    const result = resolver
+      ? await resolver.resolveIntent(text, config, process.env.OPENAI_API_KEY, [])
+      : await parseIntent(text, config, process.env.OPENAI_API_KEY, []);
+    if (!result || result.skillId == null || result.action === 'unknown') return null;
+    if (!/^(get_|list_)/.test(result.action) || ['list_alerts', 'list_scheduled_reports'].includes(result.action)) return null;
+    return result;
+  }
+
+  // Runner for user-defined scheduled reports
+  let reportRunner = null;
+  if (config.scheduler?.reports !== false && client) {
+    try {
+      reportRunner = createReportRunner({ registry, config, client, store: dataStore, resolveReport: resolveReportIntent, accessControl, onLog });
+      onLog('[reports] Report runner initialized');
+    } catch (err) {
+      onLog('[reports] Failed to initialize: ' + (err.message || err));
+    }
+  }
+
+  // Local copy of Tally data (tally skill config "mirror", tdl/tally-mirror.js) — kept in step every syncMinutes
+  const tallySkill = (config.skills || []).find(s => s.id === 'tally');
+  const mirrorConfig = (tallySkill && tallySkill.config && tallySkill.config.mirror) || {};
+  const MIRROR_SYNC_MS = mirrorConfig.enabled === true && parseFloat(mirrorConfig.syncMinutes) > 0 ? parseFloat(mirrorConfig.syncMinutes) * 60 * 1000 : 0;
+  let mirrorHandle = null;
+
+  function startMirrorSync() {
+    const sync = () => registry.execute('tally', 'sync_mirror', {})
+      .then(r => { if (r && !r.success) onLog('[mirror] ' + String(r.message || '').split('\n')[0]); })
+      .catch(err => onLog('[mirror] Sync error: ' + (err.message || err)));
+    sync();
+    mirrorHandle = setInterval(sync, MIRROR_SYNC_MS);
+    onLog('[mirror] Local copy synced every ' + (MIRROR_SYNC_MS / 60000) + ' min');
+  }
+
   // Bot reply prefix — every bot message starts with this so we can identify echoes instantly
   const BOT_PREFIX = '*Tathastu:*\n';
 
   // Track last *user* message to avoid processing duplicates (e.g. from multiple linked devices)
-  let lastUserText = null;
+  let lastUserKey = null;
   let lastUserAt = 0;
   const DUPLICATE_USER_MS = 5000; // ignore duplicate user messages with same text within 5s
   let myNumber = null; // Cache user's own number
@@ -203,14 +264,19 @@ function createOrchestrator(options = {}) {
       onLog('Skip: bot echo (has Tathastu prefix)');
       return;
     }
+    // A spreadsheet sent to the bot is a voucher import or a bank statement to reconcile, even from this phone
+    const docName = message.type === 'document' ? String((message._data && message._data.filename) || '') : '';
+    const isImportDoc = message.hasMedia === true && message.type === 'document' &&
+      isSpreadsheetFile(docName, message._data && message._data.mimetype) && !isRecentlySentDocument(docName);
     // Also skip document/media messages sent by the bot (PDF, Excel attachments)
-    if (message.fromMe && (message.type === 'document' || message.type === 'image')) {
+    if (message.fromMe && (message.type === 'document' || message.type === 'image') && !isImportDoc) {
       onLog('Skip: bot attachment echo (type=' + message.type + ')');
       return;
     }
 
     // 3) Get chat early (needed for self-chat check and group check)
     const chat = await message.getChat();
+    const chatId = String((chat.id && (chat.id._serialized || chat.id)) || message.from || '');
     
     // 4) Only respond in Saved Messages (self-chat) when onlySelfChat is set - STRICT CHECK
     if (config.whatsapp?.onlySelfChat) {
@@ -362,6 +428,22 @@ function createOrchestrator(options = {}) {
       onLog('[translation] Audio message detected but Sarvam client not initialized (enabled=' + config.translation?.enabled + ', apiKey=' + (config.translation?.apiKey ? 'set' : 'missing') + ')');
     }
     
+    // Spreadsheet to import: the caption (if any) is the text, the file travels as a param
+    let importFile = null, importCaption = '';
+    if (isImportDoc) {
+      try {
+        const media = downloadedMedia || await message.downloadMedia();
+        if (media && media.data) {
+          importFile = { data: media.data, filename: media.filename || docName, mimetype: media.mimetype || '' };
+          importCaption = body && body !== docName ? body : '';
+          userText = importCaption || '📎 ' + importFile.filename;
+          onLog('[import] Spreadsheet received: ' + importFile.filename + ' (' + media.data.length + ' bytes base64)');
+        }
+      } catch (err) {
+        onLog('[import] Download failed: ' + (err.message || err));
+      }
+    }
+
     if (!userText) {
       onLog('Skip: no text content to process');
       return;
@@ -371,11 +453,12 @@ function createOrchestrator(options = {}) {
     // This can happen when the same self message is seen from multiple linked devices.
     if (message.fromMe) {
       const now = Date.now();
-      if (lastUserText && userText === lastUserText && (now - lastUserAt) < DUPLICATE_USER_MS) {
+      const userKey = chatId + '|' + userText;
+      if (lastUserKey && userKey === lastUserKey && (now - lastUserAt) < DUPLICATE_USER_MS) {
         onLog('Skip: duplicate user message "' + (userText.slice(0, 30) + (userText.length > 30 ? '...' : '')) + '"');
         return;
       }
-      lastUserText = userText;
+      lastUserKey = userKey;
       lastUserAt = now;
     }
 
@@ -413,8 +496,13 @@ function createOrchestrator(options = {}) {
     // Start background services (alerts, scheduler) once client is confirmed ready
     if (!backgroundStarted && client && client.info) {
       backgroundStarted = true;
-      if (alertManager) alertManager.start();
-      if (scheduler) scheduler.start();
+      // Outside this message's context, so their timers queue Tally requests as background work
+      runWithTallyContext({ priority: 'background' }, () => {
+        if (alertManager) alertManager.start();
+        if (scheduler) scheduler.start();
+        if (reportRunner) reportRunner.start();
+        if (MIRROR_SYNC_MS && !mirrorHandle) startMirrorSync();
+      });
     }
 
     // Skip Sarvam for text messages — OpenAI handles English/Hindi/Gujarati text fine.
@@ -428,70 +516,153 @@ function createOrchestrator(options = {}) {
       textForProcessing = textForProcessing.slice(groupTrigger.length).trim();
     }
 
+    // Role check: numbers without a role are refused before we spend a parse on them
+    const sender = await accessControl.identify(message);
+    const gate = accessControl.check(sender, null);
+    if (!gate.allowed) {
+      onLog('[access] Denied ' + sender.number + ': ' + gate.reason);
+      auditLog.record({ type: 'access_denied', chatId, sender: sender.number, role: sender.role, text: userText, action: null, success: false, reason: gate.reason });
+      try {
+        await reply(message, BOT_PREFIX + gate.message);
+      } catch (err) {
+        onLog('Reply failed: ' + (err.message || err));
+      }
+      return;
+    }
+
+    // Conversation state for this chat only
+    const session = sessionStore.get(chatId);
+
     let responseText;
     let attachment = null;
     let _debugAction = null, _debugParams = null, _debugTier = null;
+    // Audit journal fields: success stays null for orchestrator-level replies (counted as success)
+    let _success = null, _denied = null, _write = null;
     try {
-      // Check for confirmation of pending actions (e.g. bulk reminders)
-      const isConfirmation = /^(yes|y|haan|ha|send|bhejo|ok)$/i.test(textForProcessing.trim());
-      
+      // Pending draft waiting on "yes" / "edit …" / "cancel" — only the sender who started it may answer
+      const trimmedText = textForProcessing.trim();
+      const isConfirmation = YES_RE.test(trimmedText);
+      let pending = session.pending || null;
+      let expiredPending = null;
+      if (pending && isExpired(pending, confirmTimeoutMinutes)) {
+        expiredPending = pending;
+        pending = session.pending = null;
+      }
+      const ownPending = pending && (!pending.sender || pending.sender === sender.number) ? pending : null;
+      const edit = ownPending && ownPending.editable.length ? parseEdit(trimmedText) : null;
+
       // Check for pagination commands ("more", "next", "page 2", etc.)
       const paginationMatch = textForProcessing.match(/^(?:more|next|next page|aur|aur dikhao|aage|vadhu|aagal|page\s*(\d+))$/i);
+      const refreshMatch = /^(?:refresh|reload|refresh (?:it|this|that|data)|fresh data)[.!]?$/i.test(textForProcessing.trim());
       let skillId, action, params, suggestedReply;
       
-      if (isConfirmation && lastAction === 'send_reminders_bulk' && lastSkillId) {
-        skillId = lastSkillId;
-        action = 'send_reminders_bulk';
-        params = { confirmed: true };
+      if (importFile) {
+        skillId = 'tally';
+        // "reconcile HDFC Bank" with the file → reconcile_bank, anything else → import_vouchers
+        action = /\b(reconcil\w*|brs)\b/i.test(importCaption) ? 'reconcile_bank' : 'import_vouchers';
+        params = { _file: importFile, caption: importCaption };
+        suggestedReply = null;
+        _debugTier = 'attachment';
+      } else if (ownPending && isConfirmation) {
+        skillId = ownPending.skillId;
+        action = ownPending.action;
+        params = Object.assign({}, ownPending.params, { confirmed: true });
         suggestedReply = null;
         _debugTier = 'confirmation';
-      } else if (paginationMatch && lastAction && lastSkillId) {
-        const requestedPage = paginationMatch[1] ? parseInt(paginationMatch[1], 10) : lastPage + 1;
-        skillId = lastSkillId;
-        action = lastAction;
-        params = Object.assign({}, lastParams, { page: requestedPage });
+        session.pending = null;
+      } else if (ownPending && CANCEL_RE.test(trimmedText)) {
+        skillId = null;
+        action = 'unknown';
+        params = {};
+        suggestedReply = '🗑️ Cancelled — nothing was changed or sent.';
+        _debugTier = 'confirmation';
+        session.pending = null;
+      } else if (edit) {
+        // "edit amount 45000" → re-run the preview with the changed field
+        skillId = edit.error ? null : ownPending.skillId;
+        action = edit.error ? 'unknown' : ownPending.action;
+        params = edit.error ? {} : Object.assign({}, ownPending.params, { [edit.param]: edit.value });
+        suggestedReply = edit.error || null;
+        _debugTier = 'edit';
+      } else if (expiredPending && (isConfirmation || parseEdit(trimmedText))) {
+        skillId = null;
+        action = 'unknown';
+        params = {};
+        suggestedReply = `⌛ That draft expired after ${confirmTimeoutMinutes} minutes — nothing was changed. Please send the request again.`;
+        _debugTier = 'confirmation';
+      } else if (paginationMatch && session.lastAction && session.lastSkillId) {
+        const requestedPage = paginationMatch[1] ? parseInt(paginationMatch[1], 10) : session.lastPage + 1;
+        skillId = session.lastSkillId;
+        action = session.lastAction;
+        params = Object.assign({}, session.lastParams, { page: requestedPage });
         suggestedReply = null;
         _debugTier = 'pagination';
-        lastPage = requestedPage;
-      } else if (/^\d{1,2}$/.test(textForProcessing.trim()) && lastSuggestions && lastAction && lastSkillId) {
+        session.lastPage = requestedPage;
+      } else if (refreshMatch && session.lastSkillId === 'tally' && /^(?:get|list|compare|check)_/.test(session.lastAction || '')) {
+        // Same report again, read from Tally instead of the response cache (reports only — never repeat a write)
+        skillId = session.lastSkillId;
+        action = session.lastAction;
+        params = Object.assign({}, session.lastParams, { page: session.lastPage, refresh: true });
+        suggestedReply = null;
+        _debugTier = 'refresh';
+      } else if (/^\d{1,2}$/.test(textForProcessing.trim()) && session.lastSuggestions && session.lastAction && session.lastSkillId) {
         // User replied with a number — pick from last suggestions list
         const idx = parseInt(textForProcessing.trim(), 10) - 1;
-        if (idx >= 0 && idx < lastSuggestions.length) {
-          const picked = lastSuggestions[idx].name;
-          skillId = lastSkillId;
-          action = lastAction;
-          params = Object.assign({}, lastParams, { party_name: picked });
+        if (idx >= 0 && idx < session.lastSuggestions.length) {
+          const picked = session.lastSuggestions[idx].name;
+          skillId = session.lastSkillId;
+          action = session.lastAction;
+          params = Object.assign({}, session.lastParams, { party_name: picked });
           suggestedReply = null;
           _debugTier = 'selection';
-          lastSuggestions = null; // clear after use
+          session.lastSuggestions = null; // clear after use
         } else {
           skillId = null;
           action = 'unknown';
           params = {};
-          suggestedReply = `Please pick a number between 1 and ${lastSuggestions.length}.`;
+          suggestedReply = `Please pick a number between 1 and ${session.lastSuggestions.length}.`;
           _debugTier = 'selection';
         }
       } else if (resolver) {
-        const result = await resolver.resolveIntent(textForProcessing, config, process.env.OPENAI_API_KEY, conversationHistory);
+        const result = await resolver.resolveIntent(textForProcessing, config, process.env.OPENAI_API_KEY, session.history);
         skillId = result.skillId;
         action = result.action;
         params = result.params;
         suggestedReply = result.suggestedReply;
         _debugTier = result._tier || null;
       } else {
-        const result = await parseIntent(textForProcessing, config, process.env.OPENAI_API_KEY, conversationHistory);
+        const result = await parseIntent(textForProcessing, config, process.env.OPENAI_API_KEY, session.history);
         skillId = result.skillId;
         action = result.action;
         params = result.params;
         suggestedReply = result.suggestedReply;
         _debugTier = 'openai';
       }
+      // Only an explicit "yes" to a preview may carry confirmed: true
+      if (_debugTier !== 'confirmation' && params && params.confirmed !== undefined) {
+        params = Object.assign({}, params);
+        delete params.confirmed;
+      }
+      // This chat's default company (switch_company) unless the request names one
+      if (skillId === 'tally' && session.company && params && !params.company && action !== 'switch_company') {
+        params = Object.assign({}, params, { company: session.company });
+      }
       _debugAction = action;
       _debugParams = params;
-      onLog('[debug] Intent: skillId=' + skillId + ' action=' + action + ' params=' + JSON.stringify(params));
-      if (skillId == null || action === 'unknown') {
+      onLog('[debug] Intent: skillId=' + skillId + ' action=' + action + ' params=' + JSON.stringify(loggableParams(params)));
+      const verdict = (skillId == null || action === 'unknown') ? { allowed: true } : accessControl.check(sender, action);
+      // Party-restricted users: the skill checks the ledgers it resolves against their parties
+      const partyScope = accessControl.partyScope(sender);
+      if (verdict.allowed && skillId === 'tally' && partyScope) params = Object.assign({}, params, { _allowedParties: partyScope });
+      if (!verdict.allowed) {
+        onLog('[access] Denied ' + sender.number + ': ' + verdict.reason);
+        _denied = verdict.reason;
+        _success = false;
+        responseText = verdict.message;
+      } else if (skillId == null || action === 'unknown') {
         // For greetings, always use our curated capabilities message
         const isGreeting = /^(hi|hello|hey|hiya|good\s*morning|good\s*evening|good\s*afternoon|gm|sup|namaste|namaskar)\b/i.test(textForProcessing.trim());
+        _success = isGreeting;
         if (isGreeting) {
           responseText = "Hey! 👋 Welcome to *Tathastu*.\n\n" + getCapabilitiesMessage();
         } else {
@@ -503,7 +674,7 @@ function createOrchestrator(options = {}) {
         // Handle special orchestrator-level actions (alerts, scheduler, multi-company)
         if (action === 'set_alert') {
           if (alertManager) {
-            const res = alertManager.addAlert({ type: params.alert_type, threshold: params.threshold });
+            const res = alertManager.addAlert({ type: params.alert_type, threshold: params.threshold, target: params.target, time: params.alert_time, company: params.company });
             responseText = res.message;
           } else {
             responseText = '⚠️ Alerts are not enabled. Add `"alerts": {"enabled": true}` to config.';
@@ -528,8 +699,9 @@ function createOrchestrator(options = {}) {
         } else if (action === 'send_daily_summary') {
           if (scheduler) {
             try {
-              const res = await scheduler.sendNow();
-              responseText = res.success ? '✅ Daily summary sent to your chat.' : res.message;
+              const kind = ['weekly', 'monthly'].includes(params.period) ? params.period : 'daily';
+              const res = await scheduler.sendNow(kind);
+              responseText = res.success ? `✅ ${kind[0].toUpperCase() + kind.slice(1)} summary sent to your chat.` : res.message;
             } catch (e) {
               responseText = '❌ Failed to send summary: ' + (e.message || e);
             }
@@ -538,35 +710,36 @@ function createOrchestrator(options = {}) {
           }
           _debugAction = action; _debugParams = params;
         } else if (action === 'switch_company') {
-          // Multi-company: temporarily switch company for the next query
-          // Store the company name preference — the skill handler will use it
-          if (params.company_name) {
-            // Execute open_company to switch Tally's active company
-            try {
-              const switchResult = await registry.execute(skillId, 'open_company', { company_name: params.company_name });
-              responseText = switchResult.success
-                ? switchResult.message
-                : (switchResult.message || 'Failed to switch company.');
-            } catch (e) {
-              responseText = '❌ Company switch failed: ' + (e.message || e);
-            }
-          } else {
-            responseText = 'Please specify a company name. Example: "switch to Afflink"';
+          // Per-chat company: later Tally requests from this chat carry it as params.company (SVCURRENTCOMPANY),
+          // Tally's own active company stays as it is for everyone else
+          try {
+            const switchResult = await registry.execute(skillId, 'switch_company', { company_name: params.company_name });
+            responseText = switchResult.message || (switchResult.success ? 'Done.' : 'Failed to switch company.');
+            _success = !!switchResult.success;
+            if (switchResult.success && switchResult.data) session.company = switchResult.data.company || null;
+          } catch (e) {
+            responseText = '❌ Company switch failed: ' + (e.message || e);
+            _success = false;
           }
           _debugAction = action; _debugParams = params;
         } else if (action === 'send_reminders_bulk') {
-          // Bulk payment reminders — send to all overdue parties
+          // Bulk payment reminders — send to all overdue parties (a party-restricted sender's own only)
+          const reminderParams = { company: params.company };
+          if (params._allowedParties) reminderParams._allowedParties = params._allowedParties;
           if (!client) {
             responseText = '⚠️ WhatsApp client not available for sending.';
-          } else if (params.confirmed === true || params.confirmed === 'true' || /^(yes|y|haan|ha|send)$/i.test(textForProcessing.trim())) {
+          } else if (params.confirmed === true || params.confirmed === 'true') {
             // Actually send reminders
             try {
               const { sendToNumber } = require('../whatsapp/client');
-              const reminderResult = await registry.execute(skillId, 'get_payment_reminders', {});
+              const reminderResult = await registry.execute(skillId, 'get_payment_reminders', reminderParams);
               if (!reminderResult.success || !reminderResult.data?.reminders) {
                 responseText = reminderResult.message || 'No overdue parties found.';
               } else {
-                const reminders = reminderResult.data.reminders;
+                // Only the parties shown in the preview that was approved, with their bills as they are now
+                const approved = Array.isArray(params.parties) ? params.parties : [];
+                const reminders = reminderResult.data.reminders.filter(r => approved.includes(r.party));
+                const settled = approved.length - reminders.length;
                 const compName = reminderResult.data._companyName || '';
                 let sent = 0, failed = 0, noPhone = 0;
                 const lines = ['📨 *Sending Bulk Reminders…*', ''];
@@ -586,8 +759,10 @@ function createOrchestrator(options = {}) {
                   // Rate limit: 3 second delay between sends
                   await new Promise(resolve => setTimeout(resolve, 3000));
                 }
-                lines.push('', `*Summary:* ${sent} sent, ${failed} failed, ${noPhone} no phone number`);
+                lines.push('', `*Summary:* ${sent} sent, ${failed} failed, ${noPhone} no phone number` + (settled > 0 ? `, ${settled} no longer overdue` : ''));
                 responseText = lines.join('\n');
+                if (noPhone > 0) responseText += '\n💡 _Add a missing number with "set <party> phone to 98…"_';
+                _write = { sent, failed, noPhone, results: lines.slice(2, lines.length - 2) };
               }
             } catch (e) {
               responseText = '❌ Bulk send failed: ' + (e.message || e);
@@ -595,20 +770,19 @@ function createOrchestrator(options = {}) {
           } else {
             // Show preview first, ask for confirmation
             try {
-              const reminderResult = await registry.execute(skillId, 'get_payment_reminders', {});
+              const reminderResult = await registry.execute(skillId, 'get_payment_reminders', reminderParams);
               responseText = (reminderResult.message || 'No overdue parties.') + '\n\n⚠️ *Reply "yes" or "send" to actually send these reminders via WhatsApp.*';
-              // Store action so "yes" triggers the send
-              lastAction = 'send_reminders_bulk';
-              lastParams = { confirmed: true };
-              lastSkillId = skillId;
+              // Park the send so "yes" triggers it — for the parties listed here and no others
+              const parties = ((reminderResult.data && reminderResult.data.reminders) || []).map(r => r.party);
+              session.pending = createPending({ skillId, action, sender: sender.number, params: { company: params.company, parties } });
             } catch (e) {
               responseText = '❌ Failed to fetch reminders: ' + (e.message || e);
             }
           }
           _debugAction = action; _debugParams = params;
         } else if (action === 'set_credit_limit') {
-          // Credit limit tracking (in-memory)
-          if (!creditLimits) creditLimits = {};
+          // Credit limit tracking (persisted)
+          const creditLimits = getCreditLimits();
           const party = params.party_name;
           const limit = parseFloat(params.limit);
           if (!party) {
@@ -616,11 +790,13 @@ function createOrchestrator(options = {}) {
           } else if (isNaN(limit) || limit <= 0) {
             responseText = 'Please specify a valid limit amount.';
           } else {
-            creditLimits[party.toLowerCase()] = { party, limit, setAt: new Date() };
+            creditLimits[party.toLowerCase()] = { party, limit, setAt: new Date().toISOString() };
+            dataStore.set('creditLimits', creditLimits);
             responseText = `✅ Credit limit set: *${party}* — ₹${limit.toLocaleString('en-IN')}`;
           }
           _debugAction = action; _debugParams = params;
         } else if (action === 'check_credit_limits') {
+          const creditLimits = getCreditLimits();
           if (!creditLimits || Object.keys(creditLimits).length === 0) {
             responseText = '📭 No credit limits set. Try: "set credit limit for Meril at 5L"';
           } else {
@@ -628,8 +804,9 @@ function createOrchestrator(options = {}) {
             const lines = ['📊 *Credit Limit Report*', ''];
             let breached = 0;
             for (const [key, cl] of Object.entries(creditLimits)) {
+              if (!accessControl.filterSuggestions(sender, [{ name: cl.party }]).length) continue;
               try {
-                const balResult = await registry.execute(skillId, 'get_party_balance', { party_name: cl.party });
+                const balResult = await registry.execute(skillId, 'get_party_balance', { party_name: cl.party, company: params.company });
                 const balance = balResult.data?.balance || 0;
                 const absBalance = Math.abs(balance);
                 const pct = ((absBalance / cl.limit) * 100).toFixed(0);
@@ -645,35 +822,84 @@ function createOrchestrator(options = {}) {
           }
           _debugAction = action; _debugParams = params;
         } else if (action === 'schedule_report') {
-          // Scheduled reports (in-memory)
-          if (!scheduledReports) scheduledReports = [];
-          const reportAction = params.report_action || '';
-          const scheduleTime = params.schedule_time || '09:00';
-          const scheduleDays = params.schedule_days || 'daily';
-          const id = ++scheduleNextId;
-          scheduledReports.push({ id, reportAction, scheduleTime, scheduleDays, createdAt: new Date() });
-          responseText = `✅ Scheduled: "${reportAction}" — ${scheduleDays} at ${scheduleTime}\n\n_Say "show scheduled reports" to see all._`;
+          // Scheduled reports (persisted, executed by the report runner)
+          const reportAction = String(params.report_action || '').trim();
+          const intent = reportAction ? await resolveReportIntent(reportAction) : null;
+          const reportVerdict = intent ? accessControl.check(sender, intent.action) : null;
+          if (!intent) {
+            responseText = `❓ I couldn't work out which report "${reportAction}" is.\n\nTry: "schedule sales report daily at 9 AM" or "schedule outstanding receivable every Monday at 10 AM"`;
+          } else if (!reportVerdict.allowed) {
+            onLog('[access] Denied ' + sender.number + ': ' + reportVerdict.reason);
+            _denied = reportVerdict.reason;
+            _success = false;
+            responseText = reportVerdict.message;
+          } else {
+            const schedules = getSchedules();
+            const scheduleTime = parseScheduleTime(params.schedule_time) || '09:00';
+            const scheduleDays = parseScheduleDays(params.schedule_days || params.schedule_time || 'daily');
+            const attachExcel = params.attach_excel === true || params.attach_excel === 'true';
+            const missedPolicy = MISSED_POLICIES.includes(params.missed_policy) ? params.missed_policy : (config.scheduler?.missedPolicy || 'catch_up');
+            const id = schedules.nextId++;
+            const cleanParams = Object.assign({}, intent.params);
+            schedules.items.push({
+              id, reportAction, scheduleTime, scheduleDays, chatId, attachExcel, missedPolicy,
+              skillId: intent.skillId, action: intent.action, params: cleanParams,
+              // Whose rights the runs get (role and assigned parties, looked up again each run); null = the owner
+              sender: sender.isOwner ? null : sender.number,
+              createdAt: new Date().toISOString(), lastRunAt: null,
+            });
+            dataStore.set('scheduledReports', schedules);
+            const extras = [attachExcel ? '+ Excel' : null, missedPolicy === 'skip' ? 'skips missed runs' : null].filter(Boolean);
+            responseText = `✅ Scheduled: "${reportAction}" — ${formatScheduleDays(scheduleDays)} at ${scheduleTime}` +
+              (extras.length ? ` (${extras.join(', ')})` : '') +
+              `\n\n_Say "show scheduled reports" to see all._`;
+          }
           _debugAction = action; _debugParams = params;
         } else if (action === 'list_scheduled_reports') {
-          if (!scheduledReports || scheduledReports.length === 0) {
+          // Only this chat's schedules (older entries without a chat belong to everyone)
+          const scheduledReports = getSchedules().items.filter(s => !s.chatId || s.chatId === chatId);
+          if (scheduledReports.length === 0) {
             responseText = '📭 No scheduled reports. Try: "schedule sales report daily at 9 AM"';
           } else {
             const lines = ['📅 *Scheduled Reports:*', ''];
             for (const s of scheduledReports) {
-              lines.push(`${s.id}. "${s.reportAction}" — ${s.scheduleDays} at ${s.scheduleTime}`);
+              const excel = s.attachExcel ? ' + Excel' : '';
+              lines.push(`${s.id}. "${s.reportAction}" — ${formatScheduleDays(s.scheduleDays)} at ${parseScheduleTime(s.scheduleTime) || s.scheduleTime}${excel}`);
             }
             lines.push('', '_Say "remove schedule 1" to delete._');
             responseText = lines.join('\n');
           }
           _debugAction = action; _debugParams = params;
         } else if (action === 'remove_scheduled_report') {
-          if (!scheduledReports) scheduledReports = [];
-          const idx = scheduledReports.findIndex(s => s.id === parseInt(params.schedule_id, 10));
+          const schedules = getSchedules();
+          const idx = schedules.items.findIndex(s => s.id === parseInt(params.schedule_id, 10) && (!s.chatId || s.chatId === chatId));
           if (idx === -1) {
             responseText = `Schedule #${params.schedule_id} not found.`;
           } else {
-            const removed = scheduledReports.splice(idx, 1)[0];
-            responseText = `🗑️ Removed: "${removed.reportAction}" — ${removed.scheduleDays} at ${removed.scheduleTime}`;
+            const removed = schedules.items.splice(idx, 1)[0];
+            dataStore.set('scheduledReports', schedules);
+            responseText = `🗑️ Removed: "${removed.reportAction}" — ${formatScheduleDays(removed.scheduleDays)} at ${parseScheduleTime(removed.scheduleTime) || removed.scheduleTime}`;
+          }
+          _debugAction = action; _debugParams = params;
+        } else if (action === 'undo_voucher') {
+          // Only vouchers this bot created in this chat, within the undo window — on "yes", the one previewed
+          const found = findUndoableVoucher(dataStore, { masterId: params.master_id, voucherNumber: params.voucher_number, chatId, windowMinutes: undoWindowMinutes });
+          if (found.error) {
+            responseText = found.error;
+            _success = false;
+          } else {
+            const undoParams = Object.assign({}, params, undoVoucherParams(found.voucher, undoMode));
+            const result = await registry.execute(skillId, action, undoParams);
+            responseText = result.message || (result.success ? 'Done.' : 'Action failed.');
+            _success = !!result.success;
+            if (result._audit) _write = result._audit;
+            if (result.success && result._confirm) {
+              session.pending = createPending({ skillId, action, sender: sender.number, params: Object.assign({}, undoParams, result._confirm.params), verb: result._confirm.verb });
+              responseText += confirmationHint(session.pending, confirmTimeoutMinutes);
+            } else if (result.success) {
+              markVoucherUndone(dataStore, found.voucher, undoMode);
+            }
+            params = undoParams;
           }
           _debugAction = action; _debugParams = params;
         } else {
@@ -721,6 +947,9 @@ function createOrchestrator(options = {}) {
             autoParams = { type: /payable|creditor/i.test(txt) ? 'payable' : 'receivable' };
           }
 
+          // The fetched report needs the same rights as asking for it directly
+          if (autoAction && !accessControl.check(sender, autoAction).allowed) autoAction = null;
+          if (autoAction && params._allowedParties) autoParams._allowedParties = params._allowedParties;
           if (autoAction) {
             // User asked for a specific report — always auto-fetch fresh data
             try {
@@ -728,57 +957,111 @@ function createOrchestrator(options = {}) {
               if (autoResult.success && autoResult.data) {
                 params._reportData = autoResult.data;
                 params.report_name = params.report_name || autoAction.replace(/^get_/, '').replace(/_/g, ' ');
-                lastReportData = autoResult.data;
-                lastReportName = params.report_name;
+                session.lastReportData = autoResult.data;
+                session.lastReportName = params.report_name;
               }
             } catch (e) { /* auto-fetch failed */ }
-          } else if (lastReportData) {
+          } else if (session.lastReportData) {
             // No specific report detected in text — use last report data
-            params._reportData = lastReportData;
-            if (!params.report_name) params.report_name = lastReportName;
+            params._reportData = session.lastReportData;
+            if (!params.report_name) params.report_name = session.lastReportName;
           }
         }
-        const result = await registry.execute(skillId, action, params);
+        // A confirmed write (an import posting in batches) runs to the end even if the sender writes again meanwhile
+        const run = () => registry.execute(skillId, action, params);
+        const result = await (params.confirmed === true ? runWithoutCancel(run) : run());
         responseText = result.success
           ? (result.message || 'Done.')
           : (result.message || 'Action failed.');
         if (result.attachment) attachment = result.attachment;
+        _success = !!result.success;
+        if (result._audit) _write = result._audit;
+
+        // A document for someone else (invoice to its party): send it and report the delivery
+        if (result.success && result._sendDocument) {
+          const doc = result._sendDocument;
+          const sent = client
+            ? await sendDocumentToNumber(client, doc.phone, doc.buffer, doc.filename, doc.caption)
+            : { success: false, error: 'WhatsApp client not available for sending' };
+          onLog('[send] ' + doc.filename + ' → ' + doc.party + ' (' + doc.phone + '): ' + (sent.success ? 'sent' + (sent.messageId ? ' id=' + sent.messageId : '') : 'failed — ' + sent.error));
+          responseText += sent.success ? `\n✅ Sent to ${doc.party}.` : `\n❌ Not delivered to ${doc.party}: ${sent.error}`;
+          _success = sent.success;
+          _write = Object.assign({}, _write, {
+            sentTo: { party: doc.party, phone: doc.phone, chatId: sent.chatId || null, file: doc.filename },
+            delivered: sent.success, messageId: sent.messageId || null, error: sent.error || null,
+          });
+        }
+
+        // Preview of a write: park the call until the user says "yes" (or the follow-up it offers, e.g. create_ledger)
+        if (result.success && result._confirm) {
+          const nextAction = result._confirm.action || action;
+          session.pending = createPending({
+            skillId, action: nextAction, sender: sender.number,
+            params: nextAction === action
+              ? Object.assign({}, params, result._confirm.params)
+              : Object.assign(params.company ? { company: params.company } : {}, result._confirm.params),
+            editable: result._confirm.editable,
+            verb: result._confirm.verb,
+          });
+          responseText += confirmationHint(session.pending, confirmTimeoutMinutes);
+        }
+        // Remember what the bot posted so "undo last voucher" can reach it
+        if (action === 'create_voucher' && result.success && result.data && result.data.voucherData) {
+          recordCreatedVoucher(dataStore, {
+            voucherData: result.data.voucherData, voucherNumber: result.data.voucherNumber, masterId: result.data.masterId,
+            company: params.company, chatId, sender: sender.number,
+          });
+          responseText += '\n\n_Made a mistake? Say "undo last voucher" within ' + undoWindowMinutes + ' minutes._';
+        }
+
+        // Party-restricted users only see their own parties in "did you mean…" lists
+        if (result.data && Array.isArray(result.data.suggestions)) {
+          const visible = accessControl.filterSuggestions(sender, result.data.suggestions);
+          if (visible.length !== result.data.suggestions.length) {
+            responseText = visible.length
+              ? ['Did you mean one of your parties:', ...visible.map((s, i) => `${i + 1}. ${s.name}`), '', 'Reply with the number to proceed.'].join('\n')
+              : `🔒 No match among your assigned parties for "${params.party_name || ''}".`;
+            result.data.suggestions = visible.length ? visible : null;
+          }
+        }
 
         // Smart follow-ups: append contextual suggestions based on action type
         if (result.success && action !== 'export_excel') {
           const followUp = getSmartFollowUp(action, params, result);
           if (followUp) responseText += '\n\n' + followUp;
         }
-        // Store last action for pagination
-        if (result.success && action !== 'export_excel') {
-          lastSkillId = skillId;
-          lastAction = action;
-          lastParams = Object.assign({}, params);
-          delete lastParams.page; // store without page so we can set it on "more"
-          lastPage = parseInt(params.page, 10) || 1;
+        // Store last action for pagination (previews are not a report to page through)
+        if (result.success && action !== 'export_excel' && !result._confirm) {
+          session.lastSkillId = skillId;
+          session.lastAction = action;
+          session.lastParams = Object.assign({}, params);
+          delete session.lastParams._allowedParties; // whoever asks next gets their own
+          delete session.lastParams.page; // store without page so we can set it on "more"
+          delete session.lastParams.refresh; // "more" after "refresh" may use the cache again
+          session.lastPage = parseInt(params.page, 10) || 1;
         }
         // Store suggestions for number-based selection
         if (result.data && result.data.suggestions && Array.isArray(result.data.suggestions)) {
-          lastSuggestions = result.data.suggestions;
+          session.lastSuggestions = result.data.suggestions;
         } else if (result.success && action !== 'export_excel') {
-          lastSuggestions = null; // clear old suggestions on successful non-suggestion result
+          session.lastSuggestions = null; // clear old suggestions on successful non-suggestion result
         }
         // Store report data for potential Excel export
-        if (result.success && result.data && action !== 'export_excel') {
-          lastReportData = result.data;
-          lastReportName = action.replace(/^get_/, '').replace(/_/g, ' ');
+        if (result.success && result.data && action !== 'export_excel' && !result._confirm) {
+          session.lastReportData = result.data;
+          session.lastReportName = action.replace(/^get_/, '').replace(/_/g, ' ');
         }
         } // close inner else (normal skill execution)
       }
     } catch (err) {
       responseText = 'Error: ' + (err.message || String(err));
       onLog('Error: ' + (err.message || err));
+      _success = false;
     }
 
     // Append debug info if debug mode is enabled
     if (config.debug && _debugAction) {
-      const cleanParams = Object.assign({}, _debugParams);
-      delete cleanParams._reportData; // don't dump large report data
+      const cleanParams = loggableParams(_debugParams); // don't dump large report data
       const paramStr = Object.keys(cleanParams).length > 0
         ? Object.entries(cleanParams).map(([k, v]) => v != null ? k + '=' + v : null).filter(Boolean).join(', ')
         : 'none';
@@ -787,11 +1070,12 @@ function createOrchestrator(options = {}) {
     }
 
     // Update conversation history for context in future messages
-    conversationHistory.push({ role: 'user', content: textForProcessing });
-    conversationHistory.push({ role: 'assistant', content: responseText });
-    while (conversationHistory.length > MAX_HISTORY) {
-      conversationHistory.shift();
+    session.history.push({ role: 'user', content: textForProcessing });
+    session.history.push({ role: 'assistant', content: responseText });
+    while (session.history.length > MAX_HISTORY) {
+      session.history.shift();
     }
+    sessionStore.save(chatId);
 
     // Translate reply back to user's language if enabled (only for supported languages)
     let finalResponseText = responseText;
@@ -809,6 +1093,18 @@ function createOrchestrator(options = {}) {
       }
     }
 
+    // Journal who asked what, and what was written to Tally
+    const auditParams = _debugParams ? loggableParams(_debugParams) : null;
+    const auditEntry = {
+      type: _denied ? 'access_denied' : 'command',
+      chatId, sender: sender.number, role: sender.role, text: userText,
+      tier: _debugTier, action: _debugAction, params: auditParams,
+      success: _success !== false, responseSize: finalResponseText.length,
+    };
+    if (_denied) auditEntry.reason = _denied;
+    if (_write) auditEntry.write = _write;
+    auditLog.record(auditEntry);
+
     // Add bot prefix to the final response so echoes are identifiable
     const prefixedResponse = BOT_PREFIX + finalResponseText;
     
@@ -830,13 +1126,28 @@ function createOrchestrator(options = {}) {
     }
   }
 
+  /**
+   * Tally requests made while answering a message go ahead of background ones, and a
+   * newer message from the same sender in the chat drops the ones still waiting (tdl/request-queue.js).
+   * In a group each member is a sender of their own, so colleagues don't cancel each other.
+   */
+  function handleChatMessage(message) {
+    const chatId = String((message.fromMe ? message.to : message.from) || '');
+    const sender = message.fromMe ? 'me' : String((message.author && (message.author._serialized || message.author)) || message.from || '');
+    return runWithTallyContext({ priority: 'interactive', chatId, sender }, () => handleMessage(message));
+  }
+
   return {
-    handleMessage,
+    handleMessage: handleChatMessage,
     getConfig: () => config,
     getRegistry: () => registry,
     getResolver: () => resolver,
     getAlertManager: () => alertManager,
     getScheduler: () => scheduler,
+    getReportRunner: () => reportRunner,
+    getSessionStore: () => sessionStore,
+    getStore: () => dataStore,
+    getAuditLog: () => auditLog,
   };
 }
 
@@ -0,0 +1,255 @@
+/**
+ * Scheduled report runner — executes user-defined schedules created with "schedule_report".
+ *
+ * Each schedule lives in the data store (collection "scheduledReports": { nextId, items }):
+ *   { id, reportAction, scheduleTime: 'HH:MM', scheduleDays: [0-6], chatId, attachExcel,
+ *     missedPolicy: 'catch_up' | 'skip', skillId, action, params, sender, createdAt, lastRunAt }
+ *
+ * At run time the free-text reportAction ("sales report", "outstanding receivable") is resolved again
+ * through the resolver/parser so relative dates stay fresh; the intent saved at creation is the fallback.
+ * The result goes to the chat that created the schedule (Saved Messages for older entries without chatId).
+ * A schedule made by someone other than the owner (sender = their number) runs with that person's current
+ * rights (access-control.js): the report must still be allowed for their role, and a party-restricted user's
+ * parties go to the skill as _allowedParties, as when they ask in chat.
+ *
+ * Missed runs (bot offline at the scheduled time): "catch_up" sends the latest missed run once when the
+ * bot is back; "skip" drops it and waits for the next slot.
+ *
+ * Usage:
+ *   const runner = createReportRunner({ registry, config, client, store, resolveReport, accessControl, onLog });
+ *   runner.start(); // checks every minute
+ */
+const { sendToSelf, sendToChat, sendDocumentToChat, sendDocumentToSelf } = require('../whatsapp/client');
+const { createAccessControl } = require('./access-control');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_PATTERNS = [/\bsun(?:day)?s?\b|\bravivar\b/, /\bmon(?:day)?s?\b|\bsomvar\b/, /\btue(?:s|sday)?s?\b|\bmangalvar\b/,
+  /\bwed(?:nesday)?s?\b|\bbudhvar\b/, /\bthu(?:r|rs|rsday)?s?\b|\bguruvar\b/, /\bfri(?:day)?s?\b|\bshukravar\b/, /\bsat(?:urday)?s?\b|\bshanivar\b/];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const MISSED_POLICIES = ['catch_up', 'skip'];
+const LATE_GRACE_MS = 10 * 60 * 1000; // a run more than 10 min late counts as "missed"
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+function pad(n) { return String(n).padStart(2, '0'); }
+
+/**
+ * Normalize a spoken/typed time to 24h "HH:MM".
+ * "9 AM" → "09:00", "at 6:30 pm" → "18:30", "17:45" → "17:45", "9.15" → "09:15"
+ * @param {string} input
+ * @returns {string|null} null when no time is found
+ */
+function parseScheduleTime(input) {
+  const m = String(input || '').toLowerCase().match(/(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|baje)?/);
+  if (!m) return null;
+  let hour = parseInt(m[1], 10);
+  const min = m[2] ? parseInt(m[2], 10) : 0;
+  if (m[3] === 'pm' && hour < 12) hour += 12;
+  if (m[3] === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || min > 59) return null;
+  return `${pad(hour)}:${pad(min)}`;
+}
+
+/**
+ * Normalize schedule days to a sorted array of weekday numbers (0=Sun … 6=Sat).
+ * Accepts arrays, "daily", "weekdays", "mon-fri", "monday and thursday", "weekly" (= Monday).
+ * @param {string|number[]} input
+ * @returns {number[]}
+ */
+function parseScheduleDays(input) {
+  if (Array.isArray(input)) {
+    const days = input.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+    return days.length ? [...new Set(days)].sort() : ALL_DAYS.slice();
+  }
+  const text = String(input || '').toLowerCase();
+  if (!text || /\b(?:daily|every\s*day|everyday|roz|rozana)\b/.test(text)) return ALL_DAYS.slice();
+  if (/\bweekdays?\b|\bworking\s+days?\b/.test(text)) return [1, 2, 3, 4, 5];
+  const range = text.match(/\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*\s*(?:-|to|–)\s*(sun|mon|tue|wed|thu|fri|sat)[a-z]*/);
+  if (range) {
+    const keys = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const from = keys.indexOf(range[1]);
+    const to = keys.indexOf(range[2]);
+    const days = [];
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.push(d);
+      if (d === to || days.length === 7) break;
+    }
+    return days.sort();
+  }
+  const days = [];
+  DAY_PATTERNS.forEach((re, d) => { if (re.test(text)) days.push(d); });
+  if (days.length) return days;
+  if (/\bweekly\b|\bevery\s+week\b/.test(text)) return [1];
+  return ALL_DAYS.slice();
+}
+
+/**
+ * Human label for a days array: "daily", "weekdays", "Mon, Thu".
+ * @param {number[]} days
+ */
+function formatScheduleDays(days) {
+  const d = parseScheduleDays(days);
+  if (d.length === 7) return 'daily';
+  if (d.join(',') === '1,2,3,4,5') return 'weekdays';
+  return d.map((n) => DAY_NAMES[n]).join(', ');
+}
+
+/**
+ * Most recent slot (scheduleDays × scheduleTime) at or before `now`, within the last 8 days.
+ * @param {object} schedule
+ * @param {Date} now
+ * @returns {Date|null}
+ */
+function lastDueTime(schedule, now) {
+  const time = parseScheduleTime(schedule.scheduleTime) || '09:00';
+  const [hour, min] = time.split(':').map(Number);
+  const days = parseScheduleDays(schedule.scheduleDays);
+  for (let back = 0; back <= 7; back++) {
+    const slot = new Date(now.getFullYear(), now.getMonth(), now.getDate() - back, hour, min, 0, 0);
+    if (slot <= now && days.includes(slot.getDay())) return slot;
+  }
+  return null;
+}
+
+function createReportRunner({ registry, config, client, store, resolveReport, accessControl, onLog }) {
+  const log = onLog || (() => {});
+  const access = accessControl || createAccessControl(config);
+  const schedConfig = (config && config.scheduler) || {};
+  const defaultPolicy = MISSED_POLICIES.includes(schedConfig.missedPolicy) ? schedConfig.missedPolicy : 'catch_up';
+  let intervalHandle = null;
+  let checking = false;
+
+  function getSchedules() { return store.get('scheduledReports', { nextId: 1, items: [] }); }
+
+  async function deliver(schedule, text) {
+    if (schedule.chatId) await sendToChat(client, schedule.chatId, text);
+    else await sendToSelf(client, text);
+  }
+
+  async function deliverDocument(schedule, attachment) {
+    if (schedule.chatId) await sendDocumentToChat(client, schedule.chatId, attachment.buffer, attachment.filename, attachment.caption || '');
+    else await sendDocumentToSelf(client, attachment.buffer, attachment.filename, attachment.caption || '');
+  }
+
+  /**
+   * Run one schedule now and send the result to its chat.
+   * @returns {Promise<{ success: boolean, message: string }>}
+   */
+  async function runSchedule(schedule) {
+    let intent = null;
+    if (resolveReport) {
+      try {
+        intent = await resolveReport(schedule.reportAction);
+      } catch (err) {
+        log('[reports] Resolve failed for #' + schedule.id + ': ' + (err.message || err));
+      }
+    }
+    if (!intent && schedule.action) {
+      intent = { skillId: schedule.skillId || 'tally', action: schedule.action, params: schedule.params || {} };
+    }
+    const title = `📅 *Scheduled: ${schedule.reportAction}*`;
+    if (!intent) {
+      const msg = `${title}\n\n⚠️ Could not work out which report "${schedule.reportAction}" is. Remove it with "remove schedule ${schedule.id}" and schedule it again.`;
+      await deliver(schedule, '*Tathastu:*\n' + msg);
+      return { success: false, message: msg };
+    }
+
+    const params = Object.assign({}, intent.params);
+    if (schedule.sender) {
+      const user = access.forNumber(schedule.sender);
+      const verdict = access.check(user, intent.action);
+      if (!verdict.allowed) {
+        log('[access] Scheduled #' + schedule.id + ' refused for ' + user.number + ': ' + verdict.reason);
+        const msg = `${title}\n\n${verdict.message}`;
+        await deliver(schedule, '*Tathastu:*\n' + msg);
+        return { success: false, message: msg };
+      }
+      const scope = access.partyScope(user);
+      if (scope && intent.skillId === 'tally') params._allowedParties = scope;
+    }
+    const result = await registry.execute(intent.skillId, intent.action, params);
+    const lines = [title, '', result.message || (result.success ? 'Done.' : 'Report failed.')];
+
+    let attachment = null;
+    if (schedule.attachExcel && result.success && result.data) {
+      try {
+        const excel = await registry.execute(intent.skillId, 'export_excel', {
+          _reportData: result.data,
+          report_name: intent.action.replace(/^get_/, '').replace(/_/g, ' '),
+        });
+        if (excel.success && excel.attachment) attachment = excel.attachment;
+        else lines.push('', '_Excel is not available for this report._');
+      } catch (err) {
+        lines.push('', '_Excel export failed: ' + (err.message || err) + '_');
+      }
+    }
+
+    await deliver(schedule, '*Tathastu:*\n' + lines.join('\n'));
+    if (attachment) await deliverDocument(schedule, attachment);
+    log('[reports] Sent #' + schedule.id + ' "' + schedule.reportAction + '"' + (attachment ? ' + Excel' : ''));
+    return { success: result.success, message: lines.join('\n') };
+  }
+
+  /**
+   * Run every schedule whose latest slot has not been handled yet.
+   * @param {Date} [now]
+   */
+  async function checkDue(now = new Date()) {
+    if (checking) return;
+    if (!client || !client.info) return; // client not ready
+    checking = true;
+    try {
+      const schedules = getSchedules();
+      for (const schedule of schedules.items) {
+        const due = lastDueTime(schedule, now);
+        if (!due) continue;
+        const handledAt = schedule.lastRunAt || schedule.createdAt;
+        if (handledAt && new Date(handledAt) >= due) continue;
+
+        const policy = MISSED_POLICIES.includes(schedule.missedPolicy) ? schedule.missedPolicy : defaultPolicy;
+        const late = now - due > LATE_GRACE_MS;
+        // Mark handled before running so a slow report is never sent twice
+        schedule.lastRunAt = now.toISOString();
+        store.set('scheduledReports', schedules);
+
+        if (late && policy === 'skip') {
+          log('[reports] Skipped missed run of #' + schedule.id + ' (due ' + due.toLocaleString() + ')');
+          continue;
+        }
+        try {
+          await runSchedule(schedule);
+        } catch (err) {
+          log('[reports] Run failed for #' + schedule.id + ': ' + (err.message || err));
+        }
+      }
+    } finally {
+      checking = false;
+    }
+  }
+
+  function start() {
+    if (intervalHandle) return;
+    intervalHandle = setInterval(() => checkDue().catch(e => log('[reports] Error: ' + e.message)), CHECK_INTERVAL_MS);
+    log('[reports] Started — checking scheduled reports every minute');
+    // Catch up right away on anything missed while the bot was offline
+    checkDue().catch(e => log('[reports] Initial check error: ' + e.message));
+  }
+
+  function stop() {
+    if (intervalHandle) {
+      clearInterval(intervalHandle);
+      intervalHandle = null;
+      log('[reports] Stopped');
+    }
+  }
+
+  return { start, stop, checkDue, runSchedule };
+}
+
+module.exports = {
+  createReportRunner,
+  parseScheduleTime,
+  parseScheduleDays,
+  formatScheduleDays,
+  lastDueTime,
+  MISSED_POLICIES,
+};
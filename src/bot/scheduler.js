@@ -1,120 +1,256 @@
 /**
- * Daily/Weekly auto-summary scheduler.
- * Sends a morning WhatsApp message with yesterday's business summary.
+ * Daily/Weekly/Monthly auto-summary scheduler.
+ * Sends a morning WhatsApp digest built from configurable sections:
+ *   - daily: yesterday's business summary
+ *   - weekly: the prior Monday–Sunday, with week-over-week deltas
+ *   - monthly: the prior calendar month (sent on the 1st), with month-over-month deltas
  *
  * Config (in config/skills.json):
  *   "scheduler": {
  *     "enabled": true,
  *     "summaryTime": "08:00",   // 24h format, when to send
- *     "summaryDays": [1,2,3,4,5,6]  // 0=Sun, 1=Mon, ... 6=Sat
+ *     "summaryDays": [1,2,3,4,5,6],  // 0=Sun, 1=Mon, ... 6=Sat
+ *     "sections": ["daybook", "sales", "purchase", "cash_bank", "outstanding"],
+ *     "weekly": { "enabled": true, "day": 1, "time": "09:00", "sections": [...] },
+ *     "monthly": { "enabled": true, "time": "09:00", "sections": [...] },
+ *     "reports": true,              // run user-defined "schedule_report" jobs (see report-runner.js)
+ *     "missedPolicy": "catch_up"    // default for missed scheduled reports: catch_up | skip
  *   }
+ *
+ * A section is a key of DIGEST_SECTIONS or { "action": "get_gst_summary", "title": "GST", "params": {} }
+ * for any other skill action (its reply text is included as-is).
  */
 const { sendToSelf } = require('../whatsapp/client');
+const { buildComparisonMessage } = require('../skills/tally/tdl/comparison');
 
-function createScheduler({ registry, config, client, onLog }) {
-  const log = onLog || (() => {});
-  let intervalHandle = null;
-  let lastSentDate = null; // track to avoid duplicate sends
+const SKILL_ID = 'tally';
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
-  const schedConfig = config.scheduler || {};
-  const summaryTime = schedConfig.summaryTime || '08:00';
-  const summaryDays = schedConfig.summaryDays || [1, 2, 3, 4, 5, 6]; // Mon-Sat default
-  const [targetHour, targetMin] = summaryTime.split(':').map(Number);
+const DEFAULT_SECTIONS = {
+  daily: ['daybook', 'sales', 'purchase', 'cash_bank', 'outstanding'],
+  weekly: ['sales', 'purchase', 'expenses', 'top_customers', 'outstanding'],
+  monthly: ['sales', 'purchase', 'expenses', 'top_customers', 'ageing'],
+};
 
-  function pad(n) { return String(n).padStart(2, '0'); }
+function pad(n) { return String(n).padStart(2, '0'); }
 
-  function formatDate(d) {
-    return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
-  }
+function formatDate(d) {
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
 
-  async function buildDailySummary() {
-    const skillId = 'tally';
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yStr = formatDate(yesterday);
-    const dayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][yesterday.getDay()];
-    const dateLabel = `${pad(yesterday.getDate())}/${pad(yesterday.getMonth() + 1)}/${yesterday.getFullYear()} (${dayName})`;
+function shortDate(d) { return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}`; }
 
-    const lines = ['📊 *Daily Summary — ' + dateLabel + '*', ''];
+const rupees = (n) => '₹' + (n || 0).toLocaleString('en-IN');
 
-    // 1. Daybook summary (yesterday's entries)
-    try {
-      const daybook = await registry.execute(skillId, 'get_daybook', { date_from: yStr, date_to: yStr });
-      if (daybook.success && daybook.data) {
-        const d = daybook.data;
-        lines.push(`📋 *Entries:* ${d.totalCount || d.entries?.length || 0} vouchers`);
-        if (d.typeSummary) {
-          const types = Object.entries(d.typeSummary).map(([t, v]) => `${t}: ${v.count}`).join(', ');
-          lines.push(`   ${types}`);
-        }
-      }
-    } catch (e) { log('[scheduler] Daybook fetch error: ' + e.message); }
+/**
+ * Date ranges a digest covers, plus the period before it for deltas (weekly/monthly only).
+ * @param {'daily'|'weekly'|'monthly'} kind
+ * @param {Date} now
+ * @returns {{ title: string, current: {from, to, label}, previous: {from, to, label}|null }}
+ */
+function getDigestPeriod(kind, now) {
+  const y = now.getFullYear(), m = now.getMonth(), d = now.getDate();
+  if (kind === 'weekly') {
+    const dayOfWeek = now.getDay() || 7; // Mon=1, Sun=7
+    const mon = new Date(y, m, d - dayOfWeek - 6);
+    const sun = new Date(y, m, d - dayOfWeek);
+    const prevMon = new Date(y, m, d - dayOfWeek - 13);
+    const prevSun = new Date(y, m, d - dayOfWeek - 7);
+    return {
+      title: `📆 *Weekly Digest — ${shortDate(mon)} to ${shortDate(sun)}*`,
+      current: { from: formatDate(mon), to: formatDate(sun), label: `Week of ${shortDate(mon)}` },
+      previous: { from: formatDate(prevMon), to: formatDate(prevSun), label: `Week of ${shortDate(prevMon)}` },
+    };
+  }
+  if (kind === 'monthly') {
+    const first = new Date(y, m - 1, 1);
+    const last = new Date(y, m, 0);
+    const prevFirst = new Date(y, m - 2, 1);
+    const prevLast = new Date(y, m - 1, 0);
+    const label = (dt) => MONTH_NAMES[dt.getMonth()] + ' ' + dt.getFullYear();
+    return {
+      title: `🗓️ *Monthly Digest — ${label(first)}*`,
+      current: { from: formatDate(first), to: formatDate(last), label: label(first) },
+      previous: { from: formatDate(prevFirst), to: formatDate(prevLast), label: label(prevFirst) },
+    };
+  }
+  const yesterday = new Date(y, m, d - 1);
+  const dateLabel = `${pad(yesterday.getDate())}/${pad(yesterday.getMonth() + 1)}/${yesterday.getFullYear()} (${DAY_NAMES[yesterday.getDay()]})`;
+  return {
+    title: '📊 *Daily Summary — ' + dateLabel + '*',
+    current: { from: formatDate(yesterday), to: formatDate(yesterday), label: dateLabel },
+    previous: null,
+  };
+}
 
-    // 2. Sales total
-    try {
-      const sales = await registry.execute(skillId, 'get_sales_report', { type: 'sales', date_from: yStr, date_to: yStr });
-      if (sales.success && sales.data) {
-        lines.push(`💰 *Sales:* ₹${(sales.data.total || 0).toLocaleString('en-IN')}`);
-      }
-    } catch (e) { log('[scheduler] Sales fetch error: ' + e.message); }
+/**
+ * Total for a period, compared with the previous period when the digest has one.
+ * @param {string} emoji
+ * @param {string} name - "Sales", "Purchase", "Expenses"
+ * @param {(range) => Promise<{ total, entries }|null>} fetchTotal
+ */
+function totalSection(emoji, name, fetchTotal) {
+  return async (ctx) => {
+    const cur = await fetchTotal(ctx.registry, ctx.current);
+    if (!cur) return [];
+    if (!ctx.previous) return [`${emoji} *${name}:* ${rupees(cur.total)}`];
+    const prev = await fetchTotal(ctx.registry, ctx.previous);
+    if (!prev) return [`${emoji} *${name}:* ${rupees(cur.total)}`];
+    return ['', buildComparisonMessage(cur, prev, name, ctx.current.label, ctx.previous.label).message];
+  };
+}
 
-    // 3. Purchase total
-    try {
-      const purchase = await registry.execute(skillId, 'get_sales_report', { type: 'purchase', date_from: yStr, date_to: yStr });
-      if (purchase.success && purchase.data) {
-        lines.push(`🛒 *Purchase:* ₹${(purchase.data.total || 0).toLocaleString('en-IN')}`);
-      }
-    } catch (e) { log('[scheduler] Purchase fetch error: ' + e.message); }
+async function fetchSalesPurchase(registry, range, type) {
+  const res = await registry.execute(SKILL_ID, 'get_sales_report', { type, date_from: range.from, date_to: range.to });
+  if (!res.success || !res.data) return null;
+  return { total: res.data.total || 0, entries: res.data.entries || [] };
+}
 
-    // 4. Cash & Bank balance (current)
-    try {
-      const cashBank = await registry.execute(skillId, 'get_cash_bank_balance', {});
-      if (cashBank.success && cashBank.data) {
-        const cb = cashBank.data;
-        lines.push(`🏦 *Cash:* ₹${(cb.cashBalance || 0).toLocaleString('en-IN')}  |  *Bank:* ₹${(cb.bankBalance || 0).toLocaleString('en-IN')}`);
-      }
-    } catch (e) { log('[scheduler] Cash/Bank fetch error: ' + e.message); }
+async function fetchExpenses(registry, range) {
+  const res = await registry.execute(SKILL_ID, 'get_expense_report', { date_from: range.from, date_to: range.to });
+  if (!res.success || !res.data) return null;
+  return { total: res.data.total || 0, entries: res.data.entries || [] };
+}
 
-    // 5. Outstanding totals
+/** Section using an action's own reply text */
+function messageSection(action, title, paramsFor) {
+  return async (ctx) => {
+    const res = await ctx.registry.execute(SKILL_ID, action, paramsFor ? paramsFor(ctx) : {});
+    if (!res.success || !res.message) return [];
+    return ['', title ? `*${title}*\n${res.message}` : res.message];
+  };
+}
+
+/**
+ * Digest section registry: key → async (ctx) → lines.
+ * ctx = { registry, kind, current: {from, to, label}, previous: {from, to, label}|null }
+ */
+const DIGEST_SECTIONS = {
+  daybook: async (ctx) => {
+    const res = await ctx.registry.execute(SKILL_ID, 'get_daybook', { date_from: ctx.current.from, date_to: ctx.current.to, limit: 0 });
+    if (!res.success || !Array.isArray(res.data)) return [];
+    const byType = {};
+    for (const v of res.data) byType[v.type || 'Other'] = (byType[v.type || 'Other'] || 0) + 1;
+    const lines = [`📋 *Entries:* ${res.data.length} vouchers`];
+    const types = Object.entries(byType).map(([t, n]) => `${t}: ${n}`).join(', ');
+    if (types) lines.push(`   ${types}`);
+    return lines;
+  },
+  sales: totalSection('💰', 'Sales', (registry, range) => fetchSalesPurchase(registry, range, 'sales')),
+  purchase: totalSection('🛒', 'Purchase', (registry, range) => fetchSalesPurchase(registry, range, 'purchase')),
+  expenses: totalSection('💸', 'Expenses', fetchExpenses),
+  cash_bank: async (ctx) => {
+    const res = await ctx.registry.execute(SKILL_ID, 'get_cash_bank_balance', {});
+    if (!res.success || !res.data) return [];
+    return [`🏦 *Cash:* ${rupees(res.data.cashBalance)}  |  *Bank:* ${rupees(res.data.bankBalance)}`];
+  },
+  outstanding: async (ctx) => {
+    const recv = await ctx.registry.execute(SKILL_ID, 'get_outstanding', { type: 'receivable' });
+    const pay = await ctx.registry.execute(SKILL_ID, 'get_outstanding', { type: 'payable' });
+    const recvTotal = recv.success && recv.data ? (recv.data.total || 0) : 0;
+    const payTotal = pay.success && pay.data ? (pay.data.total || 0) : 0;
+    return [`📥 *Receivable:* ${rupees(recvTotal)}  |  📤 *Payable:* ${rupees(payTotal)}`];
+  },
+  dashboard: messageSection('get_dashboard'),
+  ageing: messageSection('get_ageing_analysis', null, () => ({ type: 'receivable' })),
+  top_customers: messageSection('get_top_customers', null, (ctx) => ({ date_from: ctx.current.from, date_to: ctx.current.to, limit: 5 })),
+  expense_anomalies: messageSection('get_expense_anomalies'),
+};
+
+/**
+ * Build a digest message from a list of sections. Unknown sections and failing fetches are skipped.
+ * @param {object} registry - SkillRegistry
+ * @param {'daily'|'weekly'|'monthly'} kind
+ * @param {Array<string|{action, title?, params?}>} sections
+ * @param {{ now?: Date, onLog?: Function }} [opts]
+ * @returns {Promise<string>}
+ */
+async function buildDigest(registry, kind, sections, opts = {}) {
+  const log = opts.onLog || (() => {});
+  const period = getDigestPeriod(kind, opts.now || new Date());
+  const ctx = { registry, kind, current: period.current, previous: period.previous };
+  const lines = [period.title, ''];
+  for (const section of sections) {
+    let build = null;
+    let name = section;
+    if (typeof section === 'string') {
+      build = DIGEST_SECTIONS[section];
+    } else if (section && section.action) {
+      name = section.action;
+      build = messageSection(section.action, section.title, () => Object.assign({}, section.params));
+    }
+    if (!build) { log('[scheduler] Unknown digest section: ' + JSON.stringify(section)); continue; }
     try {
-      const recv = await registry.execute(skillId, 'get_outstanding', { type: 'receivable' });
-      const pay = await registry.execute(skillId, 'get_outstanding', { type: 'payable' });
-      const recvTotal = recv.success && recv.data ? (recv.data.total || 0) : 0;
-      const payTotal = pay.success && pay.data ? (pay.data.total || 0) : 0;
-      lines.push(`📥 *Receivable:* ₹${recvTotal.toLocaleString('en-IN')}  |  📤 *Payable:* ₹${payTotal.toLocaleString('en-IN')}`);
-    } catch (e) { log('[scheduler] Outstanding fetch error: ' + e.message); }
-
-    lines.push('', '_Powered by Tathastu_');
-    return lines.join('\n');
+      lines.push(...(await build(ctx)));
+    } catch (e) { log('[scheduler] ' + name + ' fetch error: ' + e.message); }
   }
+  lines.push('', '_Powered by Tathastu_');
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n');
+}
 
-  async function checkAndSend() {
-    const now = new Date();
-    const todayStr = formatDate(now);
+function createScheduler({ registry, config, client, onLog }) {
+  const log = onLog || (() => {});
+  let intervalHandle = null;
+  const lastSent = {}; // kind → YYYYMMDD, to avoid duplicate sends
 
-    // Already sent today?
-    if (lastSentDate === todayStr) return;
+  const schedConfig = config.scheduler || {};
+  const weeklyConfig = schedConfig.weekly || {};
+  const monthlyConfig = schedConfig.monthly || {};
 
-    // Is it the right day of week?
-    if (!summaryDays.includes(now.getDay())) return;
+  // kind → { enabled, time: [h, m], isDay(now), sections }
+  const digests = {
+    daily: {
+      enabled: true,
+      time: (schedConfig.summaryTime || '08:00').split(':').map(Number),
+      isDay: (now) => (schedConfig.summaryDays || [1, 2, 3, 4, 5, 6]).includes(now.getDay()), // Mon-Sat default
+      sections: schedConfig.sections || DEFAULT_SECTIONS.daily,
+    },
+    weekly: {
+      enabled: weeklyConfig.enabled === true,
+      time: (weeklyConfig.time || '09:00').split(':').map(Number),
+      isDay: (now) => now.getDay() === (weeklyConfig.day != null ? weeklyConfig.day : 1),
+      sections: weeklyConfig.sections || DEFAULT_SECTIONS.weekly,
+    },
+    monthly: {
+      enabled: monthlyConfig.enabled === true,
+      time: (monthlyConfig.time || '09:00').split(':').map(Number),
+      isDay: (now) => now.getDate() === 1,
+      sections: monthlyConfig.sections || DEFAULT_SECTIONS.monthly,
+    },
+  };
 
-    // Is it past the target time?
-    if (now.getHours() < targetHour) return;
-    if (now.getHours() === targetHour && now.getMinutes() < targetMin) return;
+  function buildDailySummary(now) {
+    return buildDigest(registry, 'daily', digests.daily.sections, { now, onLog: log });
+  }
 
+  async function checkAndSend(now = new Date()) {
+    const todayStr = formatDate(now);
     // Client ready?
     if (!client || !client.info) return;
 
-    // Send it
-    lastSentDate = todayStr;
-    log('[scheduler] Sending daily summary…');
-    try {
-      const summary = await buildDailySummary();
-      await sendToSelf(client, '*Tathastu:*\n' + summary);
-      log('[scheduler] Daily summary sent');
-    } catch (err) {
-      log('[scheduler] Send failed: ' + (err.message || err));
-      lastSentDate = null; // retry next check
+    for (const [kind, digest] of Object.entries(digests)) {
+      if (!digest.enabled) continue;
+      // Already sent today?
+      if (lastSent[kind] === todayStr) continue;
+      // Is it the right day?
+      if (!digest.isDay(now)) continue;
+      // Is it past the target time?
+      const [targetHour, targetMin] = digest.time;
+      if (now.getHours() < targetHour) continue;
+      if (now.getHours() === targetHour && now.getMinutes() < (targetMin || 0)) continue;
+
+      // Send it
+      lastSent[kind] = todayStr;
+      log(`[scheduler] Sending ${kind} digest…`);
+      try {
+        const summary = await buildDigest(registry, kind, digest.sections, { now, onLog: log });
+        await sendToSelf(client, '*Tathastu:*\n' + summary);
+        log(`[scheduler] ${kind} digest sent`);
+      } catch (err) {
+        log('[scheduler] Send failed: ' + (err.message || err));
+        lastSent[kind] = null; // retry next check
+      }
     }
   }
 
@@ -122,7 +258,9 @@ function createScheduler({ registry, config, client, onLog }) {
     if (intervalHandle) return;
     // Check every 5 minutes
     intervalHandle = setInterval(() => checkAndSend().catch(e => log('[scheduler] Error: ' + e.message)), 5 * 60 * 1000);
-    log(`[scheduler] Started — summary at ${summaryTime} on days [${summaryDays.join(',')}]`);
+    const extra = ['weekly', 'monthly'].filter(k => digests[k].enabled);
+    log(`[scheduler] Started — summary at ${schedConfig.summaryTime || '08:00'} on days [${(schedConfig.summaryDays || [1, 2, 3, 4, 5, 6]).join(',')}]` +
+      (extra.length ? ` + ${extra.join(' & ')} digest` : ''));
     // Also check immediately in case we're past the time
     checkAndSend().catch(e => log('[scheduler] Initial check error: ' + e.message));
   }
@@ -135,15 +273,19 @@ function createScheduler({ registry, config, client, onLog }) {
     }
   }
 
-  // Allow manual trigger for testing
-  async function sendNow() {
+  /**
+   * Send a digest right away ("send summary", "weekly summary").
+   * @param {'daily'|'weekly'|'monthly'} [kind]
+   */
+  async function sendNow(kind = 'daily') {
     if (!client || !client.info) return { success: false, message: 'WhatsApp client not ready.' };
-    const summary = await buildDailySummary();
+    const digest = digests[kind] || digests.daily;
+    const summary = await buildDigest(registry, digests[kind] ? kind : 'daily', digest.sections, { onLog: log });
     await sendToSelf(client, '*Tathastu:*\n' + summary);
     return { success: true, message: summary };
   }
 
-  return { start, stop, sendNow, checkAndSend };
+  return { start, stop, sendNow, checkAndSend, buildDailySummary };
 }
 
-module.exports = { createScheduler };
+module.exports = { createScheduler, buildDigest, getDigestPeriod, DIGEST_SECTIONS };
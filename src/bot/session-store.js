@@ -0,0 +1,185 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SESSION_PATH = path.join('data', 'sessions.json');
+const DEFAULT_TTL_HOURS = 168; // drop sessions idle for more than a week
+// Whole reports can be large and hold every party's figures — kept for this run's Excel export only
+const MEMORY_ONLY_FIELDS = ['lastReportData', 'lastReportName'];
+
+/**
+ * Fresh per-chat conversation state.
+ * history: LLM context (user + assistant pairs); last*: pagination, number picks and Excel export
+ * (lastReportData/lastReportName are never written to the file);
+ * pending: a write waiting on "yes" (see src/bot/confirmations.js);
+ * company: the chat's default Tally company from "switch company to X" (null = Tally's active one).
+ */
+function emptySession() {
+  return {
+    history: [],
+    lastAction: null,
+    lastParams: null,
+    lastSkillId: null,
+    lastPage: 1,
+    lastSuggestions: null,
+    lastReportData: null,
+    lastReportName: '',
+    pending: null,
+    company: null,
+    updatedAt: null,
+  };
+}
+
+/**
+ * Per-chat session store keyed by WhatsApp chat ID, persisted to a JSON file.
+ * Pass filePath = null for an in-memory store (nothing is read or written).
+ */
+class SessionStore {
+  /**
+   * @param {string|null} filePath - Path to the JSON persistence file
+   * @param {object} [opts]
+   * @param {number} [opts.ttlHours] - Sessions idle longer than this are dropped on load
+   */
+  constructor(filePath, opts = {}) {
+    this._filePath = filePath || null;
+    this._ttlMs = (opts.ttlHours > 0 ? opts.ttlHours : DEFAULT_TTL_HOURS) * 3600 * 1000;
+    this._sessions = {};      // { [chatId]: Session }
+    this._version = 1;
+    this._persistTimer = null;
+  }
+
+  /**
+   * Load sessions from disk. Handles missing/corrupted files gracefully.
+   */
+  load() {
+    this._sessions = {};
+    if (!this._filePath) return;
+    try {
+      if (!fs.existsSync(this._filePath)) return;
+      const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+      if (!data || typeof data.sessions !== 'object' || data.sessions === null) return;
+      const cutoff = Date.now() - this._ttlMs;
+      for (const [chatId, s] of Object.entries(data.sessions)) {
+        if (!s || (s.updatedAt && new Date(s.updatedAt).getTime() < cutoff)) continue;
+        this._sessions[chatId] = Object.assign(emptySession(), s);
+      }
+      this._version = data.version || 1;
+    } catch (err) {
+      console.warn(`[SessionStore] Failed to load ${this._filePath}: ${err.message}. Starting with empty store.`);
+      this._sessions = {};
+    }
+  }
+
+  /**
+   * Get the session for a chat, creating an empty one if needed.
+   * The returned object is live — mutate it, then call save(chatId).
+   * @param {string} chatId
+   * @returns {object} Session
+   */
+  get(chatId) {
+    const key = chatId || 'default';
+    if (!this._sessions[key]) this._sessions[key] = emptySession();
+    return this._sessions[key];
+  }
+
+  /**
+   * Mark a chat's session as changed and schedule a persist.
+   * @param {string} chatId
+   */
+  save(chatId) {
+    const session = this._sessions[chatId || 'default'];
+    if (!session) return;
+    session.updatedAt = new Date().toISOString();
+    this._schedulePersist();
+  }
+
+  /**
+   * Forget a chat's session.
+   * @param {string} chatId
+   * @returns {boolean} true if a session existed
+   */
+  clear(chatId) {
+    const key = chatId || 'default';
+    if (!this._sessions[key]) return false;
+    delete this._sessions[key];
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * @returns {number} Number of chats with a session
+   */
+  size() {
+    return Object.keys(this._sessions).length;
+  }
+
+  /**
+   * Schedule a debounced persist. Writes at most once per 5 seconds.
+   * @private
+   */
+  _schedulePersist() {
+    if (!this._filePath || this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this._writeToDisk();
+    }, 5000);
+  }
+
+  /**
+   * Force an immediate persist (useful for testing and shutdown).
+   */
+  flush() {
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
+    this._writeToDisk();
+  }
+
+  /**
+   * Write current state to disk.
+   * @private
+   */
+  _writeToDisk() {
+    if (!this._filePath) return;
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      const sessions = {};
+      for (const [chatId, s] of Object.entries(this._sessions)) {
+        sessions[chatId] = Object.assign({}, s);
+        for (const field of MEMORY_ONLY_FIELDS) delete sessions[chatId][field];
+      }
+      const data = JSON.stringify({
+        version: this._version,
+        sessions
+      }, null, 2);
+      fs.writeFileSync(this._filePath, data, 'utf-8');
+    } catch (err) {
+      console.error(`[SessionStore] Failed to persist to ${this._filePath}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Resolve the session file path from config.sessions.
+ * Multi-tenant runs get one file per tenant (sessions-<tenantId>.json) so they never overwrite each other.
+ * @param {object} config - Result of loadConfig()
+ * @param {string} [tenantId]
+ * @returns {string|null} Absolute path, or null when persistence is disabled
+ */
+function resolveSessionPath(config, tenantId) {
+  const sessionsConfig = (config && config.sessions) || {};
+  if (sessionsConfig.persist === false) return null;
+  let filePath = path.resolve(process.cwd(), sessionsConfig.path || DEFAULT_SESSION_PATH);
+  if (tenantId) {
+    const ext = path.extname(filePath);
+    filePath = filePath.slice(0, filePath.length - ext.length) + '-' + tenantId + ext;
+  }
+  return filePath;
+}
+
+module.exports = { SessionStore, resolveSessionPath, emptySession };
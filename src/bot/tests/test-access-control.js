@@ -0,0 +1,121 @@
+/**
+ * Tests for src/bot/access-control.js (roles, party scoping).
+ *
+ * Run: node src/bot/tests/test-access-control.js
+ */
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  return Promise.resolve().then(fn).then(() => { pass++; console.log(`  ✓ ${name}`); })
+    .catch(e => { fail++; console.log(`  ✗ ${name}: ${e.message}`); });
+}
+function assert(cond, msg) { if (!cond) throw new Error(msg || 'assertion failed'); }
+
+const { createAccessControl, matchesPattern, partyMatches } = require('../access-control');
+
+const config = {
+  access: {
+    enabled: true,
+    roles: {
+      accountant: { actions: ['get_*', 'list_*', 'create_voucher'], deny: ['get_invoice_pdf'] },
+      sales: { actions: ['get_party_balance', 'get_ledger'], parties: 'assigned' },
+    },
+    users: {
+      '+91 98765 43210': { name: 'Ravi', role: 'sales', parties: ['Meril Life Sciences'] },
+      '918888888888': 'accountant',
+    },
+  },
+};
+
+async function runTests() {
+  // ═══════════════════════════════════════════════
+  console.log('\nPatterns:');
+  // ═══════════════════════════════════════════════
+
+  await test('action patterns support * and prefix*', () => {
+    assert(matchesPattern('restart_tally', '*'), '*');
+    assert(matchesPattern('get_ledger', 'get_*'), 'prefix');
+    assert(!matchesPattern('set_alert', 'get_*'), 'other prefix');
+    assert(matchesPattern('get_ledger', 'get_ledger') && !matchesPattern('get_ledger_x', 'get_ledger'), 'exact');
+  });
+
+  await test('party match needs the same name, not a fragment of it', () => {
+    assert(partyMatches('MERIL LIFE SCIENCES', ['Meril Life Sciences']), 'case');
+    assert(partyMatches('M/s Meril Life Sciences Pvt. Ltd.', ['Meril Life Sciences']), 'M/s and Pvt Ltd');
+    assert(partyMatches('A & B Traders', ['A and B Traders']), '& as and');
+    assert(!partyMatches('meril', ['Meril Life Sciences']), 'short form');
+    assert(!partyMatches('Life', ['Meril Life Sciences']), 'fragment');
+    assert(!partyMatches('Meril Life Sciences Export', ['Meril Life Sciences']), 'longer name');
+    assert(!partyMatches('ABC Traders', ['Meril Life Sciences']), 'other party');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nIdentify:');
+  // ═══════════════════════════════════════════════
+
+  await test('group sender comes from author, 1:1 from from', async () => {
+    const access = createAccessControl(config);
+    const inGroup = await access.identify({ fromMe: false, from: 'team@g.us', author: '919876543210@c.us' });
+    assert(inGroup.role === 'sales' && inGroup.name === 'Ravi' && inGroup.parties.length === 1, 'group author');
+    const direct = await access.identify({ fromMe: false, from: '918888888888@c.us' });
+    assert(direct.role === 'accountant' && direct.parties === null, 'string shorthand role');
+  });
+
+  await test('@lid senders are resolved through the contact', async () => {
+    const access = createAccessControl(config);
+    const user = await access.identify({ fromMe: false, from: '123456@lid', getContact: async () => ({ number: '919876543210' }) });
+    assert(user.number === '919876543210' && user.role === 'sales', 'should use the contact number');
+  });
+
+  await test('fromMe is the owner', async () => {
+    const access = createAccessControl(config);
+    const me = await access.identify({ fromMe: true, from: '919999999999@c.us' });
+    assert(me.isOwner && access.check(me, 'restart_tally').allowed, 'owner can do anything');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nCheck:');
+  // ═══════════════════════════════════════════════
+
+  await test('disabled access allows everything', () => {
+    const access = createAccessControl({});
+    assert(access.check(access.forNumber('917777777777'), 'restart_tally').allowed, 'should allow');
+  });
+
+  await test('unregistered numbers are refused unless a defaultRole is set', () => {
+    const access = createAccessControl(config);
+    const stranger = access.forNumber('917777777777');
+    const verdict = access.check(stranger, null);
+    assert(!verdict.allowed && verdict.reason === 'number not registered', 'should refuse');
+    const open = createAccessControl({ access: Object.assign({}, config.access, { defaultRole: 'accountant' }) });
+    assert(open.check(open.forNumber('917777777777'), 'get_sales_report').allowed, 'default role applies');
+  });
+
+  await test('allow list and deny list', () => {
+    const access = createAccessControl(config);
+    const acc = access.forNumber('918888888888');
+    assert(access.check(acc, 'get_sales_report').allowed, 'get_* allowed');
+    assert(access.check(acc, 'create_voucher').allowed, 'listed action allowed');
+    assert(!access.check(acc, 'get_invoice_pdf').allowed, 'deny wins over get_*');
+    const denied = access.check(acc, 'send_reminders_bulk');
+    assert(!denied.allowed && denied.message.includes('*send reminders bulk*'), 'unlisted action refused politely');
+  });
+
+  await test('assigned parties go to the skill as a scope, and filter suggestions', () => {
+    const access = createAccessControl(config);
+    const ravi = access.forNumber('919876543210');
+    assert(access.check(ravi, 'get_ledger').allowed, 'action allowed whatever the party');
+    assert(JSON.stringify(access.partyScope(ravi)) === '["Meril Life Sciences"]', 'scope is the assigned list');
+    assert(access.partyScope(access.forNumber('918888888888')) === null, 'no scope without parties');
+    assert(access.partyScope({ isOwner: true, parties: null }) === null, 'owner unscoped');
+    assert(createAccessControl({ access: { enabled: false } }).partyScope(ravi) === null, 'disabled = unscoped');
+    const visible = access.filterSuggestions(ravi, [{ name: 'Meril Life Sciences' }, { name: 'Meril Pharma' }]);
+    assert(visible.length === 1 && visible[0].name === 'Meril Life Sciences', 'suggestions filtered');
+  });
+
+  console.log(`\n${'═'.repeat(40)}`);
+  console.log(`Access control tests: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch(e => { console.error('Fatal:', e); process.exit(1); });
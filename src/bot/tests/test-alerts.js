@@ -0,0 +1,238 @@
+/**
+ * Tests for src/bot/alerts.js createAlertManager().
+ * Mocks: whatsapp/client (sendToSelf), SkillRegistry.
+ *
+ * Run: node src/bot/tests/test-alerts.js
+ */
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  return Promise.resolve().then(fn).then(() => { pass++; console.log(`  ✓ ${name}`); })
+    .catch(e => { fail++; console.log(`  ✗ ${name}: ${e.message}`); });
+}
+function assert(cond, msg) { if (!cond) throw new Error(msg || 'assertion failed'); }
+
+// ── Mock infrastructure ──
+
+const sentToSelf = [];
+const clientPath = require.resolve('../../whatsapp/client');
+require.cache[clientPath] = {
+  id: clientPath, filename: clientPath, loaded: true,
+  exports: { sendToSelf: async (client, text) => { sentToSelf.push(text); return { success: true }; } },
+};
+
+const { createAlertManager, ALERT_TYPES } = require('../alerts');
+const { MemoryStore } = require('../../storage');
+
+let mockExecuteResult = { success: true, data: {} };
+const registry = {
+  executeCalls: [],
+  async execute(skillId, action, params) {
+    this.executeCalls.push({ skillId, action, params });
+    return typeof mockExecuteResult === 'function' ? mockExecuteResult(action, params) : mockExecuteResult;
+  },
+};
+const readyClient = { info: { wid: { _serialized: '919999999999@c.us' } } };
+
+function reset() {
+  sentToSelf.length = 0;
+  registry.executeCalls.length = 0;
+  mockExecuteResult = { success: true, data: {} };
+}
+
+async function runTests() {
+  // ═══════════════════════════════════════════════
+  console.log('\nAlert CRUD:');
+  // ═══════════════════════════════════════════════
+
+  await test('addAlert validates type and threshold', () => {
+    const mgr = createAlertManager({ registry, config: {}, client: null });
+    assert(!mgr.addAlert({ type: 'nope', threshold: 5 }).success, 'unknown type should fail');
+    assert(!mgr.addAlert({ type: 'cash_below', threshold: -1 }).success, 'negative threshold should fail');
+    assert(mgr.addAlert({ type: 'cash_below', threshold: 50000 }).success, 'valid alert should be added');
+  });
+
+  await test('removeAlert deletes by id', () => {
+    const mgr = createAlertManager({ registry, config: {}, client: null });
+    const { data } = mgr.addAlert({ type: 'bank_below', threshold: 1000 });
+    assert(mgr.removeAlert(data.id).success, 'should remove');
+    assert(mgr.getAlerts().length === 0, 'should be empty');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nPersistence:');
+  // ═══════════════════════════════════════════════
+
+  await test('alerts reload from the store at startup', () => {
+    const store = new MemoryStore();
+    const first = createAlertManager({ registry, config: {}, client: null, store });
+    first.addAlert({ type: 'cash_below', threshold: 50000 });
+    first.addAlert({ type: 'payable_above', threshold: 500000 });
+    first.removeAlert(1);
+
+    const second = createAlertManager({ registry, config: {}, client: null, store });
+    const alerts = second.getAlerts();
+    assert(alerts.length === 1, 'should reload 1 alert');
+    assert(alerts[0].type === 'payable_above', 'should keep the right alert');
+    assert(alerts[0].createdAt instanceof Date, 'createdAt should be revived as Date');
+    const added = second.addAlert({ type: 'bank_below', threshold: 10 });
+    assert(added.data.id === 3, 'ids should continue after the saved nextId');
+  });
+
+  await test('alerts survive a JSON round-trip of the store', () => {
+    const store = new MemoryStore();
+    const mgr = createAlertManager({ registry, config: {}, client: null, store });
+    mgr.addAlert({ type: 'receivable_above', threshold: 1000000 });
+    const restored = new MemoryStore();
+    restored.importData(JSON.parse(JSON.stringify(store.exportData())));
+    const reloaded = createAlertManager({ registry, config: {}, client: null, store: restored });
+    assert(reloaded.getAlerts().length === 1, 'should have 1 alert');
+    assert(reloaded.getAlerts()[0].threshold === 1000000, 'threshold should match');
+  });
+
+  await test('import reloads a running alert manager', () => {
+    const store = new MemoryStore();
+    const mgr = createAlertManager({ registry, config: {}, client: null, store });
+    mgr.addAlert({ type: 'cash_below', threshold: 1 });
+    store.importData({ collections: { alerts: { nextId: 8, items: [
+      { id: 5, type: 'bank_below', threshold: 200, createdAt: '2026-01-01T00:00:00.000Z', lastTriggered: null },
+      { id: 7, type: 'cash_below', threshold: 300, createdAt: '2026-01-01T00:00:00.000Z', lastTriggered: '2026-01-02T00:00:00.000Z' },
+    ] } } });
+    const alerts = mgr.getAlerts();
+    assert(alerts.length === 2, 'should replace alerts with imported ones');
+    assert(alerts[1].lastTriggered instanceof Date, 'lastTriggered should be a Date');
+    assert(mgr.addAlert({ type: 'cash_below', threshold: 5 }).data.id === 8, 'next id should follow import');
+  });
+
+  await test('lastTriggered is persisted after an alert fires', async () => {
+    reset();
+    const store = new MemoryStore();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient, store });
+    mgr.addAlert({ type: 'cash_below', threshold: 50000 });
+    mockExecuteResult = { success: true, data: { cashBalance: 1000, bankBalance: 0 } };
+    await mgr.checkAlerts();
+    assert(sentToSelf.length === 1, 'should notify');
+    const saved = JSON.parse(JSON.stringify(store.exportData())).collections.alerts.items[0];
+    assert(saved.lastTriggered, 'lastTriggered should be saved');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nAlert Types:');
+  // ═══════════════════════════════════════════════
+
+  await test('party and stock alerts need a target; sales alert gets a time', () => {
+    const mgr = createAlertManager({ registry, config: {}, client: null });
+    assert(!mgr.addAlert({ type: 'party_balance_above', threshold: 5 }).success, 'party alert without target should fail');
+    assert(!mgr.addAlert({ type: 'stock_below', threshold: 5, target: '  ' }).success, 'stock alert without item should fail');
+    assert(mgr.addAlert({ type: 'sales_below', threshold: 100000 }).data.time === '18:00', 'sales alert defaults to 18:00');
+    const res = mgr.addAlert({ type: 'sales_below', threshold: 100000, time: '6:30 pm' });
+    assert(res.data.time === '18:30', 'should normalise the time');
+    assert(res.message.includes('(by 18:30)'), 'confirmation should mention the time');
+  });
+
+  await test('party_balance_above fires with the party name', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient });
+    mgr.addAlert({ type: 'party_balance_above', threshold: 500000, target: 'meril' });
+    mockExecuteResult = { success: true, data: { name: 'Meril Life Sciences', closingBalance: 750000, balanceType: 'Receivable' } };
+    await mgr.checkAlerts();
+    assert(registry.executeCalls[0].action === 'get_party_balance' && registry.executeCalls[0].params.party_name === 'meril', 'should fetch party balance');
+    assert(sentToSelf.length === 1 && sentToSelf[0].includes('Meril Life Sciences balance: ₹7,50,000 (Receivable)'), 'should name the party');
+  });
+
+  await test('ambiguous party is skipped', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient });
+    mgr.addAlert({ type: 'party_balance_below', threshold: 500000, target: 'abc' });
+    mockExecuteResult = { success: true, data: { suggestions: ['ABC Ltd', 'ABC Traders'] } };
+    await mgr.checkAlerts();
+    assert(sentToSelf.length === 0, 'should not notify');
+  });
+
+  await test('overdue_days_above lists the late parties', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient });
+    mgr.addAlert({ type: 'overdue_days_above', threshold: 60 });
+    mockExecuteResult = { success: true, data: { reminders: [
+      { party: 'Meril', maxDaysOverdue: 95, totalDue: 120000 },
+      { party: 'ABC', maxDaysOverdue: 30, totalDue: 5000 },
+    ] } };
+    await mgr.checkAlerts();
+    assert(sentToSelf.length === 1, 'should notify');
+    assert(sentToSelf[0].includes('Longest overdue: 95 days') && sentToSelf[0].includes('• Meril: 95d'), 'should show days and party');
+    assert(!sentToSelf[0].includes('• ABC'), 'should not list parties under the limit');
+  });
+
+  await test('overdue alert with a target only looks at that party', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient });
+    mgr.addAlert({ type: 'overdue_days_above', threshold: 60, target: 'abc' });
+    mockExecuteResult = { success: true, data: { reminders: [
+      { party: 'Meril', maxDaysOverdue: 95, totalDue: 120000 },
+      { party: 'ABC', maxDaysOverdue: 30, totalDue: 5000 },
+    ] } };
+    await mgr.checkAlerts();
+    assert(sentToSelf.length === 0, 'ABC is not overdue long enough');
+  });
+
+  await test('sales_below waits for its time and fires once a day', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient });
+    mgr.addAlert({ type: 'sales_below', threshold: 100000, time: '18:00' });
+    mockExecuteResult = { success: true, data: { total: 40000 } };
+    await mgr.checkAlerts(new Date(2026, 9, 19, 17, 0));
+    assert(registry.executeCalls.length === 0, 'should not check before 18:00');
+    await mgr.checkAlerts(new Date(2026, 9, 19, 18, 5));
+    assert(registry.executeCalls[0].params.date_from === '20261019', 'should ask for today\'s sales');
+    assert(sentToSelf.length === 1 && sentToSelf[0].includes("Today's sales: ₹40,000"), 'should notify');
+    await mgr.checkAlerts(new Date(2026, 9, 19, 21, 0));
+    assert(sentToSelf.length === 1, 'should not repeat the same day');
+    await mgr.checkAlerts(new Date(2026, 9, 20, 18, 5));
+    assert(sentToSelf.length === 2, 'should fire again the next day');
+  });
+
+  await test('stock_below compares the matching item quantity', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient });
+    mgr.addAlert({ type: 'stock_below', threshold: 20, target: 'widget a' });
+    mockExecuteResult = { success: true, data: { items: [
+      { name: 'Widget A', qty: 12, unit: 'Nos', closingValue: 1200 },
+      { name: 'Widget AB', qty: 500, unit: 'Nos', closingValue: 5000 },
+    ] } };
+    await mgr.checkAlerts();
+    assert(sentToSelf.length === 1 && sentToSelf[0].includes('Widget A stock: 12 Nos'), 'should report item quantity');
+  });
+
+  await test('alerts check the company they were set for', async () => {
+    reset();
+    const store = new MemoryStore();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient, store });
+    const res = mgr.addAlert({ type: 'cash_below', threshold: 50000, company: 'Afflink Pvt Ltd' });
+    assert(res.message.includes('[Afflink Pvt Ltd]'), 'confirmation names the company, got ' + res.message);
+    mgr.addAlert({ type: 'stock_below', threshold: 20, target: 'Widget A' });
+    mockExecuteResult = { success: true, data: { cashBalance: 1000, items: [] } };
+    await createAlertManager({ registry, config: {}, client: readyClient, store }).checkAlerts();
+    assert(registry.executeCalls[0].params.company === 'Afflink Pvt Ltd', 'cash fetched from the alert company');
+    assert(!('company' in registry.executeCalls[1].params), 'no company: Tally\'s active one');
+    assert(sentToSelf[0].includes('Alert Triggered* — Afflink Pvt Ltd'), 'notification names the company');
+  });
+
+  await test('new types plug in through ALERT_TYPES alone', async () => {
+    reset();
+    ALERT_TYPES._test_above = { label: 'Test above', metric: 'Test', direction: 'above', format: String, fetch: async () => ({ value: 11 }) };
+    try {
+      const mgr = createAlertManager({ registry, config: {}, client: readyClient });
+      assert(mgr.addAlert({ type: '_test_above', threshold: 10 }).success, 'should accept the new type');
+      await mgr.checkAlerts();
+      assert(sentToSelf.length === 1 && sentToSelf[0].includes('Test: 11'), 'should fire through the generic check');
+    } finally {
+      delete ALERT_TYPES._test_above;
+    }
+  });
+
+  console.log(`\n${'═'.repeat(40)}`);
+  console.log(`Alert tests: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch(e => { console.error('Fatal:', e); process.exit(1); });
@@ -0,0 +1,101 @@
+/**
+ * Tests for src/bot/audit-log.js (append-only JSONL journal, search, CSV export).
+ *
+ * Run: node src/bot/tests/test-audit-log.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  return Promise.resolve().then(fn).then(() => { pass++; console.log(`  ✓ ${name}`); })
+    .catch(e => { fail++; console.log(`  ✗ ${name}: ${e.message}`); });
+}
+function assert(cond, msg) { if (!cond) throw new Error(msg || 'assertion failed'); }
+
+const { AuditLog, resolveAuditPath, searchAuditLogs, auditToCsv } = require('../audit-log');
+
+function sampleLog() {
+  const log = new AuditLog(null);
+  log.record({ ts: '2026-10-17T06:00:00.000Z', type: 'command', sender: '919876543210', text: 'ledger for meril', action: 'get_ledger', success: true });
+  log.record({ ts: '2026-10-18T06:00:00.000Z', type: 'command', sender: '918888888888', text: 'create sales invoice for ABC 5000', action: 'create_voucher', success: true, write: { requestXml: '<VOUCHER VCHTYPE="Sales"/>' } });
+  log.record({ ts: '2026-10-19T06:00:00.000Z', type: 'access_denied', sender: '917777777777', text: 'restart tally', action: 'restart_tally', success: false, reason: 'number not registered' });
+  return log;
+}
+
+async function runTests() {
+  // ═══════════════════════════════════════════════
+  console.log('\nJournal:');
+  // ═══════════════════════════════════════════════
+
+  await test('entries append as JSON lines and read back in order', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tathastu-audit-'));
+    const file = path.join(dir, 'nested', 'audit.jsonl');
+    try {
+      const log = new AuditLog(file);
+      log.record({ type: 'access_denied', sender: '1' });
+      log.record({ type: 'access_denied', sender: '2' });
+      fs.appendFileSync(file, '{"broken":\n');
+      const lines = fs.readFileSync(file, 'utf-8').trim().split('\n');
+      assert(lines.length === 3 && JSON.parse(lines[0]).ts, 'one line per entry with a timestamp');
+      const entries = new AuditLog(file).readAll();
+      assert(entries.length === 2 && entries[1].sender === '2', 'corrupt lines skipped');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('resolveAuditPath honours persist and tenants', () => {
+    assert(resolveAuditPath({ audit: { persist: false } }) === null, 'persist false');
+    assert(resolveAuditPath({}, 'acme').endsWith(path.join('data', 'audit-acme.jsonl')), 'per-tenant file');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nSearch:');
+  // ═══════════════════════════════════════════════
+
+  await test('search is newest first and matches text anywhere in the entry', () => {
+    const log = sampleLog();
+    assert(log.search().map(e => e.action).join() === 'restart_tally,create_voucher,get_ledger', 'newest first');
+    assert(log.search({ q: 'VCHTYPE="sales"' }).length === 1, 'matches inside the stored XML');
+    assert(log.search({ q: 'MERIL' })[0].action === 'get_ledger', 'case-insensitive');
+  });
+
+  await test('search filters by action, sender, type, dates and limit', () => {
+    const log = sampleLog();
+    assert(log.search({ action: 'create_voucher' }).length === 1, 'action');
+    assert(log.search({ sender: '98765' })[0].action === 'get_ledger', 'partial number');
+    assert(log.search({ type: 'access_denied' }).length === 1, 'type');
+    assert(log.search({ from: '2026-10-18', to: '2026-10-18' }).length === 1, 'date range');
+    assert(log.search({ limit: 2 }).length === 2 && log.search({ limit: 0 }).length === 3, 'limit');
+  });
+
+  await test('searchAuditLogs merges tenants and tags entries', () => {
+    const a = sampleLog();
+    const b = new AuditLog(null);
+    b.record({ ts: '2026-10-18T12:00:00.000Z', type: 'command', text: 'sales report', action: 'get_sales_report' });
+    const merged = searchAuditLogs({ ravi: a, priya: b });
+    assert(merged.length === 4 && merged[1].tenant === 'priya', 'sorted across tenants');
+    assert(!('tenant' in searchAuditLogs({ default: a })[0]), 'single-tenant entries stay untagged');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nCSV:');
+  // ═══════════════════════════════════════════════
+
+  await test('CSV quotes commas and quotes and serialises objects', () => {
+    const csv = auditToCsv(sampleLog().search({ action: 'create_voucher' }));
+    const [header, row] = csv.trim().split('\r\n');
+    assert(header.startsWith('ts,tenant,type,chatId,sender'), 'header');
+    assert(row.includes('create sales invoice for ABC 5000'), 'plain text as is');
+    assert(row.includes('"{""requestXml"":""<VOUCHER VCHTYPE=\\""Sales\\""/>""}"'), 'object as quoted JSON');
+  });
+
+  console.log(`\n${'═'.repeat(40)}`);
+  console.log(`Audit log tests: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch(e => { console.error('Fatal:', e); process.exit(1); });
@@ -0,0 +1,92 @@
+/**
+ * Tests for src/bot/confirmations.js (preview → yes / edit / cancel drafts).
+ *
+ * Run: node src/bot/tests/test-confirmations.js
+ */
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  return Promise.resolve().then(fn).then(() => { pass++; console.log(`  ✓ ${name}`); })
+    .catch(e => { fail++; console.log(`  ✗ ${name}: ${e.message}`); });
+}
+function assert(cond, msg) { if (!cond) throw new Error(msg || 'assertion failed'); }
+
+const {
+  YES_RE, CANCEL_RE, parseAmount, parseSingleDate, parseEdit, createPending, isExpired, confirmationHint,
+} = require('../confirmations');
+
+async function runTests() {
+  // ═══════════════════════════════════════════════
+  console.log('\nParsing:');
+  // ═══════════════════════════════════════════════
+
+  await test('yes and cancel words', () => {
+    assert(['yes', 'Haan', 'ok', 'post'].every(w => YES_RE.test(w)), 'yes words');
+    assert(['no', 'cancel', 'nahi', 'rehne do'].every(w => CANCEL_RE.test(w)), 'cancel words');
+    assert(!YES_RE.test('yes please send 5000'), 'only a bare yes counts');
+  });
+
+  await test('parseAmount handles commas, ₹ and k/lakh/cr', () => {
+    assert(parseAmount('45,000') === 45000, 'commas');
+    assert(parseAmount('₹45k') === 45000, 'k');
+    assert(parseAmount('4.5 lakh') === 450000, 'lakh');
+    assert(parseAmount('1 cr') === 10000000, 'crore');
+    assert(parseAmount('forty') === null, 'words');
+  });
+
+  await test('parseSingleDate accepts one day only', () => {
+    assert(parseSingleDate('2026-10-20') === '20261020', 'ISO');
+    assert(parseSingleDate('20/10/2026') === '20261020', 'DD/MM/YYYY');
+    assert(/^\d{8}$/.test(parseSingleDate('yesterday')), 'relative day');
+    assert(parseSingleDate('this month') === null, 'a range is not a date');
+  });
+
+  await test('parseEdit maps fields to params and validates values', () => {
+    const amt = parseEdit('edit amount 45000');
+    assert(amt.param === 'amount' && amt.value === 45000, 'amount');
+    const party = parseEdit('change party to Meril Pharma');
+    assert(party.param === 'party_name' && party.value === 'Meril Pharma', 'party');
+    assert(parseEdit('edit type receipt').value === 'Receipt', 'type is normalised');
+    assert(parseEdit('edit gst 12%').param === 'gst_rate' && parseEdit('edit gst 12%').value === 12 && parseEdit('edit gst none').value === 0, 'gst rate');
+    assert(parseEdit('edit bill #INV-101').param === 'against_voucher' && parseEdit('edit bill #INV-101').value === 'INV-101', 'bill to settle');
+    assert(parseEdit('edit phone 98765 43210').param === 'phone' && parseEdit('edit phone 98765 43210').value === '9876543210', 'phone to send to');
+    assert(parseEdit('edit phone soon').error.includes('not a phone number'), 'bad phone');
+    assert(parseEdit('edit amount lots').error.includes('not an amount'), 'bad amount');
+    assert(parseEdit('edit type journal').value === 'Journal' && parseEdit('edit type debit note').value === 'Debit Note', 'every type create_voucher posts');
+    assert(parseEdit('edit type jv').value === 'Journal', 'aliases');
+    assert(parseEdit('edit type memo').error.includes('Sales, Purchase'), 'bad type');
+    assert(parseEdit('ledger for meril') === null, 'not an edit');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nDrafts:');
+  // ═══════════════════════════════════════════════
+
+  await test('createPending strips confirmed and report data', () => {
+    const p = createPending({ skillId: 'tally', action: 'create_voucher', params: { amount: 1, confirmed: true, _reportData: {} }, sender: '91' });
+    assert(p.params.amount === 1 && !('confirmed' in p.params) && !('_reportData' in p.params), 'clean params');
+    assert(p.sender === '91' && Array.isArray(p.editable) && p.createdAt, 'metadata');
+  });
+
+  await test('isExpired uses the timeout', () => {
+    const now = new Date(2026, 9, 19, 10, 0);
+    const p = createPending({ skillId: 'tally', action: 'create_voucher', now: new Date(2026, 9, 19, 9, 55) });
+    assert(!isExpired(p, 10, now), 'within 10 minutes');
+    assert(isExpired(p, 4, now), 'past 4 minutes');
+  });
+
+  await test('hint lists editable fields only when there are some', () => {
+    const withEdits = confirmationHint(createPending({ skillId: 't', action: 'a', editable: ['amount', 'date'] }), 10);
+    assert(withEdits.includes('*edit amount …* to change amount/date') && withEdits.includes('Expires in 10 min'), 'edit hint');
+    const plain = confirmationHint(createPending({ skillId: 't', action: 'a' }), 10);
+    assert(!plain.includes('edit') && plain.includes('*cancel*'), 'plain hint');
+    const undo = confirmationHint(createPending({ skillId: 't', action: 'a', verb: 'delete it' }), 10);
+    assert(undo.includes('Reply *yes* to delete it'), 'custom verb');
+  });
+
+  console.log(`\n${'═'.repeat(40)}`);
+  console.log(`Confirmation tests: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch(e => { console.error('Fatal:', e); process.exit(1); });
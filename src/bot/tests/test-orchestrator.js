@@ -22,6 +22,8 @@ const path = require('path');
 // Track all reply/sendDocument calls
 const replyCalls = [];
 const sendDocCalls = [];
+const sendToNumberCalls = [];
+let mockSendToNumberResult = { success: true, chatId: '919876543210@c.us', messageId: 'true_919876543210@c.us_ABC' };
 let mockParseResult = { skillId: null, action: 'unknown', params: {}, suggestedReply: null };
 let mockExecuteResult = { success: true, message: 'Done.', data: null };
 
@@ -46,6 +48,9 @@ const mockConfig = {
   tenants: [],
   translation: { enabled: false },
   resolver: null,
+  sessions: { persist: false },
+  storage: { type: 'memory' },
+  audit: { persist: false },
 };
 
 // Mock registry
@@ -86,7 +91,7 @@ function injectMocks() {
   require.cache[parsePath] = {
     id: parsePath, filename: parsePath, loaded: true,
     exports: {
-      parseIntent: async () => mockParseResult,
+      parseIntent: async (text) => (typeof mockParseResult === 'function' ? mockParseResult(text) : mockParseResult),
       getAvailableCommandsHelp: () => 'Available commands...',
       getCapabilitiesMessage: () => 'Here is what I can do...',
       getProvider: () => 'openai',
@@ -100,6 +105,9 @@ function injectMocks() {
     exports: {
       reply: async (msg, text) => { replyCalls.push({ msg, text }); },
       sendDocument: async (msg, buffer, filename, caption) => { sendDocCalls.push({ msg, buffer, filename, caption }); },
+      sendDocumentToNumber: async (client, phone, buffer, filename, caption) => { sendToNumberCalls.push({ phone, buffer, filename, caption }); return mockSendToNumberResult; },
+      sendToNumber: async (client, phone, text) => { sendToNumberCalls.push({ phone, text }); return mockSendToNumberResult; },
+      isRecentlySentDocument: (filename) => sendDocCalls.some(c => c.filename === filename),
     }
   };
 
@@ -127,6 +135,8 @@ function loadOrchestrator() {
 function reset() {
   replyCalls.length = 0;
   sendDocCalls.length = 0;
+  sendToNumberCalls.length = 0;
+  mockSendToNumberResult = { success: true, chatId: '919876543210@c.us', messageId: 'true_919876543210@c.us_ABC' };
   mockParseResult = { skillId: null, action: 'unknown', params: {}, suggestedReply: null };
   mockExecuteResult = { success: true, message: 'Done.', data: null };
 }
@@ -137,9 +147,12 @@ function fakeMsg(body, opts = {}) {
     body,
     fromMe: opts.fromMe !== undefined ? opts.fromMe : true,
     from: opts.from || '919999999999@c.us',
+    author: opts.author,
     to: opts.to || '919999999999@c.us',
     type: opts.type || 'chat',
     hasMedia: opts.hasMedia || false,
+    _data: opts.filename ? { filename: opts.filename, mimetype: opts.mimetype } : {},
+    downloadMedia: async () => (opts.media || null),
     getChat: async () => ({
       id: { _serialized: opts.chatId || '919999999999@c.us' },
       isGroup: opts.isGroup || false,
@@ -267,6 +280,38 @@ async function runTests() {
     assert(sendDocCalls[0].filename === 'report.xlsx', 'should have correct filename');
   });
 
+  await test('invoice for the party is sent to its number and the delivery journaled', async () => {
+    reset();
+    const { AuditLog } = require('../audit-log');
+    const auditLog = new AuditLog(null);
+    mockParseResult = { skillId: 'tally', action: 'get_invoice_pdf', params: { invoice_number: '123', send_to: 'party', confirmed: true }, suggestedReply: null };
+    mockExecuteResult = {
+      success: true,
+      message: '📤 Invoice *#123* for *Meril* → 📱 9876543210',
+      _sendDocument: { party: 'Meril', phone: '9876543210', buffer: Buffer.from('%PDF-'), filename: '123.pdf', caption: 'Dear Meril,' },
+    };
+    // A client without info keeps alerts/reports from starting
+    const sendConfig = Object.assign({}, mockConfig, {
+      alerts: { enabled: false }, scheduler: { reports: false },
+      skills: [Object.assign({}, mockConfig.skills[0], { actions: mockConfig.skills[0].actions.concat({ id: 'get_invoice_pdf', description: 'Invoice PDF', parameters: ['invoice_number', 'send_to'] }) })],
+    });
+    const orch = createOrchestrator({ config: sendConfig, registry: new MockRegistry(), auditLog, client: {} });
+    await orch.handleMessage(fakeMsg('send invoice 123 to party'));
+    assert(sendToNumberCalls.length === 1 && sendToNumberCalls[0].phone === '9876543210' && sendToNumberCalls[0].caption === 'Dear Meril,', 'sent to the party');
+    assert(sendDocCalls.length === 0, 'not echoed to the requesting chat');
+    assert(replyCalls[0].text.includes('✅ Sent to Meril.'), JSON.stringify(replyCalls[0].text));
+    const [entry] = auditLog.readAll();
+    assert(entry.write.delivered === true && entry.write.sentTo.chatId === '919876543210@c.us' && entry.write.messageId, JSON.stringify(entry.write));
+
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'get_invoice_pdf', params: { invoice_number: '123', send_to: 'party', confirmed: true }, suggestedReply: null };
+    mockSendToNumberResult = { success: false, chatId: '919876543210@c.us', error: 'not on WhatsApp' };
+    mockExecuteResult = { success: true, message: '📤', _sendDocument: { party: 'Meril', phone: '9876543210', buffer: Buffer.from('%PDF-'), filename: '123.pdf', caption: '' } };
+    await orch.handleMessage(fakeMsg('send invoice 123 to party again'));
+    assert(replyCalls[0].text.includes('❌ Not delivered to Meril: not on WhatsApp'), JSON.stringify(replyCalls[0].text));
+    assert(auditLog.readAll()[1].success === false, 'failed delivery journaled as a failure');
+  });
+
   // ═══════════════════════════════════════════════
   console.log('\nDebug Mode:');
   // ═══════════════════════════════════════════════
@@ -322,6 +367,48 @@ async function runTests() {
     assert(replyCalls.length === 0, 'should NOT reply to image echo');
   });
 
+  const sheetMsg = (caption, filename) => fakeMsg(caption, {
+    type: 'document', hasMedia: true, filename, mimetype: 'text/csv',
+    media: { data: Buffer.from('Party,Amount\nMeril,100\n').toString('base64'), filename, mimetype: 'text/csv' },
+  });
+
+  await test('a spreadsheet sent from this phone is imported, not skipped as an echo', async () => {
+    reset();
+    const { AuditLog } = require('../audit-log');
+    const auditLog = new AuditLog(null);
+    mockExecuteResult = { success: true, message: '📥 Import Preview', _confirm: { params: { rows: [{ row: 2, status: 'ready' }], file_name: 'april.csv' }, verb: 'post 1 voucher' } };
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry, auditLog });
+    await orch.handleMessage(sheetMsg('import sales', 'april.csv'));
+    const call = registry.executeCalls[0];
+    assert(call && call.action === 'import_vouchers' && call.params.caption === 'import sales' && call.params._file.filename === 'april.csv', 'routed to import_vouchers');
+    assert(replyCalls[0].text.includes('Reply *yes* to post 1 voucher') && !replyCalls[0].text.includes('base64'), replyCalls[0].text);
+    const [entry] = auditLog.readAll();
+    assert(entry.tier === 'attachment' && entry.params._file === 'april.csv', 'file contents kept out of the journal');
+    await orch.handleMessage(fakeMsg('yes'));
+    const posted = registry.executeCalls[1];
+    assert(posted.params.confirmed === true && posted.params.rows.length === 1 && !posted.params._file, 'yes posts the checked rows without the file');
+  });
+
+  await test('a statement captioned "reconcile …" goes to reconcile_bank', async () => {
+    reset();
+    mockExecuteResult = { success: true, message: '🏦 Bank Reconciliation' };
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(sheetMsg('Reconcile HDFC Bank', 'hdfc-apr.csv'));
+    const call = registry.executeCalls[0];
+    assert(call && call.action === 'reconcile_bank' && call.params.caption === 'Reconcile HDFC Bank' && call.params._file.filename === 'hdfc-apr.csv', JSON.stringify(call && call.action));
+  });
+
+  await test('skips the echo of a spreadsheet the bot sent', async () => {
+    reset();
+    sendDocCalls.push({ filename: 'Import Result - april.xlsx' });
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(sheetMsg('', 'Import Result - april.xlsx'));
+    assert(replyCalls.length === 0 && registry.executeCalls.length === 0, 'should NOT import its own result sheet');
+  });
+
   // ═══════════════════════════════════════════════
   console.log('\nMessage Filtering:');
   // ═══════════════════════════════════════════════
@@ -374,6 +461,58 @@ async function runTests() {
     assert(registry.executeCalls[0].action === 'get_vouchers', 'should repeat same action');
   });
 
+  await test('switch_company sets the chat\'s company for later Tally requests', async () => {
+    reset();
+    const companyConfig = Object.assign({}, mockConfig, {
+      skills: [Object.assign({}, mockConfig.skills[0], {
+        actions: mockConfig.skills[0].actions.concat({ id: 'switch_company', description: 'Switch company', parameters: ['company_name'] }),
+      })],
+    });
+    mockExecuteResult = (skillId, action, params) => (action === 'switch_company'
+      ? { success: true, message: '✅ This chat now works on *Afflink Pvt Ltd*.', data: { company: /default/.test(params.company_name) ? null : 'Afflink Pvt Ltd' } }
+      : { success: true, message: 'Done.', data: null });
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: companyConfig, registry });
+    mockParseResult = { skillId: 'tally', action: 'switch_company', params: { company_name: 'afflink' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('switch to afflink'));
+    assert(replyCalls[0].text.includes('Afflink Pvt Ltd'), replyCalls[0].text);
+
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('ledger for meril'));
+    assert(registry.executeCalls[1].params.company === 'Afflink Pvt Ltd', JSON.stringify(registry.executeCalls[1].params));
+    // A company named in the request wins; other chats keep Tally's active company
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril', company: 'mobibox' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('ledger for meril of company mobibox'));
+    assert(registry.executeCalls[2].params.company === 'mobibox', 'explicit company');
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('ledger for meril', { from: '918888888888@c.us', chatId: '918888888888@c.us' }));
+    assert(registry.executeCalls.length === 4 && !registry.executeCalls[3].params.company, 'other chat unaffected');
+
+    mockParseResult = { skillId: 'tally', action: 'switch_company', params: { company_name: 'default' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('switch company to default'));
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('ledger for meril again'));
+    const last = registry.executeCalls[registry.executeCalls.length - 1];
+    assert(last.action === 'get_ledger' && !last.params.company, JSON.stringify(last.params));
+  });
+
+  await test('bulk reminders and credit checks use the named company', async () => {
+    reset();
+    const { MemoryStore } = require('../../storage');
+    const store = new MemoryStore();
+    store.set('creditLimits', { meril: { party: 'Meril', limit: 500000 } });
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry, store, client: {} });
+    mockExecuteResult = { success: true, message: '📨 0 parties', data: { reminders: [], balance: 100 } };
+    mockParseResult = { skillId: 'tally', action: 'send_reminders_bulk', params: { company: 'mobibox' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('send reminders to all of mobibox'));
+    await orch.handleMessage(fakeMsg('yes'));
+    mockParseResult = { skillId: 'tally', action: 'check_credit_limits', params: { company: 'mobibox' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('check credit limits of mobibox'));
+    const calls = registry.executeCalls.map(c => c.action + ':' + c.params.company);
+    assert(JSON.stringify(calls) === '["get_payment_reminders:mobibox","get_payment_reminders:mobibox","get_party_balance:mobibox"]', JSON.stringify(calls));
+  });
+
   await test('"next page" triggers pagination', async () => {
     reset();
     mockParseResult = { skillId: 'tally', action: 'list_ledgers', params: {}, suggestedReply: null };
@@ -390,6 +529,68 @@ async function runTests() {
     assert(registry.executeCalls[0].params.page === 2, 'should be page 2');
   });
 
+  await test('"refresh" re-runs the last report past the cache, never a write', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'get_vouchers', params: { limit: 50 }, suggestedReply: null };
+    mockExecuteResult = { success: true, message: 'Vouchers', data: [] };
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(fakeMsg('show vouchers'));
+    await orch.handleMessage(fakeMsg('page 2'));
+
+    registry.executeCalls.length = 0;
+    mockParseResult = { skillId: 'tally', action: 'clear_cache', params: {}, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('refresh'));
+    const again = registry.executeCalls[0];
+    assert(again.action === 'get_vouchers' && again.params.refresh === true && again.params.page === 2 && again.params.limit === 50, JSON.stringify(again));
+    await orch.handleMessage(fakeMsg('more'));
+    assert(!registry.executeCalls[1].params.refresh, '"more" after a refresh may use the cache');
+
+    // After a write, "refresh" is left to the parser (clear_cache), not a second voucher
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { type: 'Receipt', party: 'Meril', amount: 5000, confirmed: true }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('receipt 5000 from meril'));
+    registry.executeCalls.length = 0;
+    mockParseResult = { skillId: 'tally', action: 'clear_cache', params: {}, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('refresh'));
+    assert(registry.executeCalls.length === 1 && registry.executeCalls[0].action === 'clear_cache', JSON.stringify(registry.executeCalls));
+  });
+
+  await test('a message\'s Tally requests are interactive and belong to its chat', async () => {
+    reset();
+    const { tallyContext } = require('../../skills/tally/tdl/request-queue');
+    const seen = [];
+    mockParseResult = { skillId: 'tally', action: 'get_vouchers', params: {}, suggestedReply: null };
+    mockExecuteResult = () => { seen.push(tallyContext()); return { success: true, message: 'Vouchers', data: [] }; };
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(fakeMsg('show vouchers'));
+    await orch.handleMessage(fakeMsg('show vouchers', { to: '918888888888@c.us', chatId: '918888888888@c.us' }));
+    assert(seen[0].priority === 'interactive' && seen[0].chatId === '919999999999@c.us', JSON.stringify(seen[0]));
+    assert(seen[1].chatId === '918888888888@c.us' && seen[1].generation > seen[0].generation, JSON.stringify(seen[1]));
+  });
+
+  await test('group members are separate senders; a confirmed run is not cancelable', async () => {
+    reset();
+    const { tallyContext } = require('../../skills/tally/tdl/request-queue');
+    const seen = [];
+    mockParseResult = { skillId: 'tally', action: 'get_vouchers', params: {}, suggestedReply: null };
+    mockExecuteResult = () => { seen.push(tallyContext()); return { success: true, message: 'Vouchers', data: [] }; };
+    const orch = createOrchestrator({ config: Object.assign({}, mockConfig, { whatsapp: { onlyFromMe: false } }), registry: new MockRegistry() });
+    const group = { fromMe: false, from: 'team@g.us', chatId: 'team@g.us', isGroup: true };
+    await orch.handleMessage(fakeMsg('show vouchers', Object.assign({ author: '918888888888@c.us' }, group)));
+    await orch.handleMessage(fakeMsg('show vouchers', Object.assign({ author: '917777777777@c.us' }, group)));
+    assert(seen[0].chatId === 'team@g.us' && seen[0].sender === '918888888888@c.us' && seen[1].sender === '917777777777@c.us', JSON.stringify(seen));
+    assert(seen[0].cancelable, 'a report may be dropped for a newer message');
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { party_name: 'meril', amount: 500 }, suggestedReply: null };
+    mockExecuteResult = (skillId, action, params) => {
+      seen.push(tallyContext());
+      return params.confirmed ? { success: true, message: 'Created' } : { success: true, message: 'Preview', _confirm: {} };
+    };
+    await orch.handleMessage(fakeMsg('create invoice for meril 500'));
+    await orch.handleMessage(fakeMsg('yes'));
+    assert(seen[2].cancelable === true && seen[3].cancelable === false && seen[3].sender === 'me', JSON.stringify(seen.slice(2)));
+  });
+
   await test('"page 3" jumps to specific page', async () => {
     reset();
     mockParseResult = { skillId: 'tally', action: 'get_vouchers', params: { limit: 50 }, suggestedReply: null };
@@ -512,6 +713,549 @@ async function runTests() {
     assert(replyCalls.length === 2, `should have 2 replies, got ${replyCalls.length}`);
   });
 
+  // ═══════════════════════════════════════════════
+  console.log('\nPer-Chat Sessions:');
+  // ═══════════════════════════════════════════════
+
+  await test('"more" in another chat does not page the first chat\'s report', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'get_vouchers', params: { limit: 50 }, suggestedReply: null };
+    mockExecuteResult = { success: true, message: 'Vouchers', data: [{ id: 1 }] };
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(fakeMsg('show vouchers', { chatId: 'chat-a@c.us' }));
+
+    reset();
+    registry.executeCalls.length = 0;
+    mockParseResult = { skillId: null, action: 'unknown', params: {}, suggestedReply: 'Nothing to page.' };
+    await orch.handleMessage(fakeMsg('more', { chatId: 'chat-b@c.us' }));
+    assert(registry.executeCalls.length === 0, 'chat B should not repeat chat A\'s action');
+
+    await orch.handleMessage(fakeMsg('more', { chatId: 'chat-a@c.us' }));
+    assert(registry.executeCalls.length === 1, 'chat A should paginate');
+    assert(registry.executeCalls[0].params.page === 2, 'chat A should get page 2');
+  });
+
+  await test('number pick uses suggestions from the same chat only', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril' }, suggestedReply: null };
+    mockExecuteResult = { success: true, message: 'Did you mean...', data: { suggestions: [{ name: 'Meril Life' }, { name: 'Meril Pharma' }] } };
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(fakeMsg('ledger for meril', { chatId: 'chat-a@c.us' }));
+
+    reset();
+    registry.executeCalls.length = 0;
+    mockParseResult = { skillId: null, action: 'unknown', params: {}, suggestedReply: 'Hmm?' };
+    await orch.handleMessage(fakeMsg('2', { chatId: 'chat-b@c.us' }));
+    assert(registry.executeCalls.length === 0, 'chat B has no suggestions to pick from');
+
+    mockExecuteResult = { success: true, message: 'Ledger for Meril Pharma', data: { entries: [] } };
+    await orch.handleMessage(fakeMsg('2', { chatId: 'chat-a@c.us' }));
+    assert(registry.executeCalls.length === 1, 'chat A should pick');
+    assert(registry.executeCalls[0].params.party_name === 'Meril Pharma', 'should pick from chat A list');
+  });
+
+  await test('export excel uses the last report of the asking chat', async () => {
+    reset();
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'A' }, suggestedReply: null };
+    mockExecuteResult = { success: true, message: 'Ledger A', data: { owner: 'A' } };
+    await orch.handleMessage(fakeMsg('ledger for a', { chatId: 'chat-a@c.us' }));
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'B' }, suggestedReply: null };
+    mockExecuteResult = { success: true, message: 'Ledger B', data: { owner: 'B' } };
+    await orch.handleMessage(fakeMsg('ledger for b', { chatId: 'chat-b@c.us' }));
+
+    registry.executeCalls.length = 0;
+    mockParseResult = { skillId: 'tally', action: 'export_excel', params: { report_name: 'Report' }, suggestedReply: null };
+    mockExecuteResult = { success: true, message: 'Excel exported.', data: null };
+    await orch.handleMessage(fakeMsg('excel', { chatId: 'chat-a@c.us' }));
+    const exportCall = registry.executeCalls.find(c => c.action === 'export_excel');
+    assert(exportCall, 'should call export_excel');
+    assert(exportCall.params._reportData.owner === 'A', 'should export chat A\'s report');
+  });
+
+  await test('session state survives a new orchestrator sharing the store', async () => {
+    reset();
+    const { SessionStore } = require('../session-store');
+    const store = new SessionStore(null);
+    mockParseResult = { skillId: 'tally', action: 'list_ledgers', params: {}, suggestedReply: null };
+    mockExecuteResult = { success: true, message: 'Ledgers', data: [{ name: 'A' }] };
+    const first = createOrchestrator({ config: mockConfig, registry: new MockRegistry(), sessionStore: store });
+    await first.handleMessage(fakeMsg('list ledgers', { chatId: 'chat-a@c.us' }));
+
+    const registry = new MockRegistry();
+    const second = createOrchestrator({ config: mockConfig, registry, sessionStore: store });
+    await second.handleMessage(fakeMsg('next', { chatId: 'chat-a@c.us' }));
+    assert(registry.executeCalls.length === 1, 'should paginate after restart');
+    assert(registry.executeCalls[0].action === 'list_ledgers', 'should repeat stored action');
+    assert(second.getSessionStore() === store, 'should expose the store');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nDurable Data:');
+  // ═══════════════════════════════════════════════
+
+  await test('credit limits are saved to the data store and reloaded', async () => {
+    reset();
+    const { MemoryStore } = require('../../storage');
+    const store = new MemoryStore();
+    mockParseResult = { skillId: 'tally', action: 'set_credit_limit', params: { party_name: 'Meril', limit: 500000 }, suggestedReply: null };
+    const first = createOrchestrator({ config: mockConfig, registry: new MockRegistry(), store });
+    await first.handleMessage(fakeMsg('set credit limit for meril at 5L'));
+    assert(store.get('creditLimits').meril.limit === 500000, 'limit should be in the store');
+
+    const registry = new MockRegistry();
+    mockParseResult = { skillId: 'tally', action: 'check_credit_limits', params: {}, suggestedReply: null };
+    mockExecuteResult = { success: true, message: 'bal', data: { balance: 100000 } };
+    const second = createOrchestrator({ config: mockConfig, registry, store });
+    await second.handleMessage(fakeMsg('check credit limits'));
+    assert(registry.executeCalls.some(c => c.action === 'get_party_balance' && c.params.party_name === 'Meril'), 'should check the reloaded limit');
+  });
+
+  await test('scheduled reports are saved to the data store', async () => {
+    reset();
+    const { MemoryStore } = require('../../storage');
+    const store = new MemoryStore();
+    const orch = createOrchestrator({ config: mockConfig, registry: new MockRegistry(), store });
+    const reportIntents = {
+      sales: { skillId: 'tally', action: 'get_sales_report', params: { type: 'sales' } },
+      outstanding: { skillId: 'tally', action: 'get_outstanding', params: { type: 'receivable' } },
+    };
+    mockParseResult = (text) => reportIntents[text] || { skillId: 'tally', action: 'schedule_report', params: { report_action: 'sales', schedule_time: '9 AM' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('schedule sales report daily at 9 AM'));
+    mockParseResult = (text) => reportIntents[text] || { skillId: 'tally', action: 'schedule_report', params: { report_action: 'outstanding', schedule_time: '10 AM' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('schedule outstanding daily at 10 AM'));
+    mockParseResult = { skillId: 'tally', action: 'remove_scheduled_report', params: { schedule_id: '1' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('remove schedule 1'));
+    const saved = store.get('scheduledReports');
+    assert(saved.items.length === 1, 'should keep one schedule');
+    assert(saved.items[0].id === 2 && saved.items[0].reportAction === 'outstanding', 'should keep schedule #2');
+    assert(saved.nextId === 3, 'nextId should be saved');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nScheduled Reports:');
+  // ═══════════════════════════════════════════════
+
+  await test('schedule_report resolves the report and records chat, time and days', async () => {
+    reset();
+    const { MemoryStore } = require('../../storage');
+    const store = new MemoryStore();
+    const orch = createOrchestrator({ config: mockConfig, registry: new MockRegistry(), store });
+    mockParseResult = (text) => text === 'outstanding receivable'
+      ? { skillId: 'tally', action: 'get_outstanding', params: { type: 'receivable' } }
+      : { skillId: 'tally', action: 'schedule_report', params: { report_action: 'outstanding receivable', schedule_time: '10am', schedule_days: 'monday', attach_excel: true, missed_policy: 'skip' } };
+    await orch.handleMessage(fakeMsg('schedule outstanding receivable every monday at 10am with excel', { chatId: 'team@g.us' }));
+    const s = store.get('scheduledReports').items[0];
+    assert(s.action === 'get_outstanding', 'should store the resolved action');
+    assert(s.scheduleTime === '10:00', 'should normalize time, got ' + s.scheduleTime);
+    assert(JSON.stringify(s.scheduleDays) === '[1]', 'should normalize days');
+    assert(s.chatId === 'team@g.us', 'should remember the chat');
+    assert(s.sender === null, 'your own schedule runs with full rights');
+    assert(s.attachExcel === true && s.missedPolicy === 'skip', 'should keep excel + policy');
+    assert(replyCalls[0].text.includes('Mon at 10:00'), 'should confirm the slot');
+  });
+
+  await test('schedule_report rejects a report it cannot resolve', async () => {
+    reset();
+    const { MemoryStore } = require('../../storage');
+    const store = new MemoryStore();
+    const orch = createOrchestrator({ config: mockConfig, registry: new MockRegistry(), store });
+    mockParseResult = (text) => text === 'blah'
+      ? { skillId: null, action: 'unknown', params: {} }
+      : { skillId: 'tally', action: 'schedule_report', params: { report_action: 'blah', schedule_time: '9 AM' } };
+    await orch.handleMessage(fakeMsg('schedule blah daily at 9 AM'));
+    assert(!store.get('scheduledReports'), 'should not save a schedule');
+    assert(replyCalls[0].text.includes("couldn't work out"), 'should explain');
+  });
+
+  await test('list and remove only see the asking chat\'s schedules', async () => {
+    reset();
+    const { MemoryStore } = require('../../storage');
+    const store = new MemoryStore();
+    store.set('scheduledReports', { nextId: 3, items: [
+      { id: 1, reportAction: 'sales', scheduleTime: '09:00', scheduleDays: [1], chatId: 'chat-a@c.us' },
+      { id: 2, reportAction: 'outstanding', scheduleTime: '10:00', scheduleDays: [0, 1, 2, 3, 4, 5, 6], chatId: 'chat-b@c.us' },
+    ] });
+    const orch = createOrchestrator({ config: mockConfig, registry: new MockRegistry(), store });
+    mockParseResult = { skillId: 'tally', action: 'list_scheduled_reports', params: {} };
+    await orch.handleMessage(fakeMsg('show scheduled reports', { chatId: 'chat-a@c.us' }));
+    assert(replyCalls[0].text.includes('"sales"') && !replyCalls[0].text.includes('outstanding'), 'should list only chat A');
+    mockParseResult = { skillId: 'tally', action: 'remove_scheduled_report', params: { schedule_id: '2' } };
+    await orch.handleMessage(fakeMsg('remove schedule 2', { chatId: 'chat-a@c.us' }));
+    assert(store.get('scheduledReports').items.length === 2, 'chat A cannot remove chat B\'s schedule');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nConfirmations:');
+  // ═══════════════════════════════════════════════
+
+  // Skill double for create_voucher: preview unless confirmed
+  const voucherSkill = (skillId, action, params) => (params.confirmed
+    ? { success: true, message: '✅ Sales Voucher Created — ₹' + params.amount }
+    : { success: true, message: '📝 Sales Voucher — Preview — ₹' + params.amount, data: { draft: {} }, _confirm: { params: { party_name: 'Meril Life Sciences' }, editable: ['amount', 'date'] } });
+
+  await test('create_voucher previews first and posts only on yes', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { party_name: 'meril', amount: 50000 }, suggestedReply: null };
+    mockExecuteResult = voucherSkill;
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(fakeMsg('create invoice for meril 50000'));
+    assert(registry.executeCalls.length === 1 && !registry.executeCalls[0].params.confirmed, 'first call is a preview');
+    assert(replyCalls[0].text.includes('Preview') && replyCalls[0].text.includes('Reply *yes* to post'), 'should ask to confirm');
+    await orch.handleMessage(fakeMsg('yes'));
+    const posted = registry.executeCalls[1];
+    assert(posted.params.confirmed === true && posted.params.party_name === 'Meril Life Sciences', 'yes posts the resolved draft');
+    assert(replyCalls[1].text.includes('Voucher Created'), 'should confirm creation');
+    assert(orch.getSessionStore().get('919999999999@c.us').pending === null, 'draft cleared');
+  });
+
+  await test('edit changes a field and re-previews, cancel discards', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { party_name: 'meril', amount: 50000 }, suggestedReply: null };
+    mockExecuteResult = voucherSkill;
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(fakeMsg('create invoice for meril 50000'));
+    await orch.handleMessage(fakeMsg('edit amount 45k'));
+    assert(registry.executeCalls[1].params.amount === 45000 && !registry.executeCalls[1].params.confirmed, 'edit re-previews');
+    assert(replyCalls[1].text.includes('₹45000'), 'new preview shown');
+    await orch.handleMessage(fakeMsg('cancel'));
+    assert(replyCalls[2].text.includes('Cancelled') && registry.executeCalls.length === 2, 'cancel posts nothing');
+    await orch.handleMessage(fakeMsg('yes'));
+    assert(!registry.executeCalls.some(c => c.params.confirmed), 'yes after cancel does not post');
+  });
+
+  await test('edit type switches a Journal preview to Contra and keeps its lines', async () => {
+    reset();
+    const entries = [{ ledger: 'HDFC Bank', side: 'Dr', amount: 10000 }, { ledger: 'Cash', side: 'Cr', amount: 10000 }];
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { voucher_type: 'Journal', entries }, suggestedReply: null };
+    mockExecuteResult = (skillId, action, params) => ({
+      success: true, message: `📝 ${params.voucher_type} Voucher — Preview`, data: { draft: {} }, _confirm: { editable: ['date', 'narration', 'type'] },
+    });
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(fakeMsg('journal hdfc dr 10000 cash cr 10000'));
+    assert(replyCalls[0].text.includes('edit date …* to change date/narration/type'), 'type offered as an edit');
+    await orch.handleMessage(fakeMsg('edit type contra'));
+    const edited = registry.executeCalls[1];
+    assert(edited.params.voucher_type === 'Contra' && edited.params.entries === entries && !edited.params.confirmed, 're-previewed as Contra');
+    assert(replyCalls[1].text.includes('Contra Voucher — Preview'), 'new preview shown');
+    await orch.handleMessage(fakeMsg('edit type sales return'));
+    assert(registry.executeCalls[2].params.voucher_type === 'Credit Note', 'aliases are understood');
+    await orch.handleMessage(fakeMsg('edit type memo'));
+    assert(registry.executeCalls.length === 3 && replyCalls[3].text.includes('Journal, Contra, Credit Note, Debit Note'), 'unknown type refused');
+  });
+
+  await test('expired drafts are not posted', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { party_name: 'meril', amount: 50000 }, suggestedReply: null };
+    mockExecuteResult = voucherSkill;
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: Object.assign({}, mockConfig, { confirmations: { timeoutMinutes: 5 } }), registry });
+    await orch.handleMessage(fakeMsg('create invoice for meril 50000'));
+    orch.getSessionStore().get('919999999999@c.us').pending.createdAt = new Date(Date.now() - 6 * 60000).toISOString();
+    await orch.handleMessage(fakeMsg('yes'));
+    assert(registry.executeCalls.length === 1, 'should not post');
+    assert(replyCalls[1].text.includes('expired after 5 minutes'), 'should say it expired');
+  });
+
+  await test('only the sender who started a draft can confirm it', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { party_name: 'meril', amount: 50000 }, suggestedReply: null };
+    mockExecuteResult = voucherSkill;
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: Object.assign({}, mockConfig, { whatsapp: { onlyFromMe: false } }), registry });
+    await orch.handleMessage(fakeMsg('create invoice for meril 50000', { chatId: 'team@g.us', isGroup: true }));
+    mockParseResult = { skillId: null, action: 'unknown', params: {}, suggestedReply: 'Hmm?' };
+    await orch.handleMessage(fakeMsg('yes', { fromMe: false, from: 'team@g.us', author: '918888888888@c.us', chatId: 'team@g.us', isGroup: true }));
+    assert(!registry.executeCalls.some(c => c.params.confirmed), 'someone else\'s yes should not post');
+    assert(orch.getSessionStore().get('team@g.us').pending, 'draft still waits for its sender');
+  });
+
+  await test('confirmed from the parser is ignored', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { party_name: 'meril', amount: 50000, confirmed: true }, suggestedReply: null };
+    mockExecuteResult = voucherSkill;
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(fakeMsg('create invoice for meril 50000 confirmed'));
+    assert(registry.executeCalls[0].params.confirmed === undefined, 'should still preview');
+  });
+
+  await test('a preview can offer a different next step (create the party, then the voucher)', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { party_name: 'new traders', amount: 5000 }, suggestedReply: null };
+    mockExecuteResult = (skillId, action, params) => {
+      if (action === 'create_ledger') return { success: true, message: '✅ Party Created', _confirm: { action: 'create_voucher', params: { party_name: 'New Traders', amount: 5000 } } };
+      if (params.party_name === 'new traders') {
+        return { success: true, message: '➕ Create new party *New Traders*?', _confirm: { action: 'create_ledger', params: { party_name: 'New Traders', resume_voucher: { amount: 5000 } }, verb: 'create the party' } };
+      }
+      return voucherSkill(skillId, action, params);
+    };
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    await orch.handleMessage(fakeMsg('create invoice for new traders 5000'));
+    assert(replyCalls[0].text.includes('Reply *yes* to create the party'), replyCalls[0].text);
+    await orch.handleMessage(fakeMsg('yes'));
+    const ledgerCall = registry.executeCalls[1];
+    assert(ledgerCall.action === 'create_ledger' && ledgerCall.params.confirmed === true && ledgerCall.params.resume_voucher.amount === 5000, 'yes runs the offered action with its own params');
+    assert(ledgerCall.params.amount === undefined, 'voucher params are not mixed in');
+    await orch.handleMessage(fakeMsg('ok'));
+    const posted = registry.executeCalls[2];
+    assert(posted.action === 'create_voucher' && posted.params.confirmed === true && posted.params.party_name === 'New Traders', 'second yes posts the voucher');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nUndo Voucher:');
+  // ═══════════════════════════════════════════════
+
+  // Skill double: create_voucher posts #101, undo_voucher previews unless confirmed
+  const undoSkill = (skillId, action, params) => {
+    if (action === 'create_voucher') {
+      return { success: true, message: '✅ Sales Voucher Created', data: { voucherData: { type: 'Sales', party: 'Meril', amount: 5000, date: '20261019' }, voucherNumber: '101' } };
+    }
+    return params.confirmed
+      ? { success: true, message: '🗑️ Sales Voucher #' + params.voucher_number + ' Deleted' }
+      : { success: true, message: '⚠️ Delete Sales Voucher #' + params.voucher_number + '?', _confirm: { verb: 'delete it' } };
+  };
+
+  await test('undo last voucher previews, deletes on yes and only once', async () => {
+    reset();
+    mockExecuteResult = undoSkill;
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { party_name: 'Meril', amount: 5000 }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('create invoice for meril 5000'));
+    assert(replyCalls[0].text.includes('undo last voucher'), 'should mention undo');
+    mockParseResult = { skillId: 'tally', action: 'undo_voucher', params: { voucher_number: null }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('undo last voucher'));
+    const preview = registry.executeCalls[1];
+    assert(preview.params.voucher_number === '101' && preview.params.voucher_type === 'Sales' && preview.params.mode === 'delete', 'fills the recorded voucher');
+    assert(replyCalls[1].text.includes('Reply *yes* to delete it'), 'should ask to confirm');
+    await orch.handleMessage(fakeMsg('yes'));
+    assert(registry.executeCalls[2].params.confirmed === true && replyCalls[2].text.includes('Deleted'), 'yes deletes');
+    assert(orch.getStore().get('createdVouchers')[0].undoneAt, 'record marked undone');
+    await orch.handleMessage(fakeMsg('undo last voucher'));
+    assert(registry.executeCalls.length === 3 && replyCalls[3].text.includes('no voucher I created'), 'nothing left to undo');
+  });
+
+  await test('yes undoes the previewed voucher even if another was posted since', async () => {
+    reset();
+    mockExecuteResult = undoSkill;
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: mockConfig, registry });
+    const posted = (masterId) => ({ voucherNumber: null, masterId, type: 'Sales', party: 'Meril', amount: 100, date: '20261019', chatId: '919999999999@c.us', createdAt: new Date().toISOString() });
+    orch.getStore().set('createdVouchers', [posted('41')]);
+    mockParseResult = { skillId: 'tally', action: 'undo_voucher', params: { voucher_number: null }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('undo last voucher'));
+    orch.getStore().set('createdVouchers', orch.getStore().get('createdVouchers').concat(posted('42')));
+    await orch.handleMessage(fakeMsg('yes'));
+    assert(registry.executeCalls[1].params.confirmed === true && registry.executeCalls[1].params.master_id === '41', 'deletes the previewed one, got ' + registry.executeCalls[1].params.master_id);
+    const [first, second] = orch.getStore().get('createdVouchers');
+    assert(first.undoneAt && !second.undoneAt, 'only the previewed record is marked');
+  });
+
+  await test('undo refuses vouchers outside the window or not created by the bot', async () => {
+    reset();
+    mockExecuteResult = undoSkill;
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: Object.assign({}, mockConfig, { undo: { windowMinutes: 30, mode: 'cancel' } }), registry });
+    orch.getStore().set('createdVouchers', [
+      { voucherNumber: '7', type: 'Sales', party: 'Meril', amount: 100, date: '20261019', chatId: '919999999999@c.us', createdAt: new Date(Date.now() - 45 * 60000).toISOString() },
+    ]);
+    mockParseResult = { skillId: 'tally', action: 'undo_voucher', params: { voucher_number: '7' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('cancel voucher 7'));
+    assert(replyCalls[0].text.includes('within 30 minutes'), 'too old');
+    mockParseResult = { skillId: 'tally', action: 'undo_voucher', params: { voucher_number: '8' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('cancel voucher 8'));
+    assert(replyCalls[1].text.includes("wasn't created by me"), 'unknown number');
+    assert(registry.executeCalls.length === 0, 'Tally is never asked');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nAccess Control:');
+  // ═══════════════════════════════════════════════
+
+  const accessConfig = Object.assign({}, mockConfig, {
+    whatsapp: { onlyFromMe: false },
+    access: {
+      enabled: true,
+      roles: {
+        accountant: { actions: ['*'], deny: ['restart_tally'] },
+        sales: { actions: ['get_ledger'], parties: 'assigned' },
+      },
+      users: {
+        '+91 98765 43210': { name: 'Ravi', role: 'sales', parties: ['Meril Life Sciences'] },
+        '918888888888': { role: 'accountant' },
+      },
+    },
+  });
+  const teamMsg = (body, author) => fakeMsg(body, { fromMe: false, from: 'team@g.us', author, chatId: 'team@g.us', isGroup: true });
+
+  await test('unregistered number is refused before parsing and audited', async () => {
+    reset();
+    const { AuditLog } = require('../audit-log');
+    const auditLog = new AuditLog(null);
+    const registry = new MockRegistry();
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril' }, suggestedReply: null };
+    const orch = createOrchestrator({ config: accessConfig, registry, auditLog });
+    await orch.handleMessage(teamMsg('ledger for meril', '917777777777@c.us'));
+    assert(replyCalls.length === 1 && replyCalls[0].text.includes("isn't set up to use Tathastu"), 'should refuse politely');
+    assert(registry.executeCalls.length === 0, 'should not execute');
+    const entries = auditLog.readAll();
+    assert(entries.length === 1 && entries[0].type === 'access_denied' && entries[0].sender === '917777777777', 'should audit the refusal');
+  });
+
+  await test('role without the action is refused', async () => {
+    reset();
+    const { AuditLog } = require('../audit-log');
+    const auditLog = new AuditLog(null);
+    const registry = new MockRegistry();
+    mockParseResult = { skillId: 'tally', action: 'restart_tally', params: {}, suggestedReply: null };
+    const orch = createOrchestrator({ config: accessConfig, registry, auditLog });
+    await orch.handleMessage(teamMsg('restart tally', '918888888888@c.us'));
+    assert(replyCalls[0].text.includes("doesn't have access to *restart tally*"), 'should name the action');
+    assert(registry.executeCalls.length === 0, 'should not execute');
+    assert(auditLog.readAll()[0].action === 'restart_tally', 'should audit the action');
+  });
+
+  await test('salesperson requests carry their parties for the skill to check', async () => {
+    reset();
+    const registry = new MockRegistry();
+    const orch = createOrchestrator({ config: accessConfig, registry, auditLog: new (require('../audit-log').AuditLog)(null) });
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Life' }, suggestedReply: null };
+    mockExecuteResult = { success: false, message: "🔒 *Life Insurance Corp* isn't one of your assigned parties." };
+    await orch.handleMessage(teamMsg('ledger for life', '919876543210@c.us'));
+    assert(registry.executeCalls.length === 1, 'the skill resolves the name');
+    assert(JSON.stringify(registry.executeCalls[0].params._allowedParties) === '["Meril Life Sciences"]', 'scope passed');
+    assert(replyCalls[0].text.includes("isn't one of your assigned parties"), 'skill refusal relayed');
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'ABC Traders' }, suggestedReply: null };
+    await orch.handleMessage(teamMsg('ledger for abc', '918888888888@c.us'));
+    assert(registry.executeCalls[1].params._allowedParties === undefined, 'no scope for unrestricted roles');
+  });
+
+  await test('bulk reminders for a salesperson cover only their parties', async () => {
+    reset();
+    const registry = new MockRegistry();
+    const config = JSON.parse(JSON.stringify(accessConfig));
+    config.access.roles.sales.actions.push('send_reminders_bulk');
+    const orch = createOrchestrator({ config, registry, client: {} });
+    mockParseResult = { skillId: 'tally', action: 'send_reminders_bulk', params: {}, suggestedReply: null };
+    mockExecuteResult = { success: true, message: '📨 1 party', data: { reminders: [{ party: 'Meril Life Sciences', phone: null, totalDue: 100, bills: [] }] } };
+    await orch.handleMessage(teamMsg('send reminders to all', '919876543210@c.us'));
+    await orch.handleMessage(teamMsg('yes', '919876543210@c.us'));
+    const fetches = registry.executeCalls.filter(c => c.action === 'get_payment_reminders');
+    assert(fetches.length === 2, 'preview and send both fetch, got ' + fetches.length);
+    assert(fetches.every(c => JSON.stringify(c.params._allowedParties) === '["Meril Life Sciences"]'), 'scope passed both times');
+  });
+
+  await test('bulk reminders go only to the parties shown in the preview', async () => {
+    reset();
+    const orch = createOrchestrator({ config: mockConfig, registry: new MockRegistry(), client: {} });
+    mockParseResult = { skillId: 'tally', action: 'send_reminders_bulk', params: {}, suggestedReply: null };
+    const acme = { party: 'Acme Traders', phone: '919800000001', totalDue: 500, bills: [] };
+    mockExecuteResult = { success: true, message: '📨 1 party', data: { reminders: [acme] } };
+    await orch.handleMessage(fakeMsg('send reminders to all'));
+    const late = { party: 'New Debtor', phone: '919800000002', totalDue: 900, bills: [] };
+    mockExecuteResult = { success: true, message: '📨 2 parties', data: { reminders: [acme, late] } };
+    await orch.handleMessage(fakeMsg('yes'));
+    assert(sendToNumberCalls.length === 1 && sendToNumberCalls[0].phone === '919800000001', 'only the previewed party, got ' + JSON.stringify(sendToNumberCalls.map(c => c.phone)));
+    assert(replyCalls[1].text.includes('1 sent'), 'summary, got ' + replyCalls[1].text);
+  });
+
+  await test('a salesperson\'s schedule keeps their number and needs the report\'s role', async () => {
+    reset();
+    const { MemoryStore } = require('../../storage');
+    const store = new MemoryStore();
+    const config = JSON.parse(JSON.stringify(accessConfig));
+    config.access.roles.sales.actions.push('schedule_report');
+    const orch = createOrchestrator({ config, registry: new MockRegistry(), store });
+    const intents = {
+      'meril ledger': { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril Life Sciences' } },
+      'outstanding': { skillId: 'tally', action: 'get_outstanding', params: {} },
+    };
+    mockParseResult = (text) => intents[text] || { skillId: 'tally', action: 'schedule_report', params: { report_action: /outstanding/.test(text) ? 'outstanding' : 'meril ledger', schedule_time: '9 AM' } };
+    await orch.handleMessage(teamMsg('schedule outstanding daily at 9', '919876543210@c.us'));
+    assert(!store.get('scheduledReports'), 'report outside the role not scheduled');
+    assert(replyCalls[0].text.includes("doesn't have access to *outstanding*"), 'should refuse, got ' + replyCalls[0].text);
+    await orch.handleMessage(teamMsg('schedule meril ledger daily at 9', '919876543210@c.us'));
+    const s = store.get('scheduledReports').items[0];
+    assert(s.action === 'get_ledger' && s.sender === '919876543210', 'runs as Ravi');
+    assert(s.params._allowedParties === undefined, 'scope looked up at run time');
+  });
+
+  await test('party suggestions are filtered for salespeople', async () => {
+    reset();
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril' }, suggestedReply: null };
+    mockExecuteResult = {
+      success: true,
+      message: 'Did you mean:\n1. Meril Life Sciences\n2. Meril Pharma',
+      data: { suggestions: [{ name: 'Meril Life Sciences' }, { name: 'Meril Pharma' }] },
+    };
+    const orch = createOrchestrator({ config: accessConfig, registry: new MockRegistry(), auditLog: new (require('../audit-log').AuditLog)(null) });
+    await orch.handleMessage(teamMsg('ledger for meril', '919876543210@c.us'));
+    assert(replyCalls[0].text.includes('1. Meril Life Sciences') && !replyCalls[0].text.includes('Meril Pharma'), 'should hide other parties');
+  });
+
+  await test('your own messages are never restricted', async () => {
+    reset();
+    const registry = new MockRegistry();
+    mockParseResult = { skillId: 'tally', action: 'restart_tally', params: {}, suggestedReply: null };
+    const orch = createOrchestrator({ config: accessConfig, registry });
+    await orch.handleMessage(fakeMsg('restart tally'));
+    assert(registry.executeCalls.length === 1, 'owner should run anything');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nAudit Journal:');
+  // ═══════════════════════════════════════════════
+
+  await test('every command is journaled with tier, params and outcome', async () => {
+    reset();
+    const { AuditLog } = require('../audit-log');
+    const auditLog = new AuditLog(null);
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril' }, suggestedReply: null };
+    mockExecuteResult = { success: true, message: '📒 Ledger', data: { entries: [] } };
+    const orch = createOrchestrator({ config: mockConfig, registry: new MockRegistry(), auditLog });
+    await orch.handleMessage(fakeMsg('ledger for meril'));
+    const [entry] = auditLog.readAll();
+    assert(entry.type === 'command' && entry.chatId === '919999999999@c.us' && entry.sender === '919999999999', 'who');
+    assert(entry.text === 'ledger for meril' && entry.tier === 'openai' && entry.action === 'get_ledger', 'what');
+    assert(entry.params.party_name === 'Meril' && entry.success === true, 'params and outcome');
+    assert(entry.responseSize === replyCalls[0].text.length - '*Tathastu:*\n'.length, 'response size');
+  });
+
+  await test('write actions keep the XML sent and Tally\'s response', async () => {
+    reset();
+    const { AuditLog } = require('../audit-log');
+    const auditLog = new AuditLog(null);
+    mockParseResult = { skillId: 'tally', action: 'create_voucher', params: { party_name: 'Meril', amount: 5000 }, suggestedReply: null };
+    mockExecuteResult = { success: false, message: '❌ Voucher creation failed', _audit: { requestXml: '<VOUCHER/>', responseXml: '<ERRORS>1</ERRORS>' } };
+    const orch = createOrchestrator({ config: mockConfig, registry: new MockRegistry(), auditLog });
+    await orch.handleMessage(fakeMsg('create sales invoice for meril 5000'));
+    const [entry] = auditLog.readAll();
+    assert(entry.success === false, 'failed write is recorded as failed');
+    assert(entry.write.requestXml === '<VOUCHER/>' && entry.write.responseXml === '<ERRORS>1</ERRORS>', 'XML kept');
+  });
+
+  await test('unknown intents and errors are journaled as unsuccessful', async () => {
+    reset();
+    const { AuditLog } = require('../audit-log');
+    const auditLog = new AuditLog(null);
+    const registry = new MockRegistry();
+    registry.execute = async () => { throw new Error('boom'); };
+    const orch = createOrchestrator({ config: mockConfig, registry, auditLog });
+    await orch.handleMessage(fakeMsg('blah blah'));
+    mockParseResult = { skillId: 'tally', action: 'get_ledger', params: { party_name: 'X' }, suggestedReply: null };
+    await orch.handleMessage(fakeMsg('ledger for x'));
+    const entries = auditLog.readAll();
+    assert(entries.length === 2 && entries.every(e => e.success === false), 'both unsuccessful');
+  });
+
   // ═══════════════════════════════════════════════
   console.log('\nBot Prefix:');
   // ═══════════════════════════════════════════════
@@ -0,0 +1,258 @@
+/**
+ * Tests for src/bot/report-runner.js (scheduled report jobs).
+ * Mocks: whatsapp/client (sendToChat, sendDocumentToChat, sendToSelf), SkillRegistry.
+ *
+ * Run: node src/bot/tests/test-report-runner.js
+ */
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  return Promise.resolve().then(fn).then(() => { pass++; console.log(`  ✓ ${name}`); })
+    .catch(e => { fail++; console.log(`  ✗ ${name}: ${e.message}`); });
+}
+function assert(cond, msg) { if (!cond) throw new Error(msg || 'assertion failed'); }
+
+// ── Mock infrastructure ──
+
+const sent = []; // { to, text } | { to, filename }
+const clientPath = require.resolve('../../whatsapp/client');
+require.cache[clientPath] = {
+  id: clientPath, filename: clientPath, loaded: true,
+  exports: {
+    sendToSelf: async (client, text) => { sent.push({ to: 'self', text }); },
+    sendToChat: async (client, chatId, text) => { sent.push({ to: chatId, text }); },
+    sendDocumentToSelf: async (client, buffer, filename) => { sent.push({ to: 'self', filename }); },
+    sendDocumentToChat: async (client, chatId, buffer, filename) => { sent.push({ to: chatId, filename }); },
+  },
+};
+
+const {
+  createReportRunner, parseScheduleTime, parseScheduleDays, formatScheduleDays, lastDueTime,
+} = require('../report-runner');
+const { MemoryStore } = require('../../storage');
+
+let mockExecute = null;
+const registry = {
+  executeCalls: [],
+  async execute(skillId, action, params) {
+    this.executeCalls.push({ skillId, action, params });
+    return mockExecute(action, params);
+  },
+};
+const readyClient = { info: { wid: { _serialized: '919999999999@c.us' } } };
+
+function reset() {
+  sent.length = 0;
+  registry.executeCalls.length = 0;
+  mockExecute = (action) => ({ success: true, message: 'Report for ' + action, data: { total: 1 } });
+}
+
+function makeRunner(items, opts = {}) {
+  const store = new MemoryStore();
+  store.set('scheduledReports', { nextId: items.length + 1, items });
+  const runner = createReportRunner({
+    registry, config: opts.config || {}, client: readyClient, store,
+    resolveReport: opts.resolveReport || (async () => ({ skillId: 'tally', action: 'get_sales_report', params: { type: 'sales' } })),
+  });
+  return { runner, store };
+}
+
+// Monday 2026-10-19 09:02 local time
+const MON_0902 = new Date(2026, 9, 19, 9, 2);
+
+async function runTests() {
+  // ═══════════════════════════════════════════════
+  console.log('\nSchedule Parsing:');
+  // ═══════════════════════════════════════════════
+
+  await test('parseScheduleTime handles am/pm and 24h', () => {
+    assert(parseScheduleTime('9 AM') === '09:00', '9 AM');
+    assert(parseScheduleTime('at 6:30 pm') === '18:30', '6:30 pm');
+    assert(parseScheduleTime('17:45') === '17:45', '17:45');
+    assert(parseScheduleTime('12 am') === '00:00', '12 am');
+    assert(parseScheduleTime('9 baje') === '09:00', '9 baje');
+    assert(parseScheduleTime('soon') === null, 'no time');
+    assert(parseScheduleTime('25:00') === null, 'invalid hour');
+  });
+
+  await test('parseScheduleDays handles daily, weekdays, ranges and names', () => {
+    assert(parseScheduleDays('daily').length === 7, 'daily');
+    assert(parseScheduleDays('weekdays').join() === '1,2,3,4,5', 'weekdays');
+    assert(parseScheduleDays('mon to fri').join() === '1,2,3,4,5', 'range');
+    assert(parseScheduleDays('fri-mon').join() === '0,1,5,6', 'wrapping range');
+    assert(parseScheduleDays('monday and thursday').join() === '1,4', 'names');
+    assert(parseScheduleDays('weekly').join() === '1', 'weekly = Monday');
+    assert(parseScheduleDays([5, 1, 1]).join() === '1,5', 'array');
+    assert(parseScheduleDays('9 am').length === 7, 'no day words = daily');
+  });
+
+  await test('formatScheduleDays labels', () => {
+    assert(formatScheduleDays([0, 1, 2, 3, 4, 5, 6]) === 'daily', 'daily');
+    assert(formatScheduleDays([1, 2, 3, 4, 5]) === 'weekdays', 'weekdays');
+    assert(formatScheduleDays([1, 4]) === 'Mon, Thu', 'names');
+  });
+
+  await test('lastDueTime finds the latest matching slot', () => {
+    const due = lastDueTime({ scheduleTime: '09:00', scheduleDays: [1] }, MON_0902);
+    assert(due.getDate() === 19 && due.getHours() === 9, 'should be today 09:00');
+    const prev = lastDueTime({ scheduleTime: '10:00', scheduleDays: [1] }, MON_0902);
+    assert(prev.getDate() === 12, 'should be last Monday when today\'s slot is later');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nRunning Schedules:');
+  // ═══════════════════════════════════════════════
+
+  await test('due schedule runs and is delivered to its chat', async () => {
+    reset();
+    const { runner, store } = makeRunner([
+      { id: 1, reportAction: 'sales report', scheduleTime: '09:00', scheduleDays: [1], chatId: 'team@g.us', createdAt: '2026-10-01T00:00:00.000Z' },
+    ]);
+    await runner.checkDue(MON_0902);
+    assert(registry.executeCalls.length === 1 && registry.executeCalls[0].action === 'get_sales_report', 'should execute resolved report');
+    assert(sent.length === 1 && sent[0].to === 'team@g.us', 'should send to the creating chat');
+    assert(sent[0].text.startsWith('*Tathastu:*\n📅 *Scheduled: sales report*'), 'should have header');
+    assert(store.get('scheduledReports').items[0].lastRunAt, 'should record lastRunAt');
+
+    await runner.checkDue(new Date(MON_0902.getTime() + 60000));
+    assert(sent.length === 1, 'should not run twice for the same slot');
+  });
+
+  await test('schedule created after today\'s slot waits for the next one', async () => {
+    reset();
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'sales', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', createdAt: new Date(2026, 9, 19, 9, 1).toISOString() },
+    ]);
+    await runner.checkDue(MON_0902);
+    assert(sent.length === 0, 'should not run immediately');
+  });
+
+  await test('legacy schedule without chatId goes to Saved Messages', async () => {
+    reset();
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'sales', scheduleTime: '9 AM', scheduleDays: 'daily', createdAt: '2026-10-01T00:00:00.000Z' },
+    ]);
+    await runner.checkDue(MON_0902);
+    assert(sent.length === 1 && sent[0].to === 'self', 'should send to self');
+  });
+
+  await test('attachExcel sends the Excel export as a document', async () => {
+    reset();
+    mockExecute = (action) => action === 'export_excel'
+      ? { success: true, message: 'Excel', attachment: { buffer: Buffer.from('x'), filename: 'sales.xlsx' } }
+      : { success: true, message: 'Sales', data: { total: 5 } };
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'sales', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', attachExcel: true, createdAt: '2026-10-01T00:00:00.000Z' },
+    ]);
+    await runner.checkDue(MON_0902);
+    const exportCall = registry.executeCalls.find(c => c.action === 'export_excel');
+    assert(exportCall && exportCall.params._reportData.total === 5, 'should export the report data');
+    assert(sent.some(m => m.filename === 'sales.xlsx'), 'should send the Excel file');
+  });
+
+  await test('report without Excel support says so', async () => {
+    reset();
+    mockExecute = (action) => action === 'export_excel'
+      ? { success: false, message: 'Could not convert' }
+      : { success: true, message: 'Dashboard', data: { x: 1 } };
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'dashboard', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', attachExcel: true, createdAt: '2026-10-01T00:00:00.000Z' },
+    ]);
+    await runner.checkDue(MON_0902);
+    assert(sent.length === 1 && sent[0].text.includes('Excel is not available'), 'should note missing Excel');
+  });
+
+  await test('falls back to the saved intent when resolution fails', async () => {
+    reset();
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'receivables', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', skillId: 'tally', action: 'get_outstanding', params: { type: 'receivable' }, createdAt: '2026-10-01T00:00:00.000Z' },
+    ], { resolveReport: async () => null });
+    await runner.checkDue(MON_0902);
+    assert(registry.executeCalls[0].action === 'get_outstanding', 'should use the stored action');
+  });
+
+  const salesAccess = {
+    access: {
+      enabled: true,
+      roles: { sales: { actions: ['get_ledger', 'schedule_report'], parties: 'assigned' } },
+      users: { '919876543210': { name: 'Ravi', role: 'sales', parties: ['Meril Life Sciences'] } },
+    },
+  };
+
+  await test('a salesperson\'s schedule runs with their parties', async () => {
+    reset();
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'meril ledger', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', sender: '919876543210', createdAt: '2026-10-01T00:00:00.000Z' },
+    ], { config: salesAccess, resolveReport: async () => ({ skillId: 'tally', action: 'get_ledger', params: { party_name: 'Meril' } }) });
+    await runner.checkDue(MON_0902);
+    assert(JSON.stringify(registry.executeCalls[0].params._allowedParties) === '["Meril Life Sciences"]', 'scope passed to the skill');
+  });
+
+  await test('a report the creator\'s role no longer allows is refused at run time', async () => {
+    reset();
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'outstanding', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', sender: '919876543210', createdAt: '2026-10-01T00:00:00.000Z' },
+    ], { config: salesAccess, resolveReport: async () => ({ skillId: 'tally', action: 'get_outstanding', params: {} }) });
+    await runner.checkDue(MON_0902);
+    assert(registry.executeCalls.length === 0, 'should not run');
+    assert(sent.length === 1 && sent[0].text.includes("doesn't have access to *outstanding*"), 'should tell the chat');
+  });
+
+  await test('the owner\'s schedules run unscoped', async () => {
+    reset();
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'sales', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', sender: null, createdAt: '2026-10-01T00:00:00.000Z' },
+    ], { config: salesAccess });
+    await runner.checkDue(MON_0902);
+    assert(registry.executeCalls.length === 1 && registry.executeCalls[0].params._allowedParties === undefined, 'should run unscoped');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nMissed Runs:');
+  // ═══════════════════════════════════════════════
+
+  const afterDowntime = new Date(2026, 9, 19, 13, 0); // 4h after the 09:00 slot
+
+  await test('catch_up policy sends the missed run once', async () => {
+    reset();
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'sales', scheduleTime: '09:00', scheduleDays: [0, 1, 2, 3, 4, 5, 6], chatId: 'a@c.us', missedPolicy: 'catch_up', lastRunAt: new Date(2026, 9, 16, 9, 0).toISOString() },
+    ]);
+    await runner.checkDue(afterDowntime);
+    assert(sent.length === 1, 'should send exactly one catch-up run');
+  });
+
+  await test('skip policy drops the missed run', async () => {
+    reset();
+    const { runner, store } = makeRunner([
+      { id: 1, reportAction: 'sales', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', missedPolicy: 'skip', createdAt: '2026-10-01T00:00:00.000Z' },
+    ]);
+    await runner.checkDue(afterDowntime);
+    assert(sent.length === 0, 'should not send');
+    assert(store.get('scheduledReports').items[0].lastRunAt, 'should mark the slot handled');
+  });
+
+  await test('config.scheduler.missedPolicy sets the default', async () => {
+    reset();
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'sales', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', createdAt: '2026-10-01T00:00:00.000Z' },
+    ], { config: { scheduler: { missedPolicy: 'skip' } } });
+    await runner.checkDue(afterDowntime);
+    assert(sent.length === 0, 'should skip by default');
+  });
+
+  await test('on-time run ignores skip policy', async () => {
+    reset();
+    const { runner } = makeRunner([
+      { id: 1, reportAction: 'sales', scheduleTime: '09:00', scheduleDays: [1], chatId: 'a@c.us', missedPolicy: 'skip', createdAt: '2026-10-01T00:00:00.000Z' },
+    ]);
+    await runner.checkDue(MON_0902);
+    assert(sent.length === 1, 'should run within the grace window');
+  });
+
+  console.log(`\n${'═'.repeat(40)}`);
+  console.log(`Report runner tests: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch(e => { console.error('Fatal:', e); process.exit(1); });
@@ -0,0 +1,156 @@
+/**
+ * Tests for src/bot/scheduler.js (daily/weekly/monthly digests).
+ * Mocks: whatsapp/client (sendToSelf), SkillRegistry.
+ *
+ * Run: node src/bot/tests/test-scheduler.js
+ */
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  return Promise.resolve().then(fn).then(() => { pass++; console.log(`  ✓ ${name}`); })
+    .catch(e => { fail++; console.log(`  ✗ ${name}: ${e.message}`); });
+}
+function assert(cond, msg) { if (!cond) throw new Error(msg || 'assertion failed'); }
+
+// ── Mock infrastructure ──
+
+const sentToSelf = [];
+const clientPath = require.resolve('../../whatsapp/client');
+require.cache[clientPath] = {
+  id: clientPath, filename: clientPath, loaded: true,
+  exports: { sendToSelf: async (client, text) => { sentToSelf.push(text); return { success: true }; } },
+};
+
+const { createScheduler, buildDigest, getDigestPeriod } = require('../scheduler');
+
+// Sales/expense totals keyed by date_from so current and previous periods differ
+const totals = {};
+const registry = {
+  executeCalls: [],
+  async execute(skillId, action, params) {
+    this.executeCalls.push({ skillId, action, params });
+    switch (action) {
+      case 'get_daybook':
+        return { success: true, data: [{ type: 'Sales' }, { type: 'Sales' }, { type: 'Receipt' }] };
+      case 'get_sales_report':
+      case 'get_expense_report':
+        return { success: true, data: { total: totals[action + ':' + (params.type || '') + ':' + params.date_from] || 0, entries: [] } };
+      case 'get_cash_bank_balance':
+        return { success: true, data: { cashBalance: 1500, bankBalance: 250000 } };
+      case 'get_outstanding':
+        return { success: true, data: { total: params.type === 'receivable' ? 900000 : 300000 } };
+      default:
+        return { success: true, message: `[${action} reply]` };
+    }
+  },
+};
+const readyClient = { info: { wid: { _serialized: '919999999999@c.us' } } };
+
+function reset() {
+  sentToSelf.length = 0;
+  registry.executeCalls.length = 0;
+}
+
+// Monday 2026-10-19 and Sunday 2026-11-01
+const MON = new Date(2026, 9, 19, 9, 30);
+const NOV_1 = new Date(2026, 10, 1, 9, 30);
+
+async function runTests() {
+  // ═══════════════════════════════════════════════
+  console.log('\nPeriods:');
+  // ═══════════════════════════════════════════════
+
+  await test('weekly covers the prior Monday–Sunday and the week before', () => {
+    const p = getDigestPeriod('weekly', MON);
+    assert(p.current.from === '20261012' && p.current.to === '20261018', `got ${p.current.from}-${p.current.to}`);
+    assert(p.previous.from === '20261005' && p.previous.to === '20261011', `got ${p.previous.from}-${p.previous.to}`);
+    const sun = getDigestPeriod('weekly', new Date(2026, 9, 25));
+    assert(sun.current.from === '20261012', 'on Sunday the prior week is still Mon 12th');
+  });
+
+  await test('monthly covers the prior calendar month', () => {
+    const p = getDigestPeriod('monthly', NOV_1);
+    assert(p.current.from === '20261001' && p.current.to === '20261031', `got ${p.current.from}-${p.current.to}`);
+    assert(p.previous.from === '20260901' && p.previous.to === '20260930', `got ${p.previous.from}-${p.previous.to}`);
+    const jan = getDigestPeriod('monthly', new Date(2027, 0, 1));
+    assert(jan.current.label === 'Dec 2026' && jan.previous.label === 'Nov 2026', 'should cross the year');
+  });
+
+  await test('daily covers yesterday without a previous period', () => {
+    const p = getDigestPeriod('daily', MON);
+    assert(p.current.from === '20261018' && p.previous === null, 'should be yesterday only');
+    assert(p.title.includes('18/10/2026 (Sunday)'), 'title should name the day');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nSections:');
+  // ═══════════════════════════════════════════════
+
+  await test('default daily digest keeps the five classic sections', async () => {
+    reset();
+    totals['get_sales_report:sales:20261018'] = 45000;
+    const msg = await createScheduler({ registry, config: {}, client: readyClient }).buildDailySummary(MON);
+    assert(msg.includes('📋 *Entries:* 3 vouchers') && msg.includes('Sales: 2, Receipt: 1'), 'daybook counts');
+    assert(msg.includes('💰 *Sales:* ₹45,000'), 'sales total');
+    assert(msg.includes('🛒 *Purchase:*') && msg.includes('🏦 *Cash:* ₹1,500') && msg.includes('📥 *Receivable:* ₹9,00,000'), 'other sections');
+  });
+
+  await test('sections come from config, including raw actions', async () => {
+    reset();
+    const msg = await buildDigest(registry, 'daily', ['dashboard', 'expense_anomalies', { action: 'get_gst_summary', title: 'GST' }, 'nope'], { now: MON });
+    assert(msg.includes('[get_dashboard reply]') && msg.includes('[get_expense_anomalies reply]'), 'mapped sections');
+    assert(msg.includes('*GST*\n[get_gst_summary reply]'), 'custom action section with title');
+    assert(!registry.executeCalls.some(c => c.action === 'get_sales_report'), 'unlisted sections should not run');
+  });
+
+  await test('weekly sales section shows week-over-week delta', async () => {
+    reset();
+    totals['get_sales_report:sales:20261012'] = 150000;
+    totals['get_sales_report:sales:20261005'] = 100000;
+    const msg = await buildDigest(registry, 'weekly', ['sales', 'top_customers'], { now: MON });
+    assert(msg.startsWith('📆 *Weekly Digest — 12/10 to 18/10*'), 'title');
+    assert(msg.includes('*Sales Comparison*') && msg.includes('+₹50,000.00 (+50.0%)'), 'should show delta');
+    const top = registry.executeCalls.find(c => c.action === 'get_top_customers');
+    assert(top.params.date_from === '20261012' && top.params.date_to === '20261018', 'top customers for the week');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nSending:');
+  // ═══════════════════════════════════════════════
+
+  await test('weekly and monthly digests send once on their day', async () => {
+    reset();
+    const config = { scheduler: { summaryDays: [], weekly: { enabled: true, day: 1, time: '09:00' }, monthly: { enabled: true, time: '09:00' } } };
+    const sched = createScheduler({ registry, config, client: readyClient });
+    await sched.checkAndSend(new Date(2026, 9, 19, 8, 0));
+    assert(sentToSelf.length === 0, 'before 09:00 nothing is sent');
+    await sched.checkAndSend(MON);
+    await sched.checkAndSend(new Date(2026, 9, 19, 10, 0));
+    assert(sentToSelf.length === 1 && sentToSelf[0].includes('Weekly Digest'), 'one weekly digest on Monday');
+    await sched.checkAndSend(new Date(2026, 9, 20, 9, 30));
+    assert(sentToSelf.length === 1, 'nothing on Tuesday');
+    await sched.checkAndSend(NOV_1);
+    assert(sentToSelf.length === 2 && sentToSelf[1].includes('Monthly Digest — Oct 2026'), 'monthly digest on the 1st');
+  });
+
+  await test('weekly/monthly are off unless enabled', async () => {
+    reset();
+    const sched = createScheduler({ registry, config: { scheduler: { summaryDays: [] } }, client: readyClient });
+    await sched.checkAndSend(MON);
+    await sched.checkAndSend(NOV_1);
+    assert(sentToSelf.length === 0, 'should not send');
+  });
+
+  await test('sendNow sends the requested digest', async () => {
+    reset();
+    const sched = createScheduler({ registry, config: {}, client: readyClient });
+    const res = await sched.sendNow('monthly');
+    assert(res.success && sentToSelf[0].includes('Monthly Digest'), 'should send monthly');
+  });
+
+  console.log(`\n${'═'.repeat(40)}`);
+  console.log(`Scheduler tests: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch(e => { console.error('Fatal:', e); process.exit(1); });
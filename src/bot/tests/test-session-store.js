@@ -0,0 +1,162 @@
+/**
+ * Tests for src/bot/session-store.js (per-chat conversation state).
+ *
+ * Run: node src/bot/tests/test-session-store.js
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionStore, resolveSessionPath } = require('../session-store');
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  try {
+    fn();
+    pass++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    fail++;
+    console.log(`  ✗ ${name}: ${e.message}`);
+  }
+}
+
+const tmpFiles = [];
+function tmpFile() {
+  const f = path.join(os.tmpdir(), `_tmp_sessions_${tmpFiles.length}_${Date.now()}.json`);
+  tmpFiles.push(f);
+  return f;
+}
+
+console.log('\nSessionStore:');
+
+test('get creates an empty session per chat', () => {
+  const store = new SessionStore(null);
+  const s = store.get('91111@c.us');
+  assert.deepStrictEqual(s.history, []);
+  assert.strictEqual(s.lastAction, null);
+  assert.strictEqual(s.lastPage, 1);
+  assert.strictEqual(store.size(), 1);
+});
+
+test('sessions are isolated by chat ID', () => {
+  const store = new SessionStore(null);
+  store.get('a@c.us').lastAction = 'get_vouchers';
+  store.get('b@g.us').lastAction = 'list_ledgers';
+  assert.strictEqual(store.get('a@c.us').lastAction, 'get_vouchers');
+  assert.strictEqual(store.get('b@g.us').lastAction, 'list_ledgers');
+  assert.strictEqual(store.size(), 2);
+});
+
+test('get returns the same live object on repeat calls', () => {
+  const store = new SessionStore(null);
+  const s = store.get('a@c.us');
+  s.lastPage = 4;
+  assert.strictEqual(store.get('a@c.us'), s);
+});
+
+test('clear removes a chat session', () => {
+  const store = new SessionStore(null);
+  store.get('a@c.us');
+  assert.strictEqual(store.clear('a@c.us'), true);
+  assert.strictEqual(store.clear('a@c.us'), false);
+  assert.strictEqual(store.size(), 0);
+});
+
+test('flush + load round-trips sessions to disk', () => {
+  const file = tmpFile();
+  const store = new SessionStore(file);
+  store.load();
+  const s = store.get('a@c.us');
+  s.lastAction = 'get_ledger';
+  s.lastParams = { party_name: 'Meril' };
+  s.lastSuggestions = [{ name: 'Meril Pharma' }];
+  s.history.push({ role: 'user', content: 'ledger for meril' });
+  store.save('a@c.us');
+  store.flush();
+
+  const reloaded = new SessionStore(file);
+  reloaded.load();
+  const r = reloaded.get('a@c.us');
+  assert.strictEqual(r.lastAction, 'get_ledger');
+  assert.deepStrictEqual(r.lastParams, { party_name: 'Meril' });
+  assert.strictEqual(r.lastSuggestions[0].name, 'Meril Pharma');
+  assert.strictEqual(r.history.length, 1);
+  assert.ok(r.updatedAt, 'save should stamp updatedAt');
+});
+
+test('last report data stays in memory', () => {
+  const file = tmpFile();
+  const store = new SessionStore(file);
+  const s = store.get('a@c.us');
+  s.lastReportData = { entries: [{ name: 'Meril', amount: 5000 }] };
+  s.lastReportName = 'outstanding';
+  store.save('a@c.us');
+  store.flush();
+  assert.ok(!fs.readFileSync(file, 'utf-8').includes('Meril'), 'report not written');
+  assert.strictEqual(store.get('a@c.us').lastReportName, 'outstanding');
+
+  const reloaded = new SessionStore(file);
+  reloaded.load();
+  assert.strictEqual(reloaded.get('a@c.us').lastReportData, null);
+  assert.strictEqual(reloaded.get('a@c.us').lastReportName, '');
+});
+
+test('load drops sessions idle longer than ttlHours', () => {
+  const file = tmpFile();
+  const old = new Date(Date.now() - 3 * 3600 * 1000).toISOString();
+  const fresh = new Date().toISOString();
+  fs.writeFileSync(file, JSON.stringify({ version: 1, sessions: {
+    'old@c.us': { lastAction: 'get_vouchers', updatedAt: old },
+    'new@c.us': { lastAction: 'list_ledgers', updatedAt: fresh },
+  } }));
+  const store = new SessionStore(file, { ttlHours: 1 });
+  store.load();
+  assert.strictEqual(store.size(), 1);
+  assert.strictEqual(store.get('new@c.us').lastAction, 'list_ledgers');
+});
+
+test('load from corrupted JSON starts empty', () => {
+  const file = tmpFile();
+  fs.writeFileSync(file, '{not json', 'utf-8');
+  const store = new SessionStore(file);
+  const origWarn = console.warn;
+  console.warn = () => {};
+  try { store.load(); } finally { console.warn = origWarn; }
+  assert.strictEqual(store.size(), 0);
+});
+
+test('in-memory store (null path) never writes', () => {
+  const store = new SessionStore(null);
+  store.get('a@c.us');
+  store.save('a@c.us');
+  store.flush();
+  assert.strictEqual(store._persistTimer, null);
+});
+
+console.log('\nresolveSessionPath:');
+
+test('defaults to data/sessions.json under cwd', () => {
+  assert.strictEqual(resolveSessionPath({}), path.resolve(process.cwd(), 'data', 'sessions.json'));
+});
+
+test('uses config.sessions.path', () => {
+  assert.strictEqual(resolveSessionPath({ sessions: { path: 'tmp/s.json' } }), path.resolve(process.cwd(), 'tmp', 's.json'));
+});
+
+test('adds tenant suffix for multi-tenant runs', () => {
+  assert.strictEqual(resolveSessionPath({}, 'emp1'), path.resolve(process.cwd(), 'data', 'sessions-emp1.json'));
+});
+
+test('returns null when persist is false', () => {
+  assert.strictEqual(resolveSessionPath({ sessions: { persist: false } }), null);
+});
+
+for (const f of tmpFiles) {
+  try { fs.unlinkSync(f); } catch (e) { /* ignore */ }
+}
+
+console.log(`\nSession store tests: ${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
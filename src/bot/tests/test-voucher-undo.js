@@ -0,0 +1,76 @@
+/**
+ * Tests for src/bot/voucher-undo.js (record of bot-created vouchers, undo window).
+ *
+ * Run: node src/bot/tests/test-voucher-undo.js
+ */
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  return Promise.resolve().then(fn).then(() => { pass++; console.log(`  ✓ ${name}`); })
+    .catch(e => { fail++; console.log(`  ✗ ${name}: ${e.message}`); });
+}
+function assert(cond, msg) { if (!cond) throw new Error(msg || 'assertion failed'); }
+
+const { MemoryStore } = require('../../storage/memory-store');
+const { recordCreatedVoucher, findUndoableVoucher, markVoucherUndone, undoVoucherParams } = require('../voucher-undo');
+
+const CHAT = '919999999999@c.us';
+const at = (min) => new Date(2026, 9, 19, 10, min);
+
+function storeWith(...vouchers) {
+  const store = new MemoryStore();
+  vouchers.forEach(([number, min, chatId]) => recordCreatedVoucher(store, {
+    voucherData: { type: 'Sales', party: 'Meril', amount: 5000, date: '2026-10-19' },
+    voucherNumber: number, chatId: chatId || CHAT, sender: '919999999999', now: at(min),
+  }));
+  return store;
+}
+
+async function runTests() {
+  // ═══════════════════════════════════════════════
+  console.log('\nRecord and find:');
+  // ═══════════════════════════════════════════════
+
+  await test('records what was posted, with a YYYYMMDD date', () => {
+    const store = new MemoryStore();
+    const rec = recordCreatedVoucher(store, { voucherData: { type: 'Receipt', party: 'ABC', amount: 10 }, masterId: '55', chatId: CHAT, now: at(0) });
+    assert(rec.date === '20261019' && rec.masterId === '55' && rec.voucherNumber === null, 'date defaults to today');
+    assert(store.get('createdVouchers').length === 1, 'stored');
+  });
+
+  await test('last voucher is this chat\'s newest one', () => {
+    const store = storeWith(['1', 0], ['2', 5], ['3', 6, 'other@g.us']);
+    const found = findUndoableVoucher(store, { chatId: CHAT, now: at(10) });
+    assert(found.voucher.voucherNumber === '2', 'other chats are ignored');
+    assert(findUndoableVoucher(store, { voucherNumber: '#1', chatId: CHAT, now: at(10) }).voucher.voucherNumber === '1', 'by number');
+    assert(findUndoableVoucher(store, { voucherNumber: '3', chatId: CHAT, now: at(10) }).error.includes("wasn't created by me"), 'other chat by number');
+  });
+
+  await test('window and undone vouchers are refused', () => {
+    const store = storeWith(['1', 0]);
+    assert(findUndoableVoucher(store, { chatId: CHAT, windowMinutes: 15, now: at(20) }).error.includes('within 15 minutes'), 'too old');
+    const { voucher } = findUndoableVoucher(store, { chatId: CHAT, now: at(20) });
+    markVoucherUndone(store, voucher, 'cancel', at(21));
+    assert(findUndoableVoucher(store, { voucherNumber: '1', chatId: CHAT, now: at(22) }).error.includes('already cancelled'), 'undone once');
+    assert(findUndoableVoucher(store, { chatId: CHAT, now: at(22) }).error.includes('no voucher'), 'nothing left');
+  });
+
+  await test('a MasterID finds that record, not the latest', () => {
+    const store = new MemoryStore();
+    ['41', '42'].forEach((masterId, i) => recordCreatedVoucher(store, { voucherData: { type: 'Sales', party: 'Meril', amount: 5 }, masterId, chatId: CHAT, now: at(i) }));
+    assert(findUndoableVoucher(store, { masterId: '41', chatId: CHAT, now: at(5) }).voucher.masterId === '41', 'by MasterID');
+    assert(findUndoableVoucher(store, { masterId: '43', chatId: CHAT, now: at(5) }).error.includes("wasn't created by me"), 'unknown MasterID');
+  });
+
+  await test('undoVoucherParams maps a record to the skill action', () => {
+    const { voucher } = findUndoableVoucher(storeWith(['9', 0]), { chatId: CHAT, now: at(1) });
+    const p = undoVoucherParams(voucher, 'delete');
+    assert(p.voucher_number === '9' && p.voucher_type === 'Sales' && p.party_name === 'Meril' && p.date === '20261019' && p.mode === 'delete', 'params');
+  });
+
+  console.log(`\n${'═'.repeat(40)}`);
+  console.log(`Voucher undo tests: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch(e => { console.error('Fatal:', e); process.exit(1); });
@@ -0,0 +1,209 @@
+/**
+ * Tests for src/bot/voucher-watch.js and the event alerts in src/bot/alerts.js.
+ * Mocks: whatsapp/client (sendToSelf), SkillRegistry (get_daybook).
+ *
+ * Run: node src/bot/tests/test-voucher-watch.js
+ */
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  return Promise.resolve().then(fn).then(() => { pass++; console.log(`  ✓ ${name}`); })
+    .catch(e => { fail++; console.log(`  ✗ ${name}: ${e.message}`); });
+}
+function assert(cond, msg) { if (!cond) throw new Error(msg || 'assertion failed'); }
+
+// ── Mock infrastructure ──
+
+const sentToSelf = [];
+const clientPath = require.resolve('../../whatsapp/client');
+require.cache[clientPath] = {
+  id: clientPath, filename: clientPath, loaded: true,
+  exports: {
+    sendToSelf: async (client, text) => { sentToSelf.push(text); return { success: true }; },
+    sendToChat: async () => {},
+    sendDocumentToChat: async () => {},
+    sendDocumentToSelf: async () => {},
+  },
+};
+
+const { createVoucherWatcher, diffVouchers } = require('../voucher-watch');
+const { createAlertManager } = require('../alerts');
+const { MemoryStore } = require('../../storage');
+
+let daybook = [];
+let failedChunks = null; // days get_daybook could not read, when set
+const registry = {
+  executeCalls: [],
+  async execute(skillId, action, params) {
+    this.executeCalls.push({ skillId, action, params });
+    return failedChunks ? { success: true, data: daybook, partial: true, failedChunks } : { success: true, data: daybook };
+  },
+};
+const readyClient = { info: { wid: { _serialized: '919999999999@c.us' } } };
+
+function vch(masterId, alterId, extra = {}) {
+  return Object.assign({ masterId, alterId, date: '20261019', type: 'Sales', number: 'S' + masterId, amount: -1000, party: 'Meril' }, extra);
+}
+
+function reset() {
+  sentToSelf.length = 0;
+  registry.executeCalls.length = 0;
+  daybook = [];
+  failedChunks = null;
+}
+
+const NOW = new Date(2026, 9, 19, 11, 0);
+const LATER = new Date(2026, 9, 19, 11, 2);
+
+async function runTests() {
+  // ═══════════════════════════════════════════════
+  console.log('\nDiff:');
+  // ═══════════════════════════════════════════════
+
+  await test('new, altered and deleted vouchers become events', () => {
+    const state = { lastMasterId: 3, known: { 1: vch(1, 10), 2: vch(2, 11), 3: vch(3, 12) } };
+    const events = diffVouchers(state, [vch(1, 10), vch(2, 15, { amount: -2000 }), vch(4, 16)], '20261012');
+    const kinds = events.map(e => e.kind + ':' + e.voucher.masterId).sort();
+    assert(kinds.join() === 'altered:2,deleted:3,new:4', 'got ' + kinds.join());
+    assert(events.find(e => e.kind === 'altered').before.amount === -1000, 'altered keeps the old voucher');
+  });
+
+  await test('unknown vouchers below the last MasterID are not new', () => {
+    const events = diffVouchers({ lastMasterId: 50, known: {} }, [vch(20, 20, { date: '20260101' })], '20260101');
+    assert(events.length === 0, 'should ignore vouchers from outside the remembered window');
+  });
+
+  await test('known vouchers dated before the fetched range are not deleted', () => {
+    const events = diffVouchers({ lastMasterId: 1, known: { 1: vch(1, 1, { date: '20261001' }) } }, [], '20261012');
+    assert(events.length === 0, 'should not report deletion');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nPolling:');
+  // ═══════════════════════════════════════════════
+
+  await test('first poll records a baseline without events', async () => {
+    reset();
+    const store = new MemoryStore();
+    const watcher = createVoucherWatcher({ registry, config: {}, store });
+    daybook = [vch(1, 1), vch(2, 2)];
+    const events = await watcher.poll(NOW);
+    assert(events.length === 0, 'baseline should not fire');
+    const state = store.get('voucherWatch');
+    assert(state.lastMasterId === 2 && state.lastDate === '20261019', 'should remember the last voucher');
+    const call = registry.executeCalls[0];
+    assert(call.action === 'get_daybook' && call.params._with_ledgers && call.params.date_from === '20261012', 'should fetch the lookback window');
+  });
+
+  await test('next poll reports changes since the last check', async () => {
+    reset();
+    const store = new MemoryStore();
+    const watcher = createVoucherWatcher({ registry, config: {}, store });
+    daybook = [vch(1, 1), vch(2, 2)];
+    await watcher.poll(NOW);
+    daybook = [vch(1, 1), vch(3, 3)];
+    const events = await watcher.poll(LATER);
+    assert(events.map(e => e.kind).sort().join() === 'deleted,new', 'should see one new and one deleted');
+    assert(store.get('voucherWatch').lastMasterId === 3, 'should advance lastMasterId');
+  });
+
+  await test('a day book Tally only partly answered reports no deletions and keeps what it missed', async () => {
+    reset();
+    const store = new MemoryStore();
+    const watcher = createVoucherWatcher({ registry, config: {}, store });
+    daybook = [vch(1, 1), vch(2, 2, { date: '20261018' })];
+    await watcher.poll(NOW);
+    daybook = [vch(1, 1), vch(3, 3)];
+    failedChunks = [{ from: '20261018', to: '20261018' }];
+    const events = await watcher.poll(LATER);
+    assert(events.map(e => e.kind).join() === 'new', `only the new voucher, got ${events.map(e => e.kind)}`);
+    assert(store.get('voucherWatch').known[2], 'voucher 2 still remembered');
+    failedChunks = null;
+    const next = await watcher.poll(new Date(2026, 9, 19, 11, 4));
+    assert(next.map(e => e.kind).join() === 'deleted' && next[0].voucher.masterId === 2, 'a complete fetch judges it');
+  });
+
+  await test('after downtime the fetch starts from the last poll', async () => {
+    reset();
+    const store = new MemoryStore();
+    store.set('voucherWatch', { lastDate: '20260901', lastMasterId: 5, polledAt: new Date(2026, 8, 1).toISOString(), known: {} });
+    const watcher = createVoucherWatcher({ registry, config: { alerts: { watch: { lookbackDays: 3 } } }, store });
+    await watcher.poll(NOW);
+    assert(registry.executeCalls[0].params.date_from === '20260901', 'should go back to the last poll');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nEvent Alerts:');
+  // ═══════════════════════════════════════════════
+
+  await test('event alerts validate their parameters', () => {
+    const mgr = createAlertManager({ registry, config: {}, client: null, store: new MemoryStore() });
+    assert(mgr.addAlert({ type: 'voucher_deleted' }).success, 'deleted needs no threshold');
+    assert(mgr.addAlert({ type: 'cash_payment_above' }).data.threshold === 10000, 'cash payment defaults to 10000');
+    assert(!mgr.addAlert({ type: 'payment_to_party' }).success, 'payment alert needs a party');
+    assert(!mgr.addAlert({ type: 'sale_above' }).success, 'sale alert needs an amount');
+    const off = createAlertManager({ registry, config: { alerts: { watch: { enabled: false } } }, client: null });
+    assert(!off.addAlert({ type: 'voucher_deleted' }).success, 'watch disabled should refuse event alerts');
+  });
+
+  await test('sale_above fires per matching voucher after the baseline', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient, store: new MemoryStore() });
+    mgr.addAlert({ type: 'sale_above', threshold: 100000 });
+    daybook = [vch(1, 1)];
+    await mgr.checkEvents(NOW);
+    assert(sentToSelf.length === 0, 'baseline should not notify');
+    daybook = [vch(1, 1), vch(2, 2, { amount: -150000, number: 'S9' }), vch(3, 3, { amount: -5000 })];
+    await mgr.checkEvents(LATER);
+    assert(sentToSelf.length === 1, 'should notify once');
+    assert(sentToSelf[0].includes('🧾 New sale: Sales #S9 — ₹1,50,000 — Meril (19-10-2026)'), 'should describe the voucher');
+    assert(!sentToSelf[0].includes('#S3'), 'small sale should not be listed');
+  });
+
+  await test('cash payment and payment-to-party rules', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient, store: new MemoryStore() });
+    mgr.addAlert({ type: 'cash_payment_above' });
+    mgr.addAlert({ type: 'payment_to_party', target: 'ravi' });
+    daybook = [];
+    await mgr.checkEvents(NOW);
+    daybook = [
+      vch(5, 5, { type: 'Payment', amount: 25000, party: 'Ravi Transport', ledgers: [{ name: 'Ravi Transport', amount: -25000 }, { name: 'Cash', amount: 25000 }] }),
+      vch(6, 6, { type: 'Payment', amount: 40000, party: 'ABC', ledgers: [{ name: 'ABC', amount: -40000 }, { name: 'HDFC Bank', amount: 40000 }] }),
+    ];
+    await mgr.checkEvents(LATER);
+    assert(sentToSelf.length === 2, 'both rules should fire');
+    assert(sentToSelf[0].includes('💵 Cash payment') && !sentToSelf[0].includes('ABC'), 'bank payment is not cash');
+    assert(sentToSelf[1].includes('💸 Payment made') && sentToSelf[1].includes('Ravi Transport'), 'should match the party');
+  });
+
+  await test('deleted and altered vouchers are reported', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient, store: new MemoryStore() });
+    mgr.addAlert({ type: 'voucher_deleted' });
+    mgr.addAlert({ type: 'voucher_altered' });
+    daybook = [vch(1, 1), vch(2, 2)];
+    await mgr.checkEvents(NOW);
+    daybook = [vch(2, 7, { amount: -900 })];
+    await mgr.checkEvents(LATER);
+    assert(sentToSelf.some(m => m.includes('🗑️ Voucher deleted: Sales #S1')), 'should report deletion');
+    assert(sentToSelf.some(m => m.includes('✏️ Voucher altered: Sales #S2') && m.includes('was ₹1,000')), 'should report alteration with old amount');
+  });
+
+  await test('threshold check skips event alerts and no poll without event alerts', async () => {
+    reset();
+    const mgr = createAlertManager({ registry, config: {}, client: readyClient, store: new MemoryStore() });
+    mgr.addAlert({ type: 'voucher_deleted' });
+    await mgr.checkAlerts(NOW);
+    assert(registry.executeCalls.length === 0, 'checkAlerts should not fetch for event alerts');
+    mgr.removeAlert(1);
+    await mgr.checkEvents(NOW);
+    assert(registry.executeCalls.length === 0, 'should not poll without event alerts');
+  });
+
+  console.log(`\n${'═'.repeat(40)}`);
+  console.log(`Voucher watch tests: ${pass} passed, ${fail} failed`);
+  if (fail > 0) process.exit(1);
+}
+
+runTests().catch(e => { console.error('Fatal:', e); process.exit(1); });
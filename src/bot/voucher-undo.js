@@ -0,0 +1,127 @@
+/**
+ * Undo for vouchers the bot posted — "undo last voucher", "cancel voucher #123".
+ *
+ * Every voucher create_voucher posts is remembered in the data store (collection "createdVouchers", newest last).
+ * Undo only reaches those: vouchers created from the same chat, within config.undo.windowMinutes (default 60),
+ * not already undone. Anything else has to be changed in Tally itself.
+ *
+ * Record: { voucherNumber, masterId, type, party, amount, date: YYYYMMDD, company, chatId, sender, createdAt, undoneAt?, undoMode? }
+ * company is set when the voucher went to a named company (params.company) rather than Tally's active one.
+ */
+
+const DEFAULT_UNDO_WINDOW_MINUTES = 60;
+const MAX_CREATED_VOUCHERS = 100;
+const COLLECTION = 'createdVouchers';
+
+function localDateStr(d) {
+  return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function normaliseNumber(n) {
+  return String(n == null ? '' : n).replace(/^#/, '').trim().toLowerCase();
+}
+
+/**
+ * Remember a voucher the bot just posted.
+ * @param {object} store - Data store (src/storage)
+ * @param {object} opts
+ * @param {object} opts.voucherData - create_voucher's { type, party, amount, date, gst? } (Journal/Contra have no party)
+ * @param {string} [opts.voucherNumber]
+ * @param {string} [opts.masterId]
+ * @param {string} [opts.company] - params.company of the create_voucher call
+ * @param {string} opts.chatId
+ * @param {string} [opts.sender]
+ * @param {Date} [opts.now]
+ * @returns {object} The stored record
+ */
+function recordCreatedVoucher(store, { voucherData, voucherNumber, masterId, company, chatId, sender, now = new Date() }) {
+  const record = {
+    voucherNumber: voucherNumber || null,
+    masterId: masterId || null,
+    type: voucherData.type,
+    party: voucherData.party,
+    amount: voucherData.gst ? voucherData.gst.total : voucherData.amount,
+    date: voucherData.date ? String(voucherData.date).replace(/-/g, '') : localDateStr(now),
+    company: company || null,
+    chatId,
+    sender: sender || null,
+    createdAt: now.toISOString(),
+  };
+  const list = store.get(COLLECTION, []).concat(record).slice(-MAX_CREATED_VOUCHERS);
+  store.set(COLLECTION, list);
+  return record;
+}
+
+/**
+ * Find the voucher an undo request refers to: by Tally MasterID, by number, or the chat's latest.
+ * @param {object} store
+ * @param {object} opts
+ * @param {string} [opts.masterId] - The record a confirmed undo previewed; wins over voucherNumber
+ * @param {string} [opts.voucherNumber] - Omit both for "the last one"
+ * @param {string} opts.chatId
+ * @param {number} [opts.windowMinutes]
+ * @param {Date} [opts.now]
+ * @returns {{ voucher: object } | { error: string }}
+ */
+function findUndoableVoucher(store, { masterId, voucherNumber, chatId, windowMinutes = DEFAULT_UNDO_WINDOW_MINUTES, now = new Date() }) {
+  const mine = store.get(COLLECTION, []).filter(v => v.chatId === chatId);
+  let voucher;
+  if (masterId) {
+    voucher = mine.slice().reverse().find(v => String(v.masterId) === String(masterId));
+    if (!voucher) return { error: "🔍 That voucher wasn't created by me in this chat — I can only undo vouchers I posted. Please change it in Tally." };
+  } else if (voucherNumber) {
+    const wanted = normaliseNumber(voucherNumber);
+    voucher = mine.slice().reverse().find(v => normaliseNumber(v.voucherNumber) === wanted);
+    if (!voucher) return { error: `🔍 Voucher #${normaliseNumber(voucherNumber)} wasn't created by me in this chat — I can only undo vouchers I posted. Please change it in Tally.` };
+  } else {
+    voucher = mine.slice().reverse().find(v => !v.undoneAt);
+    if (!voucher) return { error: '📭 There is no voucher I created in this chat to undo.' };
+  }
+  const label = voucher.voucherNumber ? `#${voucher.voucherNumber}` : voucher.party ? `for ${voucher.party}` : `of ₹${voucher.amount}`;
+  if (voucher.undoneAt) {
+    return { error: `ℹ️ ${voucher.type} voucher ${label} was already ${voucher.undoMode === 'cancel' ? 'cancelled' : 'deleted'}.` };
+  }
+  const ageMinutes = (now.getTime() - new Date(voucher.createdAt).getTime()) / 60000;
+  if (!(ageMinutes <= windowMinutes)) {
+    return { error: `⌛ ${voucher.type} voucher ${label} was posted more than ${windowMinutes} minutes ago — undo only works within ${windowMinutes} minutes. Please change it in Tally.` };
+  }
+  if (!voucher.voucherNumber && !voucher.masterId) {
+    return { error: `❌ Tally didn't return a number for the ${voucher.type} voucher ${label}, so I can't find it to undo. Please change it in Tally.` };
+  }
+  return { voucher };
+}
+
+/**
+ * Mark a record as undone so it can't be undone twice.
+ * @param {object} store
+ * @param {object} voucher - Record returned by findUndoableVoucher
+ * @param {'delete'|'cancel'} mode
+ * @param {Date} [now]
+ */
+function markVoucherUndone(store, voucher, mode, now = new Date()) {
+  const list = store.get(COLLECTION, []).map(v =>
+    v.createdAt === voucher.createdAt && v.chatId === voucher.chatId
+      ? Object.assign({}, v, { undoneAt: now.toISOString(), undoMode: mode })
+      : v);
+  store.set(COLLECTION, list);
+}
+
+/**
+ * Parameters for the tally skill's undo_voucher action.
+ * @param {object} voucher - Record returned by findUndoableVoucher
+ * @param {'delete'|'cancel'} mode
+ * @returns {object}
+ */
+function undoVoucherParams(voucher, mode) {
+  const params = {
+    voucher_number: voucher.voucherNumber, master_id: voucher.masterId, voucher_type: voucher.type,
+    party_name: voucher.party, amount: voucher.amount, date: voucher.date, mode,
+  };
+  if (voucher.company) params.company = voucher.company;
+  return params;
+}
+
+module.exports = {
+  DEFAULT_UNDO_WINDOW_MINUTES,
+  recordCreatedVoucher, findUndoableVoucher, markVoucherUndone, undoVoucherParams,
+};
@@ -0,0 +1,120 @@
+/**
+ * Voucher watcher — polls the Tally day book and turns changes into events for event alerts.
+ *
+ * Tally gives every voucher a MasterID (stable) and an AlterID (bumped on every save), so comparing
+ * the vouchers fetched now with the ones seen last time yields:
+ *   - { kind: 'new', voucher }              MasterID higher than the last one seen
+ *   - { kind: 'altered', voucher, before }  same MasterID, different AlterID
+ *   - { kind: 'deleted', voucher }          seen before, date inside the fetched range, now gone
+ * When Tally skipped some days of the fetch (get_daybook's partial flag) nothing is judged deleted
+ * and the vouchers not seen are kept for the next poll.
+ *
+ * State (data store collection "voucherWatch"): { lastDate, lastMasterId, polledAt, known: { [masterId]: voucher } }
+ * Only vouchers dated within the lookback window are remembered. The first poll just records a baseline.
+ *
+ * Config (config.alerts.watch): { enabled: true, intervalMinutes: 2, lookbackDays: 7 }
+ *
+ * Usage:
+ *   const watcher = createVoucherWatcher({ registry, config, store, onLog });
+ *   const events = await watcher.poll(); // [] on the first run
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toTallyDate(d) {
+  return d.getFullYear() + String(d.getMonth() + 1).padStart(2, '0') + String(d.getDate()).padStart(2, '0');
+}
+
+// Keep only what the alert messages need
+function summarize(v) {
+  const out = { masterId: v.masterId, alterId: v.alterId, date: v.date, type: v.type, number: v.number, amount: v.amount, party: v.party || '' };
+  if (v.ledgers) out.ledgers = v.ledgers;
+  return out;
+}
+
+/**
+ * Compare a fresh day book fetch with the state saved by the last poll.
+ * @param {{ known: Object<string, object>, lastMasterId: number }} state
+ * @param {object[]} vouchers - Parsed vouchers (with masterId/alterId)
+ * @param {string} fromDate - Start of the fetched range (YYYYMMDD); older known vouchers can't be judged deleted
+ * @param {{ partial?: boolean }} [options] - partial: the fetch missed some days, so a missing voucher proves nothing
+ * @returns {object[]} events
+ */
+function diffVouchers(state, vouchers, fromDate, { partial = false } = {}) {
+  const known = state.known || {};
+  const lastMasterId = state.lastMasterId || 0;
+  const events = [];
+  const seen = new Set();
+  for (const v of vouchers) {
+    if (!v.masterId) continue;
+    const key = String(v.masterId);
+    seen.add(key);
+    const before = known[key];
+    // Unknown but older than the last seen MasterID = simply outside the remembered window
+    if (!before) { if (v.masterId > lastMasterId) events.push({ kind: 'new', voucher: summarize(v) }); }
+    else if (v.alterId && before.alterId && v.alterId !== before.alterId) events.push({ kind: 'altered', voucher: summarize(v), before });
+  }
+  if (partial) return events;
+  for (const [key, v] of Object.entries(known)) {
+    if (!seen.has(key) && v.date && v.date >= fromDate) events.push({ kind: 'deleted', voucher: v });
+  }
+  return events;
+}
+
+function createVoucherWatcher({ registry, config, store, onLog }) {
+  const log = onLog || (() => {});
+  const watchConfig = (config && config.alerts && config.alerts.watch) || {};
+  const lookbackDays = Math.max(1, parseInt(watchConfig.lookbackDays, 10) || 7);
+  const COLLECTION = 'voucherWatch';
+
+  function getState() { return store ? store.get(COLLECTION, null) : null; }
+  function setState(state) { if (store) store.set(COLLECTION, state); }
+
+  /** Forget everything so the next poll records a fresh baseline (no flood of "new" events). */
+  function reset() { setState(null); }
+
+  /**
+   * Fetch the day book since the last seen voucher and return what changed.
+   * @param {Date} [now]
+   * @returns {Promise<object[]>}
+   */
+  async function poll(now = new Date()) {
+    const state = getState();
+    const windowStart = toTallyDate(new Date(now.getTime() - lookbackDays * DAY_MS));
+    // Back-dated entries are common, so always re-read the whole lookback window (and back to the last poll after downtime)
+    const lastPolled = state && state.polledAt ? toTallyDate(new Date(state.polledAt)) : windowStart;
+    const fromDate = lastPolled < windowStart ? lastPolled : windowStart;
+    const toDate = toTallyDate(now);
+
+    const result = await registry.execute('tally', 'get_daybook', { date_from: fromDate, date_to: toDate, limit: 0, _with_ledgers: true });
+    if (!result.success || !Array.isArray(result.data)) {
+      log('[watch] Day book fetch failed: ' + (result.message || 'no data'));
+      return [];
+    }
+    const vouchers = result.data.filter(v => v.masterId);
+    const partial = !!result.partial;
+    if (partial) log('[watch] Day book incomplete (' + (result.failedChunks || []).length + ' day(s) not read) — deletions not checked');
+    const events = state ? diffVouchers(state, vouchers, fromDate, { partial }) : [];
+
+    const nextKnown = {};
+    // Vouchers on the days Tally skipped may still be there: remember them until a complete fetch says otherwise
+    if (partial && state) {
+      for (const [key, v] of Object.entries(state.known || {})) if (v.date >= windowStart) nextKnown[key] = v;
+    }
+    let lastDate = state ? state.lastDate : null;
+    let lastMasterId = state ? state.lastMasterId || 0 : 0;
+    for (const v of vouchers) {
+      if (v.date >= windowStart) nextKnown[v.masterId] = summarize(v);
+      if (v.masterId > lastMasterId) { lastMasterId = v.masterId; lastDate = v.date; }
+    }
+    setState({ lastDate: lastDate || toDate, lastMasterId, polledAt: now.toISOString(), known: nextKnown });
+
+    if (!state) log('[watch] Baseline recorded: ' + vouchers.length + ' voucher(s) since ' + fromDate);
+    else if (events.length) log('[watch] ' + events.length + ' change(s) in the day book');
+    return events;
+  }
+
+  return { poll, reset, getState };
+}
+
+module.exports = { createVoucherWatcher, diffVouchers };
@@ -13,14 +13,28 @@ if (!process.env.OPENAI_API_KEY) {
 const QRCode = require('qrcode');
 const { loadConfig } = require('./config/load');
 const { createOrchestrator } = require('./bot/orchestrator');
+const { SessionStore, resolveSessionPath } = require('./bot/session-store');
+const { AuditLog, resolveAuditPath, searchAuditLogs, auditToCsv } = require('./bot/audit-log');
+const { createStore, exportBundle, importBundle } = require('./storage');
 const { createClient, initialize } = require('./whatsapp/client');
 const { start: startUi } = require('./ui/server');
+const { loadInvoiceTemplates, listInvoiceTemplates, previewInvoiceTemplate } = require('./skills/tally/tdl/invoice-templates');
+const { configureResponseCache, responseCacheStats, clearResponseCache } = require('./skills/tally/tdl/response-cache');
 
-async function runSingleTenant(config, ui, allClients) {
+async function runSingleTenant(config, ui, allClients, allSessionStores, dataStores, auditLogs) {
   const sessionDir = process.env.MPBOT_SESSION_DIR || '.wwebjs_auth';
   const sessionPath = path.isAbsolute(sessionDir) ? sessionDir : path.join(cwd, sessionDir);
   let waClient = null;
   let orchestrator = null;
+  // Chat sessions outlive WhatsApp client restarts (reset handler below)
+  const chatSessions = new SessionStore(resolveSessionPath(config), { ttlHours: config.sessions?.ttlHours });
+  chatSessions.load();
+  allSessionStores.push(chatSessions);
+  // Alerts, credit limits and schedules — one store shared by every client restart
+  const dataStore = createStore(config);
+  dataStores.default = dataStore;
+  const auditLog = new AuditLog(resolveAuditPath(config));
+  auditLogs.default = auditLog;
 
   async function startClient() {
     waClient = createClient({
@@ -55,6 +69,9 @@ async function runSingleTenant(config, ui, allClients) {
     orchestrator = createOrchestrator({
       config,
       client: waClient,
+      sessionStore: chatSessions,
+      store: dataStore,
+      auditLog,
       onLog: (text) => ui.addLog(text),
     });
     ui.addLog('Launching Chrome & connecting to WhatsApp…');
@@ -101,9 +118,16 @@ async function runSingleTenant(config, ui, allClients) {
   });
 }
 
-async function runMultiTenant(config, ui, allClients) {
+async function runMultiTenant(config, ui, allClients, allSessionStores, dataStores, auditLogs) {
   const tenantList = config.tenants;
   for (const tenant of tenantList) {
+    const chatSessions = new SessionStore(resolveSessionPath(config, tenant.id), { ttlHours: config.sessions?.ttlHours });
+    chatSessions.load();
+    allSessionStores.push(chatSessions);
+    const dataStore = createStore(config, tenant.id);
+    dataStores[tenant.id] = dataStore;
+    const auditLog = new AuditLog(resolveAuditPath(config, tenant.id));
+    auditLogs[tenant.id] = auditLog;
     const sessionDir = path.isAbsolute(tenant.sessionDir) ? tenant.sessionDir : path.join(cwd, tenant.sessionDir);
     const waClient = createClient({
       dataPath: sessionDir,
@@ -136,6 +160,9 @@ async function runMultiTenant(config, ui, allClients) {
     const orchestrator = createOrchestrator({ 
       config, 
       client: waClient, 
+      sessionStore: chatSessions,
+      store: dataStore,
+      auditLog,
       onLog: (text) => ui.addTenantLog(tenant.id, text)
     });
     allClients.push(waClient);
@@ -169,6 +196,43 @@ async function main() {
 
   // Track all WhatsApp clients for cleanup
   const allClients = [];
+  // Track chat session stores so pending writes are flushed on exit
+  const allSessionStores = [];
+  // Data stores by tenant id ("default" in single-tenant mode) — exported/imported from the admin UI
+  const dataStores = {};
+  ui.setDataHandlers({
+    exportData: () => exportBundle(dataStores),
+    importData: (data) => {
+      const names = importBundle(dataStores, data);
+      for (const name of names) dataStores[name].flush();
+      ui.addLog('Imported bot data: ' + names.join(', '));
+    },
+  });
+
+  // Audit journals by tenant id ("default" in single-tenant mode) — searched from the admin UI
+  const auditLogs = {};
+  ui.setAuditHandlers({
+    search: (query) => searchAuditLogs(auditLogs, query),
+    toCsv: auditToCsv,
+  });
+
+  // Invoice templates — listed and previewed with a sample invoice from the admin UI
+  const tallySkill = config.skills.find((s) => s.id === 'tally');
+  const invoiceConfig = (tallySkill && tallySkill.config.invoice) || {};
+  ui.setInvoiceTemplateHandlers({
+    list: () => {
+      const store = loadInvoiceTemplates(invoiceConfig.templatesPath);
+      return { path: store.path, templates: listInvoiceTemplates(store) };
+    },
+    preview: (id) => previewInvoiceTemplate(id, invoiceConfig),
+  });
+
+  // Tally response cache — hit/miss counters shown and cleared from the admin UI
+  if (tallySkill) configureResponseCache(tallySkill.config.cache);
+  ui.setCacheHandlers({
+    stats: () => responseCacheStats(),
+    clear: () => clearResponseCache(),
+  });
 
   // Graceful shutdown: kill Chrome processes on exit
   let shuttingDown = false;
@@ -176,6 +240,8 @@ async function main() {
     if (shuttingDown) return;
     shuttingDown = true;
     console.log(`\n[wa] ${signal} received. Shutting down…`);
+    for (const store of allSessionStores) store.flush();
+    for (const store of Object.values(dataStores)) store.flush();
     // Destroy all WhatsApp clients (kills their Chrome processes)
     for (const client of allClients) {
       try {
@@ -202,9 +268,9 @@ async function main() {
 
   try {
     if (isMulti) {
-      await runMultiTenant(config, ui, allClients);
+      await runMultiTenant(config, ui, allClients, allSessionStores, dataStores, auditLogs);
     } else {
-      await runSingleTenant(config, ui, allClients);
+      await runSingleTenant(config, ui, allClients, allSessionStores, dataStores, auditLogs);
     }
   } catch (err) {
     if (!isMulti) {
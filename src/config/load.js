@@ -44,7 +44,22 @@ function loadConfig(configPath = process.env.CONFIG_PATH || DEFAULT_CONFIG_PATH)
     model: translationRaw.model || 'mayura:v1',
     translateReplies: translationRaw.translateReplies === true,
   };
-  return { openai, llm, whatsapp, skills, tenants, translation, resolver: raw.resolver || null, debug: raw.debug === true };
+  // sessions: { path?, persist?, ttlHours? } — per-chat conversation state (see src/bot/session-store.js)
+  const sessions = raw.sessions || {};
+  // storage: { type: 'json'|'memory', path? } — alerts, credit limits, scheduled reports (see src/storage)
+  const storage = raw.storage || { type: 'json' };
+  // scheduler: { enabled, summaryTime, summaryDays, reports?, missedPolicy? }; alerts: { enabled }
+  const scheduler = raw.scheduler || null;
+  const alerts = raw.alerts || null;
+  // access: { enabled, defaultRole?, roles, users } — who may run which actions (see src/bot/access-control.js)
+  const access = raw.access || null;
+  // audit: { path?, persist? } — append-only JSONL journal (see src/bot/audit-log.js)
+  const audit = raw.audit || {};
+  // confirmations: { timeoutMinutes? } — how long a previewed write waits for "yes" (see src/bot/confirmations.js)
+  const confirmations = raw.confirmations || {};
+  // undo: { windowMinutes?, mode?: 'delete'|'cancel' } — "undo last voucher" for vouchers the bot posted (see src/bot/voucher-undo.js)
+  const undo = raw.undo || {};
+  return { openai, llm, whatsapp, skills, tenants, translation, resolver: raw.resolver || null, sessions, storage, scheduler, alerts, access, audit, confirmations, undo, debug: raw.debug === true };
 }
 
 /**
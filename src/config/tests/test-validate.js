@@ -105,6 +105,60 @@ test('tally missing port flagged', () => {
   assert(issues.some(i => i.includes('config.port')), 'should flag missing port');
 });
 
+test('remote tally: url checked, plain-http credentials flagged', () => {
+  const tally = (cfg) => validateConfig({
+    llm: { provider: 'keyword' },
+    skills: [{ id: 'tally', name: 'Tally', config: cfg, actions: [{ id: 'x', description: 'x', parameters: [] }] }],
+  });
+  assert(tally({ url: 'https://tally.example.com', username: 'bot', password: 'x' }).length === 0, 'https proxy with basic auth is fine');
+  assert(tally({ url: 'ftp://tally' }).some(i => i.includes('not an http(s) URL')), 'bad url');
+  assert(tally({ port: 9000, host: '192.168.1.20', username: 'bot', password: 'x' }).some(i => i.includes('plain http')), 'credentials over http');
+  assert(tally({ port: 9000, password: 'x' }).some(i => i.includes('without config.username')), 'password alone');
+});
+
+test('several tally connections: each checked, names required and unique', () => {
+  const tally = (cfg) => validateConfig({
+    llm: { provider: 'keyword' },
+    skills: [{ id: 'tally', name: 'Tally', config: cfg, actions: [{ id: 'x', description: 'x', parameters: [] }] }],
+  });
+  assert(tally({ connections: [{ name: 'mobibox', port: 9000 }, { name: 'afflink', url: 'https://afflink.example.com' }] }).length === 0, 'two good connections');
+  assert(tally({ connections: [{ name: 'a', port: 9000 }, { port: 9001 }] }).some(i => i.includes('config.connections[1] needs a "name"')), 'unnamed');
+  assert(tally({ connections: [{ name: 'a', port: 9000 }, { name: 'A', port: 9001 }] }).some(i => i.includes('used twice')), 'duplicate');
+  assert(tally({ connections: [{ name: 'a', port: 9000 }, { name: 'b' }] }).some(i => i.includes('config.connections[1].port')), 'missing port');
+  assert(tally({ connections: { a: { port: 9000 } }, port: 9000 }).some(i => i.includes('should be an array')), 'not an array');
+});
+
+test('tally cache TTLs must be numbers', () => {
+  const tally = (cache) => validateConfig({
+    llm: { provider: 'keyword' },
+    skills: [{ id: 'tally', name: 'Tally', config: { port: 9000, cache }, actions: [{ id: 'x', description: 'x', parameters: [] }] }],
+  });
+  assert(tally({ enabled: true, mastersTtl: 600, reportsTtl: '120', vouchersTtl: 0 }).length === 0, 'numbers and 0 are fine');
+  assert(tally({ reportsTtl: 'two minutes' }).some(i => i.includes('config.cache.reportsTtl')), 'text TTL');
+  assert(tally({ maxMB: -1 }).some(i => i.includes('megabytes')), 'negative size');
+});
+
+test('tally queue settings must be numbers', () => {
+  const tally = (queue) => validateConfig({
+    llm: { provider: 'keyword' },
+    skills: [{ id: 'tally', name: 'Tally', config: { port: 9000, queue }, actions: [{ id: 'x', description: 'x', parameters: [] }] }],
+  });
+  assert(tally({ timeoutSec: 30, retries: 0, pauseSec: '30' }).length === 0, 'numbers are fine');
+  assert(tally({ retries: 'twice' }).some(i => i.includes('config.queue.retries')), 'text');
+  assert(tally({ timeoutSec: 0 }).some(i => i.includes('forever')), 'no timeout');
+});
+
+test('tally mirror settings checked', () => {
+  const tally = (mirror) => validateConfig({
+    llm: { provider: 'keyword' },
+    skills: [{ id: 'tally', name: 'Tally', config: { port: 9000, mirror }, actions: [{ id: 'x', description: 'x', parameters: [] }] }],
+  });
+  assert(tally({ enabled: true, path: 'data/mirror', chunkDays: 7, fullResyncHours: 24, syncMinutes: '10' }).length === 0, 'defaults are fine');
+  assert(tally({ syncMinutes: 'often' }).some(i => i.includes('config.mirror.syncMinutes')), 'text');
+  assert(tally({ chunkDays: 365 }).some(i => i.includes('out of memory')), 'huge chunks');
+  assert(tally({ enabled: true, fullResyncHours: 0 }).some(i => i.includes('never resyncs')), 'no full resync');
+});
+
 test('onlySelfChat without onlyFromMe flagged', () => {
   const config = {
     llm: { provider: 'keyword' },
@@ -128,6 +182,38 @@ test('translation enabled without API key flagged', () => {
   if (origKey) process.env.SARVAM_API_KEY = origKey;
 });
 
+test('unknown storage type flagged', () => {
+  const config = {
+    llm: { provider: 'keyword' },
+    skills: [{ id: 'tally', name: 'Tally', config: { port: 9000 }, actions: [{ id: 'x', description: 'x', parameters: [] }] }],
+    storage: { type: 'mongo' },
+  };
+  const issues = validateConfig(config);
+  assert(issues.some(i => i.includes('mongo')), 'should flag unsupported storage type');
+});
+
+test('access users with undefined roles flagged', () => {
+  const config = {
+    llm: { provider: 'keyword' },
+    skills: [{ id: 'tally', name: 'Tally', config: { port: 9000 }, actions: [{ id: 'x', description: 'x', parameters: [] }] }],
+    whatsapp: { onlyFromMe: false },
+    access: { enabled: true, roles: { sales: { actions: ['get_ledger'] } }, users: { '919876543210': { role: 'sales' }, '918888888888': 'admin' } },
+  };
+  const issues = validateConfig(config);
+  assert(issues.some(i => i.includes('918888888888') && i.includes('admin')), 'should flag unknown role');
+  assert(!issues.some(i => i.includes('919876543210')), 'defined role is fine');
+  assert(!issues.some(i => i.includes('onlyFromMe')), 'onlyFromMe false is fine');
+});
+
+test('unknown undo mode flagged', () => {
+  const config = {
+    llm: { provider: 'keyword' },
+    skills: [{ id: 'tally', name: 'Tally', config: { port: 9000 }, actions: [{ id: 'x', description: 'x', parameters: [] }] }],
+    undo: { mode: 'void' },
+  };
+  assert(validateConfig(config).some(i => i.includes('undo.mode "void"')), 'should flag unknown mode');
+});
+
 console.log(`\n${'═'.repeat(40)}`);
 console.log(`Config validation tests: ${pass} passed, ${fail} failed`);
 if (fail > 0) process.exit(1);
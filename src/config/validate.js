@@ -101,8 +101,69 @@ function validateConfig(config) {
 
       // Tally-specific checks
       if (skill.id === 'tally' && skill.config) {
-        if (!skill.config.port) {
-          issues.push(`${prefix} (tally): missing config.port (default: 9000)`);
+        const c = skill.config;
+        if (c.connections !== undefined && !Array.isArray(c.connections)) {
+          issues.push(`${prefix} (tally): config.connections should be an array of { name, host, port, url, username, password }`);
+        }
+        const connections = Array.isArray(c.connections) && c.connections.length ? c.connections : [c];
+        const names = new Set();
+        connections.forEach((conn, i) => {
+          const key = connections === c.connections ? `config.connections[${i}]` : 'config';
+          if (!conn || typeof conn !== 'object') {
+            issues.push(`${prefix} (tally): ${key} should be an object`);
+            return;
+          }
+          if (connections.length > 1) {
+            const name = String(conn.name || '').trim().toLowerCase();
+            if (!name) issues.push(`${prefix} (tally): ${key} needs a "name" when there are several connections`);
+            else if (names.has(name)) issues.push(`${prefix} (tally): connection name "${conn.name}" is used twice`);
+            names.add(name);
+          }
+          if (!conn.port && !conn.url) {
+            issues.push(`${prefix} (tally): missing ${key}.port (default: 9000)`);
+          }
+          let url = null;
+          if (conn.url) {
+            try { url = new URL(String(conn.url)); } catch (_) { /* reported below */ }
+            if (!url || !/^https?:$/.test(url.protocol)) issues.push(`${prefix} (tally): ${key}.url "${conn.url}" is not an http(s) URL`);
+          }
+          if (conn.password && !conn.username) {
+            issues.push(`${prefix} (tally): ${key}.password is set without ${key}.username`);
+          }
+          const remoteHttp = url ? url.protocol === 'http:' && !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname) : conn.host && !['localhost', '127.0.0.1', '::1'].includes(String(conn.host));
+          if (conn.username && remoteHttp) {
+            issues.push(`${prefix} (tally): username/password go to a remote Tally over plain http — put an https proxy in ${key}.url`);
+          }
+        });
+        if (c.cache && typeof c.cache === 'object') {
+          for (const k of ['mastersTtl', 'reportsTtl', 'vouchersTtl', 'maxEntries', 'maxMB']) {
+            if (c.cache[k] != null && !(Number(c.cache[k]) >= 0)) {
+              issues.push(`${prefix} (tally): config.cache.${k} should be a number of ${k === 'maxEntries' ? 'entries' : k === 'maxMB' ? 'megabytes' : 'seconds'} (0 turns it off)`);
+            }
+          }
+        }
+        if (c.queue && typeof c.queue === 'object') {
+          for (const k of ['timeoutSec', 'backgroundTimeoutSec', 'retries', 'retryDelaySec', 'failuresToPause', 'pauseSec', 'gapMs']) {
+            if (c.queue[k] != null && !(Number(c.queue[k]) >= 0)) {
+              issues.push(`${prefix} (tally): config.queue.${k} should be a number (0 or more)`);
+            }
+          }
+          if (Number(c.queue.timeoutSec) === 0 || Number(c.queue.backgroundTimeoutSec) === 0) {
+            issues.push(`${prefix} (tally): config.queue timeouts of 0 wait for Tally forever`);
+          }
+        }
+        if (c.mirror && typeof c.mirror === 'object') {
+          for (const k of ['chunkDays', 'fullResyncHours', 'syncMinutes']) {
+            if (c.mirror[k] != null && !(Number(c.mirror[k]) >= 0)) {
+              issues.push(`${prefix} (tally): config.mirror.${k} should be a number (0 or more)`);
+            }
+          }
+          if (c.mirror.chunkDays != null && Number(c.mirror.chunkDays) > 31) {
+            issues.push(`${prefix} (tally): config.mirror.chunkDays over 31 asks Tally for more than a month of vouchers at once — it may run out of memory`);
+          }
+          if (c.mirror.enabled && Number(c.mirror.fullResyncHours) === 0) {
+            issues.push(`${prefix} (tally): config.mirror.fullResyncHours of 0 never resyncs — vouchers deleted in Tally stay in the local copy`);
+          }
         }
       }
     }
@@ -122,6 +183,36 @@ function validateConfig(config) {
     }
   }
 
+  // Storage section
+  if (config.storage?.type && !['json', 'memory'].includes(config.storage.type)) {
+    issues.push(`storage.type "${config.storage.type}" is not supported (use json or memory)`);
+  }
+  if (config.storage?.type === 'memory') {
+    issues.push('storage.type is memory — alerts, credit limits and schedules will be lost on restart');
+  }
+
+  // Access section
+  if (config.access?.enabled) {
+    const roles = config.access.roles || {};
+    if (config.whatsapp?.onlyFromMe !== false) {
+      issues.push('access.enabled is true but whatsapp.onlyFromMe is not false — other numbers are ignored before roles apply');
+    }
+    if (config.access.defaultRole && !roles[config.access.defaultRole]) {
+      issues.push(`access.defaultRole "${config.access.defaultRole}" is not defined in access.roles`);
+    }
+    for (const [number, user] of Object.entries(config.access.users || {})) {
+      const role = typeof user === 'string' ? user : user && user.role;
+      if (!role || !roles[role]) {
+        issues.push(`access.users["${number}"]: role "${role || ''}" is not defined in access.roles`);
+      }
+    }
+  }
+
+  // Undo section
+  if (config.undo?.mode && !['delete', 'cancel'].includes(config.undo.mode)) {
+    issues.push(`undo.mode "${config.undo.mode}" is not valid (use delete or cancel) — undo will delete vouchers`);
+  }
+
   // Resolver section
   if (config.resolver?.enabled) {
     if (!config.resolver.confidenceThreshold) {
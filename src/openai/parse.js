@@ -40,9 +40,15 @@ function getCapabilitiesMessage() {
     '📋 *Orders* — "Sales orders", "Purchase orders", "Pending orders"',
     '📨 *Payment Reminders* — "Payment reminders", "Remind Meril about payment"',
     '✏️ *Create Voucher* — "Create sales invoice for Meril 50000", "Record receipt from ABC"',
+    '✏️ *Update Party* — "Set Meril phone to 9876543210", "Set credit days for Atul to 45"',
+    '📥 *Import Vouchers* — Send an Excel/CSV sheet with the caption "import sales" or "import receipts into HDFC Bank"',
+    '🏦 *Bank Reconciliation* — Send the bank statement (Excel/CSV) with the caption "reconcile HDFC Bank"',
+    '➕ *New Party / Item* — "Create party New Traders gstin 27AAPFU0939F1ZV", "Create stock item Widget hsn 8471 gst 18%"',
+    '🔁 *Journal / Contra / Notes* — "Contra 20000 from HDFC to Cash", "Journal dr Rent 5000 cr Cash 5000", "Credit note for Meril 5000 against INV-101"',
+    '↩️ *Undo Voucher* — "Undo last voucher", "Cancel voucher #123"',
     '📊 *Excel Export* — "Export excel" (after any report)',
     '📈 *Compare Periods* — "Compare sales vs last month", "Compare expenses quarter"',
-    '🔔 *Alerts* — "Alert me when cash below 50K", "Show my alerts"',
+    '🔔 *Alerts* — "Alert me when cash below 50K", "Alert when stock of Widget A below 20", "Show my alerts"',
     '📊 *Daily Summary* — "Send summary" (auto-sends every morning)',
     '🏢 *Multi-Company* — "Switch company to Afflink"',
     '📊 *Dashboard* — "How\'s business?" (full overview)',
@@ -118,6 +124,9 @@ function buildSystemPrompt(config) {
   lines.push(`Today's date is ${todayStr}. Use this to resolve relative dates like "yesterday", "last week", "this month", "last 7 days", etc. into actual YYYY-MM-DD values for date_from and date_to.`);
   lines.push('IMPORTANT: For get_profit_loss, get_expense_report, get_gst_summary, get_trial_balance, and get_balance_sheet — ONLY set date_from/date_to if the user EXPLICITLY mentions a date or period (e.g. "last month", "this quarter", "Jan to Mar"). If the user just says "p&l" or "trial balance" or "balance sheet" without any date, set date_from and date_to to null. Tally will use the company\'s own financial year which is always correct.');
   lines.push('Extract parameter values from the user message. Use null for missing optional params. For dates use YYYY-MM-DD or YYYYMMDD. For limit use a number.');
+  lines.push('COMPANY: Any tally action also takes an optional company param when the user names a company for that one request, e.g. "sales of Afflink this month" → company="Afflink"; use company="all" for totals across every company ("total receivables of all companies", "combined cash balance"). Leave it null otherwise. "switch to X" / "switch company to X" is switch_company.');
+  lines.push('REFRESH: "refresh <request>" (e.g. "refresh outstanding") is that action with refresh=true, which reads Tally again instead of cached answers. "clear cache" or a bare "refresh" is clear_cache.');
+  lines.push('SYNC: "sync tally", "sync data", "update local copy" is sync_mirror; "full sync" / "resync from scratch" adds full=true.');
   lines.push('PAGINATION: When the user says "more", "next", "next page", "page 2", "show more", "aur dikhao", "aage", repeat the SAME action with the same params but add page=N (next page number). Look at conversation history to find which action was last used and what page was shown.');
   lines.push('VOUCHER TYPE SELECTION: When the bot previously showed a list of available voucher types (e.g. "1. Sales — 32 vouchers, 2. Payment — 1433 vouchers") and the user replies with a voucher type name (e.g. "Payment", "Sales", "Journal") or a number from that list, use get_sales_orders with voucher_type set to that type name. For example, if user says "show me Payment vouchers" or just "Payment", return get_sales_orders with voucher_type="Payment".');
   // Inject local knowledge base if available
@@ -204,6 +213,93 @@ async function parseWithOllama(userMessage, config, history = []) {
 }
 
 /** Simple keyword/regex matching. No API key, no network. Good for fixed commands. */
+/**
+ * Pull GST terms off the end of a create-voucher request: "+ 18% gst", "@12%", "incl gst", "excl gst".
+ * @returns {{ rest: string, params: { gst_rate?: number, tax_inclusive?: boolean } }}
+ */
+function extractGstTerms(text) {
+  const params = {};
+  let rest = text;
+  const incl = rest.match(/\s*\(?\b(incl(?:usive)?|including|excl(?:usive)?|excluding|plus)\.?\s+(?:of\s+)?(?:(\d+(?:\.\d+)?)\s*%\s*)?(?:gst|tax)\)?/i);
+  if (incl) {
+    params.tax_inclusive = /^incl/i.test(incl[1]);
+    if (incl[2]) params.gst_rate = parseFloat(incl[2]);
+    rest = rest.replace(incl[0], ' ');
+  }
+  const rate = rest.match(/\s*(?:\+|@|with|plus)?\s*(\d+(?:\.\d+)?)\s*%\s*(?:gst|tax)?/i);
+  if (rate) {
+    params.gst_rate = parseFloat(rate[1]);
+    rest = rest.replace(rate[0], ' ');
+  } else if (/\s*\+\s*(?:gst|tax)\b/i.test(rest)) {
+    params.tax_inclusive = false;
+    rest = rest.replace(/\s*\+\s*(?:gst|tax)\b/i, ' ');
+  }
+  return { rest: rest.replace(/\s+/g, ' ').trim(), params };
+}
+
+/**
+ * Split "meril of rs. 5000", "meril 5000", "meril ka 5000" into party and amount.
+ * @param {string} text
+ * @returns {{ party: string, amount: number|null }}
+ */
+function splitPartyAmount(text) {
+  let rest = text;
+  const amtMatch = rest.match(/\s+(?:of\s+)?(?:rs\.?\s*|₹\s*)(\d[\d,]*(?:\.\d+)?)\s*$/i)
+    || rest.match(/\s+(\d[\d,]*(?:\.\d+)?)\s*(?:rs|rupees?|₹)?\s*$/i)
+    || rest.match(/(?:rs\.?\s*|₹\s*)(\d[\d,]*(?:\.\d+)?)/i);
+  let amount = null;
+  if (amtMatch) {
+    amount = parseFloat(amtMatch[1].replace(/,/g, ''));
+    rest = rest.slice(0, rest.length - amtMatch[0].length).trim();
+  }
+  // Clean party name: remove trailing "of", "ka", "ki", "for", "rs"
+  return { party: rest.replace(/\s+(?:of|ka|ki|for|rs\.?)\s*$/i, '').trim(), amount };
+}
+
+/**
+ * Pull "label value" fields out of free text; what is left is the name.
+ * The first capture group is the value (a second one is returned as `<key>_2`).
+ * @param {string} text
+ * @param {Object<string, RegExp>} patterns
+ * @returns {{ name: string, fields: object }}
+ */
+function takeFields(text, patterns) {
+  let rest = ' ' + text.trim().replace(/[.!]\s*$/, '');
+  const fields = {};
+  for (const [key, re] of Object.entries(patterns)) {
+    const m = rest.match(re);
+    if (!m) continue;
+    const values = m.slice(1).filter(v => v != null);
+    fields[key] = values[0].trim();
+    if (values[1] != null) fields[key + '_2'] = values[1].trim();
+    rest = rest.slice(0, m.index) + rest.slice(m.index + m[0].length);
+  }
+  return { name: rest.replace(/\s+/g, ' ').replace(/[,;:]+\s*$/, '').trim(), fields };
+}
+
+/**
+ * The company a request is scoped to: "of/for/in/across all companies", or a request
+ * starting "combined" / "consolidated", give "all"; "for company X" gives X, as does "of/for/in <name>" when
+ * name is one of the Tally skill's connections. What is left is the request itself.
+ * @returns {{ company: string, rest: string } | null}
+ */
+function extractCompanyScope(text, config) {
+  const cut = (m, company) => ({ company, rest: (text.slice(0, m.index) + ' ' + text.slice(m.index + m[0].length)).replace(/\s+/g, ' ').trim() });
+  const all = text.match(/\s*\b(?:(?:of|for|in|across)\s+)?(?:all|both)\s+(?:the\s+)?(?:companies|firms)\b|^(?:consolidated|combined)\s+/i);
+  if (all) return cut(all, 'all');
+  const named = text.match(/\s+(?:of|for|in)\s+(?:the\s+)?(?:company|firm)\s+(.+?)(?=\s+(?:this|last|today|yesterday|from|since|for|in|on)\b|\s*[.?!]?$)/i);
+  if (named) return cut(named, named[1].trim());
+  const tally = (config && config.skills || []).find(s => s.id === 'tally');
+  const connections = (tally && tally.config && Array.isArray(tally.config.connections)) ? tally.config.connections : [];
+  for (const c of connections) {
+    if (!c || !c.name) continue;
+    const name = String(c.name).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const m = text.match(new RegExp(`\\s+(?:of|for|in)\\s+${name}(?:'s)?(?=\\s|[.?!]|$)`, 'i'));
+    if (m) return cut(m, c.name);
+  }
+  return null;
+}
+
 function parseWithKeyword(userMessage, config) {
   const text = (userMessage || '').trim().toLowerCase();
   const actions = getActionsForPrompt(config);
@@ -215,6 +311,248 @@ function parseWithKeyword(userMessage, config) {
   if (/^(hi|hello|hey|hiya|good morning|good evening|gm|sup|namaste|namaskar)\s*!?\.?$/i.test(text))
     return { skillId: null, action: 'unknown', params: {}, suggestedReply: "Hey! 👋 Welcome to Tathastu.\n\n" + defaultReply };
 
+  // --- Company scope: "sales of afflink this month", "receivables of all companies" ---
+  // Parsed without the company phrase, then params.company is added (Tally actions only)
+  const companyScope = !/^(?:switch|change|open|load)\b/.test(text) && extractCompanyScope(text, config);
+  if (companyScope && companyScope.rest) {
+    const scoped = parseWithKeyword(companyScope.rest, config);
+    if (scoped.skillId === 'tally' && scoped.action !== 'unknown') scoped.params = Object.assign({}, scoped.params, { company: companyScope.company });
+    return scoped;
+  }
+
+  // --- Fresh data: "refresh sales this month" reads past the response cache; "clear cache" empties it ---
+  if (/^(?:clear|empty|reset)\s+(?:the\s+)?(?:tally\s+)?cache$|^(?:refresh|reload)(?:\s+(?:all|everything|data|tally))?[.!]?$/i.test(text)) {
+    return { skillId: 'tally', action: 'clear_cache', params: {}, suggestedReply: null };
+  }
+  const refreshMatch = text.match(/^(?:refresh|reload|fresh)\s+(.+)$/i);
+  if (refreshMatch) {
+    const fresh = parseWithKeyword(refreshMatch[1], config);
+    if (fresh.skillId === 'tally' && fresh.action !== 'unknown') {
+      fresh.params = Object.assign({}, fresh.params, { refresh: true });
+      return fresh;
+    }
+  }
+
+  // --- Local copy of Tally data: "sync tally", "update local copy", "full sync" ---
+  const syncMatch = text.match(/^(?:(full)\s+)?(?:re)?sync(?:\s+(?:the\s+)?(?:tally|data|tally\s+data|local\s+copy|mirror))?(?:\s+(full|fully|from\s+scratch))?[.!]?$|^update\s+(?:the\s+)?(?:local\s+copy|mirror)$/i);
+  if (syncMatch) {
+    const params = syncMatch[1] || syncMatch[2] ? { full: true } : {};
+    return { skillId: 'tally', action: 'sync_mirror', params, suggestedReply: null };
+  }
+
+  // --- Undo a voucher the bot created ---
+  // "undo", "undo last voucher", "cancel voucher #123", "delete invoice no 45", "pichla voucher hatao"
+  const undoMatch = text.match(/^(?:undo|cancel|delete|reverse|void)\s+(?:the\s+|my\s+)?(?:last|previous|latest)?\s*(?:sales\s+|purchase\s+|payment\s+|receipt\s+)?(?:voucher|invoice|entry|bill)(?:\s+(?:no\.?|number)?\s*#?\s*([a-z0-9\/-]*\d[a-z0-9\/-]*))?\s*[.!]?$/i)
+    || text.match(/^undo(?:\s+(?:the\s+)?(?:last|previous))?\s*[.!]?$/i)
+    || (/^(?:pichla|pichhla|last)\s+(?:voucher|invoice|entry|bill)\s+(?:hatao|hata\s*do|cancel\s+karo|delete\s+karo|undo\s+karo)$/i.test(text) ? [] : null);
+  if (undoMatch) {
+    return { skillId: 'tally', action: 'undo_voucher', params: { voucher_number: undoMatch[1] || null }, suggestedReply: null };
+  }
+
+  // --- New party ledger / stock item ---
+  // "create party new traders gstin 27aapfu0939f1zv phone 9876543210 credit 30 days", "add supplier abc under sundry creditors"
+  const newPartyMatch = text.match(/^(?:create|add|new|make|banao)\s+(?:a\s+)?(?:new\s+)?(party|ledger|customer|supplier|vendor|debtor|creditor)\s+(?:named\s+|called\s+|for\s+)?(.+)$/i);
+  if (newPartyMatch) {
+    const { name, fields } = takeFields(newPartyMatch[2], {
+      gstin: /\s+gst(?:in)?(?:\s+no\.?)?\s*:?\s*([0-9a-z]{15})\b/i,
+      phone: /\s+(?:phone|mobile|mob|ph|whatsapp)\s*:?\s*(\+?\d[\d\s-]{8,14}\d)/i,
+      email: /\s+(?:e-?mail\s*:?\s*)?(\S+@\S+\.\S+)/i,
+      credit_days: /\s+(?:credit(?:\s+period)?|terms?)\s*:?\s*(\d+)\s*days?/i,
+      group: /\s+(?:under|group)\s+((?:sundry\s+)?(?:debtors?|creditors?))/i,
+      state: /\s+state\s*:?\s*([a-z& ]+?)(?=\s+(?:gst|phone|mobile|email|credit|under|group)\b|$)/i,
+    });
+    if (name) {
+      const group = fields.group || (/supplier|vendor|creditor/i.test(newPartyMatch[1]) ? 'Sundry Creditors' : 'Sundry Debtors');
+      if (fields.credit_days) fields.credit_days = parseInt(fields.credit_days, 10);
+      return { skillId: 'tally', action: 'create_ledger', params: Object.assign({ party_name: name }, fields, { group }), suggestedReply: null };
+    }
+  }
+
+  // --- Update party master ---
+  // "set meril phone to 9876543210", "set credit days for atul to 45", "update gstin of abc to 27aapfu0939f1zv"
+  const partyField = '(phone|mobile|whatsapp|e-?mail|gstin|gst\\s*no\\.?|state|credit\\s*(?:days|period))';
+  const updatePartyMatch = text.match(new RegExp(`^(?:set|update|change)\\s+(?:the\\s+)?${partyField}\\s+(?:of|for)\\s+(.+?)\\s+(?:to|=|as)\\s+(.+)$`, 'i'));
+  const updatePartyMatch2 = !updatePartyMatch && text.match(new RegExp(`^(?:set|update|change)\\s+(.+?)(?:'s|\\s+ka|\\s+ki|\\s+ke)?\\s+${partyField}\\s+(?:to|=|as)\\s+(.+)$`, 'i'));
+  if (updatePartyMatch || updatePartyMatch2) {
+    const [field, party, rawValue] = updatePartyMatch
+      ? [updatePartyMatch[1], updatePartyMatch[2], updatePartyMatch[3]]
+      : [updatePartyMatch2[2], updatePartyMatch2[1], updatePartyMatch2[3]];
+    const key = /^(?:phone|mobile|whatsapp)/i.test(field) ? 'phone'
+      : /mail/i.test(field) ? 'email'
+        : /^gst/i.test(field) ? 'gstin'
+          : /^state/i.test(field) ? 'state' : 'credit_days';
+    const value = rawValue.trim().replace(/[.!]$/, '');
+    const params = { party_name: party.trim() };
+    params[key] = key === 'credit_days' ? parseInt(value, 10) : value;
+    if (key !== 'credit_days' || !isNaN(params.credit_days)) {
+      return { skillId: 'tally', action: 'update_party', params, suggestedReply: null };
+    }
+  }
+
+  // "create stock item widget unit box hsn 8471 gst 18% opening 100 @ 50"
+  const newItemMatch = text.match(/^(?:create|add|new|make|banao)\s+(?:a\s+)?(?:new\s+)?(?:stock\s+item|item|product)\s+(?:named\s+|called\s+)?(.+)$/i);
+  if (newItemMatch) {
+    const { name, fields } = takeFields(newItemMatch[1], {
+      opening: /\s+opening(?:\s+(?:stock|qty|quantity))?\s*:?\s*(\d+(?:\.\d+)?)(?:\s*(?:@|at|rate)\s*(?:rs\.?\s*|₹\s*)?(\d+(?:\.\d+)?))?/i,
+      unit: /\s+(?:unit|uom)\s*:?\s*([a-z.]+)/i,
+      hsn: /\s+hsn(?:\s+code)?\s*:?\s*(\d{4,8})/i,
+      gst_rate: /\s+(?:gst\s*:?\s*(\d+(?:\.\d+)?)\s*%?|@?\s*(\d+(?:\.\d+)?)\s*%\s*(?:gst)?)/i,
+    });
+    if (name) {
+      const params = { item_name: name };
+      if (fields.unit) params.unit = fields.unit.replace(/\.$/, '').replace(/^./, c => c.toUpperCase());
+      if (fields.hsn) params.hsn = fields.hsn;
+      if (fields.gst_rate) params.gst_rate = parseFloat(fields.gst_rate);
+      if (fields.opening) {
+        params.opening_qty = parseFloat(fields.opening);
+        if (fields.opening_2) params.opening_rate = parseFloat(fields.opening_2);
+      }
+      return { skillId: 'tally', action: 'create_stock_item', params, suggestedReply: null };
+    }
+  }
+
+  // --- Journal, Contra, Credit/Debit Note ---
+  const AMT = '(?:rs\\.?\\s*|₹\\s*)?(\\d[\\d,]*(?:\\.\\d+)?)';
+  const toAmount = (s) => parseFloat(s.replace(/,/g, ''));
+
+  // "credit note for meril 5000 against inv-101", "sales return from meril against bill 45", "debit note to abc 2000 + 18% gst against p/12"
+  const noteMatch = text.match(/^(?:(?:create|make|record|issue|banao)\s+(?:a\s+)?)?(credit\s*note|debit\s*note|sales\s+return|purchase\s+return)\s+(?:for|of|from|to)?\s*(.+?)(?:\s+(?:against|agst)\s+(?:(?:invoice|bill|voucher|inv)\s+)?(?:no\.?\s*)?#?([a-z0-9\/-]+))?\s*[.!]?$/i);
+  if (noteMatch) {
+    const voucherType = /credit|sales/i.test(noteMatch[1]) ? 'Credit Note' : 'Debit Note';
+    const gst = extractGstTerms(noteMatch[2]);
+    const { party, amount } = splitPartyAmount(gst.rest);
+    if (party) {
+      return { skillId: 'tally', action: 'create_voucher', params: Object.assign({ voucher_type: voucherType, party_name: party, amount, against_voucher: noteMatch[3] || null }, gst.params), suggestedReply: null };
+    }
+  }
+
+  // Contra: "contra 20000 from hdfc bank to cash", "transfer 5000 from cash to sbi", "contra from hdfc to cash 20000",
+  // "withdraw 20000 from hdfc" (to Cash), "deposit 15000 in hdfc" (from Cash)
+  const contraMatch = text.match(new RegExp(`^(?:(?:create|make|record|pass)\\s+(?:a\\s+)?)?(?:contra|transfer|fund\\s+transfer)(?:\\s+entry)?\\s+(?:of\\s+)?${AMT}\\s+from\\s+(.+?)\\s+to\\s+(.+?)\\s*$`, 'i'));
+  const contraMatch2 = !contraMatch && text.match(new RegExp(`^(?:(?:create|make|record|pass)\\s+(?:a\\s+)?)?contra(?:\\s+entry)?\\s+from\\s+(.+?)\\s+to\\s+(.+?)\\s+(?:of\\s+)?${AMT}\\s*$`, 'i'));
+  const withdrawMatch = text.match(new RegExp(`^(?:cash\\s+)?withdraw(?:n|al)?\\s+(?:of\\s+)?${AMT}\\s+from\\s+(.+?)\\s*$`, 'i'));
+  const depositMatch = text.match(new RegExp(`^(?:cash\\s+)?deposit(?:ed)?\\s+(?:of\\s+)?${AMT}\\s+(?:cash\\s+)?(?:in|into|to)\\s+(.+?)\\s*$`, 'i'));
+  let contra = null;
+  if (contraMatch) contra = { amount: toAmount(contraMatch[1]), from: contraMatch[2], to: contraMatch[3] };
+  else if (contraMatch2) contra = { amount: toAmount(contraMatch2[3]), from: contraMatch2[1], to: contraMatch2[2] };
+  else if (withdrawMatch) contra = { amount: toAmount(withdrawMatch[1]), from: withdrawMatch[2], to: 'cash' };
+  else if (depositMatch) contra = { amount: toAmount(depositMatch[1]), from: 'cash', to: depositMatch[2] };
+  if (contra) {
+    return { skillId: 'tally', action: 'create_voucher', params: { voucher_type: 'Contra', from_ledger: contra.from, to_ledger: contra.to, amount: contra.amount }, suggestedReply: null };
+  }
+
+  // Journal: "journal dr rent 5000 cr cash 5000", "pass jv: debit depreciation 12000, credit machinery 12000"
+  const journalMatch = text.match(/^(?:(?:create|make|record|pass)\s+(?:a\s+)?)?(?:journal|jv)(?:\s+(?:entry|voucher))?\s*:?\s+(.+)$/i);
+  if (journalMatch) {
+    const lineRe = new RegExp(`\\b(dr|debit|cr|credit)\\.?\\s+(.+?)\\s+${AMT}(?=\\s*(?:,|;|\\band\\b|$|\\s(?:dr|debit|cr|credit)\\b))`, 'gi');
+    const entries = [];
+    let m;
+    while ((m = lineRe.exec(journalMatch[1])) !== null) {
+      entries.push({ ledger: m[2].trim(), side: /^d/i.test(m[1]) ? 'Dr' : 'Cr', amount: toAmount(m[3]) });
+    }
+    if (entries.length >= 2) {
+      return { skillId: 'tally', action: 'create_voucher', params: { voucher_type: 'Journal', entries }, suggestedReply: null };
+    }
+  }
+
+  // --- Alerts (before party actions: "alert when bills of X overdue…" names a party too) ---
+  const alertAmount = (num, suffix) => {
+    const n = parseFloat(num.replace(/,/g, ''));
+    const sfx = (suffix || '').toLowerCase();
+    if (sfx === 'k') return n * 1000;
+    if (sfx === 'l' || sfx === 'lakh' || sfx === 'lac') return n * 100000;
+    if (sfx === 'cr' || sfx === 'crore') return n * 10000000;
+    return n;
+  };
+
+  // Watch mode (fires per voucher): "alert on cash payments above 10K", "alert on payment to Meril",
+  // "alert me on any sale above 1L", "alert when a voucher is deleted / altered"
+  const alertChangeMatch = text.match(/\b(?:alert|notify)\b.*?(?:\b(?:vouchers?|entry|entries|invoices?)\b.*?\b(delet|remov|alter|modif|edit|chang)\w*|\b(delet|remov|alter|modif|edit|chang)\w*\s+(?:vouchers?|entry|entries|invoices?))/i);
+  if (alertChangeMatch) {
+    const deleted = /delet|remov/i.test(alertChangeMatch[1] || alertChangeMatch[2]);
+    return { skillId: 'tally', action: 'set_alert', params: { alert_type: deleted ? 'voucher_deleted' : 'voucher_altered' }, suggestedReply: null };
+  }
+  const alertCashPayMatch = text.match(/\b(?:alert|notify)\b.*?\bcash\s+(?:payments?|paid)\b(?:.*?\b(?:above|over|more\s+than|exceeding)\s+(?:rs\.?\s*|₹\s*)?(\d[\d,]*(?:\.\d+)?)\s*(k|l|lakh|lac|cr|crore)?\b)?/i);
+  if (alertCashPayMatch) {
+    const params = { alert_type: 'cash_payment_above' };
+    if (alertCashPayMatch[1]) params.threshold = alertAmount(alertCashPayMatch[1], alertCashPayMatch[2]);
+    return { skillId: 'tally', action: 'set_alert', params, suggestedReply: null };
+  }
+  const alertPayToMatch = text.match(/\b(?:alert|notify)\b.*?\bpayments?\s+(?:is\s+)?(?:made\s+)?to\s+(.+?)(?:\s*\.|$)/i);
+  if (alertPayToMatch) {
+    return { skillId: 'tally', action: 'set_alert', params: { alert_type: 'payment_to_party', target: alertPayToMatch[1].trim() }, suggestedReply: null };
+  }
+  const alertSaleMatch = text.match(/\b(?:alert|notify)\b.*?\b(?:sale|sales\s+(?:vouchers?|entry|entries|invoices?|bills?))\s+(?:is\s+)?(?:of\s+)?(?:above|over|more\s+than|exceeding)\s+(?:rs\.?\s*|₹\s*)?(\d[\d,]*(?:\.\d+)?)\s*(k|l|lakh|lac|cr|crore)?\b/i);
+  if (alertSaleMatch) {
+    return { skillId: 'tally', action: 'set_alert', params: { alert_type: 'sale_above', threshold: alertAmount(alertSaleMatch[1], alertSaleMatch[2]) }, suggestedReply: null };
+  }
+
+  // "alert if any bill is overdue more than 60 days", "alert when bills of Meril overdue over 90 days"
+  const alertOverdueMatch = text.match(/\balert\b.*?\boverdue\s+(?:by\s+)?(?:more\s+than|over|above|>)?\s*(\d+)\s*(?:days?|din)\b/i);
+  if (alertOverdueMatch) {
+    const targetMatch = text.match(/\b(?:bills?|invoices?)\s+(?:of|from|for)\s+(.+?)\s+(?:is\s+|are\s+)?overdue/i);
+    const params = { alert_type: 'overdue_days_above', threshold: parseInt(alertOverdueMatch[1], 10) };
+    if (targetMatch) params.target = targetMatch[1].trim();
+    return { skillId: 'tally', action: 'set_alert', params, suggestedReply: null };
+  }
+
+  // "alert if today's sales below 1L by 6 pm", "alert me when sales are under 50K"
+  const alertSalesMatch = text.match(/\balert\b.*?\bsales?\s+(?:is\s+|are\s+)?(?:below|under|less\s+than|niche)\s+(?:rs\.?\s*|₹\s*)?(\d[\d,]*(?:\.\d+)?)\s*(k|l|lakh|lac|cr|crore)?\b/i);
+  if (alertSalesMatch) {
+    const timeMatch = text.match(/\b(?:by|at|before)\s+(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm|baje)?)/i);
+    const params = { alert_type: 'sales_below', threshold: alertAmount(alertSalesMatch[1], alertSalesMatch[2]) };
+    if (timeMatch) params.alert_time = timeMatch[1].trim();
+    return { skillId: 'tally', action: 'set_alert', params, suggestedReply: null };
+  }
+
+  // "alert when stock of Widget A falls below 20", "alert me if Widget A stock below 20"
+  const alertStockMatch = text.match(/\balert\s+(?:me\s+)?(?:when\s+|if\s+)?(?:stock\s+(?:of|for)\s+(.+?)|(.+?)\s+stock)\s+(?:falls?\s+|drops?\s+|goes?\s+|is\s+)?(?:below|under|less\s+than|niche)\s+(\d[\d,]*(?:\.\d+)?)/i);
+  if (alertStockMatch) {
+    const target = (alertStockMatch[1] || alertStockMatch[2]).trim();
+    return { skillId: 'tally', action: 'set_alert', params: { alert_type: 'stock_below', threshold: parseFloat(alertStockMatch[3].replace(/,/g, '')), target }, suggestedReply: null };
+  }
+
+  // "alert when Meril balance goes above 5L", "alert me if balance of ABC crosses 1 lakh"
+  const alertBalanceMatch = text.match(/\balert\s+(?:me\s+)?(?:when\s+|if\s+)?(?:balance\s+of\s+(.+?)|(.+?)(?:'s)?\s+balance)\s+(?:goes?\s+|drops?\s+|falls?\s+|is\s+)?(below|under|less\s+than|niche|above|over|more\s+than|upar|crosses)\s+(?:rs\.?\s*|₹\s*)?(\d[\d,]*(?:\.\d+)?)\s*(k|l|lakh|lac|cr|crore)?\b/i);
+  if (alertBalanceMatch) {
+    const target = (alertBalanceMatch[1] || alertBalanceMatch[2]).trim();
+    const direction = /below|under|less|niche/i.test(alertBalanceMatch[3]) ? 'below' : 'above';
+    const threshold = alertAmount(alertBalanceMatch[4], alertBalanceMatch[5]);
+    // "cash balance below 50K" / "bank balance below 1L" are the company-wide alerts
+    if (/^(cash|bank)$/i.test(target)) {
+      if (direction === 'below') {
+        return { skillId: 'tally', action: 'set_alert', params: { alert_type: target.toLowerCase() + '_below', threshold }, suggestedReply: null };
+      }
+    } else {
+      return { skillId: 'tally', action: 'set_alert', params: { alert_type: 'party_balance_' + direction, threshold, target }, suggestedReply: null };
+    }
+  }
+
+  // "alert me when cash drops below 50K", "set alert cash below 50000"
+  // "alert when receivable above 10 lakh", "alert payable above 5L"
+  const alertSetMatch = text.match(/alert\s+(?:me\s+)?(?:when\s+)?(?:if\s+)?(cash|bank|receivable|payable)\s+(?:drops?\s+|goes?\s+|is\s+)?(?:below|above|under|over|less\s+than|more\s+than|niche|upar)\s+(?:rs\.?\s*|₹\s*)?(\d[\d,]*(?:\.\d+)?)\s*([kKlL])?/i);
+  if (alertSetMatch) {
+    const metric = alertSetMatch[1].toLowerCase();
+    let threshold = parseFloat(alertSetMatch[2].replace(/,/g, ''));
+    const suffix = (alertSetMatch[3] || '').toLowerCase();
+    if (suffix === 'k') threshold *= 1000;
+    if (suffix === 'l') threshold *= 100000;
+    const direction = /below|under|less|niche/i.test(text) ? 'below' : 'above';
+    const alertType = metric + '_' + direction;
+    return { skillId: 'tally', action: 'set_alert', params: { alert_type: alertType, threshold }, suggestedReply: null };
+  }
+
+  // "show my alerts", "list alerts", "mere alerts"
+  if (/(?:show|list|mere|mera|my)\s+alert/i.test(text) || /^alerts?$/i.test(text)) {
+    return { skillId: 'tally', action: 'list_alerts', params: {}, suggestedReply: null };
+  }
+
+  // "remove alert 1", "delete alert 2", "alert hatao 1"
+  const alertRemoveMatch = text.match(/(?:remove|delete|hatao|hata\s*do)\s+alert\s+#?(\d+)/i);
+  if (alertRemoveMatch) {
+    return { skillId: 'tally', action: 'remove_alert', params: { alert_id: alertRemoveMatch[1] }, suggestedReply: null };
+  }
+
   // --- Party-specific actions (need party name extraction) ---
 
   // get_ledger: "ledger of X", "statement of X", "ledger for X", "transactions for X", "check party X"
@@ -258,19 +596,20 @@ function parseWithKeyword(userMessage, config) {
   if (createMatch) {
     const voucherType = (createMatch[1] || 'Sales').replace(/^./, c => c.toUpperCase());
     let rest = createMatch[2].trim().replace(/\.\s*$/, ''); // strip trailing period
-    // Extract amount: "meril of Rs. 100", "meril 50000", "meril of 100", "meril ka 5000"
-    const amtMatch = rest.match(/\s+(?:of\s+)?(?:rs\.?\s*|₹\s*)(\d[\d,]*(?:\.\d+)?)\s*$/i)
-      || rest.match(/\s+(\d[\d,]*(?:\.\d+)?)\s*(?:rs|rupees?|₹)?\s*$/i)
-      || rest.match(/(?:rs\.?\s*|₹\s*)(\d[\d,]*(?:\.\d+)?)/i);
-    let amount = null;
-    if (amtMatch) {
-      amount = parseFloat(amtMatch[1].replace(/,/g, ''));
-      rest = rest.slice(0, rest.length - amtMatch[0].length).trim();
+    // Bill to settle: "… 25000 against inv-101", "… 25000 on account"
+    const extra = {};
+    const againstMatch = rest.match(/\s+(?:(?:against|agst)\s+(?:(?:invoice|bill|inv)\s+)?(?:no\.?\s*)?#?([a-z0-9\/-]+)|(on\s+account))\s*$/i);
+    if (againstMatch) {
+      extra.against_voucher = againstMatch[1] || 'on account';
+      rest = rest.slice(0, againstMatch.index).trim();
     }
-    // Clean party name: remove trailing "of", "ka", "ki", "for", "rs"
-    let party = rest.replace(/\s+(?:of|ka|ki|for|rs\.?)\s*$/i, '').trim();
+    // GST: "… 50000 + 18% gst", "… 59000 incl 18% gst", "… @12%"
+    const gst = extractGstTerms(rest);
+    rest = gst.rest;
+    // Extract amount: "meril of Rs. 100", "meril 50000", "meril of 100", "meril ka 5000"
+    const { party, amount } = splitPartyAmount(rest);
     if (party) {
-      return { skillId: 'tally', action: 'create_voucher', params: { voucher_type: voucherType, party_name: party, amount }, suggestedReply: null };
+      return { skillId: 'tally', action: 'create_voucher', params: Object.assign({ voucher_type: voucherType, party_name: party, amount }, gst.params, extra), suggestedReply: null };
     }
   }
 
@@ -302,14 +641,28 @@ function parseWithKeyword(userMessage, config) {
     if (party) return { skillId: 'tally', action: 'send_reminder', params: { party_name: party }, suggestedReply: null };
   }
 
-  // get_invoice_pdf: "send invoice X", "pdf of invoice X", "invoice #X"
-  const pdfMatch = text.match(/(?:send|pdf|share)\s+(?:of\s+)?invoice\s+#?(.+?)(?:\s*\.|$)/i) || text.match(/invoice\s+#?([A-Z0-9][\w-]+)/i);
+  // get_invoice_pdf: "send invoice X", "pdf of invoice X", "invoice #X", "... in modern template", "... to party"
+  const templateMatch = text.match(/\s+(?:in|with|using)\s+(?:the\s+)?([\w-]+)\s+template\b/i);
+  const toPartyMatch = text.match(/\s+to\s+(?:the\s+)?(?:party|customer|client)(?:'s)?(?:\s+(?:on\s+)?whatsapp)?\b/i);
+  let pdfText = templateMatch ? text.replace(templateMatch[0], '') : text;
+  if (toPartyMatch) pdfText = pdfText.replace(toPartyMatch[0], '');
+  const pdfMatch = pdfText.match(/(?:send|pdf|share)\s+(?:of\s+)?invoice\s+#?(.+?)(?:\s*\.|$)/i) || pdfText.match(/invoice\s+#?([A-Z0-9][\w-]+)/i);
   if (pdfMatch) {
-    return { skillId: 'tally', action: 'get_invoice_pdf', params: { invoice_number: pdfMatch[1].trim() }, suggestedReply: null };
+    const params = { invoice_number: pdfMatch[1].trim() };
+    if (templateMatch) params.template = templateMatch[1];
+    if (toPartyMatch) params.send_to = 'party';
+    return { skillId: 'tally', action: 'get_invoice_pdf', params, suggestedReply: null };
   }
 
-  // open_company: "open company X", "switch to X"
-  const compMatch = text.match(/(?:\bopen\b|\bswitch\s+to\b|\bload\b)\s+(?:company\s+)?(.+?)(?:\s*\.|$)/i);
+  // switch_company: "switch to X", "switch company to X", "change company to X" — this chat only,
+  // Tally's active company is not touched
+  const switchMatch = text.match(/\b(?:switch|change)\s+(?:company\s+(?:to\s+)?|to\s+(?:company\s+)?)(.+?)(?:\s*\.|$)/i);
+  if (switchMatch && !/tally|excel/i.test(switchMatch[1])) {
+    return { skillId: 'tally', action: 'switch_company', params: { company_name: switchMatch[1].trim() }, suggestedReply: null };
+  }
+
+  // open_company: "open company X", "load X" — restarts Tally with that company
+  const compMatch = text.match(/(?:\bopen\b|\bload\b)\s+(?:company\s+)?(.+?)(?:\s*\.|$)/i);
   if (compMatch && !/tally/i.test(compMatch[1]) && !/excel/i.test(compMatch[1])) {
     return { skillId: 'tally', action: 'open_company', params: { company_name: compMatch[1].trim() }, suggestedReply: null };
   }
@@ -329,46 +682,19 @@ function parseWithKeyword(userMessage, config) {
     return { skillId: 'tally', action: 'compare_periods', params: { report_type: reportType, period }, suggestedReply: null };
   }
 
-  // --- Alerts ---
-  // "alert me when cash drops below 50K", "set alert cash below 50000"
-  // "alert when receivable above 10 lakh", "alert payable above 5L"
-  const alertSetMatch = text.match(/alert\s+(?:me\s+)?(?:when\s+)?(?:if\s+)?(cash|bank|receivable|payable)\s+(?:drops?\s+|goes?\s+|is\s+)?(?:below|above|under|over|less\s+than|more\s+than|niche|upar)\s+(?:rs\.?\s*|₹\s*)?(\d[\d,]*(?:\.\d+)?)\s*([kKlL])?/i);
-  if (alertSetMatch) {
-    const metric = alertSetMatch[1].toLowerCase();
-    let threshold = parseFloat(alertSetMatch[2].replace(/,/g, ''));
-    const suffix = (alertSetMatch[3] || '').toLowerCase();
-    if (suffix === 'k') threshold *= 1000;
-    if (suffix === 'l') threshold *= 100000;
-    const direction = /below|under|less|niche/i.test(text) ? 'below' : 'above';
-    const alertType = metric + '_' + direction;
-    return { skillId: 'tally', action: 'set_alert', params: { alert_type: alertType, threshold }, suggestedReply: null };
-  }
-
-  // "show my alerts", "list alerts", "mere alerts"
-  if (/(?:show|list|mere|mera|my)\s+alert/i.test(text) || /^alerts?$/i.test(text)) {
-    return { skillId: 'tally', action: 'list_alerts', params: {}, suggestedReply: null };
-  }
-
-  // "remove alert 1", "delete alert 2", "alert hatao 1"
-  const alertRemoveMatch = text.match(/(?:remove|delete|hatao|hata\s*do)\s+alert\s+#?(\d+)/i);
-  if (alertRemoveMatch) {
-    return { skillId: 'tally', action: 'remove_alert', params: { alert_id: alertRemoveMatch[1] }, suggestedReply: null };
+  // --- Daily summary ---
+  // "weekly summary", "send monthly digest", "mahine ka summary"
+  const digestMatch = text.match(/\b(weekly|hafte|monthly|mahine)\s+(?:ka\s+)?(?:summary|digest)/i);
+  if (digestMatch) {
+    const period = /week|hafte/i.test(digestMatch[1]) ? 'weekly' : 'monthly';
+    return { skillId: 'tally', action: 'send_daily_summary', params: { period }, suggestedReply: null };
   }
 
-  // --- Daily summary ---
   // "send summary", "daily summary", "business summary", "aaj ka summary bhejo"
   if (/(?:send|show|bhejo)\s+(?:daily\s+)?summary|daily\s+summary|business\s+summary|aaj\s+ka\s+summary/i.test(text)) {
     return { skillId: 'tally', action: 'send_daily_summary', params: {}, suggestedReply: null };
   }
 
-  // --- Multi-company ---
-  // "show P&L for Afflink", "sales for Mobibox company", "switch company to X"
-  // Note: "open company X" and "switch to X" are already handled above by open_company pattern
-  const multiCompMatch = text.match(/(?:switch|change)\s+company\s+(?:to\s+)?(.+?)(?:\s*\.|$)/i);
-  if (multiCompMatch) {
-    return { skillId: 'tally', action: 'switch_company', params: { company_name: multiCompMatch[1].trim() }, suggestedReply: null };
-  }
-
   // --- Dashboard / Business Overview ---
   // "how's business", "how is business", "business dashboard", "karobar kaisa", "overview"
   if (/how(?:'s|\s+is)\s+(?:business|things|karobar)|business\s+(?:dashboard|overview|summary)|karobar\s+kaisa|^dashboard$/i.test(text)) {
@@ -409,10 +735,19 @@ function parseWithKeyword(userMessage, config) {
   }
 
   // --- Scheduled Reports ---
-  // "schedule sales report daily at 9 AM"
-  const schedMatch = text.match(/schedule\s+(.+?)\s+(?:report\s+)?(?:every|daily|weekly|on)\s+(.+)/i);
+  // "schedule sales report daily at 9 AM", "schedule outstanding every monday at 10am with excel"
+  // "schedule p&l weekdays at 6 pm, skip missed"
+  const schedMatch = text.match(/schedule\s+(.+?)\s+(?:report\s+)?((?:every|daily|weekly|weekdays|on)\b.*)$/i);
   if (schedMatch) {
-    return { skillId: 'tally', action: 'schedule_report', params: { report_action: schedMatch[1].trim(), schedule_time: schedMatch[2].trim() }, suggestedReply: null };
+    const when = schedMatch[2];
+    const timeMatch = when.match(/\b(?:at\s+)?(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm|baje)?)(?=\s|,|$)/i);
+    const schedTime = timeMatch ? timeMatch[1].trim() : null;
+    const daysPart = when.replace(timeMatch ? timeMatch[0] : '', ' ').replace(/\b(?:with|as|plus)\s+excel\b|,?\s*(?:skip|catch\s*up)\b.*$/gi, ' ').replace(/\b(?:every|on|at)\b/gi, ' ').replace(/\s+/g, ' ').trim();
+    const params = { report_action: schedMatch[1].trim(), schedule_time: schedTime, schedule_days: daysPart || 'daily' };
+    if (/\b(?:with|as|plus)\s+excel\b/i.test(when)) params.attach_excel = true;
+    if (/\bskip\b/i.test(when)) params.missed_policy = 'skip';
+    else if (/\bcatch\s*up\b/i.test(when)) params.missed_policy = 'catch_up';
+    return { skillId: 'tally', action: 'schedule_report', params, suggestedReply: null };
   }
   // "show scheduled reports", "my schedules"
   if (/(?:show|list|my)\s+schedul/i.test(text)) {
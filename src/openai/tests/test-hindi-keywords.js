@@ -38,11 +38,13 @@ const config = {
       { id: 'create_voucher', description: 'Create voucher', parameters: ['voucher_type', 'party_name', 'amount', 'date', 'narration'] },
       { id: 'get_party_invoices', description: 'Get invoices', parameters: ['party_name', 'date_from', 'date_to', 'voucher_type', 'page'] },
       { id: 'compare_periods', description: 'Compare periods', parameters: ['report_type', 'period'] },
-      { id: 'set_alert', description: 'Set alert', parameters: ['alert_type', 'threshold'] },
+      { id: 'set_alert', description: 'Set alert', parameters: ['alert_type', 'threshold', 'target', 'alert_time'] },
       { id: 'list_alerts', description: 'List alerts', parameters: [] },
       { id: 'remove_alert', description: 'Remove alert', parameters: ['alert_id'] },
       { id: 'send_daily_summary', description: 'Daily summary', parameters: [] },
       { id: 'switch_company', description: 'Switch company', parameters: ['company_name'] },
+      { id: 'clear_cache', description: 'Clear cache', parameters: [] },
+      { id: 'sync_mirror', description: 'Sync local copy', parameters: ['full'] },
       { id: 'get_dashboard', description: 'Dashboard', parameters: [] },
       { id: 'get_expense_anomalies', description: 'Expense anomalies', parameters: [] },
       { id: 'get_cash_flow_forecast', description: 'Cash flow forecast', parameters: [] },
@@ -292,6 +294,67 @@ test('"create sales invoice for meril 50000" → create_voucher(Sales)', () => {
   assert(r.params.voucher_type === 'Sales', `expected Sales, got ${r.params.voucher_type}`);
 });
 
+test('"create sales invoice for meril 59000 incl 18% gst" → create_voucher with GST', () => {
+  const r = kw('create sales invoice for meril 59000 incl 18% gst');
+  assert(r.action === 'create_voucher', `expected create_voucher, got ${r.action}`);
+  assert(r.params.party_name === 'meril' && r.params.amount === 59000, `got ${r.params.party_name} / ${r.params.amount}`);
+  assert(r.params.gst_rate === 18 && r.params.tax_inclusive === true, `got rate ${r.params.gst_rate}, inclusive ${r.params.tax_inclusive}`);
+  const plus = kw('create sales invoice for meril 50000 + 12% gst');
+  assert(plus.params.amount === 50000 && plus.params.gst_rate === 12 && plus.params.tax_inclusive === undefined, 'exclusive by default');
+});
+
+test('"contra 20000 from hdfc to cash" / "withdraw 5000 from sbi" → create_voucher(Contra)', () => {
+  const r = kw('contra 20000 from hdfc to cash');
+  assert(r.action === 'create_voucher' && r.params.voucher_type === 'Contra', `got ${r.action} ${r.params.voucher_type}`);
+  assert(r.params.from_ledger === 'hdfc' && r.params.to_ledger === 'cash' && r.params.amount === 20000, JSON.stringify(r.params));
+  const w = kw('withdraw 5,000 from sbi');
+  assert(w.params.from_ledger === 'sbi' && w.params.to_ledger === 'cash' && w.params.amount === 5000, JSON.stringify(w.params));
+});
+
+test('"journal dr rent 5000 cr cash 5000" → create_voucher(Journal) with lines', () => {
+  const r = kw('journal dr rent 5000 cr cash 5000');
+  assert(r.action === 'create_voucher' && r.params.voucher_type === 'Journal', `got ${r.action}`);
+  assert(r.params.entries.length === 2 && r.params.entries[0].ledger === 'rent' && r.params.entries[0].side === 'Dr' && r.params.entries[1].side === 'Cr', JSON.stringify(r.params.entries));
+});
+
+test('"credit note for meril 5000 against inv-101" → create_voucher(Credit Note)', () => {
+  const r = kw('credit note for meril 5000 against inv-101');
+  assert(r.action === 'create_voucher' && r.params.voucher_type === 'Credit Note', `got ${r.action} ${r.params.voucher_type}`);
+  assert(r.params.party_name === 'meril' && r.params.amount === 5000 && r.params.against_voucher === 'inv-101', JSON.stringify(r.params));
+  const ret = kw('purchase return to abc against bill 45');
+  assert(ret.params.voucher_type === 'Debit Note' && ret.params.amount === null && ret.params.against_voucher === '45', JSON.stringify(ret.params));
+});
+
+test('"record receipt from meril 25000 against inv-101" → create_voucher with the bill', () => {
+  const r = kw('record receipt from meril 25000 against inv-101');
+  assert(r.action === 'create_voucher' && r.params.party_name === 'meril' && r.params.amount === 25000 && r.params.against_voucher === 'inv-101', JSON.stringify(r.params));
+  assert(kw('record payment to abc 5000 on account').params.against_voucher === 'on account', 'on account');
+});
+
+test('"create party new traders gstin … phone … credit 30 days" → create_ledger', () => {
+  const r = kw('create party new traders gstin 27aapfu0939f1zv phone 98765 43210 credit 30 days');
+  assert(r.action === 'create_ledger' && r.params.party_name === 'new traders' && r.params.group === 'Sundry Debtors', JSON.stringify(r.params));
+  assert(r.params.gstin === '27aapfu0939f1zv' && r.params.phone === '98765 43210' && r.params.credit_days === 30, JSON.stringify(r.params));
+  const sup = kw('add supplier abc steel email abc@x.com state gujarat');
+  assert(sup.params.party_name === 'abc steel' && sup.params.group === 'Sundry Creditors' && sup.params.email === 'abc@x.com' && sup.params.state === 'gujarat', JSON.stringify(sup.params));
+});
+
+test('"create stock item widget unit box hsn 8471 gst 18% opening 100 @ 50" → create_stock_item', () => {
+  const r = kw('create stock item widget unit box hsn 8471 gst 18% opening 100 @ 50');
+  assert(r.action === 'create_stock_item' && r.params.item_name === 'widget' && r.params.unit === 'Box', JSON.stringify(r.params));
+  assert(r.params.hsn === '8471' && r.params.gst_rate === 18 && r.params.opening_qty === 100 && r.params.opening_rate === 50, JSON.stringify(r.params));
+  assert(kw('add item cable 12% gst').params.gst_rate === 12, '12% gst');
+});
+
+test('"set meril phone to 9876543210" / "set credit days for atul to 45" → update_party', () => {
+  const r = kw('set meril phone to 9876543210');
+  assert(r.action === 'update_party' && r.params.party_name === 'meril' && r.params.phone === '9876543210', JSON.stringify(r.params));
+  const days = kw('set credit days for atul to 45');
+  assert(days.action === 'update_party' && days.params.party_name === 'atul' && days.params.credit_days === 45, JSON.stringify(days.params));
+  assert(kw('update gstin of abc traders to 27aapfu0939f1zv').params.gstin === '27aapfu0939f1zv', 'gstin');
+  assert(kw('set meril ka email to a@b.com').params.party_name === 'meril', 'ka');
+});
+
 test('"record payment from ABC 25000" → create_voucher(Payment)', () => {
   const r = kw('record payment from ABC 25000');
   assert(r.action === 'create_voucher', `expected create_voucher, got ${r.action}`);
@@ -325,6 +388,17 @@ test('"show invoices of ABC" → get_party_invoices (NOT create)', () => {
   assert(r.action === 'get_party_invoices', `expected get_party_invoices, got ${r.action}`);
 });
 
+test('"send invoice INV-101 in modern template" → get_invoice_pdf with template', () => {
+  const r = kw('send invoice INV-101 in modern template');
+  assert(r.action === 'get_invoice_pdf', `expected get_invoice_pdf, got ${r.action}`);
+  assert(r.params.invoice_number.toUpperCase() === 'INV-101', `expected INV-101, got ${r.params.invoice_number}`);
+  assert(r.params.template === 'modern', `expected modern, got ${r.params.template}`);
+  const toParty = kw('send invoice 123 to party');
+  assert(toParty.params.invoice_number === '123' && toParty.params.send_to === 'party', JSON.stringify(toParty.params));
+  const plain = kw('pdf of invoice 42');
+  assert(plain.params.invoice_number === '42' && plain.params.template === undefined && plain.params.send_to === undefined, JSON.stringify(plain.params));
+});
+
 // ═══════════════════════════════════════════════
 console.log('\nDaybook Patterns:');
 // ═══════════════════════════════════════════════
@@ -487,6 +561,66 @@ test('"alert payable above 5K" → set_alert(payable_above, 5000)', () => {
   assert(r.params.threshold === 5000, `expected 5000, got ${r.params.threshold}`);
 });
 
+test('"alert when Meril balance goes above 5L" → set_alert(party_balance_above, meril)', () => {
+  const r = kw('alert when Meril balance goes above 5L');
+  assert(r.action === 'set_alert', `expected set_alert, got ${r.action}`);
+  assert(r.params.alert_type === 'party_balance_above', `expected party_balance_above, got ${r.params.alert_type}`);
+  assert(r.params.target === 'meril', `expected meril, got ${r.params.target}`);
+  assert(r.params.threshold === 500000, `expected 500000, got ${r.params.threshold}`);
+});
+
+test('"alert when bills of Meril overdue over 90 days" → set_alert(overdue_days_above, 90)', () => {
+  const r = kw('alert when bills of Meril overdue over 90 days');
+  assert(r.action === 'set_alert', `expected set_alert, got ${r.action}`);
+  assert(r.params.alert_type === 'overdue_days_above', `expected overdue_days_above, got ${r.params.alert_type}`);
+  assert(r.params.threshold === 90, `expected 90, got ${r.params.threshold}`);
+  assert(r.params.target === 'meril', `expected meril, got ${r.params.target}`);
+});
+
+test('"alert if today\'s sales below 1L by 6 pm" → set_alert(sales_below, 6 pm)', () => {
+  const r = kw("alert if today's sales below 1L by 6 pm");
+  assert(r.params.alert_type === 'sales_below', `expected sales_below, got ${r.params.alert_type}`);
+  assert(r.params.threshold === 100000, `expected 100000, got ${r.params.threshold}`);
+  assert(r.params.alert_time === '6 pm', `expected 6 pm, got ${r.params.alert_time}`);
+});
+
+test('"alert when stock of Widget A falls below 20" → set_alert(stock_below, widget a)', () => {
+  const r = kw('alert when stock of Widget A falls below 20');
+  assert(r.params.alert_type === 'stock_below', `expected stock_below, got ${r.params.alert_type}`);
+  assert(r.params.target === 'widget a', `expected widget a, got ${r.params.target}`);
+  assert(r.params.threshold === 20, `expected 20, got ${r.params.threshold}`);
+});
+
+test('"alert me when bank balance below 1L" → set_alert(bank_below)', () => {
+  const r = kw('alert me when bank balance below 1L');
+  assert(r.params.alert_type === 'bank_below', `expected bank_below, got ${r.params.alert_type}`);
+  assert(r.params.target === undefined, 'bank is not a party');
+});
+
+test('"alert me on any sale above 1L" → set_alert(sale_above, 100000)', () => {
+  const r = kw('alert me on any sale above 1L');
+  assert(r.params.alert_type === 'sale_above', `expected sale_above, got ${r.params.alert_type}`);
+  assert(r.params.threshold === 100000, `expected 100000, got ${r.params.threshold}`);
+});
+
+test('"alert on payment to Meril" → set_alert(payment_to_party, meril)', () => {
+  const r = kw('alert on payment to Meril');
+  assert(r.params.alert_type === 'payment_to_party', `expected payment_to_party, got ${r.params.alert_type}`);
+  assert(r.params.target === 'meril', `expected meril, got ${r.params.target}`);
+});
+
+test('"alert on cash payments above 20K" → set_alert(cash_payment_above, 20000)', () => {
+  const r = kw('alert on cash payments above 20K');
+  assert(r.params.alert_type === 'cash_payment_above', `expected cash_payment_above, got ${r.params.alert_type}`);
+  assert(r.params.threshold === 20000, `expected 20000, got ${r.params.threshold}`);
+});
+
+test('"alert when a voucher is deleted" → set_alert(voucher_deleted)', () => {
+  const r = kw('alert when a voucher is deleted');
+  assert(r.params.alert_type === 'voucher_deleted', `expected voucher_deleted, got ${r.params.alert_type}`);
+  assert(kw('alert me if any entry is altered').params.alert_type === 'voucher_altered', 'expected voucher_altered');
+});
+
 test('"show my alerts" → list_alerts', () => {
   const r = kw('show my alerts');
   assert(r.action === 'list_alerts', `expected list_alerts, got ${r.action}`);
@@ -507,6 +641,17 @@ test('"daily summary" → send_daily_summary', () => {
   assert(r.action === 'send_daily_summary', `expected send_daily_summary, got ${r.action}`);
 });
 
+test('"weekly summary" → send_daily_summary(weekly)', () => {
+  const r = kw('weekly summary');
+  assert(r.action === 'send_daily_summary', `expected send_daily_summary, got ${r.action}`);
+  assert(r.params.period === 'weekly', `expected weekly, got ${r.params.period}`);
+});
+
+test('"mahine ka summary" → send_daily_summary(monthly)', () => {
+  const r = kw('mahine ka summary');
+  assert(r.params.period === 'monthly', `expected monthly, got ${r.params.period}`);
+});
+
 test('"send summary" → send_daily_summary', () => {
   const r = kw('send summary');
   assert(r.action === 'send_daily_summary', `expected send_daily_summary, got ${r.action}`);
@@ -533,6 +678,48 @@ test('"change company to Mobibox" → switch_company(Mobibox)', () => {
   assert(r.params.company_name === 'mobibox', `expected mobibox, got ${r.params.company_name}`);
 });
 
+test('"switch to Afflink" → switch_company (this chat), "open company X" still opens it in Tally', () => {
+  const r = kw('switch to Afflink');
+  assert(r.action === 'switch_company' && r.params.company_name === 'afflink', `got ${r.action} ${JSON.stringify(r.params)}`);
+  assert(kw('open company Mobibox').action === 'open_company', 'open_company');
+});
+
+test('"sales of Afflink this month" → get_sales_report with company (connection name)', () => {
+  const named = Object.assign({}, config, { skills: [Object.assign({}, config.skills[0], { config: { connections: [{ name: 'mobibox', port: 9000 }, { name: 'Afflink', host: '192.168.1.30', port: 9000 }] } })] });
+  const r = parseWithKeyword('sales of Afflink this month', named);
+  assert(r.action === 'get_sales_report' && r.params.company === 'Afflink' && r.params.date_from, JSON.stringify(r.params));
+  assert(kw('sales of Afflink this month').params.company === undefined, 'unknown name is not taken as a company');
+});
+
+test('"receivables for company mobibox pvt ltd" → get_outstanding with company', () => {
+  const r = kw('receivables for company mobibox pvt ltd');
+  assert(r.action === 'get_outstanding' && r.params.type === 'receivable' && r.params.company === 'mobibox pvt ltd', JSON.stringify(r.params));
+});
+
+test('"total receivables of all companies" / "combined cash balance" → company all', () => {
+  const r = kw('total receivables of all companies');
+  assert(r.action === 'get_outstanding' && r.params.company === 'all', `got ${r.action} ${JSON.stringify(r.params)}`);
+  const c = kw('combined cash balance');
+  assert(c.action === 'get_cash_bank_balance' && c.params.company === 'all', `got ${c.action} ${JSON.stringify(c.params)}`);
+  assert(kw('add party combined traders').params.company === undefined, 'a name containing "combined" is left alone');
+});
+
+test('"refresh outstanding receivable" → get_outstanding with refresh; "clear cache" → clear_cache', () => {
+  const r = kw('refresh outstanding receivable');
+  assert(r.action === 'get_outstanding' && r.params.type === 'receivable' && r.params.refresh === true, `got ${r.action} ${JSON.stringify(r.params)}`);
+  assert(kw('reload cash balance').params.refresh === true, 'reload');
+  assert(kw('clear cache').action === 'clear_cache' && kw('refresh').action === 'clear_cache', 'clear_cache');
+  assert(kw('refresh please').action !== 'clear_cache', 'not every "refresh …" clears the cache');
+});
+
+test('"sync tally" → sync_mirror; "full sync" adds full', () => {
+  const r = kw('sync tally');
+  assert(r.action === 'sync_mirror' && !r.params.full, `got ${r.action} ${JSON.stringify(r.params)}`);
+  assert(kw('update local copy').action === 'sync_mirror', 'update local copy');
+  assert(kw('full sync tally').params.full === true && kw('resync tally data from scratch').params.full === true, 'full');
+  assert(kw('sync sales').action !== 'sync_mirror', 'only the data itself');
+});
+
 // ═══════════════════════════════════════════════
 console.log('\nDashboard / Business Overview:');
 // ═══════════════════════════════════════════════
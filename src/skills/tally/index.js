@@ -44,6 +44,96 @@ function paginateResult(parsed, items, page, renderLine, header) {
   return { success: true, message: lines.join('\n'), data: parsed.data };
 }
 
+/**
+ * Work out GST for a Sales/Purchase voucher (or a Credit/Debit Note reversing one) and attach it as voucherData.gst.
+ * Applies when the request names a rate (gst_rate) or skill config gst.enabled is true; a rate of 0 means no tax.
+ * Returns null when GST does not apply, { error } when a duty / round off ledger is missing in Tally.
+ */
+async function applyGst(voucherData, params, gstConfig, baseUrl, companyName) {
+  if (!tdlClient.isTradingVoucherType(voucherData.type)) return null;
+  const hasRate = params.gst_rate != null && params.gst_rate !== '';
+  if (!hasRate && gstConfig.enabled !== true) return null;
+  const rate = hasRate ? parseFloat(params.gst_rate) : parseFloat(gstConfig.defaultRate || 0);
+  if (!(rate > 0) && !voucherData.items.some(it => parseFloat(it.gstRate) > 0)) return null;
+
+  const company = tdlClient.parseCompanyInfoResponse(await tdlClient.postTally(baseUrl, tdlClient.buildCompanyInfoTdlXml(companyName)));
+  const party = tdlClient.parsePartyDetailResponse(await tdlClient.postTally(baseUrl, tdlClient.buildPartyDetailTdlXml(voucherData.party, companyName)));
+  const pos = tdlClient.placeOfSupply(company, party);
+  const inclusive = params.tax_inclusive != null ? params.tax_inclusive === true || params.tax_inclusive === 'true' : gstConfig.inclusive === true;
+  const gst = tdlClient.computeGst(voucherData, { rate, inclusive, interState: pos.interState, gstConfig });
+
+  const needed = tdlClient.gstLedgersUsed(gst);
+  const found = tdlClient.parseListLedgerNamesResponse(await tdlClient.postTally(baseUrl, tdlClient.buildLedgersExistTdlXml(needed, companyName))).data;
+  const missing = tdlClient.missingLedgers(needed, found);
+  if (missing.length > 0) {
+    return { error: '❌ Cannot create voucher — these tax ledgers are missing in Tally:\n' + missing.map(n => '• ' + n).join('\n') +
+      '\n\nCreate them (GST ones under Duties & Taxes) or set the names in the tally skill config under gst.ledgers.' };
+  }
+  voucherData.gst = Object.assign(gst, {
+    placeOfSupply: pos.placeOfSupply, interState: pos.interState, assumed: pos.assumed,
+    partyGstin: party.gstin || null, hsn: params.hsn || null, inclusive,
+  });
+  return voucherData.gst;
+}
+
+/**
+ * Look up the bill a Credit/Debit Note reverses (voucherData.against.number) and fill in its date and amount.
+ * With no amount given the whole bill is reversed. Returns { error } when the bill is missing or belongs to another party.
+ */
+async function applyAgainst(voucherData, baseUrl, companyName) {
+  const originalType = tdlClient.noteOriginalType(voucherData.type);
+  const number = voucherData.against.number;
+  const xml = tdlClient.buildInvoiceDetailTdlXml(number, companyName, originalType);
+  const original = tdlClient.parseInvoiceDetailResponse(await tdlClient.postTally(baseUrl, xml));
+  if (!original) {
+    return { error: `🔍 ${originalType} bill #${number} not found in Tally. A ${voucherData.type} must be against an existing ${originalType.toLowerCase()} bill — check the number.` };
+  }
+  if (original.party && original.party.toLowerCase() !== voucherData.party.toLowerCase()) {
+    return { error: `❌ ${originalType} bill #${number} is for ${original.party}, not ${voucherData.party}.` };
+  }
+  const partyEntry = original.ledgerEntries.find(e => e.isParty);
+  const amount = Math.abs(partyEntry ? partyEntry.amount : original.amount);
+  voucherData.against = { number: original.number || number, date: original.date || null, amount };
+  if (!voucherData.amount) voucherData.amount = amount;
+  return voucherData.against;
+}
+
+/**
+ * Settle a Receipt/Payment against the party's pending bills (the get_bill_outstanding fetch): the bill named in
+ * against_voucher, else oldest first, the rest on account. Sets voucherData.billAllocations; against_voucher
+ * "on account" / "none" skips it. Returns { error } when the named bill is not pending.
+ */
+async function applyBillAllocation(voucherData, params, baseUrl, companyName) {
+  const against = params.against_voucher ? String(params.against_voucher).trim() : null;
+  if (against && /^(on\s*account|none|no)$/i.test(against)) return null;
+  const xml = tdlClient.buildBillOutstandingTdlXml(voucherData.party, companyName);
+  const parsed = tdlClient.parseBillOutstandingTdlResponse(await tdlClient.postTally(baseUrl, xml), voucherData.party);
+  const alloc = tdlClient.allocateBills(parsed.data.bills || [], voucherData.amount, { against });
+  if (alloc.error) return alloc;
+  if (alloc.allocations.length === 0) return null;
+  voucherData.billAllocations = alloc;
+  return alloc;
+}
+
+/**
+ * Match each Journal/Contra line's ledger to a Tally ledger (exact name, or the only one containing it).
+ * With allowed (params._allowedParties) a debtor/creditor line must be one of those parties.
+ * Returns { error } naming the lines that match none or several ledgers.
+ */
+async function resolveEntryLedgers(entries, baseUrl, companyName, allowed) {
+  const problems = [];
+  for (const entry of entries) {
+    const resolved = await findLedger(entry.ledger, baseUrl, companyName);
+    if ((resolved.match === 'exact' || resolved.match === 'single') && PARTY_GROUPS.includes(resolved.parent) && !partyAllowed(resolved.name, allowed)) {
+      problems.push(`• 🔒 *${resolved.name}* isn't one of your assigned parties`);
+    } else if (resolved.match === 'exact' || resolved.match === 'single') entry.ledger = resolved.name;
+    else if (resolved.match === 'multiple') problems.push(`• "${entry.ledger}" could be ${resolved.suggestions.map(l => l.name).join(', ')}`);
+    else problems.push(`• "${entry.ledger}" is not a ledger in Tally`);
+  }
+  if (problems.length > 0) return { error: '❓ Please give the exact ledger names:\n' + problems.join('\n') };
+  return null;
+}
+
 /**
  * Strip common filler/politeness words from the end of a party name.
  * "manoj please" → "manoj", "meril sir" → "meril"
@@ -52,11 +142,55 @@ function cleanPartyName(name) {
   return (name || '').replace(/\s+(?:please|pls|plz|sir|madam|ji|bhai|bro|dude|thanks|thank\s*you|karo|dikhao|batao|do)\s*$/i, '').trim();
 }
 
+/**
+ * Names typed in lowercase ("new traders") become "New Traders"; anything with capitals is kept as typed.
+ */
+function titleCaseName(name) {
+  return name === name.toLowerCase() ? name.replace(/(^|\s)(\S)/g, (m, sp, c) => sp + c.toUpperCase()) : name;
+}
+
+const PARTY_GROUPS = ['Sundry Debtors', 'Sundry Creditors'];
+
+/**
+ * Whether a resolved ledger is one the user may reach. allowed is params._allowedParties, set by the
+ * orchestrator for party-restricted users (src/bot/access-control.js); without it every party is.
+ */
+function partyAllowed(name, allowed) {
+  return !Array.isArray(allowed) || allowed.some(a => tdlClient.samePartyName(name, a));
+}
+
+function partyScopeError(name, allowed) {
+  const err = new Error(`🔒 *${name}* isn't one of your assigned parties.` +
+    (allowed.length ? `\n\nYou can ask about: ${allowed.join(', ')}` : ''));
+  err.code = 'EPARTYSCOPE';
+  return err;
+}
+
+/**
+ * Resolve a party name to a Tally ledger (findLedger), then hold it to allowed (params._allowedParties):
+ * the ledger Tally picked must be an assigned party — a fragment like "Life" may resolve to someone else's.
+ * Throws an EPARTYSCOPE error (see tallyError) when it isn't.
+ * Returns: { match: 'exact'|'single'|'multiple'|'none', name?, parent?, suggestions? }
+ */
+async function resolvePartyName(partyName, baseUrl, companyName, allowed) {
+  const resolved = await findLedger(partyName, baseUrl, companyName);
+  if (!Array.isArray(allowed)) return resolved;
+  if (resolved.match === 'exact' || resolved.match === 'single') {
+    if (!partyAllowed(resolved.name, allowed)) throw partyScopeError(resolved.name, allowed);
+  } else if (resolved.match === 'multiple') {
+    const mine = resolved.suggestions.filter(l => partyAllowed(l.name, allowed));
+    if (mine.length === 0) throw partyScopeError(cleanPartyName(partyName) || partyName, allowed);
+    if (mine.length === 1) return { match: 'single', name: mine[0].name, parent: mine[0].parent };
+    return { match: 'multiple', suggestions: mine };
+  }
+  return resolved;
+}
+
 /**
  * Try exact match first. If no result, do a fuzzy CONTAINS search.
- * Returns: { match: 'exact'|'single'|'multiple'|'none', name?, suggestions? }
+ * Returns: { match: 'exact'|'single'|'multiple'|'none', name?, parent?, suggestions? }
  */
-async function resolvePartyName(partyName, baseUrl, companyName) {
+async function findLedger(partyName, baseUrl, companyName) {
   // Clean filler words from the party name
   const cleaned = cleanPartyName(partyName) || partyName;
   // 1) Exact match — try the name as-is
@@ -69,14 +203,14 @@ async function resolvePartyName(partyName, baseUrl, companyName) {
     (l) => l.name.toLowerCase() === cleaned.toLowerCase()
   );
   if (exactHit) {
-    return { match: 'exact', name: exactHit.name };
+    return { match: 'exact', name: exactHit.name, parent: exactHit.parent };
   }
 
   // 2) The CONTAINS search already ran — check results
   const results = exactParsed.data || [];
 
   if (results.length === 1) {
-    return { match: 'single', name: results[0].name };
+    return { match: 'single', name: results[0].name, parent: results[0].parent };
   }
 
   if (results.length > 1) {
@@ -108,7 +242,7 @@ async function resolvePartyName(partyName, baseUrl, companyName) {
     const fallbackResults = fallbackParsed.data || [];
 
     if (fallbackResults.length === 1) {
-      return { match: 'single', name: fallbackResults[0].name };
+      return { match: 'single', name: fallbackResults[0].name, parent: fallbackResults[0].parent };
     }
     if (fallbackResults.length > 1) {
       return { match: 'multiple', suggestions: fallbackResults.slice(0, MAX_SUGGESTIONS) };
@@ -150,13 +284,38 @@ function formatSuggestions(suggestions, originalQuery) {
   return lines.join('\n');
 }
 
-function tallyError(err, port) {
-  if (err.code === 'ECONNREFUSED' || err.code === 'ECONNRESET') {
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'];
+
+/**
+ * Turn a failed Tally request into a reply. conn is tallyConnection(): a remote Tally
+ * is named in the message and never checked with the local process list.
+ */
+function tallyError(err, conn) {
+  if (err.code === 'ERR_CANCELED' || err.code === 'EPARTYSCOPE') return { success: false, message: err.message };
+  const status = err.response && err.response.status;
+  if (status === 401 || status === 403) {
+    return { success: false, message: `🔒 ${conn.label} refused the Tally login (HTTP ${status}). Check username and password in the Tally skill config.` };
+  }
+  if (conn.remote) {
+    if (err.code === 'ETALLYDOWN') return { success: false, message: `🔌 ${err.message}` };
+    if (UNREACHABLE_CODES.includes(err.code)) {
+      return { success: false, message: `❌ Can't reach Tally at *${conn.label}* (${err.code}). Check that TallyPrime is open on that machine with its HTTP server enabled, and that this PC can reach it on the network.` };
+    }
+    if (/CERT|SELF_SIGNED|UNABLE_TO_VERIFY/.test(err.code || '')) {
+      return { success: false, message: `🔐 TLS error talking to *${conn.label}*: ${err.message}. For a self-signed certificate set tlsInsecure: true in the Tally skill config.` };
+    }
+    if (err.code === 'ETIMEDOUT' || err.code === 'ECONNABORTED' || err.code === 'ESOCKETTIMEDOUT') {
+      return { success: false, message: `⏳ Tally at *${conn.label}* is taking too long to respond. It might be busy, or the network is slow. Try again.` };
+    }
+    return { success: false, message: `Tally at ${conn.label}: ${err.message || String(err)}` };
+  }
+  if (err.code === 'ECONNREFUSED' || err.code === 'ECONNRESET' || err.code === 'ETALLYDOWN') {
     const proc = tdlClient.isTallyRunning();
     if (!proc.running) {
-      return { success: false, message: '❌ Tally is not running. Say "start tally" to launch it, or open TallyPrime manually and enable HTTP server on port ' + port + '.' };
+      return { success: false, message: '❌ Tally is not running. Say "start tally" to launch it, or open TallyPrime manually and enable HTTP server on port ' + conn.port + '.' };
     }
-    return { success: false, message: '⚠️ Tally is running but HTTP server not responding on port ' + port + '. Say "restart tally" to fix it.' };
+    if (err.code === 'ETALLYDOWN') return { success: false, message: `🔌 ${err.message} Say "restart tally" if it is stuck.` };
+    return { success: false, message: '⚠️ Tally is running but HTTP server not responding on port ' + conn.port + '. Say "restart tally" to fix it.' };
   }
   if (err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT') {
     return { success: false, message: '⏳ Tally is taking too long to respond. It might be busy. Try again or say "restart tally".' };
@@ -166,37 +325,326 @@ function tallyError(err, port) {
 
 /**
  * Tally skill: execute(skillId, action, params, skillConfig) => Promise<{ success, message?, data? }>
- * skillConfig: { port, companyName }
+ * skillConfig: { port, host?, url?, username?, password?, tlsInsecure?, connections?, ... } — see tallyConnections()
+ * params.company: the company to query, on any connection (SVCURRENTCOMPANY — Tally's active
+ * company is left alone); "all" adds up a CONSOLIDATED action over every open company.
+ * params.refresh: drop that company's cached Tally answers first (skillConfig.cache, tdl/response-cache.js).
+ * MIRROR_ACTIONS read the company's local mirror when skillConfig.mirror is enabled (tdl/tally-mirror.js).
  */
-// Cache the active company name so we don't query Tally on every request
-let _cachedCompanyName = null;
-let _cachedCompanyAt = 0;
+// Cache the open companies of each Tally (first = active), by baseUrl, so we don't query Tally on every request
+const _companyCache = new Map();
 const COMPANY_CACHE_MS = 60000; // refresh every 60s
 
+// Need tally.exe / tally.ini on this machine — not possible when Tally is remote
+const PROCESS_ACTIONS = ['start_tally', 'restart_tally', 'open_company'];
+
+// Reports that list every party or their vouchers — refused for party-restricted senders (params._allowedParties).
+// get_outstanding and get_payment_reminders are not here: they are cut down to the sender's parties.
+const WHOLE_BOOK_ACTIONS = [
+  'get_daybook', 'get_vouchers', 'list_ledgers', 'get_trial_balance', 'get_dashboard', 'get_ageing_analysis',
+  'get_sales_report', 'get_sales_orders', 'get_purchase_orders', 'get_pending_orders',
+  'get_top_customers', 'get_top_suppliers', 'get_inactive_customers', 'get_inactive_suppliers',
+  'compare_periods', 'get_cash_flow_forecast', 'reconcile_bank',
+];
+
+const ALL_COMPANIES_RE = /^(?:all|all\s+companies|both|consolidated|combined)$/i;
+
+// Actions whose totals add up across companies (params.company "all"); total() turns
+// Tally's Dr-negative balances into the amount shown (money in bank is positive)
+const CONSOLIDATED = {
+  get_outstanding: { label: p => (/receiv|debtor/i.test(p.type || '') ? 'Receivables' : 'Payables'), total: d => Math.abs(d.total) },
+  get_cash_bank_balance: { label: () => 'Cash & Bank', total: d => -d.total },
+  get_sales_report: { label: p => (/purchase/i.test(p.type || '') ? 'Purchases' : 'Sales'), total: d => d.total },
+  get_profit_loss: { label: () => 'Net Profit', total: d => d.netProfit },
+};
+
+/** Companies open in one Tally, active first. The last good answer is kept when Tally doesn't reply. */
+async function openCompanies(conn) {
+  const hit = _companyCache.get(conn.baseUrl);
+  if (hit && (Date.now() - hit.at) <= COMPANY_CACHE_MS) return hit.companies;
+  try {
+    const status = await tdlClient.checkTallyStatus(conn.baseUrl);
+    if (status.responding) {
+      const companies = (status.companies || []).map(c => c.name);
+      if (status.activeCompany && !companies.includes(status.activeCompany)) companies.unshift(status.activeCompany);
+      if (companies.length > 0) {
+        _companyCache.set(conn.baseUrl, { companies, at: Date.now() });
+        return companies;
+      }
+    }
+  } catch { /* detection failed — fall back to the cached list */ }
+  return hit ? hit.companies : [];
+}
+
+/**
+ * Which Tally and company a request goes to. No name: the first connection's active
+ * company. A name matches a company open on any connection (exact, then the only one
+ * containing it) or a connection's own name (its active company).
+ * @returns {Promise<{ conn, companyName } | { error: string }>}
+ */
+async function resolveCompany(connections, wanted) {
+  if (!wanted) {
+    const conn = connections[0];
+    const [companyName] = await openCompanies(conn);
+    if (!companyName) {
+      return { error: `Could not detect the active company from Tally${conn.remote ? ` at ${conn.label}` : ''}. Please make sure Tally is running with a company open.` };
+    }
+    return { conn, companyName };
+  }
+  const q = wanted.toLowerCase();
+  const open = [];
+  for (const conn of connections) {
+    for (const companyName of await openCompanies(conn)) open.push({ conn, companyName });
+  }
+  const where = o => (connections.length > 1 ? ` (${o.conn.name})` : '');
+  const exact = open.find(o => o.companyName.toLowerCase() === q);
+  if (exact) return exact;
+  const named = open.find(o => o.conn.name.toLowerCase() === q);
+  if (named) return named;
+  const partial = open.filter(o => o.companyName.toLowerCase().includes(q));
+  if (partial.length === 1) return partial[0];
+  if (partial.length > 1) {
+    return { error: `❓ "${wanted}" could be ${partial.map(o => o.companyName + where(o)).join(', ')}. Please give the full company name.` };
+  }
+  if (open.length === 0) {
+    return { error: `Could not reach Tally to look up company "${wanted}". Please make sure Tally is running with a company open.` };
+  }
+  return { error: `🏢 No company "${wanted}" is open in Tally. Open companies: ${open.map(o => o.companyName + where(o)).join(', ')}. Load it in TallyPrime first to query it.` };
+}
+
+// Reports that read the local mirror (skillConfig.mirror, tdl/tally-mirror.js) instead of exporting vouchers every time
+const MIRROR_ACTIONS = [
+  'get_top_customers', 'get_top_suppliers', 'get_top_items',
+  'get_inactive_customers', 'get_inactive_suppliers', 'get_inactive_items',
+  'compare_periods', 'get_cash_flow_forecast',
+];
+
+/**
+ * A company that has a mirror, for when Tally can't list its open companies: the one named
+ * (exact, then the only one containing it), else the last synced one of the first connection.
+ */
+function mirroredCompany(connections, wanted) {
+  if (!tdlClient.mirrorSettings().enabled) return null;
+  const mirrored = tdlClient.listMirrors()
+    .map(m => ({ conn: connections.find(c => c.baseUrl === m.baseUrl), companyName: m.company }))
+    .filter(o => o.conn);
+  if (!wanted) return mirrored.find(o => o.conn === connections[0]) || null;
+  const q = wanted.toLowerCase();
+  const exact = mirrored.find(o => o.companyName.toLowerCase() === q);
+  if (exact) return exact;
+  const partial = mirrored.filter(o => o.companyName.toLowerCase().includes(q));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * The company's mirror for a report, synced with Tally first — { mirror, stale } — or null when
+ * the mirror is off or its first build is still running (the report asks Tally then).
+ */
+async function reportMirror(conn, companyName) {
+  if (!tdlClient.mirrorSettings().enabled) return null;
+  return tdlClient.refreshMirror(conn.baseUrl, companyName, { post: tdlClient.postTally });
+}
+
+function mirrorAge(iso, now = Date.now()) {
+  const min = Math.max(0, Math.round((now - new Date(iso).getTime()) / 60000));
+  if (min < 60) return `${min} min ago`;
+  if (min < 48 * 60) return `${Math.round(min / 60)} h ago`;
+  return `${Math.round(min / 1440)} days ago`;
+}
+
+function mirrorSyncError(err) {
+  if (!err) return 'unknown error';
+  if (err.code === 'ENOCOMPANY') return 'the company is not open in Tally';
+  if (err.code === 'ETALLYDOWN' || UNREACHABLE_CODES.includes(err.code)) return 'Tally is not reachable';
+  return `Tally did not answer: ${String(err.message || err.code).split('\n')[0]}`;
+}
+
+/** A report answered from a mirror that could not be synced says so, and how old the copy is. */
+function labelMirror(result, mirrored) {
+  if (!mirrored || !result.success) return result;
+  const { syncedAt } = mirrored.mirror.state;
+  result.data = Object.assign({}, result.data, { mirror: { syncedAt, stale: mirrored.stale } });
+  if (mirrored.stale) {
+    result.message = `📦 _Offline copy, synced ${mirrorAge(syncedAt)} — ${mirrorSyncError(mirrored.error)}. Newer entries are missing._\n\n${result.message}`;
+  }
+  return result;
+}
+
+/**
+ * sync_mirror: bring the mirror of the named company, or of every open company, up to date.
+ * Incremental syncs are awaited; a first build or a full resync (params.full) runs in the background.
+ */
+async function syncMirrors(connections, wanted, params) {
+  if (!tdlClient.mirrorSettings().enabled) {
+    return { success: false, message: '📦 The local copy of Tally data is turned off. Set `"mirror": {"enabled": true}` in the Tally skill config.' };
+  }
+  const targets = [];
+  if (wanted && !ALL_COMPANIES_RE.test(wanted)) {
+    const target = await resolveCompany(connections, wanted);
+    if (target.error) return { success: false, message: target.error };
+    targets.push(target);
+  } else {
+    for (const conn of connections) {
+      for (const companyName of await openCompanies(conn)) targets.push({ conn, companyName });
+    }
+    if (targets.length === 0) {
+      return { success: false, message: 'Could not reach Tally to sync the local copy. Please make sure Tally is running with a company open.' };
+    }
+  }
+  const full = params.full === true || params.full === 'true';
+  const lines = ['📦 *Local copy of Tally data*', ''];
+  const companies = [];
+  for (const { conn, companyName } of targets) {
+    const name = companyName + (connections.length > 1 ? ` _(${conn.name})_` : '');
+    const built = !!tdlClient.loadMirror(conn.baseUrl, companyName).state.fullSyncAt;
+    let status;
+    if (full && built) {
+      tdlClient.syncMirrorInBackground(conn.baseUrl, companyName, { full: true, post: tdlClient.postTally }).catch(() => {});
+      lines.push(`• ${name} — 🔄 full resync started in the background`);
+      status = 'full sync started';
+    } else {
+      let mirrored;
+      try {
+        mirrored = await tdlClient.refreshMirror(conn.baseUrl, companyName, { post: tdlClient.postTally });
+      } catch (err) {
+        return tallyError(err, conn);
+      }
+      if (!mirrored) {
+        lines.push(`• ${name} — 🔄 first build started in the background; reports use it once it is done`);
+        status = 'building';
+      } else if (mirrored.stale) {
+        lines.push(`• ${name} — ⚠️ not synced (${mirrorSyncError(mirrored.error)}); copy from ${mirrorAge(mirrored.mirror.state.syncedAt)}`);
+        status = 'stale';
+      } else {
+        const c = mirrored.mirror.state.counts || {};
+        lines.push(`• ${name} — ✅ ${c.vouchers || 0} vouchers, ${c.ledgers || 0} ledgers, ${c.stockItems || 0} stock items`);
+        status = 'synced';
+      }
+    }
+    companies.push({ company: companyName, connection: conn.name, status });
+  }
+  return { success: companies.some(c => c.status !== 'stale'), message: lines.join('\n'), data: { companies } };
+}
+
+/** Sales or purchase report over a period from the mirror's vouchers. */
+function mirrorSalesPurchase(mirror, reportType, dateFrom, dateTo) {
+  const vouchers = tdlClient.mirrorVouchers(mirror, { type: reportType === 'purchase' ? 'Purchase' : 'Sales', from: dateFrom, to: dateTo })
+    .map(v => ({ date: v.date, number: v.number, amount: v.amount, party: v.party }));
+  return tdlClient.summarizeSalesPurchase(vouchers, reportType, dateFrom, dateTo);
+}
+
+/** Run a CONSOLIDATED action on every open company of every connection and add up the totals. */
+async function consolidate(action, params, skillConfig, connections) {
+  const spec = CONSOLIDATED[action];
+  const rows = [];
+  const skipped = [];
+  for (const conn of connections) {
+    const companies = await openCompanies(conn);
+    if (companies.length === 0) skipped.push(`${conn.name} (${conn.label}): Tally not reachable or no company open`);
+    for (const companyName of companies) {
+      const result = await runAction(action, Object.assign({}, params, { page: 1 }), skillConfig, conn, companyName);
+      if (result.success && result.data) rows.push({ company: companyName, connection: conn.name, total: spec.total(result.data) || 0 });
+      else skipped.push(`${companyName}: ${String(result.message || 'failed').split('\n')[0]}`);
+    }
+  }
+  const total = rows.reduce((s, r) => s + r.total, 0);
+  const amount = n => `${n < 0 ? '-' : ''}₹${tdlClient.inr(n)}`;
+  const lines = [`🏢 *${spec.label(params)} — all companies*`, ''];
+  rows.forEach(r => lines.push(`• ${r.company}${connections.length > 1 ? ` _(${r.connection})_` : ''} — ${amount(r.total)}`));
+  if (rows.length > 0) lines.push('', `*Total: ${amount(total)}*`);
+  if (skipped.length > 0) lines.push('', '⚠️ Not included:', ...skipped.map(s => `• ${s}`));
+  return { success: rows.length > 0, message: lines.join('\n'), data: { companies: rows, total, skipped } };
+}
+
 async function execute(skillId, action, params = {}, skillConfig = {}) {
-  const port = skillConfig.port ?? 9000;
-  const baseUrl = `http://localhost:${port}`;
+  let connections;
+  try {
+    connections = tdlClient.tallyConnections(skillConfig);
+  } catch (err) {
+    return { success: false, message: `❌ Tally connection: ${err.message}` };
+  }
+  tdlClient.configureResponseCache(skillConfig.cache);
+  tdlClient.configureTallyQueue(skillConfig.queue);
+  tdlClient.configureMirror(skillConfig.mirror);
+  const wanted = params.company ? String(params.company).trim() : '';
+
+  if (Array.isArray(params._allowedParties) && WHOLE_BOOK_ACTIONS.includes(action)) {
+    return { success: false, message: `🔒 *${action.replace(/^get_/, '').replace(/_/g, ' ')}* covers every party, not just your assigned ones. Please ask the owner for it.` };
+  }
+
+  if (action === 'sync_mirror') return syncMirrors(connections, wanted, params);
+
+  if (action === 'clear_cache') {
+    let dropped = 0;
+    for (const conn of connections) dropped += tdlClient.invalidateResponseCache(conn.baseUrl, null);
+    return { success: true, message: `🔄 Cleared ${dropped} cached Tally ${dropped === 1 ? 'answer' : 'answers'}. The next reports are read fresh from Tally.`, data: { dropped } };
+  }
+
+  if (action === 'switch_company') {
+    // The orchestrator keeps data.company as this chat's default (params.company on later requests)
+    const name = params.company_name ? String(params.company_name).trim() : '';
+    if (!name) return { success: false, message: 'Please specify a company name. Example: "switch company to Afflink"' };
+    if (/^(?:default|none|reset|active)$/i.test(name)) {
+      return { success: true, message: '✅ This chat is back on the company that is active in Tally.', data: { company: null } };
+    }
+    const target = await resolveCompany(connections, name);
+    if (target.error) return { success: false, message: target.error };
+    const where = connections.length > 1 ? ` on ${target.conn.name}` : '';
+    return {
+      success: true,
+      message: `✅ This chat now works on *${target.companyName}*${where}. Tally's active company is unchanged for everyone else.\nSay "switch company to default" to go back.`,
+      data: { company: target.companyName, connection: target.conn.name },
+    };
+  }
 
-  // Always detect the active company dynamically from Tally — never use static config.
+  if (ALL_COMPANIES_RE.test(wanted)) {
+    if (!CONSOLIDATED[action]) {
+      return { success: false, message: '🏢 Only totals can be combined across companies: outstanding receivables/payables, cash & bank, sales/purchase and P&L. Name one company for anything else.' };
+    }
+    if (params.refresh) connections.forEach(conn => tdlClient.invalidateResponseCache(conn.baseUrl, null));
+    return consolidate(action, params, skillConfig, connections);
+  }
+
+  // Status and company lists cover every connection
+  if ((action === 'tally_status' || action === 'list_companies') && connections.length > 1 && !wanted) {
+    const results = [];
+    for (const conn of connections) results.push(await runAction(action, params, skillConfig, conn, null));
+    return {
+      success: results.some(r => r.success),
+      message: results.map((r, i) => `🔌 *${connections[i].name}* (${connections[i].label})\n${r.message}`).join('\n\n'),
+      data: { connections: results.map((r, i) => ({ name: connections[i].name, success: r.success, data: r.data || null })) },
+    };
+  }
+
+  // Always detect the company dynamically from Tally — never use static config.
+  let conn = connections[0];
   let companyName = null;
   const offlineActions = ['list_companies', 'tally_status', 'start_tally', 'open_company'];
   if (!offlineActions.includes(action)) {
-    const now = Date.now();
-    if (!_cachedCompanyName || (now - _cachedCompanyAt) > COMPANY_CACHE_MS) {
-      try {
-        const status = await tdlClient.checkTallyStatus(baseUrl);
-        if (status.responding && status.activeCompany) {
-          _cachedCompanyName = status.activeCompany;
-          _cachedCompanyAt = now;
-        }
-      } catch { /* detection failed — companyName stays null */ }
-    }
-    companyName = _cachedCompanyName || null;
-    if (!companyName) {
-      return { success: false, message: 'Could not detect the active company from Tally. Please make sure Tally is running with a company open.' };
-    }
+    let target = await resolveCompany(connections, wanted);
+    // Tally closed: the reports a mirror can answer still go to the mirrored company
+    if (target.error && MIRROR_ACTIONS.includes(action)) target = mirroredCompany(connections, wanted) || target;
+    if (target.error) return { success: false, message: target.error };
+    ({ conn, companyName } = target);
+    // "refresh": read this company's data from Tally again instead of the response cache
+    if (params.refresh) tdlClient.invalidateResponseCache(conn.baseUrl, companyName);
+  } else if (wanted) {
+    conn = connections.find(c => c.name.toLowerCase() === wanted.toLowerCase()) || conn;
   }
 
+  const result = await runAction(action, params, skillConfig, conn, companyName);
+  // A chosen company is named on the reply so the chat knows it isn't Tally's active one
+  if (wanted && companyName && result && result.success && typeof result.message === 'string') {
+    result.message = `🏢 *${companyName}*\n${result.message}`;
+  }
+  return result;
+}
+
+async function runAction(action, params, skillConfig, conn, companyName) {
+  const baseUrl = conn.baseUrl;
+  if (conn.remote && PROCESS_ACTIONS.includes(action)) {
+    return { success: false, message: `🌐 Tally runs on *${conn.label}*, not on this machine — start, restart or switch companies in TallyPrime there.` };
+  }
   if (action === 'get_ledger') {
     const partyName = params.party_name;
     if (!partyName || typeof partyName !== 'string') {
@@ -204,7 +652,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
     }
     const page = parseInt(params.page, 10) || 1;
     try {
-      const resolved = await resolvePartyName(partyName, baseUrl, companyName);
+      const resolved = await resolvePartyName(partyName, baseUrl, companyName, params._allowedParties);
       if (resolved.match === 'none') {
         return await handlePartyNotFound(partyName, baseUrl, companyName);
       }
@@ -274,7 +722,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
         header
       );
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -284,13 +732,16 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
     const voucherType = params.voucher_type || null;
     const limit = typeof params.limit === 'number' ? params.limit : (params.limit ? parseInt(String(params.limit), 10) : 50);
     const page = parseInt(params.page, 10) || 1;
+    const xmlOpts = { withLedgers: !!params._with_ledgers };
     let actualFrom = dateFrom || null;
     let actualTo = dateTo || dateFrom || null;
     try {
       // Try full range first, fall back to daily chunks on failure
       let allVouchers;
+      // Days whose chunk Tally didn't answer — the list is then incomplete (the voucher watch must not read gaps as deletions)
+      const failedChunks = [];
       try {
-        const xml = tdlClient.buildVouchersTdlXml(companyName, actualFrom, actualTo, voucherType);
+        const xml = tdlClient.buildVouchersTdlXml(companyName, actualFrom, actualTo, voucherType, xmlOpts);
         const responseXml = await tdlClient.postTally(baseUrl, xml);
         const parsed = tdlClient.parseVouchersTdlResponse(responseXml, 0, actualFrom, actualTo);
         allVouchers = parsed.data || [];
@@ -303,18 +754,25 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
         allVouchers = [];
         for (const chunk of chunks) {
           try {
-            const xml = tdlClient.buildVouchersTdlXml(companyName, chunk.from, chunk.to, voucherType);
+            const xml = tdlClient.buildVouchersTdlXml(companyName, chunk.from, chunk.to, voucherType, xmlOpts);
             const chunkXml = await tdlClient.postTally(baseUrl, xml);
             const chunkParsed = tdlClient.parseVouchersTdlResponse(chunkXml, 0);
             if (chunkParsed.data?.length > 0) allVouchers = allVouchers.concat(chunkParsed.data);
           } catch (chunkErr) {
             console.log('[vouchers] Chunk ' + chunk.from + '-' + chunk.to + ' failed: ' + (chunkErr.message || chunkErr));
+            failedChunks.push({ from: chunk.from, to: chunk.to });
           }
         }
+        if (failedChunks.length === chunks.length) return tallyError(firstErr, conn);
       }
+      const partial = failedChunks.length > 0;
+      const partialNote = partial
+        ? `⚠️ _Tally did not answer for ${failedChunks.length} day(s) (${failedChunks.map(c => tdlClient.formatTallyDate(c.from)).join(', ')}) — their vouchers are missing._`
+        : '';
       if (limit && allVouchers.length > limit) allVouchers = allVouchers.slice(0, limit);
       if (allVouchers.length === 0) {
-        return { success: true, message: 'No vouchers found for the given period.', data: [] };
+        const empty = { success: true, message: partial ? partialNote : 'No vouchers found for the given period.', data: [] };
+        return partial ? Object.assign(empty, { partial, failedChunks }) : empty;
       }
       const { formatTallyDate } = tdlClient;
       const { inr, vchEmoji } = require('./tdl/formatters');
@@ -324,7 +782,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const header = isSingleDay
         ? `📋 *Day Book: ${formatTallyDate(dates[0])}*${typeLabel} (${allVouchers.length} entries)`
         : `📋 *Vouchers: ${formatTallyDate(dates[0])} to ${formatTallyDate(dates[dates.length - 1])}*${typeLabel} (${allVouchers.length} entries)`;
-      return paginateResult(
+      const result = paginateResult(
         { success: true, data: allVouchers },
         allVouchers, page,
         (v, i) => {
@@ -332,10 +790,11 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
           const narr = v.narration ? ` _${v.narration.slice(0, 30)}_` : '';
           return `${vchEmoji(v.type)} ${ds}${v.type}${v.number ? ' #' + v.number : ''} — ₹${inr(v.amount)}${v.party ? ' — ' + v.party : ''}${narr}`;
         },
-        header
+        partial ? `${header}\n${partialNote}` : header
       );
+      return partial ? Object.assign(result, { partial, failedChunks }) : result;
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -355,7 +814,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
         `📒 *Ledgers${groupLabel}* (${items.length})`
       );
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -365,7 +824,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       return { success: false, message: 'Please specify a party name. Example: "What is the GSTIN for ABC Company?"' };
     }
     try {
-      const resolved = await resolvePartyName(partyName, baseUrl, companyName);
+      const resolved = await resolvePartyName(partyName, baseUrl, companyName, params._allowedParties);
       if (resolved.match === 'none') {
         return await handlePartyNotFound(partyName, baseUrl, companyName);
       }
@@ -379,7 +838,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       if (!parsed.success) return { success: false, message: parsed.message || 'Could not fetch party.' };
       return { success: true, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -389,7 +848,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       return { success: false, message: 'Please specify a party name. Example: "Balance of Meril" or "What does ABC owe?"' };
     }
     try {
-      const resolved = await resolvePartyName(partyName, baseUrl, companyName);
+      const resolved = await resolvePartyName(partyName, baseUrl, companyName, params._allowedParties);
       if (resolved.match === 'none') {
         return await handlePartyNotFound(partyName, baseUrl, companyName);
       }
@@ -403,7 +862,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       if (!parsed.success) return { success: false, message: parsed.message || 'Could not fetch balance.' };
       return { success: true, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -473,7 +932,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       if (!parsed.success) return { success: false, message: parsed.message || 'Could not fetch report.' };
       return { success: true, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -491,7 +950,12 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const responseXml = await tdlClient.postTally(baseUrl, xml);
       const parsed = tdlClient.parseOutstandingTdlResponse(responseXml, groupName);
       if (!parsed.success) return { success: false, message: parsed.message || 'Could not fetch outstanding.' };
-      const entries = parsed.data?.entries || [];
+      const entries = (parsed.data?.entries || []).filter(e => partyAllowed(e.name, params._allowedParties));
+      if (Array.isArray(params._allowedParties)) {
+        // A party-restricted sender sees (and totals, for "all" companies) only their own parties
+        parsed.data = Object.assign({}, parsed.data, { entries, total: entries.reduce((s, e) => s + e.closingBalance, 0) });
+        if (entries.length === 0) return { success: true, message: `📊 None of your parties has a ${groupName} balance.`, data: parsed.data };
+      }
       if (entries.length === 0) return parsed;
       const isPayable = groupName.toLowerCase().includes('creditor');
       const label = isPayable ? 'Payable' : 'Receivable';
@@ -501,7 +965,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
         `📊 *${groupName} — ${label}* (${entries.length} parties, Total: ₹${tdlClient.inr(total)})`
       );
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -513,7 +977,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       if (!parsed.success) return { success: false, message: parsed.message || 'Could not fetch balances.' };
       return { success: true, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -532,7 +996,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       if (!parsed.success) return { success: false, message: parsed.message || 'Could not fetch P&L.' };
       return { success: true, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -557,7 +1021,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
         `💸 *Expense Report: ${dateRange}* (${entries.length} heads, Total: ₹${tdlClient.inr(total)})`
       );
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -580,7 +1044,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
         `📦 *Stock Summary* (${items.length} items, Total: ₹${tdlClient.inr(totalValue)})`
       );
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -595,7 +1059,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       if (!parsed.success) return { success: false, message: parsed.message || 'Could not fetch GST summary.' };
       return { success: true, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -610,7 +1074,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
     const voucherType = params.voucher_type || 'Sales';
     const page = parseInt(params.page, 10) || 1;
     try {
-      const resolved = await resolvePartyName(partyName, baseUrl, companyName);
+      const resolved = await resolvePartyName(partyName, baseUrl, companyName, params._allowedParties);
       if (resolved.match === 'none') return await handlePartyNotFound(partyName, baseUrl, companyName);
       if (resolved.match === 'multiple') return { success: true, message: formatSuggestions(resolved.suggestions, partyName), data: { suggestions: resolved.suggestions } };
       const xml = tdlClient.buildPartyInvoicesTdlXml(resolved.name, companyName, dateFrom, dateTo, voucherType);
@@ -629,7 +1093,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
         `🧾 *Invoices: ${resolved.name}* (${invoices.length} total, ₹${tdlClient.inr(parsed.data.total)})`
       );
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -639,12 +1103,22 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       return { success: false, message: 'Please specify an invoice number. Example: "Send invoice MB-25-26-001" or "PDF of invoice INV-100"' };
     }
     const voucherType = params.voucher_type || 'Sales';
+    const invoiceConfig = skillConfig.invoice || {};
+    let templates, picked;
+    try {
+      templates = tdlClient.loadInvoiceTemplates(invoiceConfig.templatesPath);
+      picked = tdlClient.pickInvoiceTemplate(templates, params.template);
+    } catch (err) {
+      return { success: false, message: `❌ Invoice templates: ${err.message}` };
+    }
+    if (picked.error) return { success: false, message: `❌ ${picked.error}` };
     try {
       // 1. Fetch the voucher by number
       const vchXml = tdlClient.buildInvoiceDetailTdlXml(invoiceNumber, companyName, voucherType);
       const vchResp = await tdlClient.postTally(baseUrl, vchXml);
       const invoice = tdlClient.parseInvoiceDetailResponse(vchResp);
       if (!invoice) return { success: false, message: `Invoice "${invoiceNumber}" not found in Tally.` };
+      if (!partyAllowed(invoice.party, params._allowedParties)) return tallyError(partyScopeError(invoice.party, params._allowedParties), conn);
 
       // 2. Fetch company info
       const compXml = tdlClient.buildCompanyInfoTdlXml(companyName);
@@ -656,23 +1130,90 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const partyResp = await tdlClient.postTally(baseUrl, partyXml);
       const party = tdlClient.parsePartyDetailResponse(partyResp);
 
-      // 4. Generate HTML and convert to PDF
-      const html = tdlClient.generateInvoiceHtml(invoice, company, party);
-      const pdfBuffer = await tdlClient.htmlToPdfBuffer(html);
+      // 4. Balance still due, for the template's UPI QR — sales bills only, from the party's pending bills
+      const wantsQr = picked.template.upiQr !== false && (picked.template.upiId || templates.business.upiId) && /sales/i.test(invoice.type);
+      let balance = 0;
+      if (wantsQr) {
+        balance = Math.abs(invoice.amount);
+        try {
+          const billsResp = await tdlClient.postTally(baseUrl, tdlClient.buildBillOutstandingTdlXml(invoice.party, companyName));
+          const bills = tdlClient.parseBillOutstandingTdlResponse(billsResp, invoice.party);
+          if (bills.success) balance = tdlClient.invoiceBalance(invoice, bills.data.bills);
+        } catch (_) { /* QR for the invoice total */ }
+      }
+      const template = tdlClient.prepareInvoiceTemplate(picked.template, templates.business, { invoice, company, party, balance });
+
+      // 5. Render the PDF (built-in layout unless invoice.pdfRenderer is "puppeteer")
+      const pdfBuffer = await tdlClient.renderInvoicePdf(invoice, company, party, { renderer: invoiceConfig.pdfRenderer, template });
+
+      const lines = [`🧾 Invoice *#${invoice.number}* for *${invoice.party}* — ₹${tdlClient.inr(Math.abs(invoice.amount))}`];
+      if (template.upi) lines.push(`💳 UPI QR for ₹${tdlClient.inr(template.upi.amount)}`);
+      else if (wantsQr) lines.push('✅ Fully paid — no UPI QR');
+      if (template.warnings.length) lines.push(`⚠️ Template *${template.name}*: ${template.warnings.join('; ')}`);
+      const data = { invoice, company, party, template: template.id, balance: template.upi ? template.upi.amount : null };
+      const attachment = {
+        buffer: pdfBuffer,
+        filename: `${invoice.number.replace(/[^a-zA-Z0-9-_]/g, '_')}.pdf`,
+        caption: `Invoice #${invoice.number} — ${invoice.party} — ₹${tdlClient.inr(Math.abs(invoice.amount))}`,
+      };
+
+      // 6. "send invoice X to party": WhatsApp it to the number on the party's ledger after a "yes".
+      // A number given instead ("edit phone …") is saved to the ledger first. The orchestrator does the
+      // sending (_sendDocument) and records the delivery in the audit entry.
+      if (params.send_to === 'party') {
+        const contacts = tdlClient.parsePartyContactsResponse(await tdlClient.postTally(baseUrl, tdlClient.buildPartyContactsTdlXml(companyName)));
+        const contactName = Object.keys(contacts).find(n => n.toLowerCase() === invoice.party.toLowerCase());
+        const onFile = (contactName && contacts[contactName].phone) || party.phone || '';
+        const sendParams = { invoice_number: invoice.number, voucher_type: voucherType, template: template.id, send_to: 'party' };
+        if (!params.phone && !onFile) {
+          const refusal = `📵 *${invoice.party}* has no WhatsApp number in Tally — invoice #${invoice.number} was not sent.`;
+          if (params.confirmed === true || params.confirmed === 'true') return { success: false, message: refusal };
+          return {
+            success: true,
+            message: `${refusal}\nSay *edit phone 98…* with their number to save it to the ledger and send the invoice.`,
+            data,
+            _confirm: { params: sendParams, editable: ['phone'], verb: 'send it once a number is added' },
+          };
+        }
+        // A number given with "edit phone …" is checked like update_party's and saved before sending
+        let phone = onFile, newPhone = null;
+        if (params.phone) {
+          const { changes, errors } = tdlClient.validatePartyChanges({ phone: params.phone }, { name: invoice.party, phone: onFile });
+          if (errors.length) return { success: false, message: `❌ ${errors.join(' ')}` };
+          if (changes.phone) phone = newPhone = changes.phone;
+        }
+        if (params.confirmed !== true && params.confirmed !== 'true') {
+          lines.push('', `📤 Send to *${invoice.party}* on 📱 ${phone}${newPhone ? ' _(new — will be saved to the ledger)_' : ''} with:`, '', template.message);
+          return {
+            success: true,
+            message: lines.join('\n'),
+            data: Object.assign(data, { phone }),
+            attachment,
+            _confirm: { params: Object.assign(sendParams, newPhone ? { phone: newPhone } : {}), editable: ['phone'], verb: 'send it' },
+          };
+        }
+        let _audit = null;
+        if (newPhone) {
+          const xml = tdlClient.buildAlterLedgerXml(invoice.party, { phone: newPhone }, companyName);
+          const responseXml = await tdlClient.postTally(baseUrl, xml);
+          const saved = tdlClient.parseCreateMasterResponse(responseXml);
+          _audit = { requestXml: xml, responseXml };
+          if (!saved.success) return { success: false, message: `❌ Could not save the number to ${invoice.party}: ${saved.message} — invoice not sent.`, _audit };
+        }
+        // The orchestrator holds the WhatsApp client: it sends, then reports and logs delivery
+        return {
+          success: true,
+          message: `📤 Invoice *#${invoice.number}* for *${invoice.party}* → 📱 ${phone}${newPhone ? ' (number saved to the ledger)' : ''}`,
+          data: Object.assign(data, { phone }),
+          _sendDocument: { party: invoice.party, phone, buffer: pdfBuffer, filename: attachment.filename, caption: template.message },
+          _audit,
+        };
+      }
 
       // Return PDF buffer and metadata — orchestrator will send as document
-      return {
-        success: true,
-        message: `🧾 Invoice *#${invoice.number}* for *${invoice.party}* — ₹${tdlClient.inr(Math.abs(invoice.amount))}`,
-        data: { invoice, company, party },
-        attachment: {
-          buffer: pdfBuffer,
-          filename: `${invoice.number.replace(/[^a-zA-Z0-9-_]/g, '_')}.pdf`,
-          caption: `Invoice #${invoice.number} — ${invoice.party} — ₹${tdlClient.inr(Math.abs(invoice.amount))}`,
-        },
-      };
+      return { success: true, message: lines.join('\n'), data, attachment };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -682,7 +1223,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       return { success: false, message: 'Please specify a party name. Example: "Pending bills for Meril"' };
     }
     try {
-      const resolved = await resolvePartyName(partyName, baseUrl, companyName);
+      const resolved = await resolvePartyName(partyName, baseUrl, companyName, params._allowedParties);
       if (resolved.match === 'none') return await handlePartyNotFound(partyName, baseUrl, companyName);
       if (resolved.match === 'multiple') return { success: true, message: formatSuggestions(resolved.suggestions, partyName), data: { suggestions: resolved.suggestions } };
       const xml = tdlClient.buildBillOutstandingTdlXml(resolved.name, companyName);
@@ -691,20 +1232,30 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       if (!parsed.success) return { success: false, message: parsed.message || 'Could not fetch bills.' };
       return { success: true, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
   if (action === 'tally_status') {
     try {
+      if (conn.remote) return tdlClient.formatRemoteStatus(await tdlClient.checkTallyStatus(baseUrl), conn.label);
       const result = await tdlClient.getFullStatus(baseUrl);
       return result;
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
   if (action === 'list_companies') {
+    if (conn.remote) {
+      // The data folder is on the other machine: list what its Tally has open
+      const status = await tdlClient.checkTallyStatus(baseUrl);
+      if (!status.responding) return { success: false, message: `❌ Can't reach Tally at *${conn.label}*: ${status.error}` };
+      const lines = [`📋 *Companies open in Tally at ${conn.label}:*`, ''];
+      status.companies.forEach((c, i) => lines.push(`${i + 1}. *${c.name}*${i === 0 ? ' ✅ _active_' : ''}`));
+      if (status.companies.length === 0) lines.push('No company is open.');
+      return { success: true, message: lines.join('\n'), data: { companies: status.companies, remote: true } };
+    }
     // Scan from disk — works even when Tally is not running
     const ini = tdlClient.parseTallyIni();
     const companies = tdlClient.scanDataFolder(ini.dataPath);
@@ -725,7 +1276,8 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
 
   if (action === 'restart_tally') {
     try {
-      _cachedCompanyName = null; // clear cache so next query detects fresh company
+      _companyCache.delete(baseUrl); // clear cache so next query detects fresh company
+      tdlClient.resetTallyBreaker(baseUrl);
       const ini = tdlClient.parseTallyIni();
       const result = await tdlClient.restartTally(ini.exePath);
       return result;
@@ -748,6 +1300,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       if (!started) {
         return { success: false, message: 'Could not start Tally. Please start it manually.' };
       }
+      tdlClient.resetTallyBreaker(baseUrl);
       return { success: true, message: '✅ Tally is starting up. It may take a moment to load.' };
     } catch (err) {
       return { success: false, message: 'Failed to start Tally: ' + (err.message || String(err)) };
@@ -773,7 +1326,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
     }
     try {
       const result = await tdlClient.openCompany(companyQuery);
-      if (result.success) _cachedCompanyName = null; // clear cache so next query detects new company
+      if (result.success) _companyCache.delete(baseUrl); // clear cache so next query detects new company
       return result;
     } catch (err) {
       return { success: false, message: 'Failed to open company: ' + (err.message || String(err)) };
@@ -790,6 +1343,14 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
     const actualFrom = dateFrom || null;
     const actualTo = dateTo || (dateFrom ? dateFrom : null);
     try {
+      const mirrored = await reportMirror(conn, companyName);
+      if (mirrored) {
+        const vouchers = tdlClient.mirrorVouchers(mirrored.mirror, { type: reportType === 'purchase' ? 'Purchase' : 'Sales' });
+        const parsed = action === 'get_top_items'
+          ? tdlClient.summarizeTopItems(vouchers, reportType, limit, actualFrom, actualTo)
+          : tdlClient.summarizeTopParties(vouchers, reportType, limit, actualFrom, actualTo);
+        return labelMirror({ success: parsed.success, message: parsed.message, data: parsed.data }, mirrored);
+      }
       const xml = tdlClient.buildTopReportTdlXml(companyName, reportType, dateFrom, dateTo);
       const responseXml = await tdlClient.postTally(baseUrl, xml);
       if (action === 'get_top_items') {
@@ -800,7 +1361,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
         return { success: parsed.success, message: parsed.message, data: parsed.data };
       }
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -814,7 +1375,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const parsed = tdlClient.parseTrialBalanceTdlResponse(responseXml, dateFrom, dateTo);
       return { success: parsed.success, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -828,7 +1389,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const parsed = tdlClient.parseBalanceSheetTdlResponse(responseXml, dateFrom, dateTo);
       return { success: parsed.success, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -846,7 +1407,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const parsed = tdlClient.parseAgeingAnalysisTdlResponse(responseXml, groupName);
       return { success: parsed.success, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -854,12 +1415,18 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
     const reportType = action === 'get_inactive_suppliers' ? 'purchase' : 'sales';
     const inactiveDays = parseInt(params.days, 10) || 30;
     try {
+      const mirrored = await reportMirror(conn, companyName);
+      if (mirrored) {
+        const vouchers = tdlClient.mirrorVouchers(mirrored.mirror, { type: reportType === 'purchase' ? 'Purchase' : 'Sales' });
+        const parsed = tdlClient.summarizeInactiveParties(vouchers, reportType, inactiveDays);
+        return labelMirror({ success: parsed.success, message: parsed.message, data: parsed.data }, mirrored);
+      }
       const xml = tdlClient.buildInactiveReportTdlXml(companyName, reportType);
       const responseXml = await tdlClient.postTally(baseUrl, xml);
       const parsed = tdlClient.parseInactivePartiesResponse(responseXml, reportType, inactiveDays);
       return { success: parsed.success, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -867,12 +1434,18 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
     const reportType = (params.type && params.type.toLowerCase().includes('purchase')) ? 'purchase' : 'sales';
     const inactiveDays = parseInt(params.days, 10) || 30;
     try {
+      const mirrored = await reportMirror(conn, companyName);
+      if (mirrored) {
+        const vouchers = tdlClient.mirrorVouchers(mirrored.mirror, { type: reportType === 'purchase' ? 'Purchase' : 'Sales' });
+        const parsed = tdlClient.summarizeInactiveItems(vouchers, reportType, inactiveDays);
+        return labelMirror({ success: parsed.success, message: parsed.message, data: parsed.data }, mirrored);
+      }
       const xml = tdlClient.buildInactiveReportTdlXml(companyName, reportType);
       const responseXml = await tdlClient.postTally(baseUrl, xml);
       const parsed = tdlClient.parseInactiveItemsResponse(responseXml, reportType, inactiveDays);
       return { success: parsed.success, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -948,7 +1521,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       }
       return { success: parsed.success, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -985,7 +1558,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const parsed = tdlClient.computePendingOrders(ordersData.data, invResp, orderType, dateFrom, dateTo);
       return { success: parsed.success, message: parsed.message, data: parsed.data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -994,7 +1567,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       // Fetch overdue bills
       const billXml = tdlClient.buildOverdueBillsTdlXml(companyName);
       const billResp = await tdlClient.postTally(baseUrl, billXml);
-      const { parties } = tdlClient.parseOverdueBillsResponse(billResp);
+      const parties = tdlClient.parseOverdueBillsResponse(billResp).parties.filter(p => partyAllowed(p.name, params._allowedParties));
       // Fetch party contacts
       const contactXml = tdlClient.buildPartyContactsTdlXml(companyName);
       const contactResp = await tdlClient.postTally(baseUrl, contactXml);
@@ -1004,7 +1577,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       result.data._companyName = companyName;
       return result;
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -1016,7 +1589,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       return { success: false, message: 'Please specify a party name. Example: "send reminder to Meril"' };
     }
     try {
-      const resolved = await resolvePartyName(partyName, baseUrl, companyName);
+      const resolved = await resolvePartyName(partyName, baseUrl, companyName, params._allowedParties);
       if (resolved.match === 'none') return await handlePartyNotFound(partyName, baseUrl, companyName);
       if (resolved.match === 'multiple') return { success: true, message: formatSuggestions(resolved.suggestions, partyName), data: { suggestions: resolved.suggestions } };
       // Fetch bills for this party
@@ -1054,12 +1627,13 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const reminderText = tdlClient.generateReminderMessage(companyName, partyData);
       return {
         success: true,
-        message: `📨 *Reminder for ${resolved.name}:*\n\n${reminderText}\n\n${phone ? `📱 Phone: ${phone}` : '❌ No phone number in Tally'}`,
+        message: `📨 *Reminder for ${resolved.name}:*\n\n${reminderText}\n\n${phone ? `📱 Phone: ${phone}` : `❌ No phone number in Tally — say "set ${resolved.name} phone to 98…" to add one`}`,
         data: { party: resolved.name, phone, reminderText, totalDue: partyData.totalDue },
         _sendReminder: phone ? { phone, text: reminderText } : null,
+        _audit: { party: resolved.name, phone, text: reminderText },
       };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -1107,9 +1681,9 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       } catch (_) { data.lastMonthSales = 0; }
       // Cash & Bank
       try {
-        const xml = tdlClient.buildCashBankTdlXml(companyName);
+        const xml = tdlClient.buildCashBankBalanceTdlXml(companyName);
         const resp = await tdlClient.postTally(baseUrl, xml);
-        data.cashBank = tdlClient.parseCashBankTdlResponse(resp).data;
+        data.cashBank = tdlClient.splitCashBank(tdlClient.parseCashBankBalanceTdlResponse(resp).data.entries);
       } catch (_) { data.cashBank = { cashBalance: 0, bankBalance: 0 }; }
       // Outstanding
       try {
@@ -1131,7 +1705,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const msg = buildDashboardMessage(data);
       return { success: true, message: msg, data };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -1173,7 +1747,7 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const result = detectExpenseAnomalies(currentExpenses, avgExpenses);
       return { success: true, message: result.message, data: result };
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -1184,52 +1758,65 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const y = now.getFullYear(), m = now.getMonth() + 1, d = now.getDate();
       const pad2 = n => String(n).padStart(2, '0');
 
-      // Cash & Bank
-      const cbXml = tdlClient.buildCashBankTdlXml(companyName);
-      const cbResp = await tdlClient.postTally(baseUrl, cbXml);
-      const cbData = tdlClient.parseCashBankTdlResponse(cbResp).data || {};
-
-      // Outstanding
-      let recvTotal = 0, payTotal = 0;
-      try {
-        const rXml = tdlClient.buildOutstandingTdlXml(companyName, 'receivable');
-        const rResp = await tdlClient.postTally(baseUrl, rXml);
-        recvTotal = tdlClient.parseOutstandingTdlResponse(rResp, 'receivable').data?.total || 0;
-      } catch (_) {}
-      try {
-        const pXml = tdlClient.buildOutstandingTdlXml(companyName, 'payable');
-        const pResp = await tdlClient.postTally(baseUrl, pXml);
-        payTotal = tdlClient.parseOutstandingTdlResponse(pResp, 'payable').data?.total || 0;
-      } catch (_) {}
-
-      // Avg daily sales & expenses (last 30 days)
+      // Avg daily sales & expenses over the last 30 days
       const thirtyAgo = new Date(y, m - 1, d - 30);
       const from30 = `${thirtyAgo.getFullYear()}${pad2(thirtyAgo.getMonth() + 1)}${pad2(thirtyAgo.getDate())}`;
       const today = `${y}${pad2(m)}${pad2(d)}`;
-      let avgDailySales = 0, avgDailyExpenses = 0;
-      try {
-        const sXml = tdlClient.buildSalesPurchaseReportTdlXml(companyName, 'sales', from30, today);
-        const sResp = await tdlClient.postTally(baseUrl, sXml);
-        const sParsed = tdlClient.parseSalesPurchaseReportTdlResponse(sResp, 'sales', from30, today);
-        avgDailySales = (sParsed.data?.total || 0) / 30;
-      } catch (_) {}
-      try {
-        const eXml = tdlClient.buildExpenseReportTdlXml(companyName, from30, today);
-        const eResp = await tdlClient.postTally(baseUrl, eXml);
-        const eParsed = tdlClient.parseExpenseReportTdlResponse(eResp, from30, today);
-        avgDailyExpenses = (eParsed.data?.total || 0) / 30;
-      } catch (_) {}
+      let cash = { cashBalance: 0, bankBalance: 0 };
+      let recvTotal = 0, payTotal = 0, avgDailySales = 0, avgDailyExpenses = 0;
+
+      const mirrored = await reportMirror(conn, companyName);
+      if (mirrored) {
+        const { mirror } = mirrored;
+        const sum = rows => rows.reduce((t, r) => t + r.closingBalance, 0);
+        cash = tdlClient.splitCashBank(tdlClient.mirrorLedgerBalances(mirror, ['Cash-in-Hand', 'Bank Accounts', 'Bank OD A/c']));
+        recvTotal = sum(tdlClient.mirrorLedgerBalances(mirror, ['Sundry Debtors']));
+        payTotal = sum(tdlClient.mirrorLedgerBalances(mirror, ['Sundry Creditors']));
+        avgDailySales = (mirrorSalesPurchase(mirror, 'sales', from30, today).data.total || 0) / 30;
+        avgDailyExpenses = (tdlClient.summarizeExpenses(tdlClient.mirrorExpenses(mirror, from30, today), from30, today).data.total || 0) / 30;
+      } else {
+        // Cash & Bank
+        const cbXml = tdlClient.buildCashBankBalanceTdlXml(companyName);
+        const cbResp = await tdlClient.postTally(baseUrl, cbXml);
+        cash = tdlClient.splitCashBank(tdlClient.parseCashBankBalanceTdlResponse(cbResp).data.entries);
 
+        // Outstanding
+        try {
+          const rXml = tdlClient.buildOutstandingTdlXml(companyName, 'receivable');
+          const rResp = await tdlClient.postTally(baseUrl, rXml);
+          recvTotal = tdlClient.parseOutstandingTdlResponse(rResp, 'receivable').data?.total || 0;
+        } catch (_) {}
+        try {
+          const pXml = tdlClient.buildOutstandingTdlXml(companyName, 'payable');
+          const pResp = await tdlClient.postTally(baseUrl, pXml);
+          payTotal = tdlClient.parseOutstandingTdlResponse(pResp, 'payable').data?.total || 0;
+        } catch (_) {}
+
+        try {
+          const sXml = tdlClient.buildSalesPurchaseReportTdlXml(companyName, 'sales', from30, today);
+          const sResp = await tdlClient.postTally(baseUrl, sXml);
+          const sParsed = tdlClient.parseSalesPurchaseReportTdlResponse(sResp, 'sales', from30, today);
+          avgDailySales = (sParsed.data?.total || 0) / 30;
+        } catch (_) {}
+        try {
+          const eXml = tdlClient.buildExpenseReportTdlXml(companyName, from30, today);
+          const eResp = await tdlClient.postTally(baseUrl, eXml);
+          const eParsed = tdlClient.parseExpenseReportTdlResponse(eResp, from30, today);
+          avgDailyExpenses = (eParsed.data?.total || 0) / 30;
+        } catch (_) {}
+      }
+
+      // Outstanding totals are Dr-negative for debtors and Cr-positive for creditors — forecast with amounts
       const result = buildCashFlowForecast({
-        cashBalance: cbData.cashBalance || 0,
-        bankBalance: cbData.bankBalance || 0,
+        cashBalance: cash.cashBalance,
+        bankBalance: cash.bankBalance,
         avgDailySales, avgDailyExpenses,
-        receivableTotal: recvTotal,
-        payableTotal: payTotal,
+        receivableTotal: Math.abs(recvTotal),
+        payableTotal: Math.abs(payTotal),
       });
-      return { success: true, message: result.message, data: result };
+      return labelMirror({ success: true, message: result.message, data: result }, mirrored);
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
@@ -1240,10 +1827,24 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       const { buildComparisonMessage, getComparisonDates } = require('./tdl/comparison');
       const dates = getComparisonDates(period);
 
-      // Fetch data for both periods using existing report actions
+      // Fetch data for both periods using existing report actions — sales, purchase and expenses from the mirror when there is one
       let currentData, previousData, metricName;
-
-      if (reportType === 'sales' || reportType === 'purchase') {
+      let mirrored = null;
+      const fromVouchers = reportType === 'sales' || reportType === 'purchase' || reportType === 'expense' || reportType === 'expenses';
+      if (fromVouchers) mirrored = await reportMirror(conn, companyName);
+
+      if (mirrored) {
+        const expenses = reportType === 'expense' || reportType === 'expenses';
+        metricName = expenses ? 'Expenses' : reportType === 'purchase' ? 'Purchase' : 'Sales';
+        const periodData = ({ from, to }) => {
+          const parsed = expenses
+            ? tdlClient.summarizeExpenses(tdlClient.mirrorExpenses(mirrored.mirror, from, to), from, to)
+            : mirrorSalesPurchase(mirrored.mirror, reportType, from, to);
+          return { total: parsed.data?.total || 0, entries: parsed.data?.entries || [] };
+        };
+        currentData = periodData(dates.current);
+        previousData = periodData(dates.previous);
+      } else if (reportType === 'sales' || reportType === 'purchase') {
         metricName = reportType === 'purchase' ? 'Purchase' : 'Sales';
         const type = reportType;
         // Current period
@@ -1281,46 +1882,523 @@ async function execute(skillId, action, params = {}, skillConfig = {}) {
       }
 
       const result = buildComparisonMessage(currentData, previousData, metricName, dates.current.label, dates.previous.label);
-      return { success: true, message: result.message, data: result.data };
+      return labelMirror({ success: true, message: result.message, data: result.data }, mirrored);
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
     }
   }
 
   if (action === 'create_voucher') {
+    const type = tdlClient.normalizeVoucherType(params.voucher_type || params.type || 'Sales');
     const voucherData = {
-      type: params.voucher_type || params.type || 'Sales',
+      type,
       party: params.party_name,
       amount: parseFloat(params.amount) || 0,
       date: params.date || null,
       narration: params.narration || '',
-      items: params.items || [],
+      items: (params.items || []).map(it => Object.assign({}, it, { gstRate: it.gst_rate != null ? it.gst_rate : it.gstRate })),
       salesLedger: params.ledger || null,
       cashLedger: params.cash_ledger || null,
     };
+    const isEntryType = tdlClient.isEntryVoucherType(type);
+    if (isEntryType) {
+      // Journal/Contra: Dr/Cr lines, or a plain transfer "from_ledger" → "to_ledger" of amount
+      const entries = params.entries && params.entries.length > 0 ? params.entries
+        : params.from_ledger && params.to_ledger ? [{ ledger: params.to_ledger, dr: params.amount }, { ledger: params.from_ledger, cr: params.amount }] : [];
+      voucherData.entries = tdlClient.normalizeVoucherEntries(entries);
+      voucherData.amount = tdlClient.entryTotals(voucherData.entries).dr;
+      voucherData.party = null;
+      voucherData.items = [];
+    }
+    if (tdlClient.noteOriginalType(type) && params.against_voucher) {
+      voucherData.against = { number: String(params.against_voucher).replace(/^#/, '').trim() };
+    }
     // Validate
     const errors = tdlClient.validateVoucherData(voucherData);
     if (errors.length > 0) {
       return { success: false, message: '❌ Cannot create voucher:\n' + errors.map(e => '• ' + e).join('\n') };
     }
-    // Resolve party name
     try {
-      const resolved = await resolvePartyName(voucherData.party, baseUrl, companyName);
-      if (resolved.match === 'none') return await handlePartyNotFound(voucherData.party, baseUrl, companyName);
-      if (resolved.match === 'multiple') return { success: true, message: formatSuggestions(resolved.suggestions, voucherData.party), data: { suggestions: resolved.suggestions } };
-      voucherData.party = resolved.name;
+      let confirmParams = {};
+      if (isEntryType) {
+        const ledgerResult = await resolveEntryLedgers(voucherData.entries, baseUrl, companyName, params._allowedParties);
+        if (ledgerResult && ledgerResult.error) return { success: false, message: ledgerResult.error };
+      } else {
+        // Resolve party name
+        const resolved = await resolvePartyName(voucherData.party, baseUrl, companyName, params._allowedParties);
+        if (resolved.match === 'none') {
+          const notFound = await handlePartyNotFound(voucherData.party, baseUrl, companyName);
+          if (notFound.data && notFound.data.suggestions) return notFound;
+          // Nothing close: offer to create the party, then carry on with this voucher (see create_ledger resume_voucher)
+          const name = titleCaseName(cleanPartyName(voucherData.party) || voucherData.party);
+          const group = ['Purchase', 'Payment', 'Debit Note'].includes(type) ? 'Sundry Creditors' : 'Sundry Debtors';
+          const resume = Object.assign({}, params);
+          delete resume.confirmed;
+          return {
+            success: true,
+            message: `🔍 Party "${voucherData.party}" not found in Tally.\n\n➕ Create new party *${name}* under ${group}?`,
+            _confirm: { action: 'create_ledger', params: { party_name: name, group, resume_voucher: resume }, verb: 'create the party' },
+          };
+        }
+        if (resolved.match === 'multiple') return { success: true, message: formatSuggestions(resolved.suggestions, voucherData.party), data: { suggestions: resolved.suggestions } };
+        voucherData.party = resolved.name;
+        confirmParams = { party_name: resolved.name };
+        // Credit/Debit Note: the bill it reverses; a whole-bill reversal already includes the bill's tax
+        let gstParams = params;
+        if (voucherData.against) {
+          const amountGiven = voucherData.amount > 0;
+          const againstResult = await applyAgainst(voucherData, baseUrl, companyName);
+          if (againstResult.error) return { success: false, message: againstResult.error };
+          if (!amountGiven) gstParams = Object.assign({}, params, { tax_inclusive: true });
+        }
+        if (type === 'Receipt' || type === 'Payment') {
+          const allocResult = await applyBillAllocation(voucherData, params, baseUrl, companyName);
+          if (allocResult && allocResult.error) return { success: false, message: allocResult.error };
+        }
+        // GST: tax split from the party's state against the company's, checked against Tally's duty ledgers
+        const gstResult = await applyGst(voucherData, gstParams, skillConfig.gst || {}, baseUrl, companyName);
+        if (gstResult && gstResult.error) return { success: false, message: gstResult.error };
+        const noteTotal = voucherData.gst ? voucherData.gst.total : voucherData.amount;
+        if (voucherData.against && voucherData.against.amount && noteTotal > voucherData.against.amount) {
+          return { success: false, message: `❌ ${type} of ₹${tdlClient.inr(noteTotal)} is more than ${tdlClient.noteOriginalType(type)} bill #${voucherData.against.number} (₹${tdlClient.inr(voucherData.against.amount)}).` };
+        }
+      }
+      // Nothing is posted until the user has seen the preview and said "yes" (see src/bot/confirmations.js)
+      if (params.confirmed !== true && params.confirmed !== 'true') {
+        return {
+          success: true,
+          message: tdlClient.formatVoucherConfirmation(voucherData, null, { preview: true }),
+          data: { draft: voucherData },
+          _confirm: {
+            params: confirmParams,
+            editable: isEntryType ? ['date', 'narration', 'type']
+              : ['amount', 'date', 'party', 'narration', 'ledger'].concat(tdlClient.isTradingVoucherType(type) ? ['gst'] : ['bill']),
+          },
+        };
+      }
       // Build and send XML
       const xml = tdlClient.buildCreateVoucherXml(voucherData, companyName);
       const responseXml = await tdlClient.postTally(baseUrl, xml);
       const result = tdlClient.parseCreateVoucherResponse(responseXml);
+      // What was sent to Tally and what came back — kept in the audit journal
+      const _audit = { requestXml: xml, responseXml };
       if (result.success) {
         const msg = tdlClient.formatVoucherConfirmation(voucherData, result.voucherNumber);
-        return { success: true, message: msg, data: { voucherData, voucherNumber: result.voucherNumber } };
+        return { success: true, message: msg, data: { voucherData, voucherNumber: result.voucherNumber, masterId: result.masterId }, _audit };
       } else {
-        return { success: false, message: '❌ Voucher creation failed: ' + (result.message || 'Unknown error. Check that all ledger names exist in Tally.') };
+        return { success: false, message: '❌ Voucher creation failed: ' + (result.message || 'Unknown error. Check that all ledger names exist in Tally.'), _audit };
+      }
+    } catch (err) {
+      return tallyError(err, conn);
+    }
+  }
+
+  if (action === 'create_ledger') {
+    const ledgerData = {
+      name: titleCaseName(cleanPartyName(params.party_name || params.name || '')),
+      group: params.group || 'Sundry Debtors',
+      gstin: params.gstin || null,
+      state: params.state || null,
+      phone: params.phone || null,
+      email: params.email || null,
+      creditDays: params.credit_days != null ? params.credit_days : null,
+    };
+    const errors = tdlClient.validateLedgerData(ledgerData);
+    if (errors.length > 0) {
+      return { success: false, message: '❌ Cannot create party:\n' + errors.map(e => '• ' + e).join('\n') };
+    }
+    try {
+      const existing = tdlClient.parseListLedgerNamesResponse(await tdlClient.postTally(baseUrl, tdlClient.buildLedgersExistTdlXml([ledgerData.name], companyName))).data;
+      if (existing.length > 0) {
+        return { success: false, message: `ℹ️ A ledger named *${existing[0]}* already exists in Tally.` };
+      }
+      if (params.confirmed !== true && params.confirmed !== 'true') {
+        return {
+          success: true,
+          message: tdlClient.formatLedgerSummary(ledgerData, { preview: true }),
+          data: { draft: ledgerData },
+          _confirm: { params: { party_name: ledgerData.name }, editable: ['party'], verb: 'create it' },
+        };
+      }
+      const xml = tdlClient.buildCreateLedgerXml(ledgerData, companyName);
+      const responseXml = await tdlClient.postTally(baseUrl, xml);
+      const result = tdlClient.parseCreateMasterResponse(responseXml);
+      const _audit = { requestXml: xml, responseXml };
+      if (!result.success) {
+        return { success: false, message: '❌ Party creation failed: ' + result.message, _audit };
+      }
+      const message = tdlClient.formatLedgerSummary(ledgerData);
+      // Offered from create_voucher: go straight on to that voucher's preview
+      if (params.resume_voucher) {
+        const voucherParams = Object.assign({}, params.resume_voucher, { party_name: ledgerData.name });
+        const next = await runAction('create_voucher', voucherParams, skillConfig, conn, companyName);
+        return {
+          success: true,
+          message: message + '\n\n' + next.message,
+          data: { ledger: ledgerData },
+          _audit,
+          _confirm: next.success && next._confirm
+            ? Object.assign({}, next._confirm, { action: 'create_voucher', params: Object.assign({}, voucherParams, next._confirm.params) })
+            : undefined,
+        };
+      }
+      return { success: true, message, data: { ledger: ledgerData }, _audit };
+    } catch (err) {
+      return tallyError(err, conn);
+    }
+  }
+
+  if (action === 'create_stock_item') {
+    const itemData = {
+      name: String(params.item_name || params.name || '').trim(),
+      unit: params.unit || 'Nos',
+      hsn: params.hsn || null,
+      gstRate: params.gst_rate,
+      openingQty: params.opening_qty,
+      openingRate: params.opening_rate,
+    };
+    const errors = tdlClient.validateStockItemData(itemData);
+    if (errors.length > 0) {
+      return { success: false, message: '❌ Cannot create stock item:\n' + errors.map(e => '• ' + e).join('\n') };
+    }
+    try {
+      const existing = tdlClient.parseStockItemNamesResponse(await tdlClient.postTally(baseUrl, tdlClient.buildStockItemExistsTdlXml(itemData.name, companyName)));
+      if (existing.length > 0) {
+        return { success: false, message: `ℹ️ A stock item named *${existing[0]}* already exists in Tally.` };
+      }
+      if (params.confirmed !== true && params.confirmed !== 'true') {
+        return {
+          success: true,
+          message: tdlClient.formatStockItemSummary(itemData, { preview: true }),
+          data: { draft: itemData },
+          _confirm: { editable: ['gst'], verb: 'create it' },
+        };
+      }
+      const xml = tdlClient.buildCreateStockItemXml(itemData, companyName);
+      const responseXml = await tdlClient.postTally(baseUrl, xml);
+      const result = tdlClient.parseCreateMasterResponse(responseXml);
+      const _audit = { requestXml: xml, responseXml };
+      if (!result.success) {
+        return { success: false, message: '❌ Stock item creation failed: ' + result.message, _audit };
+      }
+      return { success: true, message: tdlClient.formatStockItemSummary(itemData), data: { item: itemData }, _audit };
+    } catch (err) {
+      return tallyError(err, conn);
+    }
+  }
+
+  if (action === 'update_party') {
+    if (!params.party_name) return { success: false, message: '❌ Which party? Example: "set Meril phone to 9876543210"' };
+    const requested = {
+      phone: params.phone, email: params.email, gstin: params.gstin, state: params.state,
+      creditDays: params.credit_days,
+    };
+    try {
+      const resolved = await resolvePartyName(params.party_name, baseUrl, companyName, params._allowedParties);
+      if (resolved.match === 'none') return await handlePartyNotFound(params.party_name, baseUrl, companyName);
+      if (resolved.match === 'multiple') return { success: true, message: formatSuggestions(resolved.suggestions, params.party_name), data: { suggestions: resolved.suggestions } };
+      const current = tdlClient.parsePartyMasterResponse(await tdlClient.postTally(baseUrl, tdlClient.buildPartyMasterTdlXml(resolved.name, companyName)));
+      if (!current) return { success: false, message: `Party "${resolved.name}" not found in Tally.` };
+      const { changes, errors } = tdlClient.validatePartyChanges(requested, current);
+      if (errors.length > 0) {
+        return { success: false, message: `❌ Cannot update ${current.name}:\n` + errors.map(e => '• ' + e).join('\n') };
+      }
+      if (Object.keys(changes).length === 0) {
+        return { success: true, message: `ℹ️ ${current.name} already has these details — nothing to change.` };
+      }
+      if (params.confirmed !== true && params.confirmed !== 'true') {
+        return {
+          success: true,
+          message: tdlClient.formatPartyUpdate(current, changes, { preview: true }),
+          data: { party: current, changes },
+          _confirm: { params: { party_name: current.name }, verb: 'update it' },
+        };
+      }
+      const xml = tdlClient.buildAlterLedgerXml(current.name, changes, companyName);
+      const responseXml = await tdlClient.postTally(baseUrl, xml);
+      const result = tdlClient.parseCreateMasterResponse(responseXml);
+      const _audit = { requestXml: xml, responseXml };
+      if (!result.success) {
+        return { success: false, message: '❌ Party update failed: ' + result.message, _audit };
+      }
+      return { success: true, message: tdlClient.formatPartyUpdate(current, changes), data: { party: current, changes }, _audit };
+    } catch (err) {
+      return tallyError(err, conn);
+    }
+  }
+
+  if (action === 'import_vouchers') {
+    const fileName = params.file_name || (params._file && params._file.filename) || 'sheet';
+    if (params.confirmed === true || params.confirmed === 'true') {
+      // Rows checked in the dry run (see below); only the ready ones are posted, batch by batch
+      const entries = (params.rows || []).map(e => Object.assign({}, e));
+      for (const e of entries.filter(x => x.status === 'ready' && !partyAllowed(x.party, params._allowedParties))) {
+        Object.assign(e, { status: 'error', message: `🔒 ${e.party} isn't one of your assigned parties.` });
+      }
+      const ready = entries.filter(e => e.status === 'ready');
+      if (ready.length === 0) return { success: false, message: '❌ Nothing to post — no row in the sheet was ready.' };
+      const batches = [];
+      let stopped = null;
+      for (const batch of tdlClient.importBatches(ready, skillConfig.import && skillConfig.import.batchSize)) {
+        if (stopped) {
+          batch.forEach(e => Object.assign(e, { status: 'failed', message: 'Not posted — ' + stopped }));
+          continue;
+        }
+        const xml = tdlClient.buildCreateVouchersXml(batch.map(e => e.voucherData), companyName);
+        try {
+          const responseXml = await tdlClient.postTally(baseUrl, xml);
+          batches.push({ requestXml: xml, responseXml });
+          const result = tdlClient.parseVoucherBatchResponse(responseXml);
+          // Tally counts per envelope, so a batch with any error is flagged as a whole
+          const ok = result.errors === 0 && result.created === batch.length;
+          const detail = result.messages.join('; ') || `Tally created ${result.created} of ${batch.length}`;
+          batch.forEach(e => Object.assign(e, ok ? { status: 'posted', message: '' } : { status: 'failed', message: detail }));
+        } catch (err) {
+          // The batch may or may not have reached Tally; the rest are not sent
+          stopped = err.code === 'ECONNREFUSED' ? `Tally is not reachable at ${conn.label}` : (err.message || String(err));
+          batch.forEach(e => Object.assign(e, { status: 'failed', message: `${stopped} — check in Tally before sending this row again` }));
+        }
+      }
+      const posted = entries.filter(e => e.status === 'posted').length;
+      const failed = entries.filter(e => e.status === 'failed').length;
+      const attachment = Object.assign(await tdlClient.buildImportResultWorkbook(fileName, entries), { caption: `📥 Import result — ${fileName}` });
+      return {
+        success: posted > 0,
+        message: tdlClient.formatImportResult(fileName, entries),
+        data: { posted, failed, skipped: entries.length - posted - failed },
+        attachment,
+        _audit: { file: fileName, posted, failed, batches },
+      };
+    }
+
+    if (!params._file || !params._file.data) {
+      return { success: false, message: '📎 Send the Excel (.xlsx) or CSV file to import, with a caption like "import sales" or "import receipts into HDFC Bank".' };
+    }
+    let table;
+    try {
+      table = await tdlClient.readSpreadsheet(Buffer.from(params._file.data, 'base64'), fileName);
+    } catch (err) {
+      return { success: false, message: `❌ Couldn't read ${fileName}: ${err.message || err}` };
+    }
+    const hint = tdlClient.parseImportCaption(params.caption || params.voucher_type);
+    const sheet = tdlClient.sheetToVoucherRows(table, { voucherType: hint.voucherType, ledger: hint.ledger });
+    if (sheet.error) return { success: false, message: `❌ ${fileName}: ${sheet.error}` };
+    const entries = sheet.entries;
+    try {
+      // Parties: as typed, resolved once per distinct name; a bank statement without a party column
+      // is matched on the party names that appear in the narration
+      let partyNames = null;
+      if (!sheet.partyColumn) {
+        partyNames = [];
+        for (const group of ['Sundry Debtors', 'Sundry Creditors']) {
+          const parsed = tdlClient.parseListLedgerNamesResponse(await tdlClient.postTally(baseUrl, tdlClient.buildListLedgerNamesTdlXml(group, companyName)));
+          if (parsed.success) partyNames.push(...parsed.data);
+        }
+      }
+      const resolvedNames = new Map();
+      for (const e of entries.filter(x => x.status === 'ready')) {
+        if (partyNames) {
+          e.party = tdlClient.matchPartyInText(e.narration, partyNames) || '';
+          if (!e.party) Object.assign(e, { status: 'unknown_party', message: 'No party name found in the narration.' });
+        } else {
+          const key = e.party.toLowerCase();
+          if (!resolvedNames.has(key)) {
+            const resolved = await resolvePartyName(e.party, baseUrl, companyName);
+            resolvedNames.set(key, resolved.match === 'exact' || resolved.match === 'single' ? resolved.name : null);
+          }
+          const name = resolvedNames.get(key);
+          if (name) e.party = name;
+          else Object.assign(e, { status: 'unknown_party', message: `Party "${e.party}" not found in Tally (or more than one match).` });
+        }
+        // Each row is held to the sender's parties on the ledger it resolved to, not the name in the sheet
+        if (e.status === 'ready' && !partyAllowed(e.party, params._allowedParties)) {
+          Object.assign(e, { status: 'error', message: `🔒 ${e.party} isn't one of your assigned parties.` });
+        }
+        e.voucherData.party = e.party;
+      }
+      // Sales/purchase and cash/bank ledgers the rows post against must exist
+      const ledgerOf = (e) => {
+        const { salesLedger, cashLedger } = tdlClient.voucherLedgers(e.voucherData);
+        return cashLedger || salesLedger;
+      };
+      const wanted = Array.from(new Set(entries.filter(e => e.status === 'ready').map(ledgerOf)));
+      if (wanted.length > 0) {
+        const existing = tdlClient.parseListLedgerNamesResponse(await tdlClient.postTally(baseUrl, tdlClient.buildLedgersExistTdlXml(wanted, companyName))).data
+          .map(n => n.toLowerCase());
+        for (const e of entries.filter(x => x.status === 'ready')) {
+          if (!existing.includes(ledgerOf(e).toLowerCase())) Object.assign(e, { status: 'error', message: `Ledger "${ledgerOf(e)}" not found in Tally.` });
+        }
       }
     } catch (err) {
-      return tallyError(err, port);
+      return tallyError(err, conn);
+    }
+    const ready = entries.filter(e => e.status === 'ready').length;
+    const message = tdlClient.formatImportPreview(fileName, entries);
+    const counts = { ready, unknownParties: entries.filter(e => e.status === 'unknown_party').length, errors: entries.filter(e => e.status === 'error').length };
+    if (ready === 0) return { success: false, message: message + '\n\n❌ Nothing to post — fix the sheet and send it again.', data: counts };
+    return {
+      success: true,
+      message,
+      data: counts,
+      _confirm: { params: { rows: entries, file_name: fileName }, verb: `post ${ready} voucher${ready === 1 ? '' : 's'}` },
+    };
+  }
+
+  if (action === 'reconcile_bank') {
+    const bankLedger = params.bank_ledger;
+    if (params.confirmed === true || params.confirmed === 'true') {
+      // What the reconciliation offered (see below): new receipts/payments, then bank dates on matched vouchers
+      const creates = params.create || [];
+      const bankDates = params.bank_dates || [];
+      const batchSize = skillConfig.import && skillConfig.import.batchSize;
+      const batches = [];
+      let created = 0, dated = 0;
+      const problems = [];
+      try {
+        for (const batch of tdlClient.importBatches(creates, batchSize)) {
+          const xml = tdlClient.buildCreateVouchersXml(batch.map(c => c.voucherData), companyName);
+          const responseXml = await tdlClient.postTally(baseUrl, xml);
+          batches.push({ requestXml: xml, responseXml });
+          const result = tdlClient.parseVoucherBatchResponse(responseXml);
+          created += result.created;
+          if (result.errors > 0) problems.push(...result.messages);
+        }
+        for (const batch of tdlClient.importBatches(bankDates, batchSize)) {
+          const xml = tdlClient.buildSetBankDatesXml(bankLedger, batch, companyName);
+          const responseXml = await tdlClient.postTally(baseUrl, xml);
+          batches.push({ requestXml: xml, responseXml });
+          const result = tdlClient.parseVoucherBatchResponse(responseXml);
+          dated += result.altered;
+          if (result.errors > 0) problems.push(...result.messages);
+        }
+      } catch (err) {
+        const failed = tallyError(err, conn);
+        problems.push(failed.message);
+      }
+      const lines = [`🏦 *Bank Reconciliation — ${bankLedger}*`, ''];
+      if (creates.length) lines.push(`➕ ${created} of ${creates.length} voucher${creates.length === 1 ? '' : 's'} created`);
+      if (bankDates.length) lines.push(`🗓️ Bank date set on ${dated} of ${bankDates.length} voucher${bankDates.length === 1 ? '' : 's'}`);
+      if (problems.length) lines.push('', '⚠️ Tally reported:', ...Array.from(new Set(problems)).slice(0, 5).map(p => '• ' + p));
+      return {
+        success: created + dated > 0,
+        message: lines.join('\n'),
+        data: { created, dated },
+        _audit: { bankLedger, created, dated, batches },
+      };
+    }
+
+    if (!params._file || !params._file.data) {
+      return { success: false, message: '📎 Send the bank statement (.xlsx or .csv) with the caption "reconcile <bank ledger>", e.g. "reconcile HDFC Bank".' };
+    }
+    const fileName = params._file.filename || 'statement';
+    let statement;
+    try {
+      statement = tdlClient.readBankStatement(await tdlClient.readSpreadsheet(Buffer.from(params._file.data, 'base64'), fileName));
+    } catch (err) {
+      return { success: false, message: `❌ Couldn't read ${fileName}: ${err.message || err}` };
+    }
+    if (statement.error) return { success: false, message: `❌ ${fileName}: ${statement.error}` };
+    try {
+      const bankLedgers = [];
+      for (const group of ['Bank Accounts', 'Bank OD A/c']) {
+        const parsed = tdlClient.parseListLedgerNamesResponse(await tdlClient.postTally(baseUrl, tdlClient.buildListLedgerNamesTdlXml(group, companyName)));
+        if (parsed.success) bankLedgers.push(...parsed.data);
+      }
+      const picked = tdlClient.pickBankLedger(bankLedger || params.caption, bankLedgers);
+      if (!picked.name) {
+        return {
+          success: false,
+          message: picked.candidates.length
+            ? `🏦 Which bank is this statement for? Send it again with the caption "reconcile <bank>":\n${picked.candidates.map(n => '• ' + n).join('\n')}`
+            : '❌ No bank ledgers found in Tally (group Bank Accounts).',
+        };
+      }
+      const windowDays = skillConfig.reconcile && skillConfig.reconcile.dateWindowDays != null
+        ? parseInt(skillConfig.reconcile.dateWindowDays, 10) : undefined;
+      const range = tdlClient.statementFetchRange(statement.lines, windowDays);
+      const vouchersXml = await tdlClient.postTally(baseUrl, tdlClient.buildBankLedgerVouchersTdlXml(picked.name, companyName, range.from, range.to));
+      const vouchers = tdlClient.parseBankLedgerVouchersResponse(vouchersXml, picked.name);
+      const result = tdlClient.matchBankStatement(statement.lines, vouchers, { windowDays });
+
+      const partyNames = [];
+      if (result.bankOnly.length) {
+        for (const group of ['Sundry Debtors', 'Sundry Creditors']) {
+          const parsed = tdlClient.parseListLedgerNamesResponse(await tdlClient.postTally(baseUrl, tdlClient.buildListLedgerNamesTdlXml(group, companyName)));
+          if (parsed.success) partyNames.push(...parsed.data);
+        }
+      }
+      const proposal = tdlClient.draftBankVouchers(result.bankOnly, picked.name, partyNames);
+      const bankDates = result.matched
+        .filter(m => !m.voucher.bankDate && m.voucher.masterId)
+        .map(m => ({ masterId: m.voucher.masterId, type: m.voucher.type, date: m.voucher.date, ledgerAmount: m.voucher.ledgerAmount, bankDate: m.line.date, instrument: m.voucher.instrument }));
+      const attachment = Object.assign(await tdlClient.buildReconciliationWorkbook(picked.name, result), { caption: `🏦 Reconciliation — ${picked.name}` });
+      const data = { matched: result.matched.length, bankOnly: result.bankOnly.length, tallyOnly: result.tallyOnly.length };
+      const message = tdlClient.formatReconciliation(picked.name, result, proposal, bankDates.length);
+      if (!proposal.drafts.length && !bankDates.length) return { success: true, message, data, attachment };
+      const verb = [proposal.drafts.length ? 'create the vouchers' : null, bankDates.length ? 'set the bank dates' : null].filter(Boolean).join(' and ');
+      return {
+        success: true,
+        message,
+        data,
+        attachment,
+        _confirm: { params: { bank_ledger: picked.name, create: proposal.drafts, bank_dates: bankDates }, verb },
+      };
+    } catch (err) {
+      return tallyError(err, conn);
+    }
+  }
+
+  if (action === 'undo_voucher') {
+    // The orchestrator fills these from its record of vouchers the bot created (see src/bot/voucher-undo.js)
+    const voucher = {
+      type: params.voucher_type,
+      voucherNumber: params.voucher_number || null,
+      masterId: params.master_id || null,
+      party: params.party_name,
+      amount: parseFloat(params.amount) || 0,
+      date: params.date,
+    };
+    const mode = params.mode === 'cancel' ? 'cancel' : 'delete';
+    if (!voucher.type || !voucher.date || (!voucher.voucherNumber && !voucher.masterId)) {
+      return { success: false, message: '❌ Cannot undo: voucher type, date and number are needed. Say "undo last voucher" right after creating one.' };
+    }
+    // Party balance on either side of the undo, for the before/after summary (best effort)
+    const partyBalance = async () => {
+      try {
+        const resp = await tdlClient.postTally(baseUrl, tdlClient.buildLedgerBalanceTdlXml(voucher.party, companyName));
+        const parsed = tdlClient.parseLedgerBalanceTdlResponse(resp);
+        return parsed.success ? parsed.data : null;
+      } catch (_) {
+        return null;
+      }
+    };
+    try {
+      const before = voucher.party ? await partyBalance() : null;
+      if (params.confirmed !== true && params.confirmed !== 'true') {
+        return {
+          success: true,
+          message: tdlClient.formatUndoVoucherSummary(voucher, { mode, before, preview: true }),
+          data: { voucher },
+          // "yes" undoes exactly this voucher
+          _confirm: { params: { master_id: voucher.masterId, voucher_number: voucher.voucherNumber }, verb: mode === 'cancel' ? 'cancel it' : 'delete it' },
+        };
+      }
+      const xml = tdlClient.buildUndoVoucherXml(voucher, mode, companyName);
+      const responseXml = await tdlClient.postTally(baseUrl, xml);
+      const result = tdlClient.parseUndoVoucherResponse(responseXml);
+      const _audit = { requestXml: xml, responseXml };
+      if (!result.success) {
+        return { success: false, message: '❌ Undo failed: ' + result.message, _audit };
+      }
+      const after = voucher.party ? await partyBalance() : null;
+      return {
+        success: true,
+        message: tdlClient.formatUndoVoucherSummary(voucher, { mode, before, after }),
+        data: { voucher, mode },
+        _audit,
+      };
+    } catch (err) {
+      return tallyError(err, conn);
     }
   }
 
@@ -0,0 +1,249 @@
+const { findImportColumns, parseImportDate, parseImportAmount, matchPartyInText } = require('./voucher-import');
+const { validateVoucherData } = require('./voucher-create');
+const { generateExcelBuffer } = require('./excel-export');
+const { formatTallyDate } = require('./helpers');
+const { inr } = require('./formatters');
+
+// Days a bank entry may be away from its Tally voucher (cheques clear a few days after they are entered)
+const DEFAULT_DATE_WINDOW_DAYS = 5;
+
+// Statement headings of common Indian bank exports (HDFC, SBI, ICICI, Axis, Kotak …) → field
+const BANK_COLUMN_ALIASES = {
+  date: ['date', 'txn date', 'transaction date', 'tran date', 'trans date', 'posting date', 'value date', 'value dt'],
+  narration: ['narration', 'description', 'particulars', 'transaction remarks', 'remarks', 'details', 'transaction details', 'transaction particulars'],
+  reference: ['chq ref no', 'chq no', 'cheque no', 'cheque number', 'chqno', 'ref no', 'ref no cheque no', 'reference', 'reference no', 'utr', 'utr no', 'instrument no', 'chq ref number'],
+  debit: ['debit', 'dr', 'withdrawal', 'withdrawals', 'withdrawal amt', 'withdrawal amount', 'debit amount', 'debit amt'],
+  credit: ['credit', 'cr', 'deposit', 'deposits', 'deposit amt', 'deposit amount', 'credit amount', 'credit amt'],
+  amount: ['amount', 'transaction amount', 'txn amount'],
+  drcr: ['dr cr', 'cr dr', 'dr or cr', 'debit credit', 'type'],
+};
+
+/**
+ * Bank ledger named in the caption ("reconcile HDFC Bank", "brs sbi") among the company's bank ledgers.
+ * @param {string} hint - Caption or bank_ledger param
+ * @param {string[]} bankLedgers - Ledgers under Bank Accounts
+ * @returns {{ name: string } | { candidates: string[] }}
+ */
+function pickBankLedger(hint, bankLedgers) {
+  const wanted = String(hint || '')
+    .replace(/^\s*(?:please\s+)?(?:reconcile|reconciliation|brs)\b\s*(?:with|for|against|of)?\s*/i, '')
+    .replace(/\s*(?:bank\s+)?statement\s*$/i, '')
+    .trim().toLowerCase();
+  if (wanted) {
+    const exact = bankLedgers.find(n => n.toLowerCase() === wanted);
+    if (exact) return { name: exact };
+    const close = bankLedgers.filter(n => n.toLowerCase().includes(wanted) || wanted.includes(n.toLowerCase()));
+    if (close.length === 1) return { name: close[0] };
+    if (close.length > 1) return { candidates: close };
+  }
+  if (bankLedgers.length === 1) return { name: bankLedgers[0] };
+  return { candidates: bankLedgers };
+}
+
+/**
+ * Statement lines from a bank export: date, narration, reference and a signed amount (+ deposit, − withdrawal).
+ * Rows without a readable date and amount (opening balance, totals, footers) are left out.
+ * @param {Array<Array>} rows - readSpreadsheet() result
+ * @returns {{ lines: object[] } | { error: string }} line: { row, date, narration, reference, amount }
+ */
+function readBankStatement(rows) {
+  const found = findImportColumns(rows, BANK_COLUMN_ALIASES);
+  if (!found || found.columns.date == null) {
+    return { error: 'I couldn\'t find the statement columns. It needs a Date column and Withdrawal/Deposit (or Debit/Credit, or Amount) columns.' };
+  }
+  const { headerIndex, columns } = found;
+  const get = (r, field) => (columns[field] != null ? r[columns[field]] : '');
+  const text = (v) => (v instanceof Date ? '' : String(v == null ? '' : v).trim());
+  const lines = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const r = rows[i] || [];
+    const date = parseImportDate(get(r, 'date'));
+    if (!date) continue;
+    const credit = parseImportAmount(get(r, 'credit')) || 0;
+    const debit = parseImportAmount(get(r, 'debit')) || 0;
+    let amount = credit - debit;
+    if (!amount && columns.amount != null) {
+      // One amount column: Dr/Cr in its own column or after the figure ("1,200.00 Dr"); otherwise a minus sign
+      const raw = get(r, 'amount');
+      const side = text(get(r, 'drcr')) || (text(raw).match(/(dr|cr)\.?$/i) || [])[1] || '';
+      const value = parseImportAmount(raw) || 0;
+      amount = /^d/i.test(side) ? -value : /^c/i.test(side) ? value : (typeof raw === 'number' ? raw : (/^\s*-/.test(text(raw)) ? -value : value));
+    }
+    if (!amount) continue;
+    lines.push({ row: i + 1, date, narration: text(get(r, 'narration')), reference: text(get(r, 'reference')), amount: Math.round(amount * 100) / 100 });
+  }
+  if (lines.length === 0) return { error: 'The statement has headings but no dated entries with an amount.' };
+  return { lines };
+}
+
+function dayNumber(yyyymmdd) {
+  const s = String(yyyymmdd);
+  return Date.UTC(+s.slice(0, 4), +s.slice(4, 6) - 1, +s.slice(6, 8)) / 86400000;
+}
+
+/**
+ * Dates to fetch the bank ledger's vouchers for: the statement's first to last day, widened by the matching
+ * window so entries near its edges can still match.
+ * @param {object[]} lines - readBankStatement() lines
+ * @param {number} [windowDays]
+ * @returns {{ from: string, to: string }} YYYYMMDD
+ */
+function statementFetchRange(lines, windowDays = DEFAULT_DATE_WINDOW_DAYS) {
+  const dates = lines.map(l => l.date).sort();
+  const shift = (d, days) => new Date((dayNumber(d) + days) * 86400000).toISOString().slice(0, 10).replace(/-/g, '');
+  return { from: shift(dates[0], -windowDays), to: shift(dates[dates.length - 1], windowDays) };
+}
+
+// References a statement line carries: its reference column and any long token with digits in the narration (UTR, cheque no.)
+function lineReferences(line) {
+  const refs = new Set();
+  const ref = String(line.reference || '').replace(/^0+/, '').toLowerCase();
+  if (ref && !/^0*$/.test(ref)) refs.add(ref);
+  for (const token of String(line.narration || '').toLowerCase().split(/[^a-z0-9]+/)) {
+    if (token.length >= 6 && /\d/.test(token)) refs.add(token.replace(/^0+/, ''));
+  }
+  return Array.from(refs).filter(Boolean);
+}
+
+function voucherMentions(voucher, ref) {
+  const instrument = String(voucher.instrument || '').replace(/^0+/, '').toLowerCase();
+  const number = String(voucher.number || '').toLowerCase();
+  return instrument === ref || number === ref || String(voucher.narration || '').toLowerCase().includes(ref);
+}
+
+/**
+ * Match statement lines to the bank ledger's vouchers: same amount and direction, dates within the window.
+ * A line whose reference (cheque no., UTR) appears on a voucher is matched first; the rest go to the nearest date.
+ *
+ * @param {object[]} lines - readBankStatement() lines
+ * @param {object[]} vouchers - parseBankLedgerVouchersResponse() vouchers
+ * @param {{ windowDays?: number }} [opts]
+ * @returns {{ matched: Array<{ line, voucher, by: 'reference'|'date' }>, bankOnly: object[], tallyOnly: object[], from: string, to: string }}
+ */
+function matchBankStatement(lines, vouchers, opts = {}) {
+  const windowDays = opts.windowDays != null ? opts.windowDays : DEFAULT_DATE_WINDOW_DAYS;
+  const used = new Set();
+  const matchOf = new Map();
+  const candidates = (line) => vouchers.filter(v => !used.has(v) && Math.abs(v.amount - line.amount) < 0.005 &&
+    Math.abs(dayNumber(v.date) - dayNumber(line.date)) <= windowDays);
+  for (const line of lines) {
+    const refs = lineReferences(line);
+    const hit = refs.length ? candidates(line).find(v => refs.some(ref => voucherMentions(v, ref))) : null;
+    if (hit) { used.add(hit); matchOf.set(line, { line, voucher: hit, by: 'reference' }); }
+  }
+  for (const line of lines) {
+    if (matchOf.has(line)) continue;
+    const nearest = candidates(line).sort((a, b) => Math.abs(dayNumber(a.date) - dayNumber(line.date)) - Math.abs(dayNumber(b.date) - dayNumber(line.date)))[0];
+    if (nearest) { used.add(nearest); matchOf.set(line, { line, voucher: nearest, by: 'date' }); }
+  }
+  const dates = lines.map(l => l.date).sort();
+  const from = dates[0], to = dates[dates.length - 1];
+  // Vouchers dated outside the statement, or cleared on a date outside it, belong to another statement
+  const inPeriod = (d) => d && d >= from && d <= to;
+  return {
+    matched: lines.filter(l => matchOf.has(l)).map(l => matchOf.get(l)),
+    bankOnly: lines.filter(l => !matchOf.has(l)),
+    tallyOnly: vouchers.filter(v => !used.has(v) && inPeriod(v.date) && (!v.bankDate || inPeriod(v.bankDate))),
+    from, to,
+  };
+}
+
+/**
+ * Receipt (money in) or Payment (money out) for each statement line missing from Tally, with the party found in its narration.
+ * @param {object[]} bankOnly
+ * @param {string} bankLedger
+ * @param {string[]} partyNames - Sundry Debtors and Creditors
+ * @returns {{ drafts: Array<{ row, voucherData }>, noParty: object[] }}
+ */
+function draftBankVouchers(bankOnly, bankLedger, partyNames) {
+  const drafts = [], noParty = [];
+  for (const line of bankOnly) {
+    const party = matchPartyInText(line.narration, partyNames);
+    const voucherData = {
+      type: line.amount > 0 ? 'Receipt' : 'Payment', party: party || '', amount: Math.abs(line.amount), date: line.date,
+      narration: [line.narration, line.reference ? `Ref ${line.reference}` : ''].filter(Boolean).join(' — '),
+      cashLedger: bankLedger, bankDate: line.date,
+    };
+    if (party && validateVoucherData(voucherData).length === 0) drafts.push({ row: line.row, voucherData });
+    else noParty.push(line);
+  }
+  return { drafts, noParty };
+}
+
+function signed(amount) {
+  return `${amount < 0 ? '−' : '+'}₹${inr(Math.abs(amount))}`;
+}
+
+function listLines(items, render, limit = 10) {
+  const lines = items.slice(0, limit).map(render);
+  if (items.length > limit) lines.push(`• …and ${items.length - limit} more (see the attached sheet)`);
+  return lines;
+}
+
+/**
+ * Reconciliation summary: matched, only in the bank, only in Tally, and what "yes" will do.
+ * @param {string} bankLedger
+ * @param {object} result - matchBankStatement() result
+ * @param {{ drafts: object[], noParty: object[] }} proposal - draftBankVouchers() result
+ * @param {number} bankDates - Matched vouchers whose bank date will be set
+ * @returns {string}
+ */
+function formatReconciliation(bankLedger, result, proposal, bankDates) {
+  const { matched, bankOnly, tallyOnly } = result;
+  const byRef = matched.filter(m => m.by === 'reference').length;
+  const lines = [
+    `🏦 *Bank Reconciliation — ${bankLedger}*`,
+    `📅 ${formatTallyDate(result.from)} to ${formatTallyDate(result.to)} | ${matched.length + bankOnly.length} statement entries`,
+    '',
+    `✅ Matched: ${matched.length}${byRef ? ` (${byRef} by reference)` : ''}`,
+  ];
+  if (bankOnly.length) {
+    const credits = bankOnly.filter(l => l.amount > 0).reduce((s, l) => s + l.amount, 0);
+    const debits = bankOnly.filter(l => l.amount < 0).reduce((s, l) => s - l.amount, 0);
+    const draftFor = new Map(proposal.drafts.map(d => [d.row, d.voucherData]));
+    lines.push('', `📥 *In bank, not in Tally: ${bankOnly.length}* (in ₹${inr(credits)}, out ₹${inr(debits)})`);
+    lines.push(...listLines(bankOnly, l => {
+      const d = draftFor.get(l.row);
+      return `• ${formatTallyDate(l.date)} ${signed(l.amount)} ${(l.narration || l.reference).slice(0, 40)}${d ? ` → ${d.type} ${d.type === 'Receipt' ? 'from' : 'to'} ${d.party}` : ' _(no party found)_'}`;
+    }));
+  }
+  if (tallyOnly.length) {
+    lines.push('', `📒 *In Tally, not in bank: ${tallyOnly.length}*`);
+    lines.push(...listLines(tallyOnly, v => `• ${formatTallyDate(v.date)} ${v.type}${v.number ? ' #' + v.number : ''} ${signed(v.amount)}${v.party ? ' ' + v.party : ''}`));
+  }
+  if (!bankOnly.length && !tallyOnly.length) lines.push('', '🎉 Everything in the statement is in Tally.');
+  const todo = [];
+  if (proposal.drafts.length) todo.push(`create ${proposal.drafts.length} receipt/payment voucher${proposal.drafts.length === 1 ? '' : 's'} for the bank entries with a party`);
+  if (bankDates) todo.push(`set the bank date on ${bankDates} matched voucher${bankDates === 1 ? '' : 's'}`);
+  if (todo.length) lines.push('', `I can ${todo.join(' and ')}.`);
+  if (proposal.noParty.length) lines.push(`_${proposal.noParty.length} bank entr${proposal.noParty.length === 1 ? 'y needs' : 'ies need'} posting by hand (no party found in the narration)._`);
+  return lines.join('\n');
+}
+
+/**
+ * Workbook listing every statement entry and unmatched voucher with its reconciliation status.
+ * @param {string} bankLedger
+ * @param {object} result - matchBankStatement() result
+ * @returns {Promise<{ buffer: Buffer, filename: string }>}
+ */
+async function buildReconciliationWorkbook(bankLedger, result) {
+  const columns = ['Status', 'Statement Date', 'Statement Narration', 'Reference', 'Amount', 'Tally Date', 'Tally Voucher', 'Party', 'Bank Date'];
+  const vch = (v) => [formatTallyDate(v.date), `${v.type}${v.number ? ' #' + v.number : ''}`, v.party || '', v.bankDate ? formatTallyDate(v.bankDate) : ''];
+  const rows = [
+    ...result.matched.map(m => [m.by === 'reference' ? 'Matched (reference)' : 'Matched', formatTallyDate(m.line.date), m.line.narration, m.line.reference, m.line.amount, ...vch(m.voucher)]),
+    ...result.bankOnly.map(l => ['In bank only', formatTallyDate(l.date), l.narration, l.reference, l.amount, '', '', '', '']),
+    ...result.tallyOnly.map(v => ['In Tally only', '', '', v.instrument || '', v.amount, ...vch(v)]),
+  ];
+  const buffer = await generateExcelBuffer(`Bank Reconciliation - ${bankLedger}`, columns, rows);
+  return { buffer, filename: `Bank Reconciliation - ${bankLedger.replace(/[\\/:*?"<>|]/g, '_')}.xlsx` };
+}
+
+module.exports = {
+  pickBankLedger,
+  readBankStatement,
+  statementFetchRange,
+  matchBankStatement,
+  draftBankVouchers,
+  formatReconciliation,
+  buildReconciliationWorkbook,
+};
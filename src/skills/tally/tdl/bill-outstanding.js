@@ -15,7 +15,7 @@ function buildBillOutstandingTdlXml(ledgerName, companyName) {
         <COLLECTION NAME="BillList" ISMODIFY="No">
           <TYPE>Bill</TYPE>
           <CHILDOF>${escapeXml(ledgerName)}</CHILDOF>
-          <FETCH>Name, Parent, ClosingBalance, FinalDueDate</FETCH>
+          <FETCH>Name, Parent, ClosingBalance, FinalDueDate, BillDate</FETCH>
           <FILTER>PendingBillFilter</FILTER>
         </COLLECTION>
         <SYSTEM TYPE="Formulae" NAME="PendingBillFilter">$ClosingBalance != 0</SYSTEM>
@@ -38,7 +38,8 @@ function parseBillOutstandingTdlResponse(xmlString, ledgerName) {
     };
     const closing = parseFloat(extract('CLOSINGBALANCE') || '0') || 0;
     const dueDate = extract('FINALDUEDATE') || '';
-    if (closing !== 0) bills.push({ name, closingBalance: closing, dueDate });
+    const billDate = extract('BILLDATE') || '';
+    if (closing !== 0) bills.push({ name, closingBalance: closing, dueDate, billDate });
   }
 
   if (bills.length === 0) {
@@ -72,4 +73,47 @@ function parseBillOutstandingTdlResponse(xmlString, ledgerName) {
   return { success: true, message: lines.join('\n'), data: { ledgerName, bills, total } };
 }
 
-module.exports = { buildBillOutstandingTdlXml, parseBillOutstandingTdlResponse };
+/**
+ * Propose how a receipt/payment settles a party's pending bills: the named bill, else oldest first
+ * (bill date, then due date). Only bills on the side of the party's net balance count — a receipt settles
+ * what the party owes, a payment what we owe them. Whatever is left goes on account.
+ *
+ * @param {Array<{ name: string, closingBalance: number, dueDate?: string, billDate?: string }>} bills - parseBillOutstandingTdlResponse().data.bills
+ * @param {number} amount - Receipt/payment amount (positive)
+ * @param {object} [opts]
+ * @param {string} [opts.against] - Bill to settle instead of the oldest ones
+ * @returns {{ allocations: Array<{ name: string, amount: number, pending: number, billDate: string, dueDate: string }>, onAccount: number } | { error: string }}
+ */
+function allocateBills(bills, amount, opts = {}) {
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const side = Math.sign(bills.reduce((s, b) => s + b.closingBalance, 0));
+  const pending = bills
+    .filter(b => Math.sign(b.closingBalance) === side)
+    .map(b => ({ name: b.name, pending: round2(Math.abs(b.closingBalance)), billDate: b.billDate || '', dueDate: b.dueDate || '' }));
+
+  let candidates;
+  if (opts.against) {
+    const wanted = String(opts.against).replace(/^#/, '').trim().toLowerCase();
+    const bill = pending.find(b => b.name.toLowerCase() === wanted);
+    if (!bill) {
+      const names = pending.slice(0, 5).map(b => b.name).join(', ');
+      return { error: `🔍 Bill ${opts.against} is not pending for this party.${names ? ' Pending bills: ' + names + '.' : ' There are no pending bills.'}` };
+    }
+    candidates = [bill];
+  } else {
+    const key = (b) => b.billDate || b.dueDate || '99999999';
+    candidates = pending.slice().sort((a, b) => key(a).localeCompare(key(b)));
+  }
+
+  const allocations = [];
+  let left = round2(amount);
+  for (const bill of candidates) {
+    if (left <= 0) break;
+    const take = round2(Math.min(left, bill.pending));
+    allocations.push(Object.assign({}, bill, { amount: take }));
+    left = round2(left - take);
+  }
+  return { allocations, onAccount: left };
+}
+
+module.exports = { buildBillOutstandingTdlXml, parseBillOutstandingTdlResponse, allocateBills };
@@ -79,4 +79,18 @@ function parseCashBankBalanceTdlResponse(xmlString) {
   return { success: true, message: lines.join('\n'), data: { entries, total } };
 }
 
-module.exports = { buildCashBankBalanceTdlXml, parseCashBankBalanceTdlResponse };
+/**
+ * Money in hand and in the bank from cash/bank ledger balances ({ parent, closingBalance }), as positive
+ * amounts — Tally's Dr balances are negative. An overdrawn bank (OD) counts against the bank total.
+ * @returns {{ cashBalance: number, bankBalance: number }}
+ */
+function splitCashBank(entries) {
+  let cashBalance = 0, bankBalance = 0;
+  for (const e of entries || []) {
+    if (String(e.parent || '').toLowerCase().includes('cash')) cashBalance -= e.closingBalance || 0;
+    else bankBalance -= e.closingBalance || 0;
+  }
+  return { cashBalance, bankBalance };
+}
+
+module.exports = { buildCashBankBalanceTdlXml, parseCashBankBalanceTdlResponse, splitCashBank };
@@ -56,7 +56,13 @@ function parseExpenseReportTdlResponse(xmlString, dateFrom, dateTo) {
     const closing = balMatch ? parseFloat(balMatch[1].trim()) || 0 : 0;
     if (closing > 0) entries.push({ name, parent, amount: closing });
   }
+  return summarizeExpenses(entries, dateFrom, dateTo);
+}
 
+/**
+ * Expense report from expense heads ({ name, parent, amount }) — Tally's closing balances or the mirror's vouchers.
+ */
+function summarizeExpenses(entries, dateFrom, dateTo) {
   if (entries.length === 0) {
     return { success: true, message: 'No expenses found for this period.', data: { entries: [], total: 0 } };
   }
@@ -85,4 +91,4 @@ function parseExpenseReportTdlResponse(xmlString, dateFrom, dateTo) {
   return { success: true, message: lines.join('\n'), data: { entries, total } };
 }
 
-module.exports = { buildExpenseReportTdlXml, parseExpenseReportTdlResponse };
+module.exports = { buildExpenseReportTdlXml, parseExpenseReportTdlResponse, summarizeExpenses };
@@ -0,0 +1,179 @@
+const { escapeXml } = require('./helpers');
+
+// GST state codes (first two digits of a GSTIN) → state name as Tally spells it
+const GST_STATES = {
+  '01': 'Jammu & Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh', '05': 'Uttarakhand',
+  '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh', '10': 'Bihar',
+  '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur', '15': 'Mizoram',
+  '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal', '20': 'Jharkhand',
+  '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat', '26': 'Dadra & Nagar Haveli and Daman & Diu',
+  '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala',
+  '33': 'Tamil Nadu', '34': 'Puducherry', '35': 'Andaman & Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh',
+  '38': 'Ladakh', '97': 'Other Territory',
+};
+
+// Duty ledgers when skill config gst.ledgers does not name them. "{rate}" is replaced with the head's rate.
+const DEFAULT_GST_LEDGERS = {
+  Sales: { cgst: 'Output CGST', sgst: 'Output SGST', igst: 'Output IGST' },
+  Purchase: { cgst: 'Input CGST', sgst: 'Input SGST', igst: 'Input IGST' },
+};
+const DEFAULT_ROUND_OFF_LEDGER = 'Round Off';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const normState = (s) => String(s || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+/**
+ * State of a GSTIN from its first two digits.
+ * @param {string} gstin
+ * @returns {string|null}
+ */
+function stateFromGstin(gstin) {
+  const m = String(gstin || '').trim().match(/^(\d{2})[A-Z0-9]{13}$/i);
+  return m ? GST_STATES[m[1]] || null : null;
+}
+
+/**
+ * Place of supply for a sale/purchase: the party's state (GSTIN first, then the ledger's state)
+ * against the company's. When the party's state is unknown the supply is treated as local.
+ * @param {{ gstin?: string, state?: string }} company - parseCompanyInfoResponse()
+ * @param {{ gstin?: string, state?: string }} party - parsePartyDetailResponse()
+ * @returns {{ companyState: string|null, partyState: string|null, placeOfSupply: string|null, interState: boolean, assumed: boolean }}
+ */
+function placeOfSupply(company, party) {
+  const companyState = stateFromGstin(company && company.gstin) || (company && company.state) || null;
+  const partyState = stateFromGstin(party && party.gstin) || (party && party.state) || null;
+  const assumed = !partyState || !companyState;
+  return {
+    companyState,
+    partyState,
+    placeOfSupply: partyState || companyState,
+    interState: !assumed && normState(partyState) !== normState(companyState),
+    assumed,
+  };
+}
+
+/**
+ * Duty ledger name for a head (cgst/sgst/igst) and rate.
+ * @param {string} voucherType - 'Sales' | 'Purchase' | 'Credit Note' (Sales ledgers) | 'Debit Note' (Purchase ledgers)
+ * @param {string} head - 'cgst' | 'sgst' | 'igst'
+ * @param {number} rate - The head's own rate (e.g. 9 for CGST on an 18% supply)
+ * @param {object} [gstConfig] - Skill config gst ({ ledgers: { Sales: {...}, Purchase: {...} } })
+ * @returns {string}
+ */
+function gstLedgerName(voucherType, head, rate, gstConfig = {}) {
+  const side = voucherType === 'Purchase' || voucherType === 'Debit Note' ? 'Purchase' : 'Sales';
+  const configured = gstConfig.ledgers && gstConfig.ledgers[side] && gstConfig.ledgers[side][head];
+  const template = configured || DEFAULT_GST_LEDGERS[side][head];
+  return template.replace(/\{rate\}/g, String(rate));
+}
+
+/**
+ * Work out the tax on a voucher. Amounts with items are per item (each item may carry its own gstRate/hsn);
+ * otherwise the whole amount is one taxable line.
+ *
+ * @param {object} voucherData - { type, amount, items }
+ * @param {object} opts
+ * @param {number} opts.rate - Default GST rate in % (items may override)
+ * @param {boolean} [opts.inclusive] - amount / item amounts already include tax
+ * @param {boolean} opts.interState - IGST when true, CGST + SGST otherwise
+ * @param {object} [opts.gstConfig] - Skill config gst (ledger names, roundOff)
+ * @returns {{ taxable: number, taxes: Array<{ head: string, rate: number, ledger: string, amount: number }>,
+ *   roundOff: number, roundOffLedger: string, total: number, lines: Array<{ taxable: number, rate: number }> }}
+ */
+function computeGst(voucherData, { rate, inclusive = false, interState, gstConfig = {} }) {
+  const items = voucherData.items && voucherData.items.length > 0 ? voucherData.items : null;
+  const lines = items
+    ? items.map(it => ({ gross: it.amount || (it.qty * it.rate) || 0, rate: it.gstRate != null ? parseFloat(it.gstRate) : rate }))
+    : [{ gross: Math.abs(voucherData.amount), rate }];
+
+  const byHead = new Map();
+  let taxable = 0;
+  for (const line of lines) {
+    const lineRate = parseFloat(line.rate) || 0;
+    line.taxable = round2(inclusive ? line.gross / (1 + lineRate / 100) : line.gross);
+    line.rate = lineRate;
+    taxable = round2(taxable + line.taxable);
+    if (lineRate <= 0) continue;
+    const heads = interState ? [['igst', lineRate]] : [['cgst', lineRate / 2], ['sgst', lineRate / 2]];
+    for (const [head, headRate] of heads) {
+      const key = head + '@' + headRate;
+      const entry = byHead.get(key) || { head: head.toUpperCase(), rate: headRate, ledger: gstLedgerName(voucherData.type, head, headRate, gstConfig), amount: 0 };
+      entry.amount = round2(entry.amount + line.taxable * headRate / 100);
+      byHead.set(key, entry);
+    }
+  }
+  const taxes = Array.from(byHead.values());
+  const taxTotal = round2(taxes.reduce((s, t) => s + t.amount, 0));
+  const gross = inclusive ? round2(lines.reduce((s, l) => s + l.gross, 0)) : round2(taxable + taxTotal);
+  const total = gstConfig.roundOff === false ? gross : Math.round(gross);
+  return {
+    taxable,
+    taxes,
+    roundOff: round2(total - taxable - taxTotal),
+    roundOffLedger: gstConfig.roundOffLedger || DEFAULT_ROUND_OFF_LEDGER,
+    total,
+    lines: lines.map(l => ({ taxable: l.taxable, rate: l.rate })),
+  };
+}
+
+/**
+ * Ledgers a GST voucher posts to that must already exist in Tally (duty ledgers, round off).
+ * @param {object} gst - computeGst() result
+ * @returns {string[]}
+ */
+function gstLedgersUsed(gst) {
+  const names = gst.taxes.map(t => t.ledger);
+  if (gst.roundOff !== 0) names.push(gst.roundOffLedger);
+  return Array.from(new Set(names));
+}
+
+/**
+ * Build TDL XML that returns which of the given ledgers exist.
+ * @param {string[]} names
+ * @param {string} companyName
+ * @returns {string}
+ */
+function buildLedgersExistTdlXml(names, companyName) {
+  const svParts = ['<SVEXPORTFORMAT>$SysName:XML</SVEXPORTFORMAT>'];
+  if (companyName) svParts.push(`<SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>`);
+  const formula = names.map(n => `$Name = "${escapeXml(n)}"`).join(' OR ') || 'No';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>LedgerExists</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>${svParts.join('\n        ')}</STATICVARIABLES>
+      <TDL><TDLMESSAGE>
+        <COLLECTION NAME="LedgerExists" ISMODIFY="No">
+          <TYPE>Ledger</TYPE>
+          <NATIVEMETHOD>Name</NATIVEMETHOD>
+          <FILTER>LedgerExistsFilter</FILTER>
+        </COLLECTION>
+        <SYSTEM TYPE="Formulae" NAME="LedgerExistsFilter">${formula}</SYSTEM>
+      </TDLMESSAGE></TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+}
+
+/**
+ * Names from `wanted` that are not in Tally's ledger list (case-insensitive).
+ * @param {string[]} wanted
+ * @param {string[]} found - parseListLedgerNamesResponse().data
+ * @returns {string[]}
+ */
+function missingLedgers(wanted, found) {
+  const have = new Set(found.map(n => n.toLowerCase()));
+  return wanted.filter(n => !have.has(n.toLowerCase()));
+}
+
+module.exports = {
+  GST_STATES,
+  stateFromGstin,
+  placeOfSupply,
+  gstLedgerName,
+  computeGst,
+  gstLedgersUsed,
+  buildLedgersExistTdlXml,
+  missingLedgers,
+};
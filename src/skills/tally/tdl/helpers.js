@@ -1,4 +1,7 @@
+const https = require('https');
 const axios = require('axios');
+const responseCache = require('./response-cache');
+const requestQueue = require('./request-queue');
 
 function escapeXml(str) {
   if (str == null) return '';
@@ -41,23 +44,107 @@ function formatTallyDate(d) {
   return d.slice(6, 8) + '-' + d.slice(4, 6) + '-' + d.slice(0, 4);
 }
 
-const MIN_REQUEST_GAP_MS = 1500;
-let lastTallyRequestAt = 0;
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+// Basic auth / TLS options per baseUrl — registered by tallyConnection(), applied by postTally()
+const connectionOptions = new Map();
 
-async function postTally(baseUrl, xml) {
-  const now = Date.now();
-  const elapsed = now - lastTallyRequestAt;
-  if (elapsed < MIN_REQUEST_GAP_MS && lastTallyRequestAt > 0) {
-    await new Promise((r) => setTimeout(r, MIN_REQUEST_GAP_MS - elapsed));
+/**
+ * Where Tally's HTTP server is, from the Tally skill config:
+ * - url: a reverse proxy in front of Tally (e.g. https://tally.example.com); wins over host/port
+ * - host (default localhost) and port (default 9000): TallyPrime itself
+ * - username / password: basic auth sent with every request; tlsInsecure: accept a self-signed proxy certificate
+ * The auth and TLS options are registered for postTally() under the returned baseUrl.
+ * Throws on a url that isn't http(s).
+ * @returns {{ baseUrl: string, host: string, port: number|null, label: string, remote: boolean }}
+ */
+function tallyConnection(config = {}) {
+  let baseUrl, host, port, label, auth = null;
+  if (config.url) {
+    const u = new URL(String(config.url).trim());
+    if (!/^https?:$/.test(u.protocol)) throw new Error(`Tally url must start with http:// or https:// (got ${config.url})`);
+    if (u.username) auth = { username: decodeURIComponent(u.username), password: decodeURIComponent(u.password) };
+    baseUrl = u.origin + u.pathname.replace(/\/+$/, '');
+    host = u.hostname.replace(/^\[|\]$/g, '');
+    port = u.port ? parseInt(u.port, 10) : null;
+    label = u.host;
+  } else {
+    host = String(config.host || 'localhost').trim();
+    port = parseInt(config.port ?? 9000, 10) || 9000;
+    baseUrl = `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
+    label = `${host}:${port}`;
   }
-  lastTallyRequestAt = Date.now();
-  const { data } = await axios.post(baseUrl, xml, {
-    headers: { 'Content-Type': 'text/xml' },
-    timeout: 30000,
-    maxContentLength: Infinity,
-    maxBodyLength: Infinity,
+  if (config.username) auth = { username: String(config.username), password: String(config.password || '') };
+
+  const previous = connectionOptions.get(baseUrl) || {};
+  const options = {};
+  if (auth) options.auth = auth;
+  if (baseUrl.startsWith('https:') && (config.tlsInsecure === true || config.tlsInsecure === 'true')) {
+    options.httpsAgent = previous.httpsAgent || new https.Agent({ rejectUnauthorized: false, keepAlive: true });
+  }
+  connectionOptions.set(baseUrl, options);
+  return { baseUrl, host, port, label, remote: !LOCAL_HOSTS.includes(host.toLowerCase()) };
+}
+
+/**
+ * Every Tally server in the skill config. "connections" lists several, each with its
+ * own name and the tallyConnection() keys:
+ *   "connections": [{ "name": "mobibox", "port": 9000 }, { "name": "afflink", "host": "192.168.1.30", "port": 9000 }]
+ * Without it the top-level keys describe a single server named "default".
+ * The first one is where requests go when no company is named.
+ * Throws on a bad url or a repeated name.
+ * @returns {Array<{ name: string, baseUrl, host, port, label, remote }>}
+ */
+function tallyConnections(config = {}) {
+  const list = Array.isArray(config.connections) && config.connections.length ? config.connections : [config];
+  const seen = new Set();
+  return list.map((c, i) => {
+    const name = String((c && c.name) || (list.length === 1 ? 'default' : `tally${i + 1}`)).trim();
+    if (seen.has(name.toLowerCase())) throw new Error(`connection name "${name}" is used twice`);
+    seen.add(name.toLowerCase());
+    return Object.assign({ name }, tallyConnection(c || {}));
   });
-  return typeof data === 'string' ? data : String(data);
+}
+
+/**
+ * Send a TDL request to Tally. Reads are answered from the response cache when
+ * possible (see response-cache.js); an Import clears that company's cached reads.
+ * Everything else waits its turn in the server's request queue (request-queue.js).
+ * @param {string} baseUrl
+ * @param {string} xml
+ * @param {{ timeoutMs?: number, priority?: 'interactive'|'background', cache?: boolean }} [options] - priority defaults
+ *   to the caller's context; cache: false goes past the response cache both ways (mirror sync, tally-mirror.js)
+ */
+async function postTally(baseUrl, xml, options = {}) {
+  const useCache = options.cache !== false;
+  const cached = useCache ? responseCache.getCachedResponse(baseUrl, xml) : undefined;
+  if (cached !== undefined) return cached;
+  const isWrite = responseCache.cacheKind(xml) === 'write';
+  const ctx = requestQueue.tallyContext();
+  try {
+    const response = await requestQueue.tallyQueue.run(baseUrl, async (timeout) => {
+      const { data } = await axios.post(baseUrl, xml, Object.assign({
+        headers: { 'Content-Type': 'text/xml' },
+        timeout,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+      }, connectionOptions.get(baseUrl)));
+      return typeof data === 'string' ? data : String(data);
+    }, {
+      priority: options.priority || ctx.priority,
+      chatId: ctx.chatId,
+      sender: ctx.sender,
+      generation: ctx.generation,
+      // A write is never dropped for a newer message: it may be one batch of several
+      cancelable: !isWrite && ctx.cancelable !== false,
+      retry: !isWrite,
+      timeoutMs: options.timeoutMs,
+    });
+    if (!isWrite && useCache) responseCache.storeResponse(baseUrl, xml, response);
+    return response;
+  } finally {
+    // Even a failed import may have posted part of its vouchers
+    if (isWrite) responseCache.invalidateResponseCache(baseUrl, responseCache.requestCompanyName(xml));
+  }
 }
 
 /**
@@ -90,4 +177,24 @@ function splitDateRange(fromDate, toDate, chunkDays = 7) {
   return chunks;
 }
 
-module.exports = { escapeXml, decodeXml, toTallyDate, toTallyFilterDate, formatTallyDate, postTally, splitDateRange };
+// Words that don't tell two parties apart: "M/s Meril Life Sciences Pvt. Ltd." is "Meril Life Sciences"
+const PARTY_NAME_NOISE = new Set(['m', 's', 'ms', 'the', 'pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'co', 'company', 'corp']);
+
+/**
+ * A party or ledger name reduced for comparison: lower case, "&" as "and", punctuation
+ * and legal suffixes (Pvt, Ltd, LLP, M/s) dropped.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizePartyName(name) {
+  return String(name || '').toLowerCase().replace(/&/g, ' and ').split(/[^a-z0-9]+/)
+    .filter(w => w && !PARTY_NAME_NOISE.has(w)).join(' ');
+}
+
+/** Whether two names are the same party — equal once normalized, never a mere fragment. */
+function samePartyName(a, b) {
+  const x = normalizePartyName(a);
+  return !!x && x === normalizePartyName(b);
+}
+
+module.exports = { escapeXml, decodeXml, toTallyDate, toTallyFilterDate, formatTallyDate, tallyConnection, tallyConnections, postTally, splitDateRange, normalizePartyName, samePartyName };
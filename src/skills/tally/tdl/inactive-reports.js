@@ -1,4 +1,5 @@
-const { escapeXml, decodeXml, formatTallyDate } = require('./helpers');
+const { escapeXml, formatTallyDate } = require('./helpers');
+const { readReportVouchers } = require('./top-reports');
 const { SEP, inr } = require('./formatters');
 
 /**
@@ -32,28 +33,20 @@ function buildInactiveReportTdlXml(companyName, reportType) {
 }
 
 /**
- * Parse voucher XML and find inactive customers/suppliers.
- * @param {string} xmlString - Tally XML response
+ * Find inactive customers/suppliers among vouchers ({ date, party, amount } — readReportVouchers or the mirror).
+ * @param {object[]} vouchers
  * @param {string} reportType - 'sales' or 'purchase'
  * @param {number} inactiveDays - Number of days without activity to be considered inactive (default 30)
  */
-function parseInactivePartiesResponse(xmlString, reportType, inactiveDays) {
+function summarizeInactiveParties(vouchers, reportType, inactiveDays) {
   const days = inactiveDays || 30;
   const partyMap = {};
-  const regex = /<VOUCHER\s[^>]*>[\s\S]*?<\/VOUCHER>/gi;
-  let m;
-
-  while ((m = regex.exec(xmlString)) !== null) {
-    const block = m[0];
-    const dateMatch = block.match(/<DATE[^>]*>(\d{8})<\/DATE>/i);
-    const partyMatch = block.match(/<PARTYLEDGERNAME[^>]*>([^<]*)<\/PARTYLEDGERNAME>/i);
-    const amtMatch = block.match(/<AMOUNT[^>]*>([^<]*)<\/AMOUNT>/i);
-    if (!partyMatch || !dateMatch) continue;
 
-    const party = decodeXml(partyMatch[1].trim());
-    const date = dateMatch[1];
-    const amount = Math.abs(parseFloat(amtMatch?.[1]) || 0);
-    if (!party) continue;
+  for (const v of vouchers) {
+    if (!v.party || !v.date) continue;
+    const party = v.party;
+    const date = v.date;
+    const amount = Math.abs(v.amount || 0);
 
     if (!partyMap[party]) partyMap[party] = { name: party, lastDate: '', totalAmount: 0, txnCount: 0 };
     if (date > partyMap[party].lastDate) partyMap[party].lastDate = date;
@@ -93,29 +86,19 @@ function parseInactivePartiesResponse(xmlString, reportType, inactiveDays) {
 }
 
 /**
- * Parse voucher XML and find inactive stock items.
+ * Find inactive stock items among vouchers ({ date, items: [{ name, amount }] }).
  */
-function parseInactiveItemsResponse(xmlString, reportType, inactiveDays) {
+function summarizeInactiveItems(vouchers, reportType, inactiveDays) {
   const days = inactiveDays || 30;
   const itemMap = {};
-  const regex = /<VOUCHER\s[^>]*>[\s\S]*?<\/VOUCHER>/gi;
-  let m;
-
-  while ((m = regex.exec(xmlString)) !== null) {
-    const block = m[0];
-    const dateMatch = block.match(/<DATE[^>]*>(\d{8})<\/DATE>/i);
-    if (!dateMatch) continue;
-    const date = dateMatch[1];
-
-    const invRegex = /<ALLINVENTORYENTRIES\.LIST>[\s\S]*?<\/ALLINVENTORYENTRIES\.LIST>/gi;
-    let inv;
-    while ((inv = invRegex.exec(block)) !== null) {
-      const invBlock = inv[0];
-      const nameMatch = invBlock.match(/<STOCKITEMNAME[^>]*>([^<]*)<\/STOCKITEMNAME>/i);
-      const amtMatch = invBlock.match(/<AMOUNT[^>]*>([^<]*)<\/AMOUNT>/i);
-      if (!nameMatch || !nameMatch[1].trim()) continue;
-      const name = decodeXml(nameMatch[1].trim());
-      const amount = Math.abs(parseFloat(amtMatch?.[1]) || 0);
+
+  for (const v of vouchers) {
+    if (!v.date) continue;
+    const date = v.date;
+    for (const it of v.items || []) {
+      if (!it.name) continue;
+      const name = it.name;
+      const amount = Math.abs(it.amount || 0);
 
       if (!itemMap[name]) itemMap[name] = { name, lastDate: '', totalAmount: 0, txnCount: 0 };
       if (date > itemMap[name].lastDate) itemMap[name].lastDate = date;
@@ -154,8 +137,24 @@ function parseInactiveItemsResponse(xmlString, reportType, inactiveDays) {
   return { success: true, message: lines.join('\n'), data: { entries: inactive, inactiveDays: days, totalItems: Object.keys(itemMap).length } };
 }
 
+/**
+ * Parse voucher XML and find inactive customers/suppliers.
+ */
+function parseInactivePartiesResponse(xmlString, reportType, inactiveDays) {
+  return summarizeInactiveParties(readReportVouchers(xmlString), reportType, inactiveDays);
+}
+
+/**
+ * Parse voucher XML and find inactive stock items.
+ */
+function parseInactiveItemsResponse(xmlString, reportType, inactiveDays) {
+  return summarizeInactiveItems(readReportVouchers(xmlString), reportType, inactiveDays);
+}
+
 module.exports = {
   buildInactiveReportTdlXml,
+  summarizeInactiveParties,
+  summarizeInactiveItems,
   parseInactivePartiesResponse,
   parseInactiveItemsResponse,
 };
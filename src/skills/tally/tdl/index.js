@@ -4,6 +4,8 @@
  */
 module.exports = {
   ...require('./helpers'),
+  ...require('./response-cache'),
+  ...require('./request-queue'),
   ...require('./formatters'),
   ...require('./ledger-master'),
   ...require('./ledger-balance'),
@@ -21,6 +23,8 @@ module.exports = {
   ...require('./bill-outstanding'),
   ...require('./party-invoices'),
   ...require('./invoice-pdf'),
+  ...require('./pdf-writer'),
+  ...require('./invoice-templates'),
   ...require('./tally-manager'),
   ...require('./top-reports'),
   ...require('./trial-balance'),
@@ -31,5 +35,10 @@ module.exports = {
   ...require('./order-tracking'),
   ...require('./payment-reminders'),
   ...require('./voucher-create'),
+  ...require('./gst-voucher'),
+  ...require('./master-create'),
+  ...require('./voucher-import'),
+  ...require('./bank-reconcile'),
   ...require('./volume-profiler'),
+  ...require('./tally-mirror'),
 };
@@ -1,5 +1,6 @@
 const { escapeXml, decodeXml, formatTallyDate } = require('./helpers');
 const { inr } = require('./formatters');
+const { createPdfDocument } = require('./pdf-writer');
 
 /**
  * Build TDL XML to fetch a single voucher by number with full details.
@@ -252,71 +253,110 @@ function amountInWords(num) {
 }
 
 /**
- * Generate invoice HTML from parsed data — professional GST Tax Invoice format.
+ * What goes on the printed invoice — shared by the HTML and the built-in PDF layout.
+ * template is prepareInvoiceTemplate()'s result, or null for the plain layout.
  */
-function generateInvoiceHtml(invoice, company, party) {
-  const date = invoice.date ? formatTallyDate(invoice.date) : '';
+function invoiceContent(invoice, company, party, template) {
   const totalAmount = Math.abs(invoice.amount);
   const nonPartyEntries = invoice.ledgerEntries.filter(e => !e.isParty);
-  const partyName = party.name || invoice.party || '';
 
   // Separate income/service entries from tax entries
   const taxKeywords = ['cgst', 'sgst', 'igst', 'cess', 'tds', 'tcs', 'tax', 'duty', 'gst'];
   const taxEntries = nonPartyEntries.filter(e => taxKeywords.some(k => e.name.toLowerCase().includes(k)));
   const incomeEntries = nonPartyEntries.filter(e => !taxKeywords.some(k => e.name.toLowerCase().includes(k)));
 
-  const subtotal = incomeEntries.reduce((s, e) => s + Math.abs(e.amount), 0);
+  const rows = invoice.items.length > 0
+    ? invoice.items.map(item => ({ name: item.name, qty: item.qty || '-', rate: item.rate ? inr(item.rate) : '-', amount: inr(Math.abs(item.amount)) }))
+    : incomeEntries.map(entry => ({ name: entry.name, qty: '-', rate: '-', amount: inr(Math.abs(entry.amount)) }));
+
+  // Determine invoice title based on voucher type
+  const vchType = (invoice.type || 'Sales').toLowerCase();
+  let title = 'Tax Invoice';
+  if (vchType.includes('purchase')) title = 'Purchase Invoice';
+  else if (vchType.includes('credit')) title = 'Credit Note';
+  else if (vchType.includes('debit')) title = 'Debit Note';
+  else if (vchType.includes('receipt')) title = 'Receipt';
+  else if (vchType.includes('payment')) title = 'Payment Voucher';
+
+  const bankLines = [];
+  if (company.bankName) bankLines.push(`Bank: ${company.bankName}`);
+  if (company.accountNumber) bankLines.push(`A/c No: ${company.accountNumber}`);
+  if (company.ifscCode) bankLines.push(`IFSC: ${company.ifscCode}`);
+  if (company.bankBranch) bankLines.push(`Branch: ${company.bankBranch}`);
+
+  const t = template || {};
+  return {
+    title: t.title || title,
+    date: invoice.date ? formatTallyDate(invoice.date) : '',
+    partyName: party.name || invoice.party || '',
+    rows,
+    subtotal: inr(incomeEntries.reduce((s, e) => s + Math.abs(e.amount), 0)),
+    taxes: taxEntries.map(e => ({ name: e.name, amount: inr(Math.abs(e.amount)) })),
+    total: inr(totalAmount),
+    words: amountInWords(totalAmount),
+    companyAddr: company.address.length ? company.address.join(', ') : '',
+    companyState: company.state ? company.state + (company.pincode ? ' - ' + company.pincode : '') : '',
+    companyContact: company.phone ? `Ph: ${company.phone}${company.email ? ' | ' + company.email : ''}` : '',
+    bankLines: t.bankLines || (company.bankName || company.accountNumber ? bankLines : []),
+    terms: t.terms || [],
+    signatureLabel: t.signatureLabel || 'Authorised Signatory',
+    footer: t.footer != null ? t.footer : 'Generated from TallyPrime',
+    accent: t.accentColor || null,
+    logo: t.logo || null,
+    signature: t.signature || null,
+    upi: t.upi || null,
+  };
+}
+
+/** UPI QR as inline SVG, one path of unit squares with a 2-module quiet zone. */
+function qrSvg(qr, px) {
+  const n = qr.size;
+  let d = '';
+  for (let r = 0; r < n; r++) {
+    for (let col = 0; col < n; col++) if (qr.data[r * n + col]) d += `M${col + 2} ${r + 2}h1v1h-1z`;
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${n + 4} ${n + 4}" width="${px}" height="${px}" shape-rendering="crispEdges"><rect width="${n + 4}" height="${n + 4}" fill="#fff"/><path d="${d}" fill="#000"/></svg>`;
+}
+
+const dataUri = (img) => `data:${img.mime};base64,${img.buffer.toString('base64')}`;
+
+/**
+ * Generate invoice HTML from parsed data — professional GST Tax Invoice format.
+ * An optional prepared template adds its logo, accent colour, terms, signature and UPI QR.
+ */
+function generateInvoiceHtml(invoice, company, party, template) {
+  const c = invoiceContent(invoice, company, party, template);
 
   // Build item rows
   let itemRows = '';
-  if (invoice.items.length > 0) {
-    invoice.items.forEach((item, i) => {
-      itemRows += `<tr>
-        <td class="c">${i + 1}</td><td>${esc(item.name)}</td>
-        <td class="r">${item.qty || '-'}</td><td class="r">${item.rate ? inr(item.rate) : '-'}</td>
-        <td class="r">${inr(Math.abs(item.amount))}</td>
-      </tr>`;
-    });
-  } else {
-    incomeEntries.forEach((entry, i) => {
-      itemRows += `<tr>
-        <td class="c">${i + 1}</td><td>${esc(entry.name)}</td>
-        <td class="r">-</td><td class="r">-</td>
-        <td class="r">${inr(Math.abs(entry.amount))}</td>
+  c.rows.forEach((row, i) => {
+    itemRows += `<tr>
+        <td class="c">${i + 1}</td><td>${esc(row.name)}</td>
+        <td class="r">${row.qty}</td><td class="r">${row.rate}</td>
+        <td class="r">${row.amount}</td>
       </tr>`;
-    });
-  }
+  });
 
   // Tax rows
   let taxRows = '';
-  taxEntries.forEach(entry => {
-    taxRows += `<tr class="tax-row"><td colspan="4" class="r">${esc(entry.name)}</td><td class="r">${inr(Math.abs(entry.amount))}</td></tr>`;
+  c.taxes.forEach(tax => {
+    taxRows += `<tr class="tax-row"><td colspan="4" class="r">${esc(tax.name)}</td><td class="r">${tax.amount}</td></tr>`;
   });
 
-  const companyAddr = company.address.length ? company.address.join(', ') : '';
-  const partyAddr = party.address.length ? party.address.join('<br>') : '';
-  const companyState = company.state ? company.state + (company.pincode ? ' - ' + company.pincode : '') : '';
+  const partyAddr = party.address.length ? party.address.map(esc).join('<br>') : '';
   const partyState = party.state || '';
 
-  // Determine invoice title based on voucher type
-  const vchType = (invoice.type || 'Sales').toLowerCase();
-  let invoiceTitle = 'Tax Invoice';
-  if (vchType.includes('purchase')) invoiceTitle = 'Purchase Invoice';
-  else if (vchType.includes('credit')) invoiceTitle = 'Credit Note';
-  else if (vchType.includes('debit')) invoiceTitle = 'Debit Note';
-  else if (vchType.includes('receipt')) invoiceTitle = 'Receipt';
-  else if (vchType.includes('payment')) invoiceTitle = 'Payment Voucher';
-
   // Bank details section
-  let bankHtml = '';
-  if (company.bankName || company.accountNumber) {
-    const bankLines = [];
-    if (company.bankName) bankLines.push(`Bank: ${esc(company.bankName)}`);
-    if (company.accountNumber) bankLines.push(`A/c No: ${esc(company.accountNumber)}`);
-    if (company.ifscCode) bankLines.push(`IFSC: ${esc(company.ifscCode)}`);
-    if (company.bankBranch) bankLines.push(`Branch: ${esc(company.bankBranch)}`);
-    bankHtml = `<div style="margin-top:6px;"><label>Bank Details</label><div class="val">${bankLines.join('<br>')}</div></div>`;
-  }
+  const bankHtml = c.bankLines.length
+    ? `<div style="margin-top:6px;"><label>Bank Details</label><div class="val">${c.bankLines.map(esc).join('<br>')}</div></div>`
+    : '';
+  const termsHtml = c.terms.length
+    ? `<div style="margin-top:6px;"><label>Terms &amp; Conditions</label><div class="terms">${c.terms.map((t, i) => `${i + 1}. ${esc(t)}`).join('<br>')}</div></div>`
+    : '';
+  const upiHtml = c.upi
+    ? `<div class="upi">${qrSvg(c.upi.qr, 110)}<div class="upi-text"><b>Scan to pay ₹ ${inr(c.upi.amount)}</b><br>UPI: ${esc(c.upi.vpa)}</div></div>`
+    : '';
+  const accentCss = c.accent ? `\n  .hdr .co-name, .hdr .inv-type, .total-line { color: ${c.accent}; }` : '';
 
   return `<!DOCTYPE html>
 <html><head><meta charset="utf-8"><style>
@@ -359,21 +399,28 @@ function generateInvoiceHtml(invoice, company, party) {
   .foot .sign-label { font-size: 10px; color: #555; margin-top: 30px; }
   .foot .sign-name { font-size: 11px; font-weight: bold; }
   .powered { text-align: center; font-size: 9px; color: #999; padding: 4px; border-top: 1px solid #ddd; }
+  /* Template slots */
+  .hdr { position: relative; }
+  .hdr .logo { position: absolute; left: 16px; top: 12px; max-width: 120px; max-height: 60px; }
+  .foot .terms { font-size: 9px; color: #444; margin-top: 2px; }
+  .foot .upi { display: inline-block; text-align: center; font-size: 10px; margin-bottom: 6px; }
+  .foot .sign { display: block; margin: 6px 0 0 auto; max-width: 140px; max-height: 45px; }${accentCss}
 </style></head><body>
 <div class="page">
   <div class="hdr">
+    ${c.logo ? `<img class="logo" src="${dataUri(c.logo)}" alt="">` : ''}
     <div class="co-name">${esc(company.name)}</div>
-    ${companyAddr ? `<div class="co-addr">${esc(companyAddr)}</div>` : ''}
-    ${companyState ? `<div class="co-addr">${esc(companyState)}</div>` : ''}
-    ${company.phone ? `<div class="co-addr">Ph: ${esc(company.phone)}${company.email ? ' | ' + esc(company.email) : ''}</div>` : ''}
+    ${c.companyAddr ? `<div class="co-addr">${esc(c.companyAddr)}</div>` : ''}
+    ${c.companyState ? `<div class="co-addr">${esc(c.companyState)}</div>` : ''}
+    ${c.companyContact ? `<div class="co-addr">${esc(c.companyContact)}</div>` : ''}
     ${company.gstin ? `<div class="co-gstin">GSTIN: ${esc(company.gstin)}</div>` : ''}
-    <div class="inv-type">${esc(invoiceTitle)}</div>
+    <div class="inv-type">${esc(c.title)}</div>
   </div>
   <div class="info">
     <div class="info-row">
       <div class="info-left">
         <label>Bill To</label>
-        <div class="val party-name">${esc(partyName)}</div>
+        <div class="val party-name">${esc(c.partyName)}</div>
         ${partyAddr ? `<div class="val">${partyAddr}</div>` : ''}
         ${partyState ? `<div class="val">${esc(partyState)}</div>` : ''}
         ${party.gstin ? `<div class="val gstin-val">GSTIN: ${esc(party.gstin)}</div>` : ''}
@@ -383,7 +430,7 @@ function generateInvoiceHtml(invoice, company, party) {
         <label>Invoice No.</label>
         <div class="val" style="font-weight:bold;font-size:13px;">${esc(invoice.number)}</div>
         <div style="margin-top:8px;"><label>Date</label></div>
-        <div class="val">${date}</div>
+        <div class="val">${c.date}</div>
         <div style="margin-top:8px;"><label>Voucher Type</label></div>
         <div class="val">${esc(invoice.type)}</div>
       </div>
@@ -393,31 +440,275 @@ function generateInvoiceHtml(invoice, company, party) {
     <thead><tr><th class="c" style="width:40px">#</th><th>Particulars</th><th class="r" style="width:70px">Qty</th><th class="r" style="width:90px">Rate (₹)</th><th class="r" style="width:100px">Amount (₹)</th></tr></thead>
     <tbody>
       ${itemRows}
-      <tr class="sub-row"><td colspan="4" class="r">Subtotal</td><td class="r">${inr(subtotal)}</td></tr>
+      <tr class="sub-row"><td colspan="4" class="r">Subtotal</td><td class="r">${c.subtotal}</td></tr>
       ${taxRows}
     </tbody>
   </table>
   <div class="total-section">
-    <div class="total-line"><span>Total</span><span>₹ ${inr(totalAmount)}</span></div>
-    <div class="words">${amountInWords(totalAmount)}</div>
+    <div class="total-line"><span>Total</span><span>₹ ${c.total}</span></div>
+    <div class="words">${c.words}</div>
   </div>
   <div class="foot">
     <div class="foot-left">
       ${invoice.narration ? `<div class="narr">Narration: ${esc(invoice.narration)}</div>` : '<div class="narr">&nbsp;</div>'}
       ${bankHtml}
+      ${termsHtml}
     </div>
     <div class="foot-right">
+      ${upiHtml}
       <div class="sign-label">For ${esc(company.name)}</div>
-      <div class="sign-label" style="margin-top:24px;">Authorised Signatory</div>
+      ${c.signature ? `<img class="sign" src="${dataUri(c.signature)}" alt="">` : ''}
+      <div class="sign-label" style="margin-top:${c.signature ? 4 : 24}px;">${esc(c.signatureLabel)}</div>
     </div>
   </div>
-  <div class="powered">Generated from TallyPrime</div>
+  ${c.footer ? `<div class="powered">${esc(c.footer)}</div>` : ''}
 </div>
 </body></html>`;
 }
 
 function esc(s) { return (s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;'); }
 
+/** Fit an image into a w × h box, keeping its proportions. */
+function fitImage(img, w, h) {
+  const scale = Math.min(w / img.width, h / img.height);
+  return { w: img.width * scale, h: img.height * scale };
+}
+
+/** Draw a QR matrix as filled runs of modules, with a white 2-module quiet zone. */
+function drawQr(doc, qr, x, y, size) {
+  const n = qr.size;
+  const cell = size / (n + 4);
+  doc.rect(x, y, size, size, { fill: 1 });
+  for (let r = 0; r < n; r++) {
+    let run = -1;
+    for (let col = 0; col <= n; col++) {
+      const dark = col < n && qr.data[r * n + col];
+      if (dark && run < 0) run = col;
+      if (!dark && run >= 0) {
+        doc.rect(x + (run + 2) * cell, y + (r + 2) * cell, (col - run) * cell, cell, { fill: 0 });
+        run = -1;
+      }
+    }
+  }
+}
+
+/**
+ * Draw the invoice straight to PDF — the same blocks as generateInvoiceHtml
+ * (header, Bill To / invoice no., items, GST rows, total in words, bank and
+ * signatory, plus the template's logo, terms, signature and UPI QR) on A4,
+ * continuing the item table on further pages when long. Pure Node: no browser needed.
+ */
+function generateInvoicePdf(invoice, company, party, template) {
+  const c = invoiceContent(invoice, company, party, template);
+  const accent = c.accent || 0;
+  const doc = createPdfDocument();
+  const GRAY = 0.33, LIGHT = 0.6, RULE = 0.87;
+  const left = 28, width = doc.width - 56, right = left + width, pad = 12;
+  const top = 28, bottom = doc.height - 28;
+  const half = width / 2;
+  // Items table columns: #, Particulars, Qty, Rate, Amount
+  const col = { no: left, name: left + 30, qty: right - 230, rate: right - 170, amount: right - 90, end: right };
+  let pageTop = top;
+  let y = top;
+
+  const closePage = (to) => doc.rect(left, pageTop, width, to - pageTop, { stroke: 0, width: 1.5 });
+  const tableHeader = () => {
+    doc.rect(left, y, width, 20, { fill: 0.94 });
+    doc.line(left, y, right, y, { width: 0.75 });
+    doc.line(left, y + 20, right, y + 20, { width: 1.5 });
+    const h = { font: 'bold', size: 8 };
+    doc.text('#', col.no, y + 13, Object.assign({ align: 'center', width: col.name - col.no }, h));
+    doc.text('PARTICULARS', col.name + 4, y + 13, h);
+    doc.text('QTY', col.qty, y + 13, Object.assign({ align: 'right', width: col.rate - col.qty - 6 }, h));
+    doc.text('RATE (Rs.)', col.rate, y + 13, Object.assign({ align: 'right', width: col.amount - col.rate - 6 }, h));
+    doc.text('AMOUNT (Rs.)', col.amount, y + 13, Object.assign({ align: 'right', width: col.end - col.amount - 6 }, h));
+    y += 20;
+  };
+  // Start a new page when the next block would not fit
+  const ensure = (height, withHeader) => {
+    if (y + height <= bottom) return;
+    closePage(y);
+    doc.addPage();
+    pageTop = top;
+    y = top;
+    if (withHeader) tableHeader();
+  };
+
+  // Header
+  if (c.logo) {
+    const fit = fitImage(c.logo.pdf, 96, 56);
+    doc.image(c.logo.pdf, left + pad, top + 10, fit.w, fit.h);
+  }
+  y += 26;
+  doc.text(String(company.name || '').toUpperCase(), left, y, { font: 'bold', size: 16, align: 'center', width, color: accent });
+  for (const text of [c.companyAddr, c.companyState, c.companyContact].filter(Boolean)) {
+    for (const ln of doc.wrapText(text, width - 2 * pad, 'regular', 9)) {
+      y += 12;
+      doc.text(ln, left, y, { size: 9, color: GRAY, align: 'center', width });
+    }
+  }
+  if (company.gstin) {
+    y += 15;
+    doc.text(`GSTIN: ${company.gstin}`, left, y, { font: 'bold', size: 10, align: 'center', width });
+  }
+  y += 20;
+  doc.text(c.title, left, y, { font: 'bold', size: 13, align: 'center', width, color: accent });
+  const titleWidth = doc.textWidth(c.title, 'bold', 13);
+  doc.line(left + (width - titleWidth) / 2, y + 2, left + (width + titleWidth) / 2, y + 2, { width: 0.75, color: accent });
+  y = Math.max(y + 12, c.logo ? top + 10 + fitImage(c.logo.pdf, 96, 56).h + 8 : 0);
+  doc.line(left, y, right, y, { width: 1.5 });
+
+  // Bill To | Invoice No. / Date / Voucher Type
+  const infoTop = y;
+  const label = (text, x, at) => doc.text(text.toUpperCase(), x, at, { font: 'bold', size: 8, color: GRAY });
+  let ly = infoTop + 16;
+  label('Bill To', left + pad, ly);
+  ly += 15;
+  for (const ln of doc.wrapText(c.partyName, half - 2 * pad, 'bold', 12)) {
+    doc.text(ln, left + pad, ly, { font: 'bold', size: 12 });
+    ly += 14;
+  }
+  const partyLines = [].concat(party.address || [], party.state ? [party.state] : []);
+  for (const text of partyLines) {
+    for (const ln of doc.wrapText(text, half - 2 * pad, 'regular', 10)) {
+      doc.text(ln, left + pad, ly, { size: 10 });
+      ly += 12;
+    }
+  }
+  if (party.gstin) { doc.text(`GSTIN: ${party.gstin}`, left + pad, ly, { font: 'bold', size: 10 }); ly += 12; }
+  if (party.phone) { doc.text(`Ph: ${party.phone}`, left + pad, ly, { size: 10 }); ly += 12; }
+
+  const rx = left + half + pad;
+  let ry = infoTop + 16;
+  label('Invoice No.', rx, ry);
+  doc.text(invoice.number || '', rx, ry + 15, { font: 'bold', size: 12 });
+  ry += 36;
+  label('Date', rx, ry);
+  doc.text(c.date, rx, ry + 13, { size: 10 });
+  ry += 32;
+  label('Voucher Type', rx, ry);
+  doc.text(invoice.type || '', rx, ry + 13, { size: 10 });
+  ry += 13;
+
+  y = Math.max(ly, ry) + 8;
+  doc.line(left + half, infoTop, left + half, y, { width: 0.75 });
+  doc.line(left, y, right, y, { width: 0.75 });
+
+  // Items
+  tableHeader();
+  c.rows.forEach((row, i) => {
+    const nameLines = doc.wrapText(row.name, col.qty - col.name - 8, 'regular', 10);
+    const height = 8 + nameLines.length * 12;
+    ensure(height, true);
+    const base = y + 14;
+    doc.text(String(i + 1), col.no, base, { size: 10, align: 'center', width: col.name - col.no });
+    nameLines.forEach((ln, k) => doc.text(ln, col.name + 4, base + k * 12, { size: 10 }));
+    doc.text(String(row.qty), col.qty, base, { size: 10, align: 'right', width: col.rate - col.qty - 6 });
+    doc.text(row.rate, col.rate, base, { size: 10, align: 'right', width: col.amount - col.rate - 6 });
+    doc.text(row.amount, col.amount, base, { size: 10, align: 'right', width: col.end - col.amount - 6 });
+    y += height;
+    doc.line(left, y, right, y, { width: 0.5, color: RULE });
+  });
+  ensure(20, true);
+  doc.line(left, y, right, y, { width: 0.75, color: LIGHT });
+  doc.text('Subtotal', col.no, y + 14, { font: 'bold', size: 10, align: 'right', width: col.amount - col.no - 6 });
+  doc.text(c.subtotal, col.amount, y + 14, { font: 'bold', size: 10, align: 'right', width: col.end - col.amount - 6 });
+  y += 20;
+  for (const tax of c.taxes) {
+    ensure(18, true);
+    doc.text(tax.name, col.no, y + 12, { size: 9, color: 0.27, align: 'right', width: col.amount - col.no - 6 });
+    doc.text(tax.amount, col.amount, y + 12, { size: 9, color: 0.27, align: 'right', width: col.end - col.amount - 6 });
+    y += 18;
+    doc.line(left, y, right, y, { width: 0.5, color: RULE });
+  }
+
+  // Total, words, narration / bank / terms, UPI QR and signatory
+  const QR_SIZE = 84;
+  const wordLines = doc.wrapText(c.words, width - 2 * pad, 'italic', 9);
+  const narrationLines = invoice.narration ? doc.wrapText(`Narration: ${invoice.narration}`, half - 2 * pad, 'italic', 9) : [];
+  const termLines = c.terms.map((t, i) => doc.wrapText(`${i + 1}. ${t}`, half - 2 * pad, 'regular', 8.5)).flat();
+  const signatureFit = c.signature ? fitImage(c.signature.pdf, 130, 40) : null;
+  const footLeft = narrationLines.length * 11 + (c.bankLines.length ? 16 + c.bankLines.length * 12 : 0) + (termLines.length ? 16 + termLines.length * 11 : 0);
+  const footRight = (c.upi ? QR_SIZE + 34 : 0) + (signatureFit ? 34 + signatureFit.h + 20 : 78);
+  ensure(30 + wordLines.length * 12 + Math.max(footLeft + 10, footRight) + 18, false);
+  doc.line(left, y, right, y, { width: 1.5 });
+  y += 18;
+  doc.text('Total', left + pad, y, { font: 'bold', size: 13, color: accent });
+  doc.text(`Rs. ${c.total}`, left, y, { font: 'bold', size: 13, align: 'right', width: width - pad, color: accent });
+  for (const ln of wordLines) {
+    y += 12;
+    doc.text(ln, left + pad, y, { font: 'italic', size: 9, color: GRAY });
+  }
+  y += 10;
+  doc.line(left, y, right, y, { width: 0.75 });
+  const footTop = y;
+  let fy = footTop + 4;
+  for (const ln of narrationLines) {
+    fy += 11;
+    doc.text(ln, left + pad, fy, { font: 'italic', size: 9, color: GRAY });
+  }
+  if (c.bankLines.length) {
+    fy += 16;
+    label('Bank Details', left + pad, fy);
+    for (const ln of c.bankLines) {
+      fy += 12;
+      doc.text(ln, left + pad, fy, { size: 10 });
+    }
+  }
+  if (termLines.length) {
+    fy += 16;
+    label('Terms & Conditions', left + pad, fy);
+    for (const ln of termLines) {
+      fy += 11;
+      doc.text(ln, left + pad, fy, { size: 8.5, color: 0.27 });
+    }
+  }
+  let ry2 = footTop;
+  if (c.upi) {
+    drawQr(doc, c.upi.qr, right - pad - QR_SIZE, ry2 + 8, QR_SIZE);
+    ry2 += 8 + QR_SIZE + 11;
+    doc.text(`Scan to pay Rs. ${inr(c.upi.amount)}`, left + half, ry2, { font: 'bold', size: 9, align: 'right', width: half - pad });
+    doc.text(`UPI: ${c.upi.vpa}`, left + half, ry2 + 11, { size: 8.5, color: GRAY, align: 'right', width: half - pad });
+    ry2 += 15;
+  }
+  ry2 += 34;
+  doc.text(`For ${company.name || ''}`, left + half, ry2, { size: 9, color: GRAY, align: 'right', width: half - pad });
+  if (signatureFit) {
+    doc.image(c.signature.pdf, right - pad - signatureFit.w, ry2 + 6, signatureFit.w, signatureFit.h);
+    ry2 += signatureFit.h + 20;
+  } else {
+    ry2 += 34;
+  }
+  doc.text(c.signatureLabel, left + half, ry2, { size: 9, color: GRAY, align: 'right', width: half - pad });
+  y = Math.max(fy + 10, ry2 + 10);
+  doc.line(left + half, footTop, left + half, y, { width: 0.75 });
+  if (c.footer) {
+    doc.line(left, y, right, y, { width: 0.5, color: RULE });
+    doc.text(c.footer, left, y + 12, { size: 8, color: LIGHT, align: 'center', width });
+    y += 18;
+  }
+  closePage(y);
+  return doc.toBuffer();
+}
+
+/**
+ * Invoice PDF from the chosen backend: 'builtin' (default, generateInvoicePdf) or
+ * 'puppeteer' (generateInvoiceHtml printed by Chrome — closer to the HTML, but
+ * needs a second Chrome). If Puppeteer cannot start, the built-in layout is used.
+ * options.template: prepareInvoiceTemplate() result.
+ */
+async function renderInvoicePdf(invoice, company, party, options = {}) {
+  const template = options.template || null;
+  if (options.renderer === 'puppeteer') {
+    try {
+      return await htmlToPdfBuffer(generateInvoiceHtml(invoice, company, party, template));
+    } catch (err) {
+      console.log(`[invoice-pdf] Puppeteer unavailable (${err.message}), using the built-in PDF layout`);
+    }
+  }
+  return generateInvoicePdf(invoice, company, party, template);
+}
+
 /**
  * Convert HTML to PDF buffer using Puppeteer.
  * Uses the system Chrome (same as WhatsApp client).
@@ -452,6 +743,8 @@ module.exports = {
   parseCompanyInfoResponse,
   parsePartyDetailResponse,
   generateInvoiceHtml,
+  generateInvoicePdf,
+  renderInvoicePdf,
   htmlToPdfBuffer,
   amountInWords,
 };
@@ -0,0 +1,231 @@
+/**
+ * Invoice templates — config/invoice-templates.json.
+ *
+ * {
+ *   "default": "classic",
+ *   "message": "Dear {party}, …",
+ *   "business": { "logo", "signature", "upiId", "upiName", "bank": { "name", "accountNumber", "ifsc", "branch" } },
+ *   "templates": { "<id>": { "name", "title", "accentColor", "logo", "signature", "signatureLabel",
+ *                            "bank", "terms": [], "footer", "upiQr", "message" } }
+ * }
+ *
+ * A template chooses which slots appear: logo / signature are true (the business
+ * image), a file path, or false; bank false hides the bank block (business.bank,
+ * when filled, replaces the details read from Tally); upiQr false drops the QR.
+ * Text slots take placeholders: {company} {party} {invoice_no} {date} {amount}
+ * {balance} {upi_id}. Image paths are relative to the working directory. "message"
+ * is the WhatsApp text sent with the PDF to the party (a template's own wins).
+ *
+ * A file of its own rather than skill config: the admin UI edits skill config as flat
+ * fields, and has its own list/preview routes for this file (src/cli.js).
+ */
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const { formatTallyDate } = require('./helpers');
+const { inr } = require('./formatters');
+const { loadPdfImage } = require('./pdf-writer');
+
+const DEFAULT_TEMPLATES_PATH = path.join('config', 'invoice-templates.json');
+
+const DEFAULT_PARTY_MESSAGE = 'Dear {party},\n\nPlease find attached invoice *{invoice_no}* dated {date} for ₹{amount}.\n\nThank you,\n*{company}*';
+
+// Without a templates file invoices keep the original fixed layout
+const BUILTIN_TEMPLATES = { default: 'classic', business: {}, templates: { classic: { name: 'Classic' } } };
+
+/**
+ * Read the templates file. A missing file gives the built-in "classic" template;
+ * a file that is not valid JSON or has no templates throws.
+ */
+function loadInvoiceTemplates(filePath) {
+  const resolved = path.resolve(process.cwd(), filePath || DEFAULT_TEMPLATES_PATH);
+  if (!fs.existsSync(resolved)) return Object.assign({ path: null }, BUILTIN_TEMPLATES);
+  const raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const templates = raw.templates && typeof raw.templates === 'object' ? raw.templates : {};
+  const ids = Object.keys(templates);
+  if (!ids.length) throw new Error(`${resolved}: no templates defined`);
+  return {
+    path: resolved,
+    default: templates[raw.default] ? raw.default : ids[0],
+    message: typeof raw.message === 'string' ? raw.message : null,
+    business: raw.business || {},
+    templates,
+  };
+}
+
+/** [{ id, name }] for pickers and "which templates are there?" replies. */
+function listInvoiceTemplates(store) {
+  return Object.keys(store.templates).map(id => ({ id, name: store.templates[id].name || id, isDefault: id === store.default }));
+}
+
+/**
+ * Template by id or display name (any case); the default when no name is given.
+ * A template without its own "message" takes the file's.
+ * @returns {{ template: object } | { error: string }}
+ */
+function pickInvoiceTemplate(store, name) {
+  if (!name) return { template: Object.assign({ id: store.default, message: store.message }, store.templates[store.default]) };
+  const wanted = String(name).trim().toLowerCase().replace(/\s+template$/, '');
+  const id = Object.keys(store.templates).find(k => k.toLowerCase() === wanted || String(store.templates[k].name || '').toLowerCase() === wanted);
+  if (!id) {
+    return { error: `Unknown invoice template "${name}". Templates: ${listInvoiceTemplates(store).map(t => t.id).join(', ')}` };
+  }
+  return { template: Object.assign({ id, message: store.message }, store.templates[id]) };
+}
+
+/** Replace {placeholders}; unknown ones are left as typed so a typo shows on the preview. */
+function fillTemplateText(text, vars) {
+  return String(text == null ? '' : text).replace(/\{(\w+)\}/g, (m, key) => (vars[key] != null ? String(vars[key]) : m));
+}
+
+/** upi://pay link understood by every UPI app; the amount is fixed to the balance. */
+function buildUpiUri({ vpa, payeeName, amount, note }) {
+  const params = [`pa=${encodeURIComponent(vpa).replace('%40', '@')}`];
+  if (payeeName) params.push(`pn=${encodeURIComponent(payeeName)}`);
+  params.push(`am=${Number(amount).toFixed(2)}`, 'cu=INR');
+  if (note) params.push(`tn=${encodeURIComponent(note.slice(0, 50))}`);
+  return `upi://pay?${params.join('&')}`;
+}
+
+/**
+ * What is still due on the invoice, from the party's pending bills
+ * (parseBillOutstandingTdlResponse().data.bills). No bills at all means the
+ * party isn't kept bill-wise: the invoice total is used. Bills without this
+ * invoice means it has been settled: 0.
+ */
+function invoiceBalance(invoice, bills) {
+  const total = Math.abs(invoice.amount);
+  if (!bills || !bills.length) return total;
+  const number = String(invoice.number || '').trim().toLowerCase();
+  const bill = bills.find(b => String(b.name).trim().toLowerCase() === number);
+  return bill ? Math.abs(bill.closingBalance) : 0;
+}
+
+function readImage(file, warnings) {
+  try {
+    const buffer = fs.readFileSync(path.resolve(process.cwd(), file));
+    const pdf = loadPdfImage(buffer);
+    const mime = buffer[0] === 0xff ? 'image/jpeg' : 'image/png';
+    return { buffer, pdf, mime };
+  } catch (err) {
+    warnings.push(`${file}: ${err.code === 'ENOENT' ? 'file not found' : err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve a template for one invoice: images loaded, placeholders filled and the
+ * UPI QR built for the balance (none when balance is 0 or no UPI ID is set), and
+ * the message to send with the PDF.
+ * Images that can't be read are skipped and listed in warnings.
+ */
+function prepareInvoiceTemplate(template, business, { invoice, company, party, balance }) {
+  business = business || {};
+  const warnings = [];
+  const upiId = template.upiId || business.upiId || '';
+  const vars = {
+    company: company.name || '',
+    party: party.name || invoice.party || '',
+    invoice_no: invoice.number || '',
+    date: invoice.date ? formatTallyDate(invoice.date) : '',
+    amount: inr(Math.abs(invoice.amount)),
+    balance: inr(balance || 0),
+    upi_id: upiId,
+  };
+  const imageSlot = (slot, fallback) => {
+    const file = slot === true ? fallback : typeof slot === 'string' ? slot : null;
+    return file ? readImage(file, warnings) : null;
+  };
+
+  let bankLines = null;
+  const bank = business.bank || {};
+  if (template.bank === false) bankLines = [];
+  else if (bank.name || bank.accountNumber) {
+    bankLines = [];
+    if (bank.name) bankLines.push(`Bank: ${bank.name}`);
+    if (bank.accountNumber) bankLines.push(`A/c No: ${bank.accountNumber}`);
+    if (bank.ifsc) bankLines.push(`IFSC: ${bank.ifsc}`);
+    if (bank.branch) bankLines.push(`Branch: ${bank.branch}`);
+  }
+
+  let upi = null;
+  if (template.upiQr !== false && upiId && balance > 0) {
+    const payeeName = fillTemplateText(template.upiName || business.upiName || '{company}', vars);
+    const uri = buildUpiUri({ vpa: upiId, payeeName, amount: balance, note: `Invoice ${invoice.number}` });
+    const qr = QRCode.create(uri, { errorCorrectionLevel: 'M' });
+    upi = { uri, vpa: upiId, amount: balance, qr: { size: qr.modules.size, data: Array.from(qr.modules.data) } };
+  }
+
+  return {
+    id: template.id,
+    name: template.name || template.id,
+    title: template.title ? fillTemplateText(template.title, vars) : null,
+    accentColor: /^#[0-9a-f]{6}$/i.test(template.accentColor || '') ? template.accentColor : null,
+    logo: imageSlot(template.logo, business.logo),
+    signature: imageSlot(template.signature, business.signature),
+    signatureLabel: fillTemplateText(template.signatureLabel || 'Authorised Signatory', vars),
+    bankLines,
+    terms: (Array.isArray(template.terms) ? template.terms : template.terms ? [template.terms] : []).map(t => fillTemplateText(t, vars)),
+    footer: template.footer != null ? fillTemplateText(template.footer, vars) : null,
+    message: fillTemplateText(template.message || DEFAULT_PARTY_MESSAGE, vars),
+    upi,
+    warnings,
+  };
+}
+
+/** Made-up invoice used to preview templates from the admin UI. */
+function sampleInvoiceData() {
+  return {
+    invoice: {
+      date: '20250405', number: 'SAMPLE-001', type: 'Sales', party: 'Sample Customer Pvt Ltd', amount: -29500,
+      narration: 'Sample invoice for template preview',
+      ledgerEntries: [
+        { name: 'Sample Customer Pvt Ltd', amount: -29500, isParty: true },
+        { name: 'Sales Account', amount: 25000, isParty: false },
+        { name: 'Output CGST 9%', amount: 2250, isParty: false },
+        { name: 'Output SGST 9%', amount: 2250, isParty: false },
+      ],
+      items: [
+        { name: 'Widget A', qty: 10, rate: 1500, amount: 15000 },
+        { name: 'Widget B', qty: 5, rate: 2000, amount: 10000 },
+      ],
+    },
+    company: {
+      name: 'Your Company Pvt Ltd', address: ['101, Business Park', 'Ring Road'], state: 'Gujarat', pincode: '380001',
+      phone: '98765 43210', email: 'accounts@example.com', gstin: '24AAACY1234A1Z5',
+      bankName: 'HDFC Bank', accountNumber: '50100012345678', ifscCode: 'HDFC0000123', bankBranch: 'Ashram Road',
+    },
+    party: { name: 'Sample Customer Pvt Ltd', address: ['12, Industrial Estate', 'Vapi'], state: 'Gujarat', gstin: '24AABCS1234F1Z5', phone: '99999 88888' },
+  };
+}
+
+/**
+ * Sample invoice drawn with a template, for the admin UI preview. A missing UPI ID
+ * is replaced by a placeholder so the QR's place on the page still shows.
+ * @param {string} name - Template id or name (default template when empty)
+ * @param {{ templatesPath?, pdfRenderer? }} invoiceConfig - the Tally skill's "invoice" config
+ */
+async function previewInvoiceTemplate(name, invoiceConfig = {}) {
+  const { renderInvoicePdf } = require('./invoice-pdf');
+  const store = loadInvoiceTemplates(invoiceConfig.templatesPath);
+  const picked = pickInvoiceTemplate(store, name);
+  if (picked.error) throw new Error(picked.error);
+  const sample = sampleInvoiceData();
+  const business = Object.assign({}, store.business, { upiId: store.business.upiId || 'yourbusiness@upi' });
+  const template = prepareInvoiceTemplate(picked.template, business, Object.assign({ balance: Math.abs(sample.invoice.amount) }, sample));
+  return renderInvoicePdf(sample.invoice, sample.company, sample.party, { renderer: invoiceConfig.pdfRenderer, template });
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES_PATH,
+  DEFAULT_PARTY_MESSAGE,
+  loadInvoiceTemplates,
+  listInvoiceTemplates,
+  pickInvoiceTemplate,
+  fillTemplateText,
+  buildUpiUri,
+  invoiceBalance,
+  prepareInvoiceTemplate,
+  sampleInvoiceData,
+  previewInvoiceTemplate,
+};
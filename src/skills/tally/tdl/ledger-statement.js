@@ -88,4 +88,80 @@ function parseLedgerStatementTdlResponse(xmlString, ledgerName, limit = 20) {
   return { success: true, message: lines.join('\n'), data: { ledgerName, entries, totalDr, totalCr, net, fromDate, toDate } };
 }
 
-module.exports = { buildLedgerStatementTdlXml, parseLedgerStatementTdlResponse };
+/**
+ * Vouchers with a line for a bank (or cash) ledger, with that line's bank details — for reconciliation.
+ * Unlike the party statement above this filters on the ledger lines, since a receipt's party ledger is the payer.
+ * @param {string} ledgerName
+ * @param {string} companyName
+ * @param {string} [dateFrom] - YYYYMMDD
+ * @param {string} [dateTo] - YYYYMMDD
+ * @returns {string}
+ */
+function buildBankLedgerVouchersTdlXml(ledgerName, companyName, dateFrom, dateTo) {
+  const svParts = ['<SVEXPORTFORMAT>$SysName:XML</SVEXPORTFORMAT>'];
+  if (companyName) svParts.push(`<SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>`);
+  if (dateFrom || dateTo) {
+    svParts.push(`<SVFROMDATE>${escapeXml(dateFrom || dateTo)}</SVFROMDATE>`);
+    svParts.push(`<SVTODATE>${escapeXml(dateTo || dateFrom)}</SVTODATE>`);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>BankLedgerVchList</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>${svParts.join('\n        ')}</STATICVARIABLES>
+      <TDL><TDLMESSAGE>
+        <COLLECTION NAME="BankLedgerVchList" ISMODIFY="No">
+          <TYPE>Voucher</TYPE>
+          <FETCH>Date, VoucherTypeName, VoucherNumber, Narration, PartyLedgerName, MasterID</FETCH>
+          <FETCH>AllLedgerEntries.LedgerName, AllLedgerEntries.Amount, AllLedgerEntries.BankAllocations.BankersDate, AllLedgerEntries.BankAllocations.InstrumentNumber</FETCH>
+          <FILTER>BankLedgerVchFilter</FILTER>
+        </COLLECTION>
+        <SYSTEM TYPE="Formulae" NAME="BankLedgerVchFilter">$$FilterCount:AllLedgerEntries:BankLedgerLineFilter > 0</SYSTEM>
+        <SYSTEM TYPE="Formulae" NAME="BankLedgerLineFilter">$LedgerName = "${escapeXml(ledgerName)}"</SYSTEM>
+      </TDLMESSAGE></TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+}
+
+/**
+ * Parse buildBankLedgerVouchersTdlXml output. amount is from the bank's side: positive = money in (bank debited).
+ * @param {string} xmlString
+ * @param {string} ledgerName
+ * @returns {Array<{ date, type, number, masterId, narration, party, amount, ledgerAmount, bankDate, instrument }>}
+ */
+function parseBankLedgerVouchersResponse(xmlString, ledgerName) {
+  const vouchers = [];
+  const wanted = String(ledgerName).toLowerCase();
+  const regex = /<VOUCHER\b[^>]*>[\s\S]*?<\/VOUCHER>/gi;
+  let m;
+  while ((m = regex.exec(xmlString)) !== null) {
+    const block = m[0];
+    const extract = (src, tag) => {
+      const mx = src.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'i'));
+      return mx ? decodeXml(mx[1].trim()) : null;
+    };
+    const lines = block.match(/<(ALL)?LEDGERENTRIES\.LIST>[\s\S]*?<\/(ALL)?LEDGERENTRIES\.LIST>/gi) || [];
+    const bankLine = lines.find(l => (extract(l, 'LEDGERNAME') || '').toLowerCase() === wanted);
+    if (!bankLine) continue;
+    const ledgerAmount = parseFloat(extract(bankLine, 'AMOUNT')) || 0;
+    const masterId = block.match(/<MASTERID[^>]*>\s*(\d+)\s*<\/MASTERID>/i);
+    vouchers.push({
+      date: extract(block, 'DATE') || '',
+      type: extract(block, 'VOUCHERTYPENAME') || '',
+      number: extract(block, 'VOUCHERNUMBER') || '',
+      masterId: masterId ? masterId[1] : null,
+      narration: extract(block, 'NARRATION') || '',
+      party: extract(block, 'PARTYLEDGERNAME') || '',
+      amount: -ledgerAmount,
+      ledgerAmount,
+      bankDate: extract(bankLine, 'BANKERSDATE') || null,
+      instrument: extract(bankLine, 'INSTRUMENTNUMBER') || null,
+    });
+  }
+  return vouchers;
+}
+
+module.exports = { buildLedgerStatementTdlXml, parseLedgerStatementTdlResponse, buildBankLedgerVouchersTdlXml, parseBankLedgerVouchersResponse };
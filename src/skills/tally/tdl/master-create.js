@@ -0,0 +1,462 @@
+const { escapeXml, decodeXml } = require('./helpers');
+const { inr } = require('./formatters');
+const { GST_STATES, stateFromGstin } = require('./gst-voucher');
+
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const PARTY_GROUPS = {
+  'sundry debtors': 'Sundry Debtors', 'sundry debtor': 'Sundry Debtors', debtors: 'Sundry Debtors', debtor: 'Sundry Debtors',
+  customer: 'Sundry Debtors', customers: 'Sundry Debtors', buyer: 'Sundry Debtors',
+  'sundry creditors': 'Sundry Creditors', 'sundry creditor': 'Sundry Creditors', creditors: 'Sundry Creditors', creditor: 'Sundry Creditors',
+  supplier: 'Sundry Creditors', suppliers: 'Sundry Creditors', vendor: 'Sundry Creditors', vendors: 'Sundry Creditors',
+};
+
+const normState = (s) => String(s || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+/**
+ * Check a GSTIN's format and check digit (the 15th character, mod-36 over the first 14).
+ * @param {string} gstin
+ * @returns {{ valid: boolean, gstin: string, error?: string }}
+ */
+function validateGstin(gstin) {
+  const value = String(gstin || '').trim().toUpperCase();
+  if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(value)) {
+    return { valid: false, gstin: value, error: `GSTIN ${value || '(empty)'} is not in the right format (e.g. 24AAACM1234F1Z4).` };
+  }
+  if (!GST_STATES[value.slice(0, 2)]) {
+    return { valid: false, gstin: value, error: `GSTIN ${value} starts with an unknown state code ${value.slice(0, 2)}.` };
+  }
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARS.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  const check = GSTIN_CHARS[(36 - (sum % 36)) % 36];
+  if (value[14] !== check) {
+    return { valid: false, gstin: value, error: `GSTIN ${value} has a wrong check digit — please re-check it.` };
+  }
+  return { valid: true, gstin: value };
+}
+
+/**
+ * Sundry Debtors / Sundry Creditors for what the user typed ("customer", "vendor", …); null when unknown.
+ * @param {string} group
+ * @returns {string|null}
+ */
+function normalizePartyGroup(group) {
+  return PARTY_GROUPS[String(group || '').trim().toLowerCase().replace(/\s+/g, ' ')] || null;
+}
+
+/**
+ * Validate and tidy a new party ledger. Fills the state from the GSTIN and spells it as Tally does.
+ * @param {object} data - { name, group, gstin?, state?, phone?, email?, creditDays? }
+ * @returns {string[]} Errors (empty when valid); data is updated in place
+ */
+function validateLedgerData(data) {
+  const errors = [];
+  data.name = String(data.name || '').trim();
+  if (!data.name) errors.push('Party name is required.');
+  const group = normalizePartyGroup(data.group || 'Sundry Debtors');
+  if (!group) errors.push('Group must be Sundry Debtors (customer) or Sundry Creditors (supplier).');
+  else data.group = group;
+
+  if (data.state) {
+    const known = Object.values(GST_STATES).find(s => normState(s) === normState(data.state));
+    if (known) data.state = known;
+  }
+  if (data.gstin) {
+    const check = validateGstin(data.gstin);
+    data.gstin = check.gstin;
+    if (!check.valid) {
+      errors.push(check.error);
+    } else {
+      const gstinState = stateFromGstin(check.gstin);
+      if (data.state && normState(data.state) !== normState(gstinState)) {
+        errors.push(`State ${data.state} does not match the GSTIN, which is registered in ${gstinState}.`);
+      }
+      data.state = gstinState;
+    }
+  }
+  if (data.phone) {
+    const digits = String(data.phone).replace(/[\s()+-]/g, '');
+    if (!/^(?:91)?\d{10}$|^0\d{10,11}$/.test(digits)) errors.push(`Phone ${data.phone} should be a 10-digit number.`);
+    else data.phone = digits.length === 12 ? digits.slice(2) : digits;
+  }
+  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(data.email).trim())) {
+    errors.push(`Email ${data.email} is not valid.`);
+  }
+  if (data.creditDays != null && data.creditDays !== '') {
+    const days = Number(data.creditDays);
+    if (!Number.isInteger(days) || days < 0 || days > 365) errors.push('Credit period must be a whole number of days (0–365).');
+    else data.creditDays = days;
+  }
+  return errors;
+}
+
+/**
+ * Start of the financial year (1 April) a date falls in, YYYYMMDD — GST details apply from here.
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function financialYearStart(now = new Date()) {
+  const year = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+  return `${year}0401`;
+}
+
+function importEnvelope(body, companyName, id) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Import</TALLYREQUEST><TYPE>Data</TYPE><ID>${id}</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>
+        <SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>
+      </STATICVARIABLES>
+    </DESC>
+    <DATA>
+      <TALLYMESSAGE>${body}
+      </TALLYMESSAGE>
+    </DATA>
+  </BODY>
+</ENVELOPE>`;
+}
+
+/**
+ * Build XML to create a party ledger (bill-wise on, so receipts can settle its bills).
+ * @param {object} data - validateLedgerData() output
+ * @param {string} companyName
+ * @param {Date} [now] - For the GST registration's applicable-from date
+ * @returns {string}
+ */
+function buildCreateLedgerXml(data, companyName, now = new Date()) {
+  const lines = [
+    `<NAME.LIST><NAME>${escapeXml(data.name)}</NAME></NAME.LIST>`,
+    `<PARENT>${escapeXml(data.group)}</PARENT>`,
+    '<ISBILLWISEON>Yes</ISBILLWISEON>',
+  ];
+  if (data.creditDays) lines.push(`<BILLCREDITPERIOD>${data.creditDays} Days</BILLCREDITPERIOD>`);
+  if (data.phone) lines.push(`<LEDGERMOBILE>${escapeXml(data.phone)}</LEDGERMOBILE>`, `<LEDGERPHONE>${escapeXml(data.phone)}</LEDGERPHONE>`);
+  if (data.email) lines.push(`<EMAIL>${escapeXml(data.email)}</EMAIL>`);
+  if (data.state) lines.push(`<LEDSTATENAME>${escapeXml(data.state)}</LEDSTATENAME>`, '<COUNTRYNAME>India</COUNTRYNAME>');
+  const regType = data.gstin ? 'Regular' : 'Unregistered';
+  lines.push(`<GSTREGISTRATIONTYPE>${regType}</GSTREGISTRATIONTYPE>`);
+  if (data.gstin) {
+    lines.push(`<PARTYGSTIN>${escapeXml(data.gstin)}</PARTYGSTIN>`);
+    lines.push(`<LEDGSTREGDETAILS.LIST><APPLICABLEFROM>${financialYearStart(now)}</APPLICABLEFROM><GSTREGISTRATIONTYPE>${regType}</GSTREGISTRATIONTYPE><STATE>${escapeXml(data.state)}</STATE><GSTIN>${escapeXml(data.gstin)}</GSTIN></LEDGSTREGDETAILS.LIST>`);
+  }
+  const body = `
+        <LEDGER NAME="${escapeXml(data.name)}" ACTION="Create">
+          ${lines.join('\n          ')}
+        </LEDGER>`;
+  return importEnvelope(body, companyName, 'All Masters');
+}
+
+/**
+ * Validate and tidy a new stock item.
+ * @param {object} data - { name, unit?, hsn?, gstRate?, openingQty?, openingRate? }
+ * @returns {string[]} Errors (empty when valid); data is updated in place
+ */
+function validateStockItemData(data) {
+  const errors = [];
+  data.name = String(data.name || '').trim();
+  if (!data.name) errors.push('Item name is required.');
+  data.unit = String(data.unit || 'Nos').trim();
+  if (data.hsn) {
+    data.hsn = String(data.hsn).trim();
+    if (!/^\d{4}(?:\d{2}){0,2}$/.test(data.hsn)) errors.push(`HSN ${data.hsn} should be 4, 6 or 8 digits.`);
+  }
+  if (data.gstRate != null && data.gstRate !== '') {
+    data.gstRate = parseFloat(data.gstRate);
+    if (![0, 0.1, 0.25, 1.5, 3, 5, 6, 7.5, 12, 18, 28].includes(data.gstRate)) errors.push(`GST rate ${data.gstRate}% is not a GST slab.`);
+  } else {
+    data.gstRate = null;
+  }
+  for (const [key, label] of [['openingQty', 'Opening quantity'], ['openingRate', 'Opening rate']]) {
+    if (data[key] == null || data[key] === '') { data[key] = 0; continue; }
+    data[key] = parseFloat(data[key]);
+    if (!(data[key] >= 0)) errors.push(`${label} must be zero or more.`);
+  }
+  return errors;
+}
+
+/**
+ * Build XML to create a stock item with its HSN, GST rate (CGST/SGST/IGST split) and opening stock.
+ * @param {object} data - validateStockItemData() output
+ * @param {string} companyName
+ * @param {Date} [now] - For the GST details' applicable-from date
+ * @returns {string}
+ */
+function buildCreateStockItemXml(data, companyName, now = new Date()) {
+  const unit = escapeXml(data.unit);
+  const lines = [
+    `<NAME.LIST><NAME>${escapeXml(data.name)}</NAME></NAME.LIST>`,
+    `<BASEUNITS>${unit}</BASEUNITS>`,
+  ];
+  if (data.hsn || data.gstRate != null) {
+    const rate = data.gstRate || 0;
+    const rates = [['CGST', rate / 2], ['SGST/UTGST', rate / 2], ['IGST', rate]]
+      .map(([head, r]) => `<RATEDETAILS.LIST><GSTRATEDUTYHEAD>${head}</GSTRATEDUTYHEAD><GSTRATEVALUATIONTYPE>Based on Value</GSTRATEVALUATIONTYPE><GSTRATE>${r}</GSTRATE></RATEDETAILS.LIST>`)
+      .join('');
+    lines.push('<GSTAPPLICABLE>&#4; Applicable</GSTAPPLICABLE>');
+    lines.push(`<GSTDETAILS.LIST><APPLICABLEFROM>${financialYearStart(now)}</APPLICABLEFROM>${data.hsn ? `<HSNCODE>${escapeXml(data.hsn)}</HSNCODE>` : ''}<TAXABILITY>${rate > 0 ? 'Taxable' : 'Exempt'}</TAXABILITY><STATEWISEDETAILS.LIST><STATENAME>&#4; Any</STATENAME>${rates}</STATEWISEDETAILS.LIST></GSTDETAILS.LIST>`);
+  }
+  if (data.openingQty > 0) {
+    const value = Math.round(data.openingQty * data.openingRate * 100) / 100;
+    lines.push(`<OPENINGBALANCE>${data.openingQty} ${unit}</OPENINGBALANCE>`);
+    if (data.openingRate > 0) lines.push(`<OPENINGRATE>${data.openingRate}/${unit}</OPENINGRATE>`, `<OPENINGVALUE>-${value}</OPENINGVALUE>`);
+  }
+  const body = `
+        <STOCKITEM NAME="${escapeXml(data.name)}" ACTION="Create">
+          ${lines.join('\n          ')}
+        </STOCKITEM>`;
+  return importEnvelope(body, companyName, 'All Masters');
+}
+
+/**
+ * Build TDL XML that returns the stock item with this name, if it exists.
+ * @param {string} name
+ * @param {string} companyName
+ * @returns {string}
+ */
+function buildStockItemExistsTdlXml(name, companyName) {
+  const svParts = ['<SVEXPORTFORMAT>$SysName:XML</SVEXPORTFORMAT>'];
+  if (companyName) svParts.push(`<SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>StockItemExists</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>${svParts.join('\n        ')}</STATICVARIABLES>
+      <TDL><TDLMESSAGE>
+        <COLLECTION NAME="StockItemExists" ISMODIFY="No">
+          <TYPE>StockItem</TYPE>
+          <NATIVEMETHOD>Name</NATIVEMETHOD>
+          <FILTER>StockItemExistsFilter</FILTER>
+        </COLLECTION>
+        <SYSTEM TYPE="Formulae" NAME="StockItemExistsFilter">$Name = "${escapeXml(name)}"</SYSTEM>
+      </TDLMESSAGE></TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+}
+
+/**
+ * Names of the stock items in a StockItemExists response.
+ * @param {string} xmlString
+ * @returns {string[]}
+ */
+function parseStockItemNamesResponse(xmlString) {
+  const names = [];
+  const regex = /<STOCKITEM\s+NAME="([^"]*)"/gi;
+  let m;
+  while ((m = regex.exec(xmlString)) !== null) names.push(decodeXml(m[1].trim()));
+  return names;
+}
+
+/**
+ * Parse Tally's import response to a ledger / stock item create or alter.
+ * @returns {{ success: boolean, message: string|null }}
+ */
+function parseCreateMasterResponse(xmlString) {
+  const count = (tag) => {
+    const m = xmlString.match(new RegExp(`${tag}\\s*=\\s*"(\\d+)"`, 'i')) ||
+              xmlString.match(new RegExp(`<${tag}[^>]*>(\\d+)</${tag}>`, 'i'));
+    return m ? parseInt(m[1]) : 0;
+  };
+  const errorMatch = xmlString.match(/<LINEERROR[^>]*>([^<]*)<\/LINEERROR>/i);
+  const error = errorMatch ? decodeXml(errorMatch[1].trim()) : null;
+  if (count('CREATED') + count('ALTERED') > 0 && count('ERRORS') === 0) return { success: true, message: null };
+  return { success: false, message: error || 'Tally did not save it. Check the name is not already used and the group/unit exists.' };
+}
+
+/**
+ * Summary of a new party: the preview (opts.preview) or the confirmation after creation.
+ */
+function formatLedgerSummary(data, opts = {}) {
+  const lines = [
+    opts.preview ? '📝 *New Party — Preview*' : '✅ *Party Created*',
+    '',
+    `👤 Name: ${data.name}`,
+    `📂 Group: ${data.group}`,
+    `🧾 GSTIN: ${data.gstin || 'Unregistered'}`,
+  ];
+  if (data.state) lines.push(`📍 State: ${data.state}`);
+  if (data.phone) lines.push(`📞 Phone: ${data.phone}`);
+  if (data.email) lines.push(`✉️ Email: ${data.email}`);
+  if (data.creditDays) lines.push(`⏳ Credit period: ${data.creditDays} days`);
+  return lines.join('\n');
+}
+
+/**
+ * Summary of a new stock item: the preview (opts.preview) or the confirmation after creation.
+ */
+function formatStockItemSummary(data, opts = {}) {
+  const lines = [
+    opts.preview ? '📝 *New Stock Item — Preview*' : '✅ *Stock Item Created*',
+    '',
+    `📦 Name: ${data.name}`,
+    `📏 Unit: ${data.unit}`,
+  ];
+  const tax = [data.hsn ? `HSN ${data.hsn}` : null, data.gstRate != null ? `GST ${data.gstRate}%` : null].filter(Boolean);
+  if (tax.length) lines.push(`🏷️ ${tax.join(' | ')}`);
+  if (data.openingQty > 0) {
+    const value = data.openingRate > 0 ? ` @ ₹${inr(data.openingRate)} = ₹${inr(data.openingQty * data.openingRate)}` : '';
+    lines.push(`📥 Opening stock: ${data.openingQty} ${data.unit}${value}`);
+  }
+  return lines.join('\n');
+}
+
+// Party master fields update_party can change, in display order
+const PARTY_FIELDS = [
+  ['phone', '📞 Phone'],
+  ['email', '✉️ Email'],
+  ['gstin', '🧾 GSTIN'],
+  ['state', '📍 State'],
+  ['creditDays', '⏳ Credit period'],
+];
+
+/**
+ * Build TDL XML to fetch one party's master details (contact, GST, credit period).
+ * @param {string} partyName
+ * @param {string} companyName
+ * @returns {string}
+ */
+function buildPartyMasterTdlXml(partyName, companyName) {
+  const svParts = ['<SVEXPORTFORMAT>$SysName:XML</SVEXPORTFORMAT>'];
+  if (companyName) svParts.push(`<SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>PartyMaster</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>${svParts.join('\n        ')}</STATICVARIABLES>
+      <TDL><TDLMESSAGE>
+        <COLLECTION NAME="PartyMaster" ISMODIFY="No">
+          <TYPE>Ledger</TYPE>
+          <FETCH>Name, Parent, LedgerMobile, LedgerPhone, Email, LedStateName, BillCreditPeriod, PartyGSTIN, LedGSTRegDetails.GSTIN</FETCH>
+          <FILTER>PartyMasterFilter</FILTER>
+        </COLLECTION>
+        <SYSTEM TYPE="Formulae" NAME="PartyMasterFilter">$Name = "${escapeXml(partyName)}"</SYSTEM>
+      </TDLMESSAGE></TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+}
+
+/**
+ * Parse a PartyMaster response. Empty fields come back as null.
+ * @param {string} xmlString
+ * @returns {{ name: string, group: string|null, phone: string|null, email: string|null, gstin: string|null, state: string|null, creditDays: number|null }|null}
+ */
+function parsePartyMasterResponse(xmlString) {
+  const match = xmlString.match(/<LEDGER\s+NAME="([^"]*)"[^>]*>[\s\S]*?<\/LEDGER>/i);
+  if (!match) return null;
+  const block = match[0];
+  const extract = (tag) => {
+    const mx = block.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'i'));
+    return mx && mx[1].trim() ? decodeXml(mx[1].trim()) : null;
+  };
+  // GST registrations may span periods; the latest non-empty one wins
+  let gstin = extract('PARTYGSTIN');
+  const gstinRegex = /<GSTIN[^>]*>([^<]+)<\/GSTIN>/gi;
+  let gm;
+  while ((gm = gstinRegex.exec(block)) !== null) {
+    if (gm[1].trim().length >= 15) gstin = gm[1].trim();
+  }
+  const credit = extract('BILLCREDITPERIOD');
+  return {
+    name: decodeXml(match[1].trim()),
+    group: extract('PARENT'),
+    phone: extract('LEDGERMOBILE') || extract('LEDGERPHONE'),
+    email: extract('EMAIL'),
+    gstin,
+    state: extract('LEDSTATENAME') || extract('STATENAME'),
+    creditDays: credit && /\d/.test(credit) ? parseInt(credit.replace(/[^\d]/g, ''), 10) : null,
+  };
+}
+
+/**
+ * Validate the fields to change on an existing party, with the same rules as a new one.
+ * A new GSTIN also moves the state; a new state must match the GSTIN the party keeps.
+ * @param {object} changes - { phone?, email?, gstin?, state?, creditDays? }
+ * @param {object} current - parsePartyMasterResponse()
+ * @returns {{ changes: object, errors: string[] }} Tidied changes without the values the party already has
+ */
+function validatePartyChanges(changes, current) {
+  const given = {};
+  for (const [key] of PARTY_FIELDS) {
+    if (changes[key] != null && changes[key] !== '') given[key] = changes[key];
+  }
+  if (Object.keys(given).length === 0) {
+    return { changes: {}, errors: ['Tell me what to change — phone, email, GSTIN, state or credit days.'] };
+  }
+  const probe = Object.assign({ name: current.name, group: 'Sundry Debtors' }, given);
+  if (given.state && !given.gstin && current.gstin) probe.gstin = current.gstin;
+  const errors = validateLedgerData(probe);
+  const tidy = {};
+  for (const [key] of PARTY_FIELDS) {
+    if (given[key] == null && !(key === 'state' && given.gstin)) continue;
+    if (String(probe[key]).toLowerCase() !== String(current[key]).toLowerCase()) tidy[key] = probe[key];
+  }
+  return { changes: tidy, errors };
+}
+
+/**
+ * Build XML to alter a party ledger's contact, GST or credit period fields. Only the given fields are sent.
+ * @param {string} name - Ledger name as in Tally
+ * @param {object} changes - validatePartyChanges().changes
+ * @param {string} companyName
+ * @param {Date} [now] - For a new GST registration's applicable-from date
+ * @returns {string}
+ */
+function buildAlterLedgerXml(name, changes, companyName, now = new Date()) {
+  const lines = [];
+  if (changes.phone) lines.push(`<LEDGERMOBILE>${escapeXml(changes.phone)}</LEDGERMOBILE>`, `<LEDGERPHONE>${escapeXml(changes.phone)}</LEDGERPHONE>`);
+  if (changes.email) lines.push(`<EMAIL>${escapeXml(changes.email)}</EMAIL>`);
+  if (changes.state) lines.push(`<LEDSTATENAME>${escapeXml(changes.state)}</LEDSTATENAME>`);
+  if (changes.creditDays != null) lines.push(`<BILLCREDITPERIOD>${changes.creditDays} Days</BILLCREDITPERIOD>`);
+  if (changes.gstin) {
+    lines.push('<GSTREGISTRATIONTYPE>Regular</GSTREGISTRATIONTYPE>', `<PARTYGSTIN>${escapeXml(changes.gstin)}</PARTYGSTIN>`);
+    lines.push(`<LEDGSTREGDETAILS.LIST><APPLICABLEFROM>${financialYearStart(now)}</APPLICABLEFROM><GSTREGISTRATIONTYPE>Regular</GSTREGISTRATIONTYPE><STATE>${escapeXml(changes.state || stateFromGstin(changes.gstin))}</STATE><GSTIN>${escapeXml(changes.gstin)}</GSTIN></LEDGSTREGDETAILS.LIST>`);
+  }
+  const body = `
+        <LEDGER NAME="${escapeXml(name)}" ACTION="Alter">
+          ${lines.join('\n          ')}
+        </LEDGER>`;
+  return importEnvelope(body, companyName, 'All Masters');
+}
+
+/**
+ * Before/after of a party update: the preview (opts.preview) or the confirmation after the alter.
+ * @param {object} current - parsePartyMasterResponse()
+ * @param {object} changes - validatePartyChanges().changes
+ * @param {{ preview?: boolean }} [opts]
+ * @returns {string}
+ */
+function formatPartyUpdate(current, changes, opts = {}) {
+  const show = (key, value) => (value == null || value === '' ? '—' : key === 'creditDays' ? `${value} days` : String(value));
+  const lines = [opts.preview ? `📝 *Update ${current.name}?*` : `✅ *${current.name} Updated*`, ''];
+  for (const [key, label] of PARTY_FIELDS) {
+    if (!(key in changes)) continue;
+    lines.push(`${label}: ${show(key, current[key])} → *${show(key, changes[key])}*`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  validateGstin,
+  normalizePartyGroup,
+  validateLedgerData,
+  buildCreateLedgerXml,
+  validateStockItemData,
+  buildCreateStockItemXml,
+  buildStockItemExistsTdlXml,
+  parseStockItemNamesResponse,
+  parseCreateMasterResponse,
+  formatLedgerSummary,
+  formatStockItemSummary,
+  buildPartyMasterTdlXml,
+  parsePartyMasterResponse,
+  validatePartyChanges,
+  buildAlterLedgerXml,
+  formatPartyUpdate,
+};
@@ -0,0 +1,317 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PDF writer — text, lines, boxes and images on A4 pages, in plain Node.
+ * Uses the PDF standard fonts (Helvetica family, WinAnsi encoding) so nothing
+ * has to be embedded and no browser is needed. Coordinates are in points,
+ * measured from the TOP-left corner of the page; text y is the baseline.
+ */
+
+const A4_WIDTH = 595.28;
+const A4_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { key: 'F1', base: 'Helvetica' },
+  bold: { key: 'F2', base: 'Helvetica-Bold' },
+  italic: { key: 'F3', base: 'Helvetica-Oblique' },
+};
+
+// Glyph widths (1/1000 em) for codes 32–126, from the Adobe AFM files; Oblique shares Helvetica's
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters the standard fonts lack, spelled the way a printed bill would (₹ becomes "Rs. " in toWinAnsi)
+const REPLACEMENTS = { '—': '-', '–': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '…': '...', '•': '-' };
+
+/** Reduce text to what WinAnsi can show: Latin-1 kept, known symbols replaced, the rest as "?". */
+function toWinAnsi(str) {
+  let out = '';
+  for (const ch of String(str == null ? '' : str).replace(/₹\s*/g, 'Rs. ')) {
+    if (REPLACEMENTS[ch]) out += REPLACEMENTS[ch];
+    else if (ch === '\t' || ch === '\n' || ch === '\r') out += ' ';
+    else {
+      const code = ch.codePointAt(0);
+      out += (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? ch : '?';
+    }
+  }
+  return out;
+}
+
+/** Width of text in points. */
+function textWidth(str, font = 'regular', size = 10) {
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (const ch of toWinAnsi(str)) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+/** Break text into lines no wider than maxWidth; a word longer than a line is cut. */
+function wrapText(str, maxWidth, font = 'regular', size = 10) {
+  const lines = [];
+  for (const paragraph of String(str == null ? '' : str).split('\n')) {
+    let line = '';
+    for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? line + ' ' + word : word;
+      if (textWidth(candidate, font, size) <= maxWidth) { line = candidate; continue; }
+      if (line) lines.push(line);
+      while (textWidth(word, font, size) > maxWidth && word.length > 1) {
+        let cut = word.length - 1;
+        while (cut > 1 && textWidth(word.slice(0, cut), font, size) > maxWidth) cut--;
+        lines.push(word.slice(0, cut));
+        word = word.slice(cut);
+      }
+      line = word;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function pdfString(str) {
+  return '(' + toWinAnsi(str).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)') + ')';
+}
+
+function num(n) {
+  return (Math.round(n * 100) / 100).toString();
+}
+
+/** Gray level 0 (black) – 1 (white), an [r, g, b] triple (0–1), or "#rrggbb". */
+function colorOp(color, stroke) {
+  if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) {
+    color = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16) / 255);
+  }
+  if (Array.isArray(color)) return `${color.map(num).join(' ')} ${stroke ? 'RG' : 'rg'}`;
+  return `${num(color)} ${stroke ? 'G' : 'g'}`;
+}
+
+function unfilterPng(raw, width, height, bpp) {
+  const stride = width * bpp;
+  const out = Buffer.alloc(stride * height);
+  let pos = 0;
+  for (let y = 0; y < height; y++) {
+    const filter = raw[pos++];
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[row - stride + x] : 0;
+      const c = x >= bpp && y > 0 ? out[row - stride + x - bpp] : 0;
+      let v = raw[pos++];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      } else if (filter !== 0) throw new Error('Unsupported PNG filter');
+      out[row + x] = v & 0xff;
+    }
+  }
+  return out;
+}
+
+/**
+ * Read a JPEG or PNG (8-bit, non-interlaced) for doc.image().
+ * Throws for anything else, so callers can fall back to no image.
+ * @returns {{ width, height, dict: string, data: Buffer, smask?: { dict, data } }}
+ */
+function loadPdfImage(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let pos = 2;
+    while (pos < buffer.length) {
+      if (buffer[pos] !== 0xff) { pos++; continue; }
+      const marker = buffer[pos + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        const height = buffer.readUInt16BE(pos + 5);
+        const width = buffer.readUInt16BE(pos + 7);
+        const components = buffer[pos + 9];
+        const space = components === 1 ? '/DeviceGray' : components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+        return { width, height, data: buffer, dict: `/Width ${width} /Height ${height} /ColorSpace ${space} /BitsPerComponent 8 /Filter /DCTDecode` };
+      }
+      pos += 2 + buffer.readUInt16BE(pos + 2);
+    }
+    throw new Error('Unreadable JPEG');
+  }
+  if (buffer.slice(1, 4).toString('latin1') !== 'PNG') throw new Error('Only PNG and JPEG images are supported');
+  let pos = 8;
+  let header = null, palette = null;
+  const idat = [];
+  while (pos < buffer.length) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.slice(pos + 4, pos + 8).toString('latin1');
+    const data = buffer.slice(pos + 8, pos + 8 + length);
+    if (type === 'IHDR') header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), depth: data[8], colorType: data[9], interlace: data[12] };
+    else if (type === 'PLTE') palette = data;
+    else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+    pos += 12 + length;
+  }
+  if (!header || header.depth !== 8 || header.interlace !== 0) throw new Error('Only 8-bit, non-interlaced PNGs are supported');
+  if (header.colorType === 3 && !palette) throw new Error('PNG palette missing');
+  const { width, height, colorType } = header;
+  const base = `/Width ${width} /Height ${height} /BitsPerComponent 8 /Filter /FlateDecode`;
+  const compressed = Buffer.concat(idat);
+  if (colorType === 0 || colorType === 2 || colorType === 3) {
+    // No alpha: Flate with the PNG predictors reads the IDAT stream as it is
+    const colors = colorType === 2 ? 3 : 1;
+    const space = colorType === 2 ? '/DeviceRGB' : colorType === 0 ? '/DeviceGray'
+      : `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`;
+    return { width, height, data: compressed, dict: `${base} /ColorSpace ${space} /DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>` };
+  }
+  if (colorType !== 4 && colorType !== 6) throw new Error('Unsupported PNG colour type');
+  // Gray/RGB + alpha: split the alpha channel into a soft mask
+  const channels = colorType === 6 ? 4 : 2;
+  const pixels = unfilterPng(zlib.inflateSync(compressed), width, height, channels);
+  const colorBytes = Buffer.alloc(width * height * (channels - 1));
+  const alpha = Buffer.alloc(width * height);
+  for (let i = 0, c = 0; i < width * height; i++) {
+    for (let k = 0; k < channels - 1; k++) colorBytes[c++] = pixels[i * channels + k];
+    alpha[i] = pixels[i * channels + channels - 1];
+  }
+  return {
+    width,
+    height,
+    data: zlib.deflateSync(colorBytes),
+    dict: `${base} /ColorSpace ${channels === 4 ? '/DeviceRGB' : '/DeviceGray'}`,
+    smask: { data: zlib.deflateSync(alpha), dict: `${base} /ColorSpace /DeviceGray` },
+  };
+}
+
+/**
+ * Create a PDF document. Draw on the current page; addPage() starts the next one.
+ * Returns { width, height, addPage, text, line, rect, image, textWidth, wrapText, pageCount, toBuffer }.
+ */
+function createPdfDocument(options = {}) {
+  const width = options.width || A4_WIDTH;
+  const height = options.height || A4_HEIGHT;
+  const pages = [];
+  const images = [];
+  let ops = null;
+
+  function addPage() {
+    ops = [];
+    pages.push(ops);
+  }
+  addPage();
+
+  /**
+   * Draw one line of text. opts: font ('regular' | 'bold' | 'italic'), size, color,
+   * align ('left' | 'right' | 'center') — right/center are relative to x + width.
+   */
+  function text(str, x, y, opts = {}) {
+    const font = FONTS[opts.font] ? opts.font : 'regular';
+    const size = opts.size || 10;
+    let left = x;
+    if (opts.align === 'right') left = x + (opts.width || 0) - textWidth(str, font, size);
+    else if (opts.align === 'center') left = x + ((opts.width || 0) - textWidth(str, font, size)) / 2;
+    ops.push(`BT ${colorOp(opts.color || 0, false)} /${FONTS[font].key} ${num(size)} Tf ${num(left)} ${num(height - y)} Td ${pdfString(str)} Tj ET`);
+  }
+
+  function line(x1, y1, x2, y2, opts = {}) {
+    ops.push(`${colorOp(opts.color || 0, true)} ${num(opts.width || 1)} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+  }
+
+  /** Rectangle with its top-left corner at (x, y). opts: fill (color), stroke (color), width. */
+  function rect(x, y, w, h, opts = {}) {
+    const path = `${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re`;
+    if (opts.fill != null) ops.push(`${colorOp(opts.fill, false)} ${path} f`);
+    if (opts.stroke != null) ops.push(`${colorOp(opts.stroke, true)} ${num(opts.width || 1)} w ${path} S`);
+  }
+
+  /** Draw an image from loadPdfImage() with its top-left corner at (x, y), scaled to w × h. */
+  function image(img, x, y, w, h) {
+    let index = images.indexOf(img);
+    if (index < 0) index = images.push(img) - 1;
+    ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(height - y - h)} cm /Im${index + 1} Do Q`);
+  }
+
+  function toBuffer() {
+    const objects = [];
+    const fontIds = {};
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    let next = 3;
+    for (const name of Object.keys(FONTS)) {
+      fontIds[name] = next;
+      objects[next++] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[name].base} /Encoding /WinAnsiEncoding >>`;
+    }
+    const fontRefs = Object.keys(FONTS).map(n => `/${FONTS[n].key} ${fontIds[n]} 0 R`).join(' ');
+    const imageRefs = images.map((img, i) => {
+      let smask = '';
+      if (img.smask) {
+        const maskId = next++;
+        objects[maskId] = { dict: `<< /Type /XObject /Subtype /Image ${img.smask.dict} /Length ${img.smask.data.length} >>`, stream: img.smask.data };
+        smask = ` /SMask ${maskId} 0 R`;
+      }
+      const id = next++;
+      objects[id] = { dict: `<< /Type /XObject /Subtype /Image ${img.dict}${smask} /Length ${img.data.length} >>`, stream: img.data };
+      return `/Im${i + 1} ${id} 0 R`;
+    }).join(' ');
+    const xObjects = images.length ? ` /XObject << ${imageRefs} >>` : '';
+    const kids = [];
+    for (const pageOps of pages) {
+      const content = Buffer.from(pageOps.join('\n'), 'latin1');
+      const contentId = next++;
+      const pageId = next++;
+      objects[contentId] = { dict: `<< /Length ${content.length} >>`, stream: content };
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << ${fontRefs} >>${xObjects} >> /Contents ${contentId} 0 R >>`;
+      kids.push(`${pageId} 0 R`);
+    }
+    objects[2] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      const obj = objects[id];
+      const body = typeof obj === 'string'
+        ? Buffer.from(`${id} 0 obj\n${obj}\nendobj\n`, 'latin1')
+        : Buffer.concat([Buffer.from(`${id} 0 obj\n${obj.dict}\nstream\n`, 'latin1'), obj.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')]);
+      offsets[id] = offset;
+      chunks.push(body);
+      offset += body.length;
+    }
+    const xref = [`xref\n0 ${objects.length}\n0000000000 65535 f \n`];
+    for (let id = 1; id < objects.length; id++) xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`);
+    chunks.push(Buffer.from(xref.join(''), 'latin1'));
+    return Buffer.concat(chunks);
+  }
+
+  return {
+    width,
+    height,
+    addPage,
+    text,
+    line,
+    rect,
+    image,
+    textWidth,
+    wrapText,
+    pageCount: () => pages.length,
+    toBuffer,
+  };
+}
+
+module.exports = {
+  createPdfDocument,
+  loadPdfImage,
+  pdfTextWidth: textWidth,
+  wrapPdfText: wrapText,
+};
@@ -0,0 +1,218 @@
+/**
+ * Request queue in front of Tally's HTTP server. Tally works through one request
+ * at a time and runs out of memory when several pile up (docs/TALLY_MEMORY_FIX.md),
+ * so each server gets one lane: one request at a time, gapMs apart.
+ *
+ * - Priority: requests made while answering a chat message (runWithTallyContext,
+ *   set by the orchestrator) go before background ones — alerts, scheduled reports,
+ *   voucher watch. First come, first served within a priority.
+ * - Cancellation: once a sender's newer message in a chat reaches Tally, that sender's
+ *   older requests in the chat still waiting are dropped (ERR_CANCELED) and the older
+ *   handler gets no further turns — keyed by chat and sender, so in a group one member's
+ *   message never drops a colleague's. Writes and confirmed runs (runWithoutCancel) are
+ *   never dropped: an import posting in batches finishes. The request already with Tally
+ *   runs to the end; Tally can't be interrupted.
+ * - Timeouts: timeoutSec for chat requests, backgroundTimeoutSec for the rest, or the
+ *   caller's own timeoutMs.
+ * - Retries: a read whose connection is reset (ECONNRESET, EPIPE) is sent again after
+ *   retryDelaySec, doubling each time, up to `retries` times. Imports never are — a
+ *   reset import may still have been posted.
+ * - Circuit breaker: after failuresToPause requests in a row can't reach Tally, the
+ *   server is left alone for pauseSec: requests fail at once (ETALLYDOWN) and those
+ *   waiting are dropped. After the pause the next request tries again; one more
+ *   failure pauses again, a success closes it. Starting/restarting Tally resets it.
+ *
+ * Config (Tally skill "queue"): { timeoutSec, backgroundTimeoutSec, retries, retryDelaySec,
+ * failuresToPause, pauseSec, gapMs }.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = { interactive: 0, background: 1 };
+const RETRY_CODES = ['ECONNRESET', 'EPIPE'];
+// Failures that mean Tally (or the way to it) is down, as opposed to a bad request
+const DOWN_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+const DEFAULTS = { timeoutSec: 30, backgroundTimeoutSec: 120, retries: 2, retryDelaySec: 1, failuresToPause: 3, pauseSec: 30, gapMs: 1500 };
+
+function queueError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function superseded() {
+  return queueError('⏭️ Dropped — a newer request from you in this chat came in.', 'ERR_CANCELED');
+}
+
+function hostOf(baseUrl) {
+  try { return new URL(baseUrl).host; } catch (_) { return baseUrl; }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * A queue with one lane per Tally server (baseUrl).
+ * @param {object} [config] - see DEFAULTS
+ */
+function createTallyQueue(config) {
+  let settings = Object.assign({}, DEFAULTS);
+  const lanes = new Map(); // baseUrl -> { waiting, busy, lastAt, failures, pausedUntil }
+  const latestBySender = new Map(); // chat + sender -> newest message generation that reached Tally
+  let seq = 0;
+
+  /** Apply the Tally skill's "queue" config; missing or invalid keys keep their defaults. */
+  function configure(c) {
+    const next = Object.assign({}, DEFAULTS);
+    if (c && typeof c === 'object') {
+      for (const key of Object.keys(DEFAULTS)) {
+        const n = parseFloat(c[key]);
+        if (n >= 0) next[key] = n;
+      }
+    }
+    settings = next;
+  }
+
+  function lane(baseUrl) {
+    if (!lanes.has(baseUrl)) lanes.set(baseUrl, { waiting: [], busy: false, lastAt: 0, failures: 0, pausedUntil: 0 });
+    return lanes.get(baseUrl);
+  }
+
+  function pausedError(baseUrl, l, now = Date.now()) {
+    if (!(l.pausedUntil > now)) return null;
+    return queueError(`Tally at ${hostOf(baseUrl)} did not answer ${l.failures} requests in a row — not asking again for ${Math.ceil((l.pausedUntil - now) / 1000)}s.`, 'ETALLYDOWN');
+  }
+
+  function pause(baseUrl, l) {
+    l.pausedUntil = Date.now() + settings.pauseSec * 1000;
+    const err = pausedError(baseUrl, l);
+    for (const item of l.waiting.splice(0)) item.reject(err);
+  }
+
+  async function attempt(baseUrl, l, item) {
+    for (let tries = 0; ; tries++) {
+      l.lastAt = Date.now();
+      try {
+        const response = await item.send(item.timeoutMs);
+        l.failures = 0;
+        return response;
+      } catch (err) {
+        if (item.retry && RETRY_CODES.includes(err.code) && tries < settings.retries) {
+          await sleep(settings.retryDelaySec * 1000 * 2 ** tries);
+          continue;
+        }
+        if (DOWN_CODES.includes(err.code) && ++l.failures >= settings.failuresToPause) pause(baseUrl, l);
+        throw err;
+      }
+    }
+  }
+
+  async function pump(baseUrl, l) {
+    if (l.busy) return;
+    l.busy = true;
+    try {
+      while (l.waiting.length) {
+        const wait = l.lastAt + settings.gapMs - Date.now();
+        if (wait > 0) await sleep(wait);
+        // Taken after the wait: something more urgent may have come in, or this chat moved on
+        const item = l.waiting.shift();
+        if (!item) break;
+        try {
+          item.resolve(await attempt(baseUrl, l, item));
+        } catch (err) {
+          item.reject(err);
+        }
+      }
+    } finally {
+      l.busy = false;
+    }
+  }
+
+  /**
+   * Queue one request to a Tally server.
+   * @param {string} baseUrl
+   * @param {(timeoutMs: number) => Promise<any>} send - does the HTTP request
+   * @param {{ priority?: 'interactive'|'background', chatId?: string, sender?: string, generation?: number, cancelable?: boolean, retry?: boolean, timeoutMs?: number }} [options]
+   *   cancelable: false keeps the request when a newer message from the same sender comes in (writes, confirmed runs)
+   */
+  function run(baseUrl, send, { priority = 'background', chatId = null, sender = null, generation = 0, cancelable = true, retry = true, timeoutMs } = {}) {
+    const key = chatId ? (sender ? `${chatId}|${sender}` : chatId) : null;
+    if (key) {
+      const latest = latestBySender.get(key) || 0;
+      if (generation < latest && cancelable) return Promise.reject(superseded());
+      if (generation > latest) {
+        latestBySender.set(key, generation);
+        for (const other of lanes.values()) {
+          other.waiting = other.waiting.filter((item) => {
+            if (item.key !== key || item.generation >= generation || !item.cancelable) return true;
+            item.reject(superseded());
+            return false;
+          });
+        }
+      }
+    }
+    const l = lane(baseUrl);
+    const paused = pausedError(baseUrl, l);
+    if (paused) return Promise.reject(paused);
+    const rank = PRIORITIES[priority] != null ? PRIORITIES[priority] : PRIORITIES.background;
+    return new Promise((resolve, reject) => {
+      l.waiting.push({
+        rank, seq: ++seq, key, generation, cancelable, send, retry, resolve, reject,
+        timeoutMs: timeoutMs || (rank === PRIORITIES.interactive ? settings.timeoutSec : settings.backgroundTimeoutSec) * 1000,
+      });
+      l.waiting.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+      pump(baseUrl, l);
+    });
+  }
+
+  /** Close the breaker, e.g. after Tally was started again. */
+  function resetBreaker(baseUrl) {
+    const l = lanes.get(baseUrl);
+    if (l) { l.failures = 0; l.pausedUntil = 0; }
+  }
+
+  /** { [baseUrl]: { waiting, busy, failures, pausedUntil } } */
+  function stats() {
+    const out = {};
+    for (const [baseUrl, l] of lanes) {
+      out[baseUrl] = { waiting: l.waiting.length, busy: l.busy, failures: l.failures, pausedUntil: l.pausedUntil > Date.now() ? new Date(l.pausedUntil).toISOString() : null };
+    }
+    return out;
+  }
+
+  configure(config);
+  return { configure, run, resetBreaker, stats };
+}
+
+// Who is asking: set per chat message by the orchestrator, inherited by every await below it
+const context = new AsyncLocalStorage();
+let generations = 0;
+
+/**
+ * Run fn with its Tally requests marked as one chat member's (interactive) or background work.
+ * Each call is a new generation: the same sender's earlier ones in the chat are superseded once it reaches Tally.
+ */
+function runWithTallyContext({ priority = 'interactive', chatId = null, sender = null } = {}, fn) {
+  return context.run({ priority, chatId, sender, generation: ++generations, cancelable: true }, fn);
+}
+
+/** Run fn in the current context, but with its requests kept when a newer message comes in (a confirmed write). */
+function runWithoutCancel(fn) {
+  return context.run(Object.assign({}, tallyContext(), { cancelable: false }), fn);
+}
+
+/** The current context; background without a chat outside runWithTallyContext. */
+function tallyContext() {
+  return context.getStore() || { priority: 'background', chatId: null, sender: null, generation: 0, cancelable: true };
+}
+
+const tallyQueue = createTallyQueue();
+
+module.exports = {
+  createTallyQueue,
+  runWithTallyContext,
+  runWithoutCancel,
+  tallyContext,
+  tallyQueue,
+  configureTallyQueue: (config) => tallyQueue.configure(config),
+  resetTallyBreaker: (baseUrl) => tallyQueue.resetBreaker(baseUrl),
+  tallyQueueStats: () => tallyQueue.stats(),
+};
@@ -0,0 +1,197 @@
+/**
+ * Response cache in front of postTally() — Tally answers reads slowly and postTally
+ * spaces requests 1.5s apart, so a dashboard or "more" on a long ledger is mostly
+ * waiting. Export responses are kept per Tally server and normalized request XML
+ * (SVCURRENTCOMPANY is part of the XML, so companies never share an entry).
+ *
+ * How long an entry lives depends on what was asked (cacheKind):
+ * - masters: ledger / group / stock item lists without balances (default 10 min)
+ * - vouchers: voucher and bill collections reaching today or undated (default 30s)
+ * - reports: balances, statements, older voucher ranges — everything else (default 2 min)
+ * The live company list (tally status, company detection) is never cached.
+ *
+ * An Import (voucher or master create/alter) drops the entries of that company on
+ * that server. Config (Tally skill "cache"): { enabled, mastersTtl, reportsTtl,
+ * vouchersTtl (seconds), maxEntries, maxMB }.
+ */
+
+const KINDS = ['masters', 'reports', 'vouchers'];
+const DEFAULTS = { enabled: true, mastersTtl: 600, reportsTtl: 120, vouchersTtl: 30, maxEntries: 200, maxMB: 50 };
+
+let settings = Object.assign({}, DEFAULTS);
+const entries = new Map(); // key -> { baseUrl, company, kind, response, bytes, expiresAt } — oldest use first
+let totalBytes = 0;
+let stats = emptyStats();
+
+function emptyStats() {
+  const byKind = {};
+  for (const k of KINDS) byKind[k] = { hits: 0, misses: 0 };
+  return { hits: 0, misses: 0, invalidations: 0, since: new Date().toISOString(), byKind };
+}
+
+function todayStr(now = new Date()) {
+  return `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Apply the Tally skill's "cache" config; missing keys keep their defaults, false turns caching off.
+ * Turning it off empties the cache.
+ */
+function configureResponseCache(config) {
+  const c = config === false ? { enabled: false } : (config && typeof config === 'object' ? config : {});
+  const next = Object.assign({}, DEFAULTS);
+  for (const key of Object.keys(DEFAULTS)) {
+    if (c[key] == null || c[key] === '') continue;
+    next[key] = key === 'enabled' ? c[key] !== false && c[key] !== 'false' : (parseFloat(c[key]) >= 0 ? parseFloat(c[key]) : DEFAULTS[key]);
+  }
+  settings = next;
+  if (!settings.enabled) clearResponseCache();
+}
+
+/** Whitespace between tags and runs of blanks don't change what Tally returns. */
+function normalizeRequestXml(xml) {
+  return String(xml).replace(/>\s+</g, '><').replace(/\s+/g, ' ').trim();
+}
+
+/** The company a request names (SVCURRENTCOMPANY), or null. */
+function requestCompanyName(xml) {
+  const m = String(xml).match(/<SVCURRENTCOMPANY>([^<]*)<\/SVCURRENTCOMPANY>/i);
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * What a request is, for the cache: 'write' (Import), null (never cached) or a TTL kind.
+ * @param {string} xml
+ * @param {Date} [now]
+ * @returns {'write'|'masters'|'reports'|'vouchers'|null}
+ */
+function cacheKind(xml, now = new Date()) {
+  const s = String(xml);
+  if (/<TALLYREQUEST>\s*Import/i.test(s)) return 'write';
+  if (/<ID>\s*CompanyList\s*<\/ID>/i.test(s)) return null;
+  if (/<TYPE>\s*(?:Voucher|Bill)\s*<\/TYPE>/i.test(s)) {
+    const to = s.match(/<SVTODATE>\s*(\d{8})\s*<\/SVTODATE>/i);
+    return to && to[1] < todayStr(now) ? 'reports' : 'vouchers';
+  }
+  if (/<TYPE>\s*(?:Ledger|Group|StockItem|Company|Unit|Godown|CostCentre)\s*<\/TYPE>/i.test(s)
+    && !/Balance|ClosingValue|ClosingQty|OpeningValue|OpeningQty/i.test(s)) return 'masters';
+  return 'reports';
+}
+
+function keyOf(baseUrl, xml) {
+  return baseUrl + '\n' + normalizeRequestXml(xml);
+}
+
+function dropEntry(key) {
+  const e = entries.get(key);
+  if (!e) return;
+  totalBytes -= e.bytes;
+  entries.delete(key);
+}
+
+/**
+ * Cached response for a read, or undefined (counted as a miss). Writes and
+ * uncached kinds always return undefined without counting.
+ */
+function getCachedResponse(baseUrl, xml, now = Date.now()) {
+  if (!settings.enabled) return undefined;
+  const kind = cacheKind(xml);
+  if (!KINDS.includes(kind)) return undefined;
+  const key = keyOf(baseUrl, xml);
+  const e = entries.get(key);
+  if (e && e.expiresAt > now) {
+    // Most recently used goes to the back
+    entries.delete(key);
+    entries.set(key, e);
+    stats.hits++;
+    stats.byKind[kind].hits++;
+    return e.response;
+  }
+  if (e) dropEntry(key);
+  stats.misses++;
+  stats.byKind[kind].misses++;
+  return undefined;
+}
+
+/**
+ * Keep a read's response; least recently used entries go when maxEntries / maxMB is passed.
+ * Empty answers and Tally errors (LINEERROR) are not kept — the next ask should retry.
+ */
+function storeResponse(baseUrl, xml, response, now = Date.now()) {
+  if (!settings.enabled || typeof response !== 'string' || !response.trim() || /<LINEERROR>/i.test(response)) return;
+  const kind = cacheKind(xml);
+  if (!KINDS.includes(kind)) return;
+  const ttl = settings[kind + 'Ttl'] * 1000;
+  const bytes = response.length * 2;
+  const maxBytes = settings.maxMB * 1024 * 1024;
+  if (!(ttl > 0) || bytes > maxBytes) return;
+  const key = keyOf(baseUrl, xml);
+  dropEntry(key);
+  entries.set(key, { baseUrl, company: requestCompanyName(xml), kind, response, bytes, expiresAt: now + ttl });
+  totalBytes += bytes;
+  for (const oldest of entries.keys()) {
+    if (entries.size <= settings.maxEntries && totalBytes <= maxBytes) break;
+    dropEntry(oldest);
+  }
+}
+
+/**
+ * Drop what may be stale after a write: entries of that company on that server,
+ * every entry of the server when no company is given (and entries sent without one).
+ * @returns {number} entries dropped
+ */
+function invalidateResponseCache(baseUrl, company) {
+  let dropped = 0;
+  const wanted = company ? String(company).toLowerCase() : null;
+  for (const [key, e] of Array.from(entries)) {
+    if (baseUrl && e.baseUrl !== baseUrl) continue;
+    if (wanted && e.company && e.company.toLowerCase() !== wanted) continue;
+    dropEntry(key);
+    dropped++;
+  }
+  stats.invalidations++;
+  return dropped;
+}
+
+/** Empty the cache. With resetStats the hit/miss counters start again too. */
+function clearResponseCache({ resetStats = false } = {}) {
+  entries.clear();
+  totalBytes = 0;
+  if (resetStats) stats = emptyStats();
+}
+
+/**
+ * Hit/miss counters and what is held, for the admin UI.
+ * @returns {{ enabled, entries, sizeMB, hits, misses, hitRate, invalidations, since, byKind: { [kind]: { entries, ttl, hits, misses } } }}
+ */
+function responseCacheStats(now = Date.now()) {
+  const held = {};
+  for (const k of KINDS) held[k] = 0;
+  for (const e of entries.values()) if (e.expiresAt > now) held[e.kind]++;
+  const byKind = {};
+  for (const k of KINDS) byKind[k] = Object.assign({ entries: held[k], ttl: settings[k + 'Ttl'] }, stats.byKind[k]);
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: settings.enabled,
+    entries: entries.size,
+    sizeMB: Math.round(totalBytes / 1024 / 1024 * 100) / 100,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups ? Math.round(stats.hits / lookups * 1000) / 10 : 0,
+    invalidations: stats.invalidations,
+    since: stats.since,
+    byKind,
+  };
+}
+
+module.exports = {
+  configureResponseCache,
+  normalizeRequestXml,
+  requestCompanyName,
+  cacheKind,
+  getCachedResponse,
+  storeResponse,
+  invalidateResponseCache,
+  clearResponseCache,
+  responseCacheStats,
+};
@@ -35,7 +35,7 @@ function buildSalesPurchaseReportTdlXml(companyName, reportType, dateFrom, dateT
 }
 
 function parseSalesPurchaseReportTdlResponse(xmlString, reportType, dateFrom = null, dateTo = null) {
-  let vouchers = [];
+  const vouchers = [];
   const regex = /<VOUCHER\s[^>]*>[\s\S]*?<\/VOUCHER>/gi;
   let m;
   while ((m = regex.exec(xmlString)) !== null) {
@@ -51,7 +51,13 @@ function parseSalesPurchaseReportTdlResponse(xmlString, reportType, dateFrom = n
       party: decodeXml(extract('PARTYLEDGERNAME')),
     });
   }
+  return summarizeSalesPurchase(vouchers, reportType, dateFrom, dateTo);
+}
 
+/**
+ * Sales/purchase report from vouchers ({ date, number, amount, party }) — parsed from Tally or read from the mirror.
+ */
+function summarizeSalesPurchase(vouchers, reportType, dateFrom = null, dateTo = null) {
   if (dateFrom || dateTo) {
     vouchers = vouchers.filter(v => {
       if (!v.date) return false;
@@ -95,4 +101,4 @@ function parseSalesPurchaseReportTdlResponse(xmlString, reportType, dateFrom = n
   return { success: true, message: lines.join('\n'), data: { type: label, entries: vouchers, byParty, total: grandTotal, fromDate, toDate } };
 }
 
-module.exports = { buildSalesPurchaseReportTdlXml, parseSalesPurchaseReportTdlResponse };
+module.exports = { buildSalesPurchaseReportTdlXml, parseSalesPurchaseReportTdlResponse, summarizeSalesPurchase };
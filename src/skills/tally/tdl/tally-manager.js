@@ -388,6 +388,29 @@ async function getFullStatus(baseUrl, customInstallPath) {
   return { success: true, message: lines.join('\n'), data: { process: proc, http, ini, dataCompanies } };
 }
 
+/**
+ * Status of a Tally on another machine: only its HTTP server can be checked —
+ * the process, tally.ini and data folder are out of reach.
+ * @param {object} http - checkTallyStatus() result
+ * @param {string} label - host:port (or proxy host) shown to the user
+ */
+function formatRemoteStatus(http, label) {
+  const lines = ['🖥️ *Tally Status*', '', `🌐 Remote: ${label}`];
+  if (!http.responding) {
+    lines.push(`❌ Not reachable (${http.error})`, '', SEP, '💡 Check that TallyPrime is open on that machine with its HTTP server enabled, and that this PC can reach it.');
+    return { success: true, message: lines.join('\n'), data: { remote: true, http } };
+  }
+  lines.push('✅ HTTP server responding');
+  if (http.companies.length > 0) {
+    lines.push('', `*Companies open:* (${http.companies.length})`);
+    http.companies.forEach((c, i) => lines.push(`${i + 1}. *${c.name}*${i === 0 ? ' ✅ _active_' : ''}`));
+  } else {
+    lines.push('', 'No company is open in Tally.');
+  }
+  lines.push('', SEP, '💡 Start, restart and company switching are done on that machine.');
+  return { success: true, message: lines.join('\n'), data: { remote: true, http } };
+}
+
 /**
  * Open a specific company in Tally by updating tally.ini Load= line,
  * then restarting Tally. Matches by company name (fuzzy) or folder ID.
@@ -496,4 +519,5 @@ module.exports = {
   restartTally,
   openCompany,
   getFullStatus,
+  formatRemoteStatus,
 };
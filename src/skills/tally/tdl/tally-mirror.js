@@ -0,0 +1,623 @@
+/**
+ * Local mirror of Tally data — the vouchers, ledgers, groups and stock items of each company,
+ * kept on disk so the heavy reports (top and inactive parties/items, period comparisons,
+ * cash flow forecast) read years of vouchers without exporting them from Tally every time,
+ * and still answer, labelled as an offline copy, while Tally is closed.
+ *
+ * Sync (syncMirror):
+ * - full: masters, then vouchers from BooksFrom to LastVoucherDate in chunkDays slices (one big
+ *   voucher export runs Tally out of memory — docs/TALLY_MEMORY_FIX.md). Replaces the copy.
+ * - incremental: the Company's AltVchID / AltMstID are the highest AlterIDs saved so far; when
+ *   they moved past the ones synced, only vouchers / masters with a higher AlterID are fetched.
+ *   When nothing changed it is a single small request.
+ * - Tally doesn't list deleted vouchers, so a full sync runs again every fullResyncHours.
+ * refreshMirror() is what a report calls: it waits for an incremental sync only; first builds
+ * and due full syncs run in the background at background priority.
+ *
+ * On disk, under config path (default data/mirror), one folder per Tally server and company:
+ *   state.json      { company, baseUrl, voucherAlterId, masterAlterId, booksFrom, lastVoucherDate, syncedAt, fullSyncAt, counts }
+ *   vouchers.jsonl  one voucher per line { masterId, alterId, date, type, number, party, amount, ledgers?, items? };
+ *                   a later line for the same masterId replaces it, { masterId, deleted: true } drops it
+ *   masters.json    { ledgers, groups, stockItems }
+ * Amounts keep Tally's signs (negative = Dr). Cancelled and optional vouchers are left out.
+ *
+ * Config (Tally skill "mirror"): { enabled, path, chunkDays, fullResyncHours, syncMinutes }.
+ */
+const fs = require('fs');
+const path = require('path');
+const { escapeXml, decodeXml, postTally, splitDateRange } = require('./helpers');
+const { runWithTallyContext } = require('./request-queue');
+
+const DEFAULTS = { enabled: false, path: path.join('data', 'mirror'), chunkDays: 7, fullResyncHours: 24, syncMinutes: 10 };
+const MASTER_TYPES = { ledgers: 'Ledger', groups: 'Group', stockItems: 'StockItem' };
+const MASTER_FETCH = {
+  Ledger: 'Name, Parent, MasterID, AlterID, OpeningBalance',
+  Group: 'Name, Parent, MasterID, AlterID',
+  StockItem: 'Name, Parent, BaseUnits, MasterID, AlterID',
+};
+// Incremental voucher fetches go in AlterID slices of this size, so a day of heavy editing is no one big export
+const ALTER_ID_STEP = 5000;
+// vouchers.jsonl is rewritten once replaced lines outnumber the live ones
+const COMPACT_MIN_LINES = 1000;
+
+let settings = Object.assign({}, DEFAULTS);
+const mirrors = new Map(); // folder -> { dir, state, vouchers: Map, masters: { [kind]: Map }, lines }
+const syncing = new Map(); // folder -> { kind, promise }
+
+/** Apply the Tally skill's "mirror" config; missing or invalid keys keep their defaults. */
+function configureMirror(config) {
+  const c = config && typeof config === 'object' ? config : {};
+  const next = Object.assign({}, DEFAULTS);
+  if (c.enabled != null) next.enabled = c.enabled !== false && c.enabled !== 'false';
+  if (c.path) next.path = String(c.path);
+  for (const key of ['chunkDays', 'fullResyncHours', 'syncMinutes']) {
+    const n = parseFloat(c[key]);
+    if (n >= 0) next[key] = n;
+  }
+  if (!(next.chunkDays >= 1)) next.chunkDays = DEFAULTS.chunkDays;
+  if (path.resolve(next.path) !== path.resolve(settings.path)) mirrors.clear();
+  settings = next;
+}
+
+function mirrorSettings() {
+  return Object.assign({}, settings);
+}
+
+function slug(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || '_';
+}
+
+function mirrorDir(baseUrl, companyName) {
+  let host;
+  try { host = new URL(baseUrl).host; } catch (_) { host = baseUrl; }
+  return path.resolve(process.cwd(), settings.path, slug(host), slug(companyName));
+}
+
+function todayStr(now = new Date()) {
+  return `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+}
+
+// Text of the first <TAG> (not <TAGLONGER>) in a block, or null
+function tag(block, name) {
+  const m = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([^<]*)</${name}>`, 'i'));
+  return m ? m[1].trim() : null;
+}
+
+// ── Requests ──
+
+/** Company counters: AltVchID / AltMstID (highest AlterIDs saved), LastVoucherDate, BooksFrom. */
+function buildMirrorCompanyTdlXml(companyName) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>MirrorCompany</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES><SVEXPORTFORMAT>$SysName:XML</SVEXPORTFORMAT></STATICVARIABLES>
+      <TDL><TDLMESSAGE>
+        <COLLECTION NAME="MirrorCompany" ISMODIFY="No">
+          <TYPE>Company</TYPE>
+          <FETCH>Name, AltVchID, AltMstID, LastVoucherDate, BooksFrom</FETCH>
+          <FILTER>MirrorCompanyName</FILTER>
+        </COLLECTION>
+        <SYSTEM TYPE="Formulae" NAME="MirrorCompanyName">$Name = "${escapeXml(companyName)}"</SYSTEM>
+      </TDLMESSAGE></TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+}
+
+/**
+ * Vouchers with their ledger and inventory lines: a date range (full sync) or an AlterID slice (incremental).
+ * @param {string} companyName
+ * @param {{ from?: string, to?: string, afterAlterId?: number, upToAlterId?: number }} range
+ */
+function buildMirrorVouchersTdlXml(companyName, { from, to, afterAlterId, upToAlterId } = {}) {
+  const svParts = ['<SVEXPORTFORMAT>$SysName:XML</SVEXPORTFORMAT>'];
+  if (companyName) svParts.push(`<SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>`);
+  if (from && to) {
+    svParts.push(`<SVFROMDATE>${escapeXml(from)}</SVFROMDATE>`);
+    svParts.push(`<SVTODATE>${escapeXml(to)}</SVTODATE>`);
+  }
+  const conditions = [];
+  if (afterAlterId != null) conditions.push(`$AlterID > ${parseInt(afterAlterId, 10) || 0}`);
+  if (upToAlterId != null) conditions.push(`$AlterID <= ${parseInt(upToAlterId, 10) || 0}`);
+  const filter = conditions.length ? '<FILTER>MirrorAltered</FILTER>' : '';
+  const formula = conditions.length ? `<SYSTEM TYPE="Formulae" NAME="MirrorAltered">${conditions.join(' AND ')}</SYSTEM>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>MirrorVouchers</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>${svParts.join('\n        ')}</STATICVARIABLES>
+      <TDL><TDLMESSAGE>
+        <COLLECTION NAME="MirrorVouchers" ISMODIFY="No">
+          <TYPE>Voucher</TYPE>
+          <FETCH>Date, VoucherTypeName, VoucherNumber, PartyLedgerName, Amount, MasterID, AlterID, IsCancelled, IsOptional</FETCH>
+          <FETCH>AllLedgerEntries.LedgerName, AllLedgerEntries.Amount</FETCH>
+          <FETCH>AllInventoryEntries.StockItemName, AllInventoryEntries.BilledQty, AllInventoryEntries.Amount</FETCH>
+          ${filter}
+        </COLLECTION>
+        ${formula}
+      </TDLMESSAGE></TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+}
+
+/**
+ * Ledgers, groups or stock items, all of them or those altered after an AlterID.
+ * @param {string} companyName
+ * @param {'Ledger'|'Group'|'StockItem'} type
+ * @param {number} [afterAlterId]
+ */
+function buildMirrorMastersTdlXml(companyName, type, afterAlterId) {
+  const svParts = ['<SVEXPORTFORMAT>$SysName:XML</SVEXPORTFORMAT>'];
+  if (companyName) svParts.push(`<SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>`);
+  const id = `Mirror${type}s`;
+  const filter = afterAlterId != null ? '<FILTER>MirrorAltered</FILTER>' : '';
+  const formula = afterAlterId != null ? `<SYSTEM TYPE="Formulae" NAME="MirrorAltered">$AlterID > ${parseInt(afterAlterId, 10) || 0}</SYSTEM>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>${id}</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>${svParts.join('\n        ')}</STATICVARIABLES>
+      <TDL><TDLMESSAGE>
+        <COLLECTION NAME="${id}" ISMODIFY="No">
+          <TYPE>${type}</TYPE>
+          <FETCH>${MASTER_FETCH[type]}</FETCH>
+          ${filter}
+        </COLLECTION>
+        ${formula}
+      </TDLMESSAGE></TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+}
+
+// ── Parsers ──
+
+/** @returns {{ name, voucherAlterId, masterAlterId, lastVoucherDate, booksFrom } | null} null when Tally doesn't have the company open */
+function parseMirrorCompany(xmlString) {
+  const m = String(xmlString).match(/<COMPANY(?:\s[^>]*)?>([\s\S]*?)<\/COMPANY>/i);
+  if (!m) return null;
+  const name = m[0].match(/<COMPANY\s+NAME="([^"]*)"/i);
+  return {
+    name: decodeXml(name ? name[1] : tag(m[1], 'NAME')),
+    voucherAlterId: parseInt(tag(m[1], 'ALTVCHID'), 10) || 0,
+    masterAlterId: parseInt(tag(m[1], 'ALTMSTID'), 10) || 0,
+    lastVoucherDate: tag(m[1], 'LASTVOUCHERDATE') || null,
+    booksFrom: tag(m[1], 'BOOKSFROM') || null,
+  };
+}
+
+/** Mirror voucher records; cancelled and optional ones come back as { masterId, deleted: true }. */
+function parseMirrorVouchers(xmlString) {
+  const vouchers = [];
+  const regex = /<VOUCHER\s[^>]*>[\s\S]*?<\/VOUCHER>/gi;
+  let m;
+  while ((m = regex.exec(xmlString)) !== null) {
+    // Inventory lines first (they nest their own accounting allocations), then ledger lines,
+    // so neither's AMOUNT is taken for the voucher's
+    const items = [];
+    const ledgers = [];
+    const block = m[0]
+      .replace(/<ALLINVENTORYENTRIES\.LIST[^>]*>([\s\S]*?)<\/ALLINVENTORYENTRIES\.LIST>/gi, (_, inner) => {
+        const name = tag(inner, 'STOCKITEMNAME');
+        if (name) items.push({ name: decodeXml(name), qty: parseFloat(tag(inner, 'BILLEDQTY')) || 0, amount: parseFloat(tag(inner, 'AMOUNT')) || 0 });
+        return '';
+      })
+      .replace(/<ALLLEDGERENTRIES\.LIST[^>]*>([\s\S]*?)<\/ALLLEDGERENTRIES\.LIST>/gi, (_, inner) => {
+        const name = tag(inner, 'LEDGERNAME');
+        if (name) ledgers.push({ name: decodeXml(name), amount: parseFloat(tag(inner, 'AMOUNT')) || 0 });
+        return '';
+      });
+    const masterId = parseInt(tag(block, 'MASTERID'), 10);
+    if (!masterId) continue;
+    if (/^yes$/i.test(tag(block, 'ISCANCELLED') || '') || /^yes$/i.test(tag(block, 'ISOPTIONAL') || '')) {
+      vouchers.push({ masterId, deleted: true });
+      continue;
+    }
+    const voucher = {
+      masterId,
+      alterId: parseInt(tag(block, 'ALTERID'), 10) || 0,
+      date: tag(block, 'DATE') || '',
+      type: decodeXml(tag(block, 'VOUCHERTYPENAME')),
+      number: decodeXml(tag(block, 'VOUCHERNUMBER')),
+      party: decodeXml(tag(block, 'PARTYLEDGERNAME')),
+      amount: parseFloat(tag(block, 'AMOUNT')) || 0,
+    };
+    if (ledgers.length) voucher.ledgers = ledgers;
+    if (items.length) voucher.items = items;
+    vouchers.push(voucher);
+  }
+  return vouchers;
+}
+
+/**
+ * @param {string} xmlString
+ * @param {'Ledger'|'Group'|'StockItem'} type
+ * @returns {object[]} { masterId, alterId, name, parent, openingBalance? (ledgers), unit? (stock items) }
+ */
+function parseMirrorMasters(xmlString, type) {
+  const el = type.toUpperCase();
+  const out = [];
+  const regex = new RegExp(`<${el}\\s+NAME="([^"]*)"[^>]*>([\\s\\S]*?)</${el}>`, 'gi');
+  let m;
+  while ((m = regex.exec(xmlString)) !== null) {
+    const record = {
+      masterId: parseInt(tag(m[2], 'MASTERID'), 10) || 0,
+      alterId: parseInt(tag(m[2], 'ALTERID'), 10) || 0,
+      name: decodeXml(m[1].trim()),
+      parent: decodeXml(tag(m[2], 'PARENT')),
+    };
+    if (type === 'Ledger') record.openingBalance = parseFloat(tag(m[2], 'OPENINGBALANCE')) || 0;
+    if (type === 'StockItem') record.unit = decodeXml(tag(m[2], 'BASEUNITS'));
+    out.push(record);
+  }
+  return out;
+}
+
+// ── Files ──
+
+function emptyMirror(dir, baseUrl, companyName) {
+  return {
+    dir,
+    state: { company: companyName, baseUrl, voucherAlterId: 0, masterAlterId: 0, booksFrom: null, lastVoucherDate: null, syncedAt: null, fullSyncAt: null, counts: {} },
+    vouchers: new Map(),
+    masters: { ledgers: new Map(), groups: new Map(), stockItems: new Map() },
+    lines: 0,
+  };
+}
+
+// Masters are keyed by MasterID, so a renamed ledger replaces its old name
+function mastersMap(records) {
+  return new Map(records.map(r => [r.masterId || r.name, r]));
+}
+
+/**
+ * The mirror of one company as last synced — read from disk once, then kept in memory.
+ * state.fullSyncAt is null until the first full sync has finished.
+ */
+function loadMirror(baseUrl, companyName) {
+  const dir = mirrorDir(baseUrl, companyName);
+  if (mirrors.has(dir)) return mirrors.get(dir);
+  const mirror = emptyMirror(dir, baseUrl, companyName);
+  try {
+    Object.assign(mirror.state, JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf-8')));
+  } catch (_) { /* not built yet */ }
+  if (mirror.state.fullSyncAt) {
+    try {
+      const masters = JSON.parse(fs.readFileSync(path.join(dir, 'masters.json'), 'utf-8'));
+      for (const kind of Object.keys(MASTER_TYPES)) mirror.masters[kind] = mastersMap(masters[kind] || []);
+      for (const line of fs.readFileSync(path.join(dir, 'vouchers.jsonl'), 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        mirror.lines++;
+        let v;
+        try { v = JSON.parse(line); } catch (_) { continue; } // a line cut short by a crash
+        if (v.deleted) mirror.vouchers.delete(v.masterId);
+        else mirror.vouchers.set(v.masterId, v);
+      }
+    } catch (err) {
+      console.log(`[mirror] ${dir} is unreadable (${err.message}) — building it again`);
+      mirror.state.fullSyncAt = null;
+    }
+  }
+  mirrors.set(dir, mirror);
+  return mirror;
+}
+
+function writeAtomic(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file + '.tmp', text);
+  fs.renameSync(file + '.tmp', file);
+}
+
+function saveState(mirror) {
+  writeAtomic(path.join(mirror.dir, 'state.json'), JSON.stringify(mirror.state, null, 2));
+}
+
+function saveMasters(mirror) {
+  const out = {};
+  for (const kind of Object.keys(MASTER_TYPES)) out[kind] = Array.from(mirror.masters[kind].values());
+  writeAtomic(path.join(mirror.dir, 'masters.json'), JSON.stringify(out));
+}
+
+function rewriteVouchers(mirror) {
+  const file = path.join(mirror.dir, 'vouchers.jsonl');
+  fs.mkdirSync(mirror.dir, { recursive: true });
+  const fd = fs.openSync(file + '.tmp', 'w');
+  try {
+    let batch = [];
+    for (const v of mirror.vouchers.values()) {
+      batch.push(JSON.stringify(v));
+      if (batch.length >= 1000) { fs.writeSync(fd, batch.join('\n') + '\n'); batch = []; }
+    }
+    if (batch.length) fs.writeSync(fd, batch.join('\n') + '\n');
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(file + '.tmp', file);
+  mirror.lines = mirror.vouchers.size;
+}
+
+function appendVouchers(mirror, records) {
+  if (records.length === 0) return;
+  fs.mkdirSync(mirror.dir, { recursive: true });
+  fs.appendFileSync(path.join(mirror.dir, 'vouchers.jsonl'), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+  mirror.lines += records.length;
+  if (mirror.lines > COMPACT_MIN_LINES && mirror.lines > 2 * mirror.vouchers.size) rewriteVouchers(mirror);
+}
+
+// ── Sync ──
+
+async function fetchCompany(post, baseUrl, companyName) {
+  const company = parseMirrorCompany(await post(baseUrl, buildMirrorCompanyTdlXml(companyName), { cache: false }));
+  if (!company) {
+    const err = new Error(`Company "${companyName}" is not open in Tally`);
+    err.code = 'ENOCOMPANY';
+    throw err;
+  }
+  return company;
+}
+
+async function fetchMasters(post, baseUrl, companyName, afterAlterId) {
+  const out = {};
+  for (const [kind, type] of Object.entries(MASTER_TYPES)) {
+    out[kind] = parseMirrorMasters(await post(baseUrl, buildMirrorMastersTdlXml(companyName, type, afterAlterId), { cache: false }), type);
+  }
+  return out;
+}
+
+async function fullSync(post, mirror, baseUrl, companyName, company) {
+  const masters = await fetchMasters(post, baseUrl, companyName, null);
+  const vouchers = new Map();
+  const to = company.lastVoucherDate || todayStr();
+  const from = company.booksFrom && company.booksFrom < to ? company.booksFrom : to;
+  for (const chunk of splitDateRange(from, to, settings.chunkDays)) {
+    const xml = await post(baseUrl, buildMirrorVouchersTdlXml(companyName, chunk), { cache: false });
+    for (const v of parseMirrorVouchers(xml)) {
+      // Keep only the slice's own dates, in case Tally sent more
+      if (v.deleted || v.date < chunk.from || v.date > chunk.to) continue;
+      vouchers.set(v.masterId, v);
+    }
+  }
+  // Swapped in at the end: reports read the previous copy while this one is built
+  for (const kind of Object.keys(MASTER_TYPES)) mirror.masters[kind] = mastersMap(masters[kind]);
+  mirror.vouchers = vouchers;
+  rewriteVouchers(mirror);
+  saveMasters(mirror);
+  mirror.state.fullSyncAt = new Date().toISOString();
+  return vouchers.size;
+}
+
+async function incrementalSync(post, mirror, baseUrl, companyName, company) {
+  let changed = 0;
+  if (company.masterAlterId > mirror.state.masterAlterId) {
+    const masters = await fetchMasters(post, baseUrl, companyName, mirror.state.masterAlterId);
+    for (const kind of Object.keys(MASTER_TYPES)) {
+      for (const r of masters[kind]) mirror.masters[kind].set(r.masterId || r.name, r);
+      changed += masters[kind].length;
+    }
+    saveMasters(mirror);
+  }
+  for (let after = mirror.state.voucherAlterId; after < company.voucherAlterId; after += ALTER_ID_STEP) {
+    const upTo = Math.min(after + ALTER_ID_STEP, company.voucherAlterId);
+    const fresh = parseMirrorVouchers(await post(baseUrl, buildMirrorVouchersTdlXml(companyName, { afterAlterId: after, upToAlterId: upTo }), { cache: false }));
+    for (const v of fresh) {
+      if (v.deleted) mirror.vouchers.delete(v.masterId);
+      else mirror.vouchers.set(v.masterId, v);
+    }
+    appendVouchers(mirror, fresh);
+    changed += fresh.length;
+    // Saved per slice, so a sync cut off halfway doesn't fetch these again
+    mirror.state.voucherAlterId = upTo;
+  }
+  return changed;
+}
+
+/**
+ * Bring one company's mirror up to date: a full sync when it was never built or full is asked
+ * for, otherwise an incremental one. One sync per company at a time — a second call while one
+ * runs gets that one.
+ * @param {string} baseUrl
+ * @param {string} companyName
+ * @param {{ full?: boolean, post?: Function }} [options] - post: the request function (postTally)
+ * @returns {Promise<{ mirror, kind: 'full'|'incremental', changed: number }>}
+ */
+function syncMirror(baseUrl, companyName, { full = false, post = postTally } = {}) {
+  const mirror = loadMirror(baseUrl, companyName);
+  const running = syncing.get(mirror.dir);
+  if (running) return running.promise;
+  const kind = full || !mirror.state.fullSyncAt ? 'full' : 'incremental';
+  const promise = (async () => {
+    const company = await fetchCompany(post, baseUrl, companyName);
+    const changed = kind === 'full'
+      ? await fullSync(post, mirror, baseUrl, companyName, company)
+      : await incrementalSync(post, mirror, baseUrl, companyName, company);
+    Object.assign(mirror.state, {
+      company: companyName,
+      baseUrl,
+      voucherAlterId: company.voucherAlterId,
+      masterAlterId: company.masterAlterId,
+      booksFrom: company.booksFrom,
+      lastVoucherDate: company.lastVoucherDate,
+      syncedAt: new Date().toISOString(),
+      counts: { vouchers: mirror.vouchers.size, ledgers: mirror.masters.ledgers.size, groups: mirror.masters.groups.size, stockItems: mirror.masters.stockItems.size },
+    });
+    saveState(mirror);
+    return { mirror, kind, changed };
+  })();
+  syncing.set(mirror.dir, { kind, promise });
+  promise.then(() => syncing.delete(mirror.dir), () => syncing.delete(mirror.dir));
+  return promise;
+}
+
+function fullSyncDue(mirror, now = Date.now()) {
+  if (!mirror.state.fullSyncAt) return true;
+  return settings.fullResyncHours > 0 && now - new Date(mirror.state.fullSyncAt).getTime() > settings.fullResyncHours * 3600000;
+}
+
+/** Start a sync that nobody waits for, behind the chats in Tally's queue. */
+function syncMirrorInBackground(baseUrl, companyName, options = {}) {
+  const promise = runWithTallyContext({ priority: 'background' }, () => syncMirror(baseUrl, companyName, options));
+  promise.then(
+    (r) => console.log(`[mirror] ${companyName}: ${r.kind} sync done, ${r.mirror.vouchers.size} vouchers`),
+    (err) => console.log(`[mirror] ${companyName}: sync failed — ${err.message || err}`)
+  );
+  return promise;
+}
+
+/**
+ * The mirror a report should read, as fresh as it gets without keeping the chat waiting long:
+ * an incremental sync is awaited; the first build and due full syncs go on in the background.
+ * When the sync fails (Tally closed) the last copy comes back with stale: true.
+ * @returns {Promise<{ mirror, stale: boolean, error?: Error } | null>} null until the first full sync is done
+ */
+async function refreshMirror(baseUrl, companyName, { post = postTally } = {}) {
+  const mirror = loadMirror(baseUrl, companyName);
+  const running = syncing.get(mirror.dir);
+  if (!mirror.state.fullSyncAt) {
+    if (!running) syncMirrorInBackground(baseUrl, companyName, { post }).catch(() => {});
+    return null;
+  }
+  let error = null;
+  if (!running || running.kind === 'incremental') {
+    try {
+      await syncMirror(baseUrl, companyName, { post });
+    } catch (err) {
+      if (err.code === 'ERR_CANCELED') throw err;
+      error = err;
+    }
+  }
+  if (!error && !syncing.has(mirror.dir) && fullSyncDue(mirror)) {
+    syncMirrorInBackground(baseUrl, companyName, { full: true, post }).catch(() => {});
+  }
+  return error ? { mirror, stale: true, error } : { mirror, stale: false };
+}
+
+/** Mirrors on disk (and in memory): [{ baseUrl, company, syncedAt, fullSyncAt, counts }], newest sync first. */
+function listMirrors() {
+  const found = new Map();
+  const root = path.resolve(process.cwd(), settings.path);
+  let hosts = [];
+  try { hosts = fs.readdirSync(root); } catch (_) { /* nothing mirrored yet */ }
+  for (const host of hosts) {
+    let companies = [];
+    try { companies = fs.readdirSync(path.join(root, host)); } catch (_) { continue; }
+    for (const company of companies) {
+      const dir = path.join(root, host, company);
+      try { found.set(dir, JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf-8'))); } catch (_) { /* not a mirror */ }
+    }
+  }
+  for (const mirror of mirrors.values()) if (mirror.state.fullSyncAt) found.set(mirror.dir, mirror.state);
+  return Array.from(found.values())
+    .filter(s => s.fullSyncAt)
+    .map(s => ({ baseUrl: s.baseUrl, company: s.company, syncedAt: s.syncedAt, fullSyncAt: s.fullSyncAt, counts: s.counts || {} }))
+    .sort((a, b) => String(b.syncedAt).localeCompare(String(a.syncedAt)));
+}
+
+/** Forget the mirrors held in memory (they are read from disk again); running syncs finish. */
+function forgetMirrors() {
+  mirrors.clear();
+}
+
+// ── Queries ──
+
+/**
+ * Mirrored vouchers of one voucher type (any when omitted) dated within from..to (YYYYMMDD, either optional).
+ * @returns {object[]}
+ */
+function mirrorVouchers(mirror, { type, from, to } = {}) {
+  const wanted = type ? String(type).toLowerCase() : null;
+  const out = [];
+  for (const v of mirror.vouchers.values()) {
+    if (wanted && String(v.type).toLowerCase() !== wanted) continue;
+    if (from && v.date < from) continue;
+    if (to && v.date > to) continue;
+    out.push(v);
+  }
+  return out;
+}
+
+/** A test for "is this group (or a ledger's parent) one of roots, or below one of them?" */
+function underGroups(mirror, roots) {
+  const wanted = roots.map(r => r.toLowerCase());
+  const parents = new Map();
+  for (const g of mirror.masters.groups.values()) parents.set(String(g.name).toLowerCase(), String(g.parent || '').toLowerCase());
+  return (group) => {
+    const seen = new Set();
+    let g = String(group || '').toLowerCase();
+    while (g && !seen.has(g)) {
+      if (wanted.includes(g)) return true;
+      seen.add(g);
+      g = parents.get(g);
+    }
+    return false;
+  };
+}
+
+/**
+ * Closing balances of the ledgers under the given groups: opening balance plus every mirrored
+ * voucher line, Tally's signs (negative = Dr).
+ * @returns {Array<{ name, parent, closingBalance }>}
+ */
+function mirrorLedgerBalances(mirror, groups) {
+  const balances = new Map();
+  const inGroups = underGroups(mirror, groups);
+  for (const l of mirror.masters.ledgers.values()) {
+    if (inGroups(l.parent)) balances.set(l.name, { name: l.name, parent: l.parent || '', closingBalance: l.openingBalance || 0 });
+  }
+  for (const v of mirror.vouchers.values()) {
+    for (const e of v.ledgers || []) {
+      const b = balances.get(e.name);
+      if (b) b.closingBalance += e.amount;
+    }
+  }
+  for (const b of balances.values()) b.closingBalance = Math.round(b.closingBalance * 100) / 100;
+  return Array.from(balances.values());
+}
+
+/**
+ * What was spent per expense ledger (under Direct / Indirect Expenses) from..to: the net Dr of
+ * its voucher lines, as a positive amount. Ledgers with nothing spent are left out.
+ * @returns {Array<{ name, parent, amount }>}
+ */
+function mirrorExpenses(mirror, from, to) {
+  const heads = new Map();
+  const isExpense = underGroups(mirror, ['Indirect Expenses', 'Direct Expenses']);
+  for (const l of mirror.masters.ledgers.values()) {
+    if (isExpense(l.parent)) heads.set(l.name, { name: l.name, parent: l.parent || '', amount: 0 });
+  }
+  for (const v of mirrorVouchers(mirror, { from, to })) {
+    for (const e of v.ledgers || []) {
+      const h = heads.get(e.name);
+      if (h) h.amount -= e.amount;
+    }
+  }
+  return Array.from(heads.values())
+    .map(h => Object.assign(h, { amount: Math.round(h.amount * 100) / 100 }))
+    .filter(h => h.amount > 0);
+}
+
+module.exports = {
+  configureMirror,
+  mirrorSettings,
+  buildMirrorCompanyTdlXml,
+  buildMirrorVouchersTdlXml,
+  buildMirrorMastersTdlXml,
+  parseMirrorCompany,
+  parseMirrorVouchers,
+  parseMirrorMasters,
+  loadMirror,
+  syncMirror,
+  syncMirrorInBackground,
+  refreshMirror,
+  listMirrors,
+  forgetMirrors,
+  mirrorVouchers,
+  mirrorLedgerBalances,
+  mirrorExpenses,
+};
@@ -36,25 +36,50 @@ function buildTopReportTdlXml(companyName, reportType, dateFrom, dateTo) {
 }
 
 /**
- * Parse voucher XML and aggregate into top customers/suppliers.
+ * Read the vouchers of a top/inactive report export: [{ date, party, amount, items: [{ name, amount, qty }] }].
+ * The mirror (tally-mirror.js) holds vouchers of the same shape, so the summaries below take either.
  */
-function parseTopPartiesResponse(xmlString, reportType, limit, dateFrom, dateTo) {
-  const partyMap = {};
+function readReportVouchers(xmlString) {
+  const vouchers = [];
   const regex = /<VOUCHER\s[^>]*>[\s\S]*?<\/VOUCHER>/gi;
   let m;
   while ((m = regex.exec(xmlString)) !== null) {
     const block = m[0];
     const dateMatch = block.match(/<DATE[^>]*>(\d{8})<\/DATE>/i);
-    const date = dateMatch ? dateMatch[1] : '';
-    // JS-side date filtering
-    if (dateFrom && date < dateFrom) continue;
-    if (dateTo && date > dateTo) continue;
-
     const partyMatch = block.match(/<PARTYLEDGERNAME[^>]*>([^<]*)<\/PARTYLEDGERNAME>/i);
     const amtMatch = block.match(/<AMOUNT[^>]*>([^<]*)<\/AMOUNT>/i);
-    if (!partyMatch) continue;
-    const party = decodeXml(partyMatch[1].trim());
-    const amount = Math.abs(parseFloat(amtMatch?.[1]) || 0);
+    const items = [];
+    const invRegex = /<ALLINVENTORYENTRIES\.LIST>[\s\S]*?<\/ALLINVENTORYENTRIES\.LIST>/gi;
+    let inv;
+    while ((inv = invRegex.exec(block)) !== null) {
+      const invBlock = inv[0];
+      const nameMatch = invBlock.match(/<STOCKITEMNAME[^>]*>([^<]*)<\/STOCKITEMNAME>/i);
+      const itemAmtMatch = invBlock.match(/<AMOUNT[^>]*>([^<]*)<\/AMOUNT>/i);
+      const qtyMatch = invBlock.match(/<BILLEDQTY[^>]*>([^<]*)<\/BILLEDQTY>/i);
+      if (!nameMatch || !nameMatch[1].trim()) continue;
+      items.push({ name: decodeXml(nameMatch[1].trim()), amount: parseFloat(itemAmtMatch?.[1]) || 0, qty: parseFloat(qtyMatch?.[1]) || 0 });
+    }
+    vouchers.push({
+      date: dateMatch ? dateMatch[1] : '',
+      party: partyMatch ? decodeXml(partyMatch[1].trim()) : '',
+      amount: parseFloat(amtMatch?.[1]) || 0,
+      items,
+    });
+  }
+  return vouchers;
+}
+
+/**
+ * Aggregate vouchers into top customers/suppliers.
+ */
+function summarizeTopParties(vouchers, reportType, limit, dateFrom, dateTo) {
+  const partyMap = {};
+  for (const v of vouchers) {
+    // JS-side date filtering
+    if (dateFrom && v.date < dateFrom) continue;
+    if (dateTo && v.date > dateTo) continue;
+    const party = v.party;
+    const amount = Math.abs(v.amount || 0);
     if (!party || amount === 0) continue;
 
     if (!partyMap[party]) partyMap[party] = { name: party, total: 0, count: 0 };
@@ -88,37 +113,22 @@ function parseTopPartiesResponse(xmlString, reportType, limit, dateFrom, dateTo)
 }
 
 /**
- * Parse voucher XML and aggregate into top stock items.
+ * Aggregate vouchers into top stock items.
  */
-function parseTopItemsResponse(xmlString, reportType, limit, dateFrom, dateTo) {
+function summarizeTopItems(vouchers, reportType, limit, dateFrom, dateTo) {
   const itemMap = {};
-  const regex = /<VOUCHER\s[^>]*>[\s\S]*?<\/VOUCHER>/gi;
-  let m;
-  while ((m = regex.exec(xmlString)) !== null) {
-    const block = m[0];
-    const dateMatch = block.match(/<DATE[^>]*>(\d{8})<\/DATE>/i);
-    const date = dateMatch ? dateMatch[1] : '';
-    if (dateFrom && date < dateFrom) continue;
-    if (dateTo && date > dateTo) continue;
-
-    // Extract inventory entries
-    const invRegex = /<ALLINVENTORYENTRIES\.LIST>[\s\S]*?<\/ALLINVENTORYENTRIES\.LIST>/gi;
-    let inv;
-    while ((inv = invRegex.exec(block)) !== null) {
-      const invBlock = inv[0];
-      const nameMatch = invBlock.match(/<STOCKITEMNAME[^>]*>([^<]*)<\/STOCKITEMNAME>/i);
-      const amtMatch = invBlock.match(/<AMOUNT[^>]*>([^<]*)<\/AMOUNT>/i);
-      const qtyMatch = invBlock.match(/<BILLEDQTY[^>]*>([^<]*)<\/BILLEDQTY>/i);
-      if (!nameMatch || !nameMatch[1].trim()) continue;
-      const name = decodeXml(nameMatch[1].trim());
-      const amount = Math.abs(parseFloat(amtMatch?.[1]) || 0);
-      const qty = Math.abs(parseFloat(qtyMatch?.[1]) || 0);
-      if (amount === 0) continue;
-
-      if (!itemMap[name]) itemMap[name] = { name, total: 0, qty: 0, count: 0 };
-      itemMap[name].total += amount;
-      itemMap[name].qty += qty;
-      itemMap[name].count++;
+  for (const v of vouchers) {
+    if (dateFrom && v.date < dateFrom) continue;
+    if (dateTo && v.date > dateTo) continue;
+    for (const it of v.items || []) {
+      const amount = Math.abs(it.amount || 0);
+      const qty = Math.abs(it.qty || 0);
+      if (!it.name || amount === 0) continue;
+
+      if (!itemMap[it.name]) itemMap[it.name] = { name: it.name, total: 0, qty: 0, count: 0 };
+      itemMap[it.name].total += amount;
+      itemMap[it.name].qty += qty;
+      itemMap[it.name].count++;
     }
   }
 
@@ -148,8 +158,25 @@ function parseTopItemsResponse(xmlString, reportType, limit, dateFrom, dateTo) {
   return { success: true, message: lines.join('\n'), data: { entries: top, grandTotal, totalItems: entries.length } };
 }
 
+/**
+ * Parse voucher XML and aggregate into top customers/suppliers.
+ */
+function parseTopPartiesResponse(xmlString, reportType, limit, dateFrom, dateTo) {
+  return summarizeTopParties(readReportVouchers(xmlString), reportType, limit, dateFrom, dateTo);
+}
+
+/**
+ * Parse voucher XML and aggregate into top stock items.
+ */
+function parseTopItemsResponse(xmlString, reportType, limit, dateFrom, dateTo) {
+  return summarizeTopItems(readReportVouchers(xmlString), reportType, limit, dateFrom, dateTo);
+}
+
 module.exports = {
   buildTopReportTdlXml,
+  readReportVouchers,
+  summarizeTopParties,
+  summarizeTopItems,
   parseTopPartiesResponse,
   parseTopItemsResponse,
 };
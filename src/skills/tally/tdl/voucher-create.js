@@ -1,96 +1,314 @@
-const { escapeXml, decodeXml, toTallyDate, formatTallyDate } = require('./helpers');
+const { escapeXml, decodeXml, toTallyDate, toTallyFilterDate, formatTallyDate } = require('./helpers');
 const { inr } = require('./formatters');
 
+const VOUCHER_TYPES = ['Sales', 'Purchase', 'Receipt', 'Payment', 'Journal', 'Contra', 'Credit Note', 'Debit Note'];
+// Journal and Contra post free Dr/Cr lines (voucherData.entries) instead of a party against one ledger
+const ENTRY_VOUCHER_TYPES = ['Journal', 'Contra'];
+// Credit/Debit Notes reverse a Sales/Purchase bill: type of the original they refer to
+const NOTE_ORIGINAL_TYPES = { 'Credit Note': 'Sales', 'Debit Note': 'Purchase' };
+// Party against a sales/purchase ledger (items, GST): side the party is posted on, -1 debit / 1 credit
+const TRADING_PARTY_SIGN = { Sales: -1, Purchase: 1, 'Credit Note': 1, 'Debit Note': -1 };
+
+const VOUCHER_TYPE_ALIASES = {
+  'credit note': 'Credit Note', creditnote: 'Credit Note', 'sales return': 'Credit Note', cn: 'Credit Note',
+  'debit note': 'Debit Note', debitnote: 'Debit Note', 'purchase return': 'Debit Note', dn: 'Debit Note',
+  jv: 'Journal', 'journal voucher': 'Journal',
+};
+
+/**
+ * Canonical Tally voucher type for what a user or the LLM typed: "sales return" → "Credit Note", "journal" → "Journal".
+ * Unknown types are returned as given (validateVoucherData rejects them).
+ * @param {string} type
+ * @returns {string}
+ */
+function normalizeVoucherType(type) {
+  const key = String(type || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return VOUCHER_TYPE_ALIASES[key] || VOUCHER_TYPES.find(t => t.toLowerCase() === key) || type;
+}
+
+/**
+ * Sales, Purchase and the notes that reverse them: a party against a sales/purchase ledger, with items and GST.
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isTradingVoucherType(type) {
+  return TRADING_PARTY_SIGN[type] != null;
+}
+
+/**
+ * Journal and Contra: Dr/Cr ledger lines, no party.
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isEntryVoucherType(type) {
+  return ENTRY_VOUCHER_TYPES.includes(type);
+}
+
+/**
+ * Type of the bill a Credit Note ('Sales') or Debit Note ('Purchase') reverses; null for other types.
+ * @param {string} type
+ * @returns {string|null}
+ */
+function noteOriginalType(type) {
+  return NOTE_ORIGINAL_TYPES[type] || null;
+}
+
+/**
+ * Journal/Contra lines in one shape. Accepts { ledger, dr } / { ledger, cr } or { ledger, side: 'Dr'|'Cr', amount }.
+ * @param {Array} entries
+ * @returns {Array<{ ledger: string, side: 'Dr'|'Cr', amount: number }>}
+ */
+function normalizeVoucherEntries(entries) {
+  return (entries || []).map(e => {
+    const side = e.dr != null || e.debit != null ? 'Dr'
+      : e.cr != null || e.credit != null ? 'Cr'
+      : /^(dr|debit)$/i.test(String(e.side || '').trim()) ? 'Dr'
+      : /^(cr|credit)$/i.test(String(e.side || '').trim()) ? 'Cr' : null;
+    const raw = side === 'Dr' ? (e.dr != null ? e.dr : e.debit != null ? e.debit : e.amount)
+      : side === 'Cr' ? (e.cr != null ? e.cr : e.credit != null ? e.credit : e.amount) : e.amount;
+    return { ledger: String(e.ledger || e.ledger_name || '').trim(), side, amount: Math.round((parseFloat(raw) || 0) * 100) / 100 };
+  });
+}
+
+/**
+ * Total of the Dr and Cr sides of Journal/Contra lines.
+ * @param {Array<{ side: string, amount: number }>} entries - normalizeVoucherEntries() result
+ * @returns {{ dr: number, cr: number }}
+ */
+function entryTotals(entries) {
+  const sum = (side) => Math.round(entries.filter(e => e.side === side).reduce((s, e) => s + e.amount, 0) * 100) / 100;
+  return { dr: sum('Dr'), cr: sum('Cr') };
+}
+
+/**
+ * Ledgers a voucher posts to besides the party: the sales/purchase account, or cash/bank for receipts and payments.
+ * Journal and Contra name their ledgers in voucherData.entries, so both are null for them.
+ * @param {object} voucherData
+ * @returns {{ salesLedger: string|null, cashLedger: string|null }}
+ */
+function voucherLedgers(voucherData) {
+  const type = voucherData.type || 'Sales';
+  if (ENTRY_VOUCHER_TYPES.includes(type)) return { salesLedger: null, cashLedger: null };
+  let defaultLedger;
+  if (type === 'Sales' || type === 'Credit Note') defaultLedger = 'Sales Account';
+  else if (type === 'Purchase' || type === 'Debit Note') defaultLedger = 'Purchase Account';
+  else if (type === 'Receipt') defaultLedger = 'Cash';
+  else if (type === 'Payment') defaultLedger = 'Cash';
+  else defaultLedger = 'Sales Account';
+  const isReceiptPayment = type === 'Receipt' || type === 'Payment';
+  return {
+    salesLedger: voucherData.salesLedger || defaultLedger,
+    cashLedger: voucherData.cashLedger || (isReceiptPayment ? 'Cash' : null),
+  };
+}
+
+// Place of supply and party GSTIN on a GST voucher
+function gstHeaderXml(gst) {
+  let xml = '';
+  if (gst.placeOfSupply) xml += `\n          <PLACEOFSUPPLY>${escapeXml(gst.placeOfSupply)}</PLACEOFSUPPLY>\n          <STATENAME>${escapeXml(gst.placeOfSupply)}</STATENAME>`;
+  if (gst.partyGstin) xml += `\n          <PARTYGSTIN>${escapeXml(gst.partyGstin)}</PARTYGSTIN>`;
+  return xml;
+}
+
+// Bill-wise lines on a party entry: Agst Ref per settled bill, the rest On Account; amounts carry the party line's sign
+function billAllocationsXml(alloc, sign) {
+  let xml = '';
+  for (const a of alloc.allocations) {
+    xml += `
+          <BILLALLOCATIONS.LIST>
+            <NAME>${escapeXml(a.name)}</NAME>
+            <BILLTYPE>Agst Ref</BILLTYPE>
+            <AMOUNT>${sign * a.amount}</AMOUNT>
+          </BILLALLOCATIONS.LIST>`;
+  }
+  if (alloc.onAccount > 0) {
+    xml += `
+          <BILLALLOCATIONS.LIST>
+            <BILLTYPE>On Account</BILLTYPE>
+            <AMOUNT>${sign * alloc.onAccount}</AMOUNT>
+          </BILLALLOCATIONS.LIST>`;
+  }
+  return xml;
+}
+
+// Bank line's allocation with the date the bank cleared it (Tally's bank reconciliation); amount carries the line's sign
+function bankAllocationXml(date, bankDate, amount, instrument) {
+  return `
+          <BANKALLOCATIONS.LIST>
+            <DATE>${toTallyFilterDate(date)}</DATE>
+            <INSTRUMENTDATE>${toTallyFilterDate(date)}</INSTRUMENTDATE>
+            <BANKERSDATE>${toTallyFilterDate(bankDate)}</BANKERSDATE>${instrument ? `\n            <INSTRUMENTNUMBER>${escapeXml(instrument)}</INSTRUMENTNUMBER>` : ''}
+            <TRANSACTIONTYPE>Others</TRANSACTIONTYPE>
+            <AMOUNT>${amount}</AMOUNT>
+          </BANKALLOCATIONS.LIST>`;
+}
+
+// Original bill a Credit/Debit Note refers to
+function referenceXml(against) {
+  let xml = `\n          <REFERENCE>${escapeXml(against.number)}</REFERENCE>`;
+  if (against.date) xml += `\n          <REFERENCEDATE>${toTallyFilterDate(toTallyDate(against.date))}</REFERENCEDATE>`;
+  return xml;
+}
+
+// HSN and rate split on an inventory line
+function gstItemXml(hsn, rate, taxes) {
+  const heads = taxes.some(t => t.head === 'IGST') ? [['IGST', rate]] : [['CGST', rate / 2], ['SGST/UTGST', rate / 2]];
+  let xml = hsn ? `\n          <GSTHSNNAME>${escapeXml(hsn)}</GSTHSNNAME>` : '';
+  xml += `\n          <GSTOVRDNTAXABILITY>${rate > 0 ? 'Taxable' : 'Exempt'}</GSTOVRDNTAXABILITY>`;
+  for (const [head, headRate] of heads) {
+    xml += `\n          <RATEDETAILS.LIST><GSTRATEDUTYHEAD>${head}</GSTRATEDUTYHEAD><GSTRATE>${headRate}</GSTRATE></RATEDETAILS.LIST>`;
+  }
+  return xml;
+}
+
+// Duty ledgers (one line per ledger, rates sharing a ledger are added up) and Round Off;
+// sign 1 credits them (Sales), -1 debits them (Purchase)
+function gstLedgerEntriesXml(gst, sign) {
+  const perLedger = new Map();
+  for (const t of gst.taxes) perLedger.set(t.ledger, Math.round(((perLedger.get(t.ledger) || 0) + t.amount) * 100) / 100);
+  let xml = '';
+  for (const [ledger, taxAmount] of perLedger) {
+    xml += `
+        <ALLLEDGERENTRIES.LIST>
+          <LEDGERNAME>${escapeXml(ledger)}</LEDGERNAME>
+          <AMOUNT>${sign * taxAmount}</AMOUNT>
+        </ALLLEDGERENTRIES.LIST>`;
+  }
+  if (gst.roundOff !== 0) {
+    xml += `
+        <ALLLEDGERENTRIES.LIST>
+          <LEDGERNAME>${escapeXml(gst.roundOffLedger)}</LEDGERNAME>
+          <AMOUNT>${Math.round(sign * gst.roundOff * 100) / 100}</AMOUNT>
+        </ALLLEDGERENTRIES.LIST>`;
+  }
+  return xml;
+}
+
 /**
  * Build TDL XML to create a voucher in Tally via XML import.
- * Supports: Sales, Purchase, Receipt, Payment voucher types.
+ * Supports: Sales, Purchase, Receipt, Payment, Journal, Contra, Credit Note and Debit Note voucher types.
+ * Credit/Debit Notes post like Sales/Purchase with the sides swapped.
  *
  * @param {object} voucherData
- * @param {string} voucherData.type - 'Sales'|'Purchase'|'Receipt'|'Payment'
- * @param {string} voucherData.party - Party ledger name
+ * @param {string} voucherData.type - One of VOUCHER_TYPES
+ * @param {string} [voucherData.party] - Party ledger name (not used by Journal/Contra)
  * @param {number} voucherData.amount - Total amount (positive)
+ * @param {Array} [voucherData.entries] - Journal/Contra: normalizeVoucherEntries() lines, Dr and Cr totals equal
+ * @param {object} [voucherData.against] - Credit/Debit Note: original bill { number, date }, posted as an Agst Ref bill allocation
+ * @param {object} [voucherData.billAllocations] - Receipt/Payment: allocateBills() result, posted bill-wise on the party line
+ * @param {string} [voucherData.bankDate] - Receipt/Payment: YYYYMMDD the bank cleared it, set on the cash/bank line (already reconciled)
  * @param {string} [voucherData.date] - YYYYMMDD or YYYY-MM-DD (defaults to today)
  * @param {string} [voucherData.narration] - Narration/description
- * @param {Array} [voucherData.items] - For Sales/Purchase: [{name, qty, rate, amount}]
+ * @param {Array} [voucherData.items] - For Sales/Purchase and notes: [{name, qty, rate, amount}]
  * @param {string} [voucherData.salesLedger] - Sales/Purchase account ledger (default: 'Sales Account' or 'Purchase Account')
+ * @param {object} [voucherData.gst] - Sales/Purchase and notes: computeGst() result plus { placeOfSupply, partyGstin, hsn }.
+ *   Adds the duty ledgers and Round Off, posts the sales/purchase ledger at the taxable value and the party at the total.
  * @param {string} companyName
  * @returns {string} XML for Tally import
  */
 function buildCreateVoucherXml(voucherData, companyName) {
+  return voucherImportEnvelope(voucherElementXml(voucherData), companyName);
+}
+
+/**
+ * Build one import envelope carrying several vouchers (bulk import). Tally reports created/errors for the batch as a whole.
+ * @param {object[]} voucherDataList - Each as for buildCreateVoucherXml
+ * @param {string} companyName
+ * @returns {string}
+ */
+function buildCreateVouchersXml(voucherDataList, companyName) {
+  return voucherImportEnvelope(voucherDataList.map(voucherElementXml).join(''), companyName);
+}
+
+function voucherImportEnvelope(vouchersXml, companyName) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Import</TALLYREQUEST><TYPE>Data</TYPE><ID>Vouchers</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>
+        <SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>
+      </STATICVARIABLES>
+    </DESC>
+    <DATA>
+      <TALLYMESSAGE>${vouchersXml}
+      </TALLYMESSAGE>
+    </DATA>
+  </BODY>
+</ENVELOPE>`;
+}
+
+// The <VOUCHER> element for one voucher (see buildCreateVoucherXml)
+function voucherElementXml(voucherData) {
   const type = voucherData.type || 'Sales';
   const date = toTallyDate(voucherData.date) || todayStr();
   const party = voucherData.party;
   const amount = Math.abs(voucherData.amount);
   const narration = voucherData.narration || '';
 
-  // Determine ledger names based on voucher type
-  let defaultLedger;
-  if (type === 'Sales') defaultLedger = 'Sales Account';
-  else if (type === 'Purchase') defaultLedger = 'Purchase Account';
-  else if (type === 'Receipt') defaultLedger = 'Cash';
-  else if (type === 'Payment') defaultLedger = 'Cash';
-  else defaultLedger = 'Sales Account';
-
-  const salesLedger = voucherData.salesLedger || defaultLedger;
-
+  // Determine ledger names based on voucher type.
   // For Receipt/Payment: party pays/receives, cash/bank is the other side
-  const isReceiptPayment = type === 'Receipt' || type === 'Payment';
-  const cashLedger = voucherData.cashLedger || (isReceiptPayment ? 'Cash' : null);
+  const { salesLedger, cashLedger } = voucherLedgers(voucherData);
+  const partySign = TRADING_PARTY_SIGN[type];
+  const gst = partySign ? voucherData.gst || null : null;
+  const against = NOTE_ORIGINAL_TYPES[type] ? voucherData.against || null : null;
+  // With GST the party carries the invoice total, the sales/purchase ledger the taxable value
+  const partyAmount = gst ? gst.total : amount;
+  const ledgerAmount = gst ? gst.taxable : amount;
 
-  // Build inventory entries for Sales/Purchase with items
+  // Build inventory entries for Sales/Purchase/notes with items
   let inventoryXml = '';
-  if (voucherData.items && voucherData.items.length > 0 && !isReceiptPayment) {
-    for (const item of voucherData.items) {
-      const itemAmt = item.amount || (item.qty * item.rate) || 0;
+  if (voucherData.items && voucherData.items.length > 0 && partySign) {
+    voucherData.items.forEach((item, i) => {
+      const line = gst ? gst.lines[i] : null;
+      const itemAmt = line ? line.taxable : (item.amount || (item.qty * item.rate) || 0);
+      // Tax-inclusive rates are posted net of tax so qty x rate matches the taxable amount
+      const itemRate = line && gst.inclusive && item.qty ? Math.round(line.taxable / item.qty * 100) / 100 : (item.rate || 0);
       inventoryXml += `
         <ALLINVENTORYENTRIES.LIST>
           <STOCKITEMNAME>${escapeXml(item.name)}</STOCKITEMNAME>
-          <RATE>${item.rate || 0}</RATE>
-          <AMOUNT>${type === 'Sales' ? itemAmt : -itemAmt}</AMOUNT>
+          <RATE>${itemRate}</RATE>
+          <AMOUNT>${-partySign * itemAmt}</AMOUNT>
           <BILLEDQTY>${item.qty || 0}</BILLEDQTY>
-          <ACTUALQTY>${item.qty || 0}</ACTUALQTY>
+          <ACTUALQTY>${item.qty || 0}</ACTUALQTY>${line ? gstItemXml(item.hsn, line.rate, gst.taxes) : ''}
         </ALLINVENTORYENTRIES.LIST>`;
-    }
+    });
   }
 
+  // Receipt/Payment: bills the party line settles (see allocateBills)
+  const receiptBillXml = voucherData.billAllocations && (type === 'Receipt' || type === 'Payment')
+    ? billAllocationsXml(voucherData.billAllocations, type === 'Receipt' ? 1 : -1) : '';
+  const bankXml = (sign) => (voucherData.bankDate ? bankAllocationXml(date, toTallyDate(voucherData.bankDate), sign * amount) : '');
+
   // Build ledger entries
   let ledgerXml = '';
-  if (type === 'Sales') {
-    // Party: debit (negative in Tally = debit for party)
-    ledgerXml += `
-        <ALLLEDGERENTRIES.LIST>
-          <LEDGERNAME>${escapeXml(party)}</LEDGERNAME>
-          <AMOUNT>-${amount}</AMOUNT>
-          <ISPARTYLEDGER>Yes</ISPARTYLEDGER>
-        </ALLLEDGERENTRIES.LIST>
-        <ALLLEDGERENTRIES.LIST>
-          <LEDGERNAME>${escapeXml(salesLedger)}</LEDGERNAME>
-          <AMOUNT>${amount}</AMOUNT>
-          <ISPARTYLEDGER>No</ISPARTYLEDGER>
-        </ALLLEDGERENTRIES.LIST>`;
-  } else if (type === 'Purchase') {
+  if (partySign) {
+    // Party on its side (Sales: debit, negative in Tally), the sales/purchase ledger and duty ledgers opposite.
+    // A note's party line settles the original bill.
+    const billXml = against ? billAllocationsXml({ allocations: [{ name: against.number, amount: partyAmount }], onAccount: 0 }, partySign) : '';
     ledgerXml += `
         <ALLLEDGERENTRIES.LIST>
           <LEDGERNAME>${escapeXml(party)}</LEDGERNAME>
-          <AMOUNT>${amount}</AMOUNT>
-          <ISPARTYLEDGER>Yes</ISPARTYLEDGER>
+          <AMOUNT>${partySign * partyAmount}</AMOUNT>
+          <ISPARTYLEDGER>Yes</ISPARTYLEDGER>${billXml}
         </ALLLEDGERENTRIES.LIST>
         <ALLLEDGERENTRIES.LIST>
           <LEDGERNAME>${escapeXml(salesLedger)}</LEDGERNAME>
-          <AMOUNT>-${amount}</AMOUNT>
-          <ISPARTYLEDGER>No</ISPARTYLEDGER>
+          <AMOUNT>${-partySign * ledgerAmount}</AMOUNT>
+          <ISPARTYLEDGER>No</ISPARTYLEDGER>${gst && !inventoryXml && gst.hsn ? `\n          <GSTHSNNAME>${escapeXml(gst.hsn)}</GSTHSNNAME>` : ''}
         </ALLLEDGERENTRIES.LIST>`;
+    if (gst) ledgerXml += gstLedgerEntriesXml(gst, -partySign);
   } else if (type === 'Receipt') {
     // Receipt: Cash/Bank debit, Party credit
     ledgerXml += `
         <ALLLEDGERENTRIES.LIST>
           <LEDGERNAME>${escapeXml(cashLedger)}</LEDGERNAME>
-          <AMOUNT>-${amount}</AMOUNT>
+          <AMOUNT>-${amount}</AMOUNT>${bankXml(-1)}
         </ALLLEDGERENTRIES.LIST>
         <ALLLEDGERENTRIES.LIST>
           <LEDGERNAME>${escapeXml(party)}</LEDGERNAME>
           <AMOUNT>${amount}</AMOUNT>
-          <ISPARTYLEDGER>Yes</ISPARTYLEDGER>
+          <ISPARTYLEDGER>Yes</ISPARTYLEDGER>${receiptBillXml}
         </ALLLEDGERENTRIES.LIST>`;
   } else if (type === 'Payment') {
     // Payment: Party debit, Cash/Bank credit
@@ -98,41 +316,36 @@ function buildCreateVoucherXml(voucherData, companyName) {
         <ALLLEDGERENTRIES.LIST>
           <LEDGERNAME>${escapeXml(party)}</LEDGERNAME>
           <AMOUNT>-${amount}</AMOUNT>
-          <ISPARTYLEDGER>Yes</ISPARTYLEDGER>
+          <ISPARTYLEDGER>Yes</ISPARTYLEDGER>${receiptBillXml}
         </ALLLEDGERENTRIES.LIST>
         <ALLLEDGERENTRIES.LIST>
           <LEDGERNAME>${escapeXml(cashLedger)}</LEDGERNAME>
-          <AMOUNT>${amount}</AMOUNT>
+          <AMOUNT>${amount}</AMOUNT>${bankXml(1)}
+        </ALLLEDGERENTRIES.LIST>`;
+  } else if (ENTRY_VOUCHER_TYPES.includes(type)) {
+    // Journal/Contra: each line as given, Dr negative
+    for (const e of voucherData.entries || []) {
+      ledgerXml += `
+        <ALLLEDGERENTRIES.LIST>
+          <LEDGERNAME>${escapeXml(e.ledger)}</LEDGERNAME>
+          <AMOUNT>${e.side === 'Dr' ? -e.amount : e.amount}</AMOUNT>
         </ALLLEDGERENTRIES.LIST>`;
+    }
   }
 
   // Format date as DD-Mon-YYYY for Tally import
   const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
   const tallyDate = `${parseInt(date.slice(6,8))}-${months[parseInt(date.slice(4,6))-1]}-${date.slice(0,4)}`;
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<ENVELOPE>
-  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Import</TALLYREQUEST><TYPE>Data</TYPE><ID>Vouchers</ID></HEADER>
-  <BODY>
-    <DESC>
-      <STATICVARIABLES>
-        <SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>
-      </STATICVARIABLES>
-    </DESC>
-    <DATA>
-      <TALLYMESSAGE>
+  return `
         <VOUCHER VCHTYPE="${escapeXml(type)}" ACTION="Create">
           <DATE>${tallyDate}</DATE>
           <VOUCHERTYPENAME>${escapeXml(type)}</VOUCHERTYPENAME>
-          <PARTYLEDGERNAME>${escapeXml(party)}</PARTYLEDGERNAME>
+          ${party ? `<PARTYLEDGERNAME>${escapeXml(party)}</PARTYLEDGERNAME>` : ''}${gst ? gstHeaderXml(gst) : ''}${against ? referenceXml(against) : ''}
           <NARRATION>${escapeXml(narration)}</NARRATION>
           ${inventoryXml}
           ${ledgerXml}
-        </VOUCHER>
-      </TALLYMESSAGE>
-    </DATA>
-  </BODY>
-</ENVELOPE>`;
+        </VOUCHER>`;
 }
 
 /**
@@ -156,12 +369,110 @@ function parseCreateVoucherResponse(xmlString) {
   if (created > 0 && errors === 0) {
     // Try to extract voucher number
     const vchNumMatch = xmlString.match(/VCHNO\s*=\s*"([^"]*)"/i) ||
-                        xmlString.match(/<VOUCHERNUMBER[^>]*>([^<]*)<\/VOUCHERNUMBER>/i);
+                        xmlString.match(/<VOUCHERNUMBER[^>]*>([^<]*)<\/VOUCHERNUMBER>/i) ||
+                        xmlString.match(/<LASTVCHNUMBER[^>]*>([^<]+)<\/LASTVCHNUMBER>/i);
     const voucherNumber = vchNumMatch ? decodeXml(vchNumMatch[1]) : null;
-    return { success: true, voucherNumber, message: null };
+    // LASTVCHID is the new voucher's master ID — lets it be undone when Tally auto-numbers
+    const masterIdMatch = xmlString.match(/<LASTVCHID[^>]*>(\d+)<\/LASTVCHID>/i);
+    const masterId = masterIdMatch && masterIdMatch[1] !== '0' ? masterIdMatch[1] : null;
+    return { success: true, voucherNumber, masterId, message: null };
   }
 
-  return { success: false, voucherNumber: null, message: error || 'Voucher creation failed. Check ledger names and amounts.' };
+  return { success: false, voucherNumber: null, masterId: null, message: error || 'Voucher creation failed. Check ledger names and amounts.' };
+}
+
+/**
+ * Parse Tally's import response to a batch of vouchers: how many were created or altered and every line error.
+ * @param {string} xmlString
+ * @returns {{ created: number, altered: number, errors: number, messages: string[] }}
+ */
+function parseVoucherBatchResponse(xmlString) {
+  const count = (tag) => {
+    const m = xmlString.match(new RegExp(`${tag}\\s*=\\s*"(\\d+)"`, 'i')) ||
+              xmlString.match(new RegExp(`<${tag}[^>]*>(\\d+)</${tag}>`, 'i'));
+    return m ? parseInt(m[1]) : 0;
+  };
+  const messages = [];
+  const regex = /<LINEERROR[^>]*>([^<]*)<\/LINEERROR>/gi;
+  let m;
+  while ((m = regex.exec(xmlString)) !== null) messages.push(decodeXml(m[1].trim()));
+  return { created: count('CREATED'), altered: count('ALTERED'), errors: count('ERRORS'), messages };
+}
+
+/**
+ * Build XML that sets the bank date (the day the bank cleared it) on vouchers already in Tally.
+ * Each voucher is located by master ID and only its bank ledger line is sent, with a bank allocation.
+ *
+ * @param {string} bankLedger
+ * @param {Array<{ masterId: string, type: string, date: string, ledgerAmount: number, bankDate: string, instrument?: string }>} vouchers -
+ *   date / bankDate YYYYMMDD; ledgerAmount is the bank line's amount as Tally has it (negative = debit)
+ * @param {string} companyName
+ * @returns {string} XML for Tally import
+ */
+function buildSetBankDatesXml(bankLedger, vouchers, companyName) {
+  const body = vouchers.map(v => `
+        <VOUCHER DATE="${toTallyFilterDate(v.date)}" TAGNAME="MASTERID" TAGVALUE="${escapeXml(v.masterId)}" VCHTYPE="${escapeXml(v.type)}" ACTION="Alter">
+          <ALLLEDGERENTRIES.LIST>
+            <LEDGERNAME>${escapeXml(bankLedger)}</LEDGERNAME>
+            <AMOUNT>${v.ledgerAmount}</AMOUNT>${bankAllocationXml(v.date, v.bankDate, v.ledgerAmount, v.instrument)}
+          </ALLLEDGERENTRIES.LIST>
+        </VOUCHER>`).join('');
+  return voucherImportEnvelope(body, companyName);
+}
+
+/**
+ * Build XML to delete a voucher, or mark it cancelled (mode 'cancel': Tally keeps the number with zero value).
+ * The voucher is located by number, or by master ID when Tally did not report a number.
+ *
+ * @param {object} voucher
+ * @param {string} voucher.type - Voucher type name
+ * @param {string} voucher.date - YYYYMMDD or YYYY-MM-DD
+ * @param {string} [voucher.voucherNumber]
+ * @param {string} [voucher.masterId]
+ * @param {'delete'|'cancel'} [mode]
+ * @param {string} companyName
+ * @returns {string} XML for Tally import
+ */
+function buildUndoVoucherXml(voucher, mode, companyName) {
+  const action = mode === 'cancel' ? 'Cancel' : 'Delete';
+  const tag = voucher.voucherNumber
+    ? `TAGNAME="Voucher Number" TAGVALUE="${escapeXml(voucher.voucherNumber)}"`
+    : `TAGNAME="MASTERID" TAGVALUE="${escapeXml(voucher.masterId)}"`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER><VERSION>1</VERSION><TALLYREQUEST>Import</TALLYREQUEST><TYPE>Data</TYPE><ID>Vouchers</ID></HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>
+        <SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>
+      </STATICVARIABLES>
+    </DESC>
+    <DATA>
+      <TALLYMESSAGE>
+        <VOUCHER DATE="${toTallyFilterDate(toTallyDate(voucher.date))}" ${tag} VCHTYPE="${escapeXml(voucher.type)}" ACTION="${action}">
+        </VOUCHER>
+      </TALLYMESSAGE>
+    </DATA>
+  </BODY>
+</ENVELOPE>`;
+}
+
+/**
+ * Parse Tally's import response to a delete / cancel request.
+ * @returns {{ success: boolean, message: string|null }}
+ */
+function parseUndoVoucherResponse(xmlString) {
+  const count = (tag) => {
+    const m = xmlString.match(new RegExp(`${tag}\\s*=\\s*"(\\d+)"`, 'i')) ||
+              xmlString.match(new RegExp(`<${tag}[^>]*>(\\d+)</${tag}>`, 'i'));
+    return m ? parseInt(m[1]) : 0;
+  };
+  const errorMatch = xmlString.match(/<LINEERROR[^>]*>([^<]*)<\/LINEERROR>/i);
+  const error = errorMatch ? decodeXml(errorMatch[1].trim()) : null;
+  if (count('DELETED') + count('CANCELLED') + count('ALTERED') > 0 && count('ERRORS') === 0) {
+    return { success: true, message: null };
+  }
+  return { success: false, message: error || 'Tally did not find the voucher. It may already have been changed or deleted in Tally.' };
 }
 
 /**
@@ -169,13 +480,33 @@ function parseCreateVoucherResponse(xmlString) {
  */
 function validateVoucherData(data) {
   const errors = [];
-  if (!data.type || !['Sales', 'Purchase', 'Receipt', 'Payment'].includes(data.type)) {
-    errors.push('Invalid voucher type. Use: Sales, Purchase, Receipt, or Payment.');
+  if (!data.type || !VOUCHER_TYPES.includes(data.type)) {
+    errors.push(`Invalid voucher type. Use: ${VOUCHER_TYPES.slice(0, -1).join(', ')} or ${VOUCHER_TYPES[VOUCHER_TYPES.length - 1]}.`);
+  }
+  if (ENTRY_VOUCHER_TYPES.includes(data.type)) {
+    // Journal/Contra: at least one debit and one credit line, and they must balance
+    const entries = data.entries || [];
+    entries.forEach((e, i) => {
+      if (!e.ledger) errors.push(`Line ${i + 1}: ledger name is required.`);
+      if (e.side !== 'Dr' && e.side !== 'Cr') errors.push(`Line ${i + 1}: say whether it is Dr or Cr.`);
+      if (!(e.amount > 0)) errors.push(`Line ${i + 1}: amount must be a positive number.`);
+    });
+    const { dr, cr } = entryTotals(entries);
+    if (!entries.some(e => e.side === 'Dr') || !entries.some(e => e.side === 'Cr')) {
+      errors.push(`A ${data.type} needs at least one Dr and one Cr ledger line.`);
+    } else if (dr !== cr) {
+      errors.push(`Dr total ₹${inr(dr)} and Cr total ₹${inr(cr)} must be equal.`);
+    }
+    return errors;
   }
   if (!data.party || typeof data.party !== 'string' || data.party.trim().length === 0) {
     errors.push('Party name is required.');
   }
-  if (!data.amount || isNaN(data.amount) || data.amount <= 0) {
+  // A note against a bill may leave the amount out: the whole bill is reversed
+  const note = NOTE_ORIGINAL_TYPES[data.type];
+  if (note && !(data.against && data.against.number)) {
+    errors.push(`${data.type} needs the original ${note} bill number (e.g. "against INV-101").`);
+  } else if (!(note && data.amount === 0) && (!data.amount || isNaN(data.amount) || data.amount <= 0)) {
     errors.push('Amount must be a positive number.');
   }
   if (data.items && data.items.length > 0) {
@@ -190,36 +521,108 @@ function validateVoucherData(data) {
 }
 
 /**
- * Format a confirmation message after successful voucher creation.
+ * Format a voucher summary: the preview shown before posting (opts.preview) or the confirmation after creation.
+ * data.gst (see buildCreateVoucherXml) adds the taxable value, GST split, round off and place of supply;
+ * Journal/Contra list their Dr/Cr lines, notes the bill they are against, receipts/payments the bills they settle.
  */
-function formatVoucherConfirmation(data, voucherNumber) {
+function formatVoucherConfirmation(data, voucherNumber, opts = {}) {
   const date = data.date ? formatTallyDate(toTallyDate(data.date)) : formatTallyDate(todayStr());
+  const { salesLedger, cashLedger } = voucherLedgers(data);
   const lines = [
-    `✅ *${data.type} Voucher Created*`,
+    opts.preview ? `📝 *${data.type} Voucher — Preview*` : `✅ *${data.type} Voucher Created*`,
     '',
     `📅 Date: ${date}`,
-    `👤 Party: ${data.party}`,
-    `💰 Amount: ₹${inr(data.amount)}`,
   ];
+  if (data.party) lines.push(`👤 Party: ${data.party}`);
+  if (ENTRY_VOUCHER_TYPES.includes(data.type)) {
+    (data.entries || []).forEach(e => lines.push(`   ${e.side} ${e.ledger}: ₹${inr(e.amount)}`));
+  } else {
+    lines.push(cashLedger ? `🏦 Cash/Bank: ${cashLedger}` : `📒 Ledger: ${salesLedger}`);
+  }
+  const against = NOTE_ORIGINAL_TYPES[data.type] ? data.against : null;
+  if (against) {
+    const detail = [against.date ? formatTallyDate(toTallyDate(against.date)) : null, against.amount ? '₹' + inr(against.amount) : null].filter(Boolean);
+    lines.push(`🧾 Against: ${NOTE_ORIGINAL_TYPES[data.type]} #${against.number}${detail.length ? ' (' + detail.join(', ') + ')' : ''}`);
+  }
+  const alloc = data.type === 'Receipt' || data.type === 'Payment' ? data.billAllocations : null;
+  if (alloc) {
+    lines.push('🧾 Bill-wise:');
+    alloc.allocations.forEach(a => {
+      const when = a.billDate ? ` (${formatTallyDate(a.billDate)})` : '';
+      lines.push(`   ${a.name}${when}: ₹${inr(a.amount)}${a.amount < a.pending ? ` of ₹${inr(a.pending)}` : ' — settled'}`);
+    });
+    if (alloc.onAccount > 0) lines.push(`   On account: ₹${inr(alloc.onAccount)}`);
+  }
+  const gst = isTradingVoucherType(data.type) ? data.gst : null;
+  if (gst) {
+    lines.push(`💰 Taxable: ₹${inr(gst.taxable)}`);
+    gst.taxes.forEach(t => lines.push(`   ${t.head} @${t.rate}% (${t.ledger}): ₹${inr(t.amount)}`));
+    if (gst.roundOff !== 0) lines.push(`   Round Off: ₹${inr(gst.roundOff)}`);
+    lines.push(`💰 Total: ₹${inr(gst.total)}`);
+    if (gst.placeOfSupply) {
+      const kind = gst.interState ? 'inter-state, IGST' : 'intra-state, CGST + SGST';
+      lines.push(`📍 Place of supply: ${gst.placeOfSupply} (${kind}${gst.assumed ? '; party state unknown' : ''})`);
+    }
+  } else {
+    lines.push(`💰 Amount: ₹${inr(data.amount)}`);
+  }
   if (voucherNumber) lines.push(`🔢 Voucher No: ${voucherNumber}`);
   if (data.narration) lines.push(`📝 Narration: ${data.narration}`);
   if (data.items && data.items.length > 0) {
     lines.push('', '*Items:*');
     data.items.forEach((item, i) => {
-      lines.push(`  ${i + 1}. ${item.name} — ${item.qty} x ₹${inr(item.rate)} = ₹${inr(item.qty * item.rate)}`);
+      const tax = [item.hsn ? 'HSN ' + item.hsn : null, gst ? gst.lines[i].rate + '% GST' : null].filter(Boolean);
+      lines.push(`  ${i + 1}. ${item.name} — ${item.qty} x ₹${inr(item.rate)} = ₹${inr(item.qty * item.rate)}${tax.length ? ' (' + tax.join(', ') + ')' : ''}`);
     });
   }
   return lines.join('\n');
 }
 
+/**
+ * Before/after summary for undoing a voucher: the preview (opts.preview) or the result.
+ * opts.before / opts.after are the party's balance data ({ closingBalance, balanceType }) when known.
+ */
+function formatUndoVoucherSummary(voucher, opts = {}) {
+  const cancel = opts.mode === 'cancel';
+  const label = `${voucher.type} Voucher${voucher.voucherNumber ? ' #' + voucher.voucherNumber : ''}`;
+  const balance = (b) => b ? ` — ${voucher.party} balance ₹${inr(Math.abs(b.closingBalance))} ${b.balanceType}` : '';
+  const lines = [
+    opts.preview ? `⚠️ *${cancel ? 'Cancel' : 'Delete'} ${label}?*` : `🗑️ *${label} ${cancel ? 'Cancelled' : 'Deleted'}*`,
+    '',
+    `📅 Date: ${formatTallyDate(toTallyDate(voucher.date))}`,
+    voucher.party ? `👤 Party: ${voucher.party}` : null,
+    `💰 Amount: ₹${inr(voucher.amount)}`,
+    '',
+    `*Before:* posted${balance(opts.before)}`,
+  ];
+  const outcome = cancel ? 'marked cancelled (number kept, no amount)' : 'removed from Tally';
+  if (opts.preview) lines.push(`*After:* ${outcome}`);
+  else lines.push(`*After:* ${outcome}${balance(opts.after)}`);
+  return lines.filter(l => l !== null).join('\n');
+}
+
 function todayStr() {
   const now = new Date();
   return `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
 }
 
 module.exports = {
+  VOUCHER_TYPES,
+  normalizeVoucherType,
+  isTradingVoucherType,
+  isEntryVoucherType,
+  noteOriginalType,
+  normalizeVoucherEntries,
+  entryTotals,
+  voucherLedgers,
   buildCreateVoucherXml,
+  buildCreateVouchersXml,
   parseCreateVoucherResponse,
+  parseVoucherBatchResponse,
+  buildSetBankDatesXml,
   validateVoucherData,
   formatVoucherConfirmation,
+  buildUndoVoucherXml,
+  parseUndoVoucherResponse,
+  formatUndoVoucherSummary,
 };
@@ -0,0 +1,376 @@
+const ExcelJS = require('exceljs');
+const { normalizeVoucherType, validateVoucherData } = require('./voucher-create');
+const { generateExcelBuffer } = require('./excel-export');
+const { formatTallyDate } = require('./helpers');
+const { inr } = require('./formatters');
+
+// Vouchers per import envelope. Tally reports one created/errors count per envelope, so a failed batch
+// can only be flagged as a whole — skill config import.batchSize: 1 gives exact per-row results.
+const DEFAULT_IMPORT_BATCH_SIZE = 25;
+const MAX_IMPORT_ROWS = 500;
+const IMPORT_TYPES = ['Sales', 'Purchase', 'Receipt', 'Payment'];
+
+// Column headings (lowercase, punctuation as spaces) → voucher field
+const COLUMN_ALIASES = {
+  date: ['date', 'voucher date', 'vch date', 'invoice date', 'bill date', 'txn date', 'transaction date', 'tran date', 'value date', 'value dt', 'posting date', 'order date'],
+  type: ['type', 'voucher type', 'vch type', 'txn type', 'transaction type'],
+  party: ['party', 'party name', 'customer', 'customer name', 'buyer', 'buyer name', 'supplier', 'supplier name', 'vendor', 'vendor name', 'name', 'account name', 'particulars'],
+  amount: ['amount', 'total', 'invoice amount', 'invoice value', 'net amount', 'grand total', 'total amount', 'value'],
+  debit: ['debit', 'dr', 'debit amount', 'withdrawal', 'withdrawals', 'withdrawal amt', 'withdrawal amount'],
+  credit: ['credit', 'cr', 'credit amount', 'deposit', 'deposits', 'deposit amt', 'deposit amount'],
+  narration: ['narration', 'description', 'remarks', 'details', 'memo', 'transaction details'],
+  reference: ['invoice no', 'invoice number', 'bill no', 'bill number', 'voucher no', 'order id', 'order no', 'reference', 'reference no', 'ref no', 'ref', 'chq ref no', 'cheque no', 'chq no', 'utr'],
+  ledger: ['ledger', 'sales ledger', 'purchase ledger', 'bank', 'bank ledger', 'cash ledger'],
+};
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Whether a file looks like a sheet we can import (.xlsx / .csv, by name or mimetype).
+ * @param {string} [filename]
+ * @param {string} [mimetype]
+ * @returns {boolean}
+ */
+function isSpreadsheetFile(filename, mimetype) {
+  return /\.(xlsx|xls|csv)$/i.test(String(filename || '')) ||
+    /spreadsheetml|ms-excel|text\/csv|application\/csv/i.test(String(mimetype || ''));
+}
+
+/**
+ * What the caption sent with the file says: a voucher type for rows without one ("import sales"),
+ * and the ledger to post against ("into HDFC Bank").
+ * @param {string} [caption]
+ * @returns {{ voucherType: string|null, ledger: string|null }}
+ */
+function parseImportCaption(caption) {
+  const text = String(caption || '').trim();
+  const ledgerMatch = text.match(/\b(?:into|ledger|bank ledger)\s+(.+)$/i);
+  const head = ledgerMatch ? text.slice(0, ledgerMatch.index) : text;
+  const typeMatch = head.match(/\b(sales?|purchases?|receipts?|payments?)\b/i);
+  return {
+    voucherType: typeMatch ? normalizeVoucherType(typeMatch[1].replace(/s$/i, '').replace(/^sale$/i, 'sales')) : null,
+    ledger: ledgerMatch ? ledgerMatch[1].trim() : null,
+  };
+}
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells, "" escapes and ; or tab separators.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const src = String(text || '').replace(/^﻿/, '');
+  const firstLine = src.split(/\r?\n/).find(l => l.trim()) || '';
+  const sep = [',', ';', '\t'].reduce((best, c) => (firstLine.split(c).length > firstLine.split(best).length ? c : best), ',');
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+// ExcelJS cell value → plain string / number / Date
+function cellValue(v) {
+  if (v == null) return '';
+  if (v instanceof Date || typeof v === 'number' || typeof v === 'string') return v;
+  if (typeof v === 'boolean') return String(v);
+  if (Array.isArray(v.richText)) return v.richText.map(t => t.text).join('');
+  if ('result' in v) return cellValue(v.result);
+  if ('text' in v) return String(v.text);
+  return '';
+}
+
+/**
+ * Read the first sheet of an .xlsx, or a .csv, into rows of cells.
+ * @param {Buffer} buffer
+ * @param {string} filename
+ * @returns {Promise<Array<Array<string|number|Date>>>}
+ */
+async function readSpreadsheet(buffer, filename) {
+  const name = String(filename || '').toLowerCase();
+  if (name.endsWith('.xls')) throw new Error('Old .xls files are not supported — save it as .xlsx or .csv and send again.');
+  if (!name.endsWith('.xlsx')) return parseCsv(buffer.toString('utf8'));
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const ws = wb.worksheets.find(s => s.actualRowCount > 0);
+  if (!ws) return [];
+  const rows = [];
+  ws.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    rows[rowNumber - 1] = row.values.slice(1).map(cellValue);
+  });
+  return Array.from(rows, r => r || []);
+}
+
+function headingKey(h) {
+  return String(h == null ? '' : h).toLowerCase().replace(/\(.*?\)/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Find the heading row (bank statements often start with a few lines about the account) and map its columns.
+ * @param {Array<Array>} rows
+ * @param {object} [aliases] - field → accepted headings (lowercase, punctuation as spaces); default COLUMN_ALIASES
+ * @returns {{ headerIndex: number, columns: object } | null} columns: field → column index
+ */
+function findImportColumns(rows, aliases = COLUMN_ALIASES) {
+  const headingToField = {};
+  for (const [field, names] of Object.entries(aliases)) {
+    for (const n of names) headingToField[n] = field;
+  }
+  for (let i = 0; i < Math.min(rows.length, 25); i++) {
+    const columns = {};
+    (rows[i] || []).forEach((h, ci) => {
+      const field = headingToField[headingKey(h)];
+      if (field && columns[field] == null) columns[field] = ci;
+    });
+    const hasAmount = columns.amount != null || columns.debit != null || columns.credit != null;
+    if (hasAmount && Object.keys(columns).length >= 2) return { headerIndex: i, columns };
+  }
+  return null;
+}
+
+/**
+ * Date from a sheet cell: Date, Excel serial number, DD/MM/YYYY, DD-Mon-YYYY, YYYY-MM-DD.
+ * @param {string|number|Date} value
+ * @returns {string|null} YYYYMMDD
+ */
+function parseImportDate(value) {
+  let y, m, d;
+  if (value instanceof Date) {
+    if (isNaN(value)) return null;
+    [y, m, d] = [value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate()];
+  } else if (typeof value === 'number') {
+    if (value < 20000 || value > 80000) return null;
+    const dt = new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 86400000);
+    [y, m, d] = [dt.getUTCFullYear(), dt.getUTCMonth() + 1, dt.getUTCDate()];
+  } else {
+    const s = String(value || '').trim();
+    let mx;
+    if ((mx = s.match(/^(\d{4})(\d{2})(\d{2})$/)) || (mx = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) [y, m, d] = [+mx[1], +mx[2], +mx[3]];
+    else if ((mx = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/))) [d, m, y] = [+mx[1], +mx[2], +mx[3]];
+    else if ((mx = s.match(/^(\d{1,2})[-\s]([a-z]{3})[a-z]*[-\s,]+(\d{2,4})\b/i)) && MONTHS[mx[2].toLowerCase()]) [d, m, y] = [+mx[1], MONTHS[mx[2].toLowerCase()], +mx[3]];
+    else return null;
+    if (y < 100) y += 2000;
+  }
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31 && y > 1900)) return null;
+  return `${y}${pad2(m)}${pad2(d)}`;
+}
+
+/**
+ * Amount from a sheet cell: "1,20,000.00", "₹500", "(250)", "1200 Cr". Sign is dropped.
+ * @param {string|number} value
+ * @returns {number|null} null when the cell is empty or not a number
+ */
+function parseImportAmount(value) {
+  if (typeof value === 'number') return Math.abs(value);
+  const s = String(value || '').replace(/₹|rs\.?|inr|,|\s/gi, '').replace(/(cr|dr)$/i, '').replace(/^\((.*)\)$/, '$1');
+  if (!s) return null;
+  const n = Number(s);
+  return isNaN(n) ? null : Math.abs(n);
+}
+
+/**
+ * Turn sheet rows into draft vouchers, one per data row, each checked with validateVoucherData.
+ * Party names are left as typed (or empty) — the skill resolves them against Tally.
+ *
+ * Voucher type comes from a Type column, else Debit/Withdrawal (Payment) or Credit/Deposit (Receipt)
+ * columns, else opts.voucherType. The ledger (sales/purchase account, or cash/bank for receipts and payments)
+ * comes from a Ledger column, else opts.ledger, else the voucher type's default.
+ *
+ * @param {Array<Array>} rows - readSpreadsheet() result
+ * @param {{ voucherType?: string, ledger?: string }} [opts]
+ * @returns {{ entries: object[], partyColumn: boolean } | { error: string }}
+ *   entry: { row, date, type, party, amount, narration, status: 'ready'|'error', message, voucherData }
+ */
+function sheetToVoucherRows(rows, opts = {}) {
+  const found = findImportColumns(rows);
+  if (!found) {
+    return { error: 'I couldn\'t find the column headings. The sheet needs an Amount (or Debit/Credit) column and a Party, Date or Type column in its first rows.' };
+  }
+  const { headerIndex, columns } = found;
+  const get = (r, field) => (columns[field] != null ? r[columns[field]] : '');
+  const text = (v) => (v instanceof Date ? '' : String(v == null ? '' : v).trim());
+  const entries = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const r = rows[i] || [];
+    if (r.every(c => text(c) === '' && !(c instanceof Date))) continue;
+    if (entries.length >= MAX_IMPORT_ROWS) {
+      return { error: `The sheet has more than ${MAX_IMPORT_ROWS} rows — please split it into smaller files.` };
+    }
+    const errors = [];
+    const debit = parseImportAmount(get(r, 'debit'));
+    const credit = parseImportAmount(get(r, 'credit'));
+    let type;
+    if (text(get(r, 'type'))) type = normalizeVoucherType(text(get(r, 'type')).replace(/^sale$/i, 'Sales'));
+    else if (debit) type = 'Payment';
+    else if (credit) type = 'Receipt';
+    else type = opts.voucherType || null;
+    if (!type) errors.push('Voucher type missing — add a Type column or say e.g. "import sales" with the file.');
+    else if (!IMPORT_TYPES.includes(type)) errors.push(`"${type}" can't be imported from a sheet — only ${IMPORT_TYPES.join(', ')}.`);
+
+    const amount = parseImportAmount(get(r, 'amount')) || debit || credit || 0;
+    const badAmount = ['amount', 'debit', 'credit'].map(f => get(r, f)).find(v => text(v) !== '' && parseImportAmount(v) == null);
+    if (badAmount != null) errors.push(`Can't read the amount "${text(badAmount)}".`);
+    const rawDate = get(r, 'date');
+    const date = rawDate === '' || rawDate == null ? null : parseImportDate(rawDate);
+    if (rawDate !== '' && rawDate != null && !date) errors.push(`Can't read the date "${text(rawDate)}".`);
+    const reference = text(get(r, 'reference'));
+    const narration = [text(get(r, 'narration')), reference ? `Ref ${reference}` : ''].filter(Boolean).join(' — ');
+    const ledger = text(get(r, 'ledger')) || opts.ledger || null;
+
+    const voucherData = { type, party: text(get(r, 'party')), amount, date, narration };
+    if (ledger && (type === 'Receipt' || type === 'Payment')) voucherData.cashLedger = ledger;
+    else if (ledger) voucherData.salesLedger = ledger;
+    // No party column: the party is looked up in the narration later, so don't report it missing here
+    if (errors.length === 0) {
+      errors.push(...validateVoucherData(Object.assign({}, voucherData, { party: voucherData.party || (columns.party == null ? '-' : '') })));
+    }
+
+    entries.push({
+      row: i + 1, date, type, party: voucherData.party, amount, narration,
+      status: errors.length ? 'error' : 'ready', message: errors.join(' '), voucherData,
+    });
+  }
+  if (entries.length === 0) return { error: 'The sheet has headings but no rows to import.' };
+  return { entries, partyColumn: columns.party != null };
+}
+
+/**
+ * Party ledger named in free text (bank statement narration): the longest Tally name that appears in it.
+ * @param {string} text
+ * @param {string[]} names - Party ledger names
+ * @returns {string|null}
+ */
+function matchPartyInText(text, names) {
+  const hay = ` ${String(text || '').toLowerCase().replace(/[^a-z0-9&]+/g, ' ')} `;
+  let best = null;
+  for (const name of names) {
+    const needle = String(name).toLowerCase().replace(/[^a-z0-9&]+/g, ' ').trim();
+    if (needle.length >= 4 && hay.includes(` ${needle} `) && (!best || needle.length > best.length)) best = name;
+  }
+  return best;
+}
+
+/**
+ * Split ready rows into import batches.
+ * @param {object[]} entries
+ * @param {number} [size]
+ * @returns {object[][]}
+ */
+function importBatches(entries, size = DEFAULT_IMPORT_BATCH_SIZE) {
+  const n = Math.max(1, parseInt(size, 10) || DEFAULT_IMPORT_BATCH_SIZE);
+  const batches = [];
+  for (let i = 0; i < entries.length; i += n) batches.push(entries.slice(i, i + n));
+  return batches;
+}
+
+function countBy(entries, status) {
+  return entries.filter(e => e.status === status).length;
+}
+
+function problemLines(entries, statuses, limit = 8) {
+  const shown = entries.filter(e => statuses.includes(e.status));
+  const lines = shown.slice(0, limit).map(e => `• Row ${e.row}: ${e.message}`);
+  if (shown.length > limit) lines.push(`• …and ${shown.length - limit} more`);
+  return lines;
+}
+
+/**
+ * Dry-run summary shown before posting.
+ * @param {string} fileName
+ * @param {object[]} entries - With status 'ready' | 'unknown_party' | 'error'
+ * @returns {string}
+ */
+function formatImportPreview(fileName, entries) {
+  const ready = entries.filter(e => e.status === 'ready');
+  const total = ready.reduce((s, e) => s + e.amount, 0);
+  const unknown = countBy(entries, 'unknown_party');
+  const errors = countBy(entries, 'error');
+  const lines = [`📥 *Import Preview — ${fileName}*`, ''];
+  lines.push(`✅ ${ready.length} ready to post${ready.length ? ` (₹${inr(total)})` : ''}`);
+  const byType = {};
+  for (const e of ready) byType[e.type] = (byType[e.type] || 0) + 1;
+  if (Object.keys(byType).length) lines.push(`   ${Object.entries(byType).map(([t, n]) => `${t}: ${n}`).join(' | ')}`);
+  if (unknown) {
+    const names = Array.from(new Set(entries.filter(e => e.status === 'unknown_party').map(e => e.party || 'no party found'))).slice(0, 8);
+    lines.push(`🔍 ${unknown} with unknown parties: ${names.join(', ')}`);
+  }
+  if (errors) {
+    lines.push(`❌ ${errors} with errors:`);
+    lines.push(...problemLines(entries, ['error']));
+  }
+  if (unknown || errors) lines.push('', '_Only the ready rows are posted; the rest are listed in the result sheet._');
+  return lines.join('\n');
+}
+
+/**
+ * Summary after posting.
+ * @param {string} fileName
+ * @param {object[]} entries - With status 'posted' | 'failed' | 'unknown_party' | 'error'
+ * @returns {string}
+ */
+function formatImportResult(fileName, entries) {
+  const posted = countBy(entries, 'posted');
+  const failed = countBy(entries, 'failed');
+  const skipped = countBy(entries, 'unknown_party') + countBy(entries, 'error');
+  const lines = [`${failed ? '⚠️' : '✅'} *Import Done — ${fileName}*`, ''];
+  lines.push(`📤 ${posted} posted to Tally`);
+  if (failed) {
+    lines.push(`⚠️ ${failed} not posted or need checking in Tally:`);
+    lines.push(...problemLines(entries, ['failed'], 5));
+  }
+  if (skipped) lines.push(`⏭️ ${skipped} skipped (unknown party or errors)`);
+  lines.push('', '📎 Row-by-row results are in the attached sheet.');
+  return lines.join('\n');
+}
+
+const STATUS_LABELS = { ready: 'Not posted', posted: 'Posted', failed: 'Check in Tally', unknown_party: 'Unknown party', error: 'Error' };
+
+/**
+ * Workbook with one line per sheet row and what happened to it.
+ * @param {string} fileName - The imported file's name
+ * @param {object[]} entries
+ * @returns {Promise<{ buffer: Buffer, filename: string }>}
+ */
+async function buildImportResultWorkbook(fileName, entries) {
+  const base = String(fileName || 'import').replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]/g, '_');
+  const columns = ['Row', 'Date', 'Type', 'Party', 'Amount', 'Status', 'Details'];
+  const rows = entries.map(e => [
+    e.row, e.date ? formatTallyDate(e.date) : '', e.type || '', e.party || '', e.amount || 0,
+    STATUS_LABELS[e.status] || e.status, e.message || '',
+  ]);
+  const buffer = await generateExcelBuffer('Import Result', columns, rows);
+  return { buffer, filename: `Import Result - ${base}.xlsx` };
+}
+
+module.exports = {
+  isSpreadsheetFile,
+  parseImportCaption,
+  parseCsv,
+  readSpreadsheet,
+  findImportColumns,
+  parseImportDate,
+  parseImportAmount,
+  sheetToVoucherRows,
+  matchPartyInText,
+  importBatches,
+  formatImportPreview,
+  formatImportResult,
+  buildImportResultWorkbook,
+};
@@ -1,7 +1,11 @@
 const { escapeXml, decodeXml, formatTallyDate } = require('./helpers');
 const { SEP, inr, vchEmoji } = require('./formatters');
 
-function buildVouchersTdlXml(companyName, dateFrom, dateTo, voucherType) {
+/**
+ * @param {object} [opts]
+ * @param {boolean} [opts.withLedgers] - Also fetch ledger entries (name + amount), e.g. to spot cash payments
+ */
+function buildVouchersTdlXml(companyName, dateFrom, dateTo, voucherType, opts = {}) {
   const svParts = ['<SVEXPORTFORMAT>$SysName:XML</SVEXPORTFORMAT>'];
   if (companyName) svParts.push(`<SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>`);
 
@@ -29,7 +33,7 @@ function buildVouchersTdlXml(companyName, dateFrom, dateTo, voucherType) {
       <TDL><TDLMESSAGE>
         <COLLECTION NAME="VoucherList" ISMODIFY="No">
           <TYPE>Voucher</TYPE>
-          <FETCH>Date, VoucherTypeName, VoucherNumber, Narration, Amount, PartyLedgerName</FETCH>
+          <FETCH>Date, VoucherTypeName, VoucherNumber, Narration, Amount, PartyLedgerName, MasterID, AlterID${opts.withLedgers ? ', AllLedgerEntries.LedgerName, AllLedgerEntries.Amount' : ''}</FETCH>
           ${filters.join('\n          ')}
         </COLLECTION>
         ${filterDefs.join('\n        ')}
@@ -44,19 +48,32 @@ function parseVouchersTdlResponse(xmlString, limit = 50, dateFrom = null, dateTo
   const regex = /<VOUCHER\s[^>]*>[\s\S]*?<\/VOUCHER>/gi;
   let m;
   while ((m = regex.exec(xmlString)) !== null) {
-    const block = m[0];
+    // Ledger entries carry their own AMOUNT — read them separately so they don't shadow the voucher's
+    const ledgers = [];
+    const ledgerRegex = /<ALLLEDGERENTRIES\.LIST[^>]*>([\s\S]*?)<\/ALLLEDGERENTRIES\.LIST>/gi;
+    let lm;
+    while ((lm = ledgerRegex.exec(m[0])) !== null) {
+      const name = lm[1].match(/<LEDGERNAME[^>]*>([^<]*)<\/LEDGERNAME>/i);
+      const amt = lm[1].match(/<AMOUNT[^>]*>([^<]*)<\/AMOUNT>/i);
+      if (name) ledgers.push({ name: decodeXml(name[1].trim()), amount: amt ? parseFloat(amt[1]) || 0 : 0 });
+    }
+    const block = m[0].replace(ledgerRegex, '');
     const extract = (tag) => {
       const mx = block.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'i'));
       return mx ? mx[1].trim() : null;
     };
-    vouchers.push({
+    const voucher = {
       date: extract('DATE') || '',
       type: extract('VOUCHERTYPENAME') || '',
       number: extract('VOUCHERNUMBER') || '',
       narration: decodeXml(extract('NARRATION')),
       amount: parseFloat(extract('AMOUNT')) || 0,
       party: decodeXml(extract('PARTYLEDGERNAME')),
-    });
+      masterId: parseInt(extract('MASTERID'), 10) || null,
+      alterId: parseInt(extract('ALTERID'), 10) || null,
+    };
+    if (ledgers.length) voucher.ledgers = ledgers;
+    vouchers.push(voucher);
   }
 
   if (dateFrom || dateTo) {
@@ -362,6 +362,39 @@ async function runTests() {
     assert(r.message.includes('not found'), 'should say not found');
   });
 
+  await test('get_ledger holds the resolved ledger to the sender\'s parties', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    const lifeXml = '<ENVELOPE><LEDGER NAME="Life Insurance Corp"><NAME>Life Insurance Corp</NAME><PARENT>Sundry Debtors</PARENT></LEDGER></ENVELOPE>';
+    mockResponses.postTally = async () => lifeXml;
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'get_ledger', { party_name: 'Life', _allowedParties: ['Meril Life Sciences'] }, skillConfig);
+    assert(!r.success && r.message.includes("*Life Insurance Corp* isn't one of your assigned parties"), r.message);
+    assert(r.message.includes('You can ask about: Meril Life Sciences'), 'lists the allowed parties');
+    assert(calls.filter(c => c.fn === 'postTally').length === 1, 'no statement fetched');
+
+    resetCalls();
+    let callNum = 0;
+    mockResponses.postTally = async () => { callNum++; return callNum === 1 ? SAMPLE_LEDGER_SEARCH_XML : SAMPLE_LEDGER_STATEMENT_XML; };
+    const own = await execute('tally', 'get_ledger', { party_name: 'Meril Life Sciences Pvt Ltd', _allowedParties: ['Meril Life Sciences'] }, skillConfig);
+    assert(own.success && own.data.entries, 'assigned party (Pvt Ltd ignored) runs: ' + own.message);
+  });
+
+  await test('get_ledger narrows several matches to the sender\'s parties', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    const multiXml = `<ENVELOPE>
+      <LEDGER NAME="Meril Life Sciences"><NAME>Meril Life Sciences</NAME><PARENT>Sundry Debtors</PARENT></LEDGER>
+      <LEDGER NAME="Meril Pharma"><NAME>Meril Pharma</NAME><PARENT>Sundry Creditors</PARENT></LEDGER>
+    </ENVELOPE>`;
+    mockResponses.postTally = async (url, xml) => (xml.includes('<ID>LedgerSearch</ID>') ? multiXml : SAMPLE_LEDGER_STATEMENT_XML);
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'get_ledger', { party_name: 'Meril', _allowedParties: ['Meril Life Sciences'] }, skillConfig);
+    assert(r.success && !(r.data && r.data.suggestions), 'the one assigned match is used: ' + r.message);
+    const none = await execute('tally', 'get_ledger', { party_name: 'Meril', _allowedParties: ['ABC Traders'] }, skillConfig);
+    assert(!none.success && none.message.includes("isn't one of your assigned parties"), none.message);
+  });
+
   // ═══════════════════════════════════════════════
   console.log('\nAction Routing — vouchers/daybook:');
   // ═══════════════════════════════════════════════
@@ -385,6 +418,24 @@ async function runTests() {
     assert(r.success, 'should succeed');
   });
 
+  await test('get_daybook flags the days Tally did not answer when it falls back to daily chunks', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    let n = 0;
+    const timeout = () => { const e = new Error('timeout of 30000ms exceeded'); e.code = 'ECONNABORTED'; throw e; };
+    // 1: the whole range, 2-4: one request per day — the second day fails
+    mockResponses.postTally = async () => { n++; return n === 1 || n === 3 ? timeout() : SAMPLE_VOUCHERS_XML; };
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'get_daybook', { date_from: '20260217', date_to: '20260219' }, skillConfig);
+    assert(r.success && r.partial === true && r.data.length === 2, `partial result, got ${JSON.stringify({ partial: r.partial, n: r.data && r.data.length })}`);
+    assert(r.failedChunks.length === 1 && r.failedChunks[0].from === '20260218', JSON.stringify(r.failedChunks));
+    assert(r.message.includes('did not answer for 1 day(s) (18-02-2026)'), r.message);
+    n = 0;
+    mockResponses.postTally = async () => timeout();
+    const none = await execute('tally', 'get_daybook', { date_from: '20260217', date_to: '20260219' }, skillConfig);
+    assert(!none.success && !/No vouchers found/.test(none.message), 'every day failing is an error, not an empty day book');
+  });
+
   // ═══════════════════════════════════════════════
   console.log('\nAction Routing — list_ledgers:');
   // ═══════════════════════════════════════════════
@@ -470,6 +521,32 @@ async function runTests() {
     assert(r.success, 'should succeed');
   });
 
+  await test('get_outstanding shows a party-restricted sender only their debtors', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = async () => `<ENVELOPE>
+      <LEDGER NAME="Meril Life Sciences Pvt Ltd"><CLOSINGBALANCE>-25000</CLOSINGBALANCE></LEDGER>
+      <LEDGER NAME="ABC Traders"><CLOSINGBALANCE>-90000</CLOSINGBALANCE></LEDGER>
+    </ENVELOPE>`;
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'get_outstanding', { type: 'receivable', _allowedParties: ['Meril Life Sciences'] }, skillConfig);
+    assert(r.success && r.message.includes('Meril Life Sciences Pvt Ltd') && !r.message.includes('ABC Traders'), r.message);
+    assert(r.data.entries.length === 1 && r.data.total === -25000, JSON.stringify(r.data));
+    const none = await execute('tally', 'get_outstanding', { type: 'receivable', _allowedParties: ['XYZ Ltd'] }, skillConfig);
+    assert(none.success && none.message.includes('None of your parties') && none.data.entries.length === 0, none.message);
+  });
+
+  await test('whole-book reports are refused for party-restricted senders', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    const execute = loadExecuteWithMock(mock);
+    for (const action of ['get_daybook', 'get_top_customers', 'get_ageing_analysis']) {
+      const r = await execute('tally', action, { _allowedParties: ['Meril Life Sciences'] }, skillConfig);
+      assert(!r.success && r.message.includes('covers every party'), action + ': ' + r.message);
+    }
+    assert(!calls.some(c => c.fn === 'postTally'), 'Tally not asked');
+  });
+
   await test('get_cash_bank_balance returns balances', async () => {
     const mock = mockTdl();
     resetCalls(); resetMockResponses();
@@ -668,6 +745,21 @@ async function runTests() {
     assert(r.message.includes('too long'), 'should say taking too long');
   });
 
+  await test('paused (ETALLYDOWN) and superseded (ERR_CANCELED) requests', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.isTallyRunning = () => ({ running: true, pid: 1234 });
+    mockResponses.postTally = async () => { const e = new Error('Tally at localhost:9000 did not answer 3 requests in a row — not asking again for 25s.'); e.code = 'ETALLYDOWN'; throw e; };
+    const execute = loadExecuteWithMock(mock);
+    const down = await execute('tally', 'list_ledgers', {}, skillConfig);
+    assert(!down.success && down.message.startsWith('🔌') && down.message.includes('restart tally'), down.message);
+    mockResponses.isTallyRunning = () => ({ running: false, pid: null });
+    assert((await execute('tally', 'list_ledgers', {}, skillConfig)).message.includes('not running'), 'Tally closed');
+    mockResponses.postTally = async () => { const e = new Error('⏭️ Dropped — a newer request from this chat came in.'); e.code = 'ERR_CANCELED'; throw e; };
+    const dropped = await execute('tally', 'list_ledgers', {}, skillConfig);
+    assert(!dropped.success && dropped.message.startsWith('⏭️'), dropped.message);
+  });
+
   await test('unknown action returns error', async () => {
     const mock = mockTdl();
     resetCalls(); resetMockResponses();
@@ -677,6 +769,151 @@ async function runTests() {
     assert(r.message.includes('Unknown'), 'should say unknown action');
   });
 
+  // ═══════════════════════════════════════════════
+  console.log('\nRemote Tally:');
+  // ═══════════════════════════════════════════════
+
+  const remoteConfig = { host: '192.168.1.20', port: 9000 };
+
+  await test('requests go to the configured host', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = async () => SAMPLE_LIST_LEDGERS_XML;
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'list_ledgers', {}, remoteConfig);
+    assert(r.success, 'should succeed');
+    assert(calls.every(c => (c.url || c.baseUrl) === 'http://192.168.1.20:9000'), JSON.stringify(calls.map(c => c.url || c.baseUrl)));
+  });
+
+  await test('process control is refused for a remote Tally', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    const execute = loadExecuteWithMock(mock);
+    for (const action of ['start_tally', 'restart_tally', 'open_company']) {
+      const r = await execute('tally', action, { company_name: 'Mobibox' }, { url: 'https://tally.example.com', username: 'bot', password: 'x' });
+      assert(!r.success && r.message.includes('tally.example.com') && r.message.includes('not on this machine'), `${action}: ${r.message}`);
+    }
+    assert(!calls.some(c => ['restartTally', 'startTally', 'openCompany', 'isTallyRunning', 'parseTallyIni'].includes(c.fn)), 'nothing touched locally');
+  });
+
+  await test('remote status and companies come from the HTTP server only', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.checkTallyStatus = async () => ({ responding: true, companies: [{ name: 'Mobibox Pvt Ltd' }, { name: 'SendMe Technologies Pvt Ltd' }], activeCompany: 'Mobibox Pvt Ltd' });
+    const execute = loadExecuteWithMock(mock);
+    const status = await execute('tally', 'tally_status', {}, remoteConfig);
+    assert(status.success && status.message.includes('Remote: 192.168.1.20:9000') && status.message.includes('Mobibox Pvt Ltd'), status.message);
+    const list = await execute('tally', 'list_companies', {}, remoteConfig);
+    assert(list.success && list.data.companies.length === 2 && list.message.includes('192.168.1.20:9000'), list.message);
+    assert(!calls.some(c => ['getFullStatus', 'isTallyRunning', 'parseTallyIni', 'scanDataFolder'].includes(c.fn)), 'no local process or disk checks');
+  });
+
+  await test('connection errors name the remote host', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = async () => { const e = new Error('connect EHOSTUNREACH'); e.code = 'EHOSTUNREACH'; throw e; };
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'list_ledgers', {}, remoteConfig);
+    assert(!r.success && r.message.includes('192.168.1.20:9000') && r.message.includes('EHOSTUNREACH'), r.message);
+    assert(!calls.some(c => c.fn === 'isTallyRunning'), 'no local process check');
+    mockResponses.postTally = async () => { const e = new Error('Request failed with status code 401'); e.response = { status: 401 }; throw e; };
+    const denied = await execute('tally', 'list_ledgers', {}, { url: 'https://tally.example.com', username: 'bot', password: 'wrong' });
+    assert(!denied.success && denied.message.includes('tally.example.com refused the Tally login'), denied.message);
+    const badUrl = await execute('tally', 'list_ledgers', {}, { url: 'tally.example.com' });
+    assert(!badUrl.success && badUrl.message.startsWith('❌ Tally connection:'), badUrl.message);
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nSeveral Connections:');
+  // ═══════════════════════════════════════════════
+
+  const twoFirms = { connections: [{ name: 'mobibox', port: 9000 }, { name: 'afflink', host: '192.168.1.30', port: 9000 }] };
+  const twoFirmsStatus = async (baseUrl) => (baseUrl.includes('192.168.1.30')
+    ? { responding: true, companies: [{ name: 'Afflink Pvt Ltd' }], activeCompany: 'Afflink Pvt Ltd' }
+    : { responding: true, companies: [{ name: 'Mobibox Pvt Ltd' }, { name: 'SendMe Technologies Pvt Ltd' }], activeCompany: 'Mobibox Pvt Ltd' });
+
+  await test('a named company is queried on its own Tally with SVCURRENTCOMPANY', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.checkTallyStatus = twoFirmsStatus;
+    mockResponses.postTally = async () => SAMPLE_CASH_BANK_XML;
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'get_cash_bank_balance', { company: 'afflink' }, twoFirms);
+    assert(r.success && r.message.startsWith('🏢 *Afflink Pvt Ltd*'), r.message);
+    const post = calls.find(c => c.fn === 'postTally');
+    assert(post.url === 'http://192.168.1.30:9000' && post.xml.includes('<SVCURRENTCOMPANY>Afflink Pvt Ltd</SVCURRENTCOMPANY>'), post.url);
+    // A company that is open but not active on the first Tally
+    resetCalls();
+    const sendme = await execute('tally', 'get_cash_bank_balance', { company: 'SendMe' }, twoFirms);
+    assert(sendme.success && calls.find(c => c.fn === 'postTally').xml.includes('SendMe Technologies Pvt Ltd'), sendme.message);
+    // No company: the first connection's active one, reply unchanged
+    resetCalls();
+    const plain = await execute('tally', 'get_cash_bank_balance', {}, twoFirms);
+    assert(!plain.message.startsWith('🏢') && calls.find(c => c.fn === 'postTally').xml.includes('Mobibox Pvt Ltd'), plain.message);
+    assert(!calls.some(c => c.fn === 'openCompany' || c.fn === 'restartTally'), "Tally's active company is not switched");
+  });
+
+  await test('unknown or ambiguous company names are refused', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.checkTallyStatus = twoFirmsStatus;
+    const execute = loadExecuteWithMock(mock);
+    const unknown = await execute('tally', 'list_ledgers', { company: 'Acme' }, twoFirms);
+    assert(!unknown.success && unknown.message.includes('Afflink Pvt Ltd (afflink)') && unknown.message.includes('Mobibox Pvt Ltd (mobibox)'), unknown.message);
+    const ambiguous = await execute('tally', 'list_ledgers', { company: 'pvt' }, twoFirms);
+    assert(!ambiguous.success && ambiguous.message.includes('could be'), ambiguous.message);
+    assert(!calls.some(c => c.fn === 'postTally'), 'nothing queried');
+  });
+
+  await test('company "all" adds up a report over every open company', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.checkTallyStatus = twoFirmsStatus;
+    mockResponses.postTally = async (url, xml) => (xml.includes('SendMe')
+      ? '<ENVELOPE></ENVELOPE>'
+      : SAMPLE_OUTSTANDING_XML);
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'get_outstanding', { type: 'receivable', company: 'all' }, twoFirms);
+    assert(r.success && r.message.includes('Receivables — all companies'), r.message);
+    assert(r.data.companies.length === 3 && r.data.total === 50000, JSON.stringify(r.data));
+    assert(r.message.includes('Afflink Pvt Ltd _(afflink)_ — ₹25,000.00') && r.message.includes('*Total: ₹50,000.00*'), r.message);
+    const notSummable = await execute('tally', 'list_ledgers', { company: 'all' }, twoFirms);
+    assert(!notSummable.success && notSummable.message.includes('Only totals'), notSummable.message);
+  });
+
+  await test('switch_company resolves the name for the chat; status covers every connection', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.checkTallyStatus = twoFirmsStatus;
+    const execute = loadExecuteWithMock(mock);
+    const sw = await execute('tally', 'switch_company', { company_name: 'afflink pvt' }, twoFirms);
+    assert(sw.success && sw.data.company === 'Afflink Pvt Ltd' && sw.data.connection === 'afflink', JSON.stringify(sw.data));
+    const back = await execute('tally', 'switch_company', { company_name: 'default' }, twoFirms);
+    assert(back.success && back.data.company === null, back.message);
+    const status = await execute('tally', 'tally_status', {}, twoFirms);
+    assert(status.message.includes('*mobibox* (localhost:9000)') && status.message.includes('*afflink* (192.168.1.30:9000)'), status.message);
+    assert(status.data.connections.length === 2, 'one entry per connection');
+  });
+
+  await test('refresh drops the company\'s cached answers; clear_cache drops every server\'s', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.checkTallyStatus = twoFirmsStatus;
+    mockResponses.postTally = async () => SAMPLE_CASH_BANK_XML;
+    const execute = loadExecuteWithMock(mock);
+    const ledgersXml = (company) => `<ENVELOPE><BODY><DESC><STATICVARIABLES><SVCURRENTCOMPANY>${company}</SVCURRENTCOMPANY></STATICVARIABLES><TYPE>Ledger</TYPE></DESC></BODY></ENVELOPE>`;
+    realTdl.clearResponseCache({ resetStats: true });
+    realTdl.storeResponse('http://localhost:9000', ledgersXml('Mobibox Pvt Ltd'), 'mobibox');
+    realTdl.storeResponse('http://localhost:9000', ledgersXml('SendMe Technologies Pvt Ltd'), 'sendme');
+    realTdl.storeResponse('http://192.168.1.30:9000', ledgersXml('Afflink Pvt Ltd'), 'afflink');
+    const r = await execute('tally', 'get_cash_bank_balance', { company: 'mobibox pvt', refresh: true }, twoFirms);
+    assert(r.success && realTdl.responseCacheStats().entries === 2, 'only Mobibox dropped');
+    const cleared = await execute('tally', 'clear_cache', {}, twoFirms);
+    assert(cleared.success && cleared.data.dropped === 2 && cleared.message.includes('Cleared 2'), cleared.message);
+    assert(realTdl.responseCacheStats().entries === 0);
+    realTdl.clearResponseCache({ resetStats: true });
+  });
+
   // ═══════════════════════════════════════════════
   console.log('\nPagination:');
   // ═══════════════════════════════════════════════
@@ -1083,6 +1320,20 @@ async function runTests() {
     assert(r.data.reminders[0].canSend === true, 'should be sendable (has phone)');
   });
 
+  await test('get_payment_reminders lists only a party-restricted sender\'s parties', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    const billXml = `<ENVELOPE>
+      <BILL NAME="INV-001"><NAME>INV-001</NAME><PARENT>Party A</PARENT><CLOSINGBALANCE>-25000</CLOSINGBALANCE><FINALDUEDATE>20200101</FINALDUEDATE></BILL>
+      <BILL NAME="INV-002"><NAME>INV-002</NAME><PARENT>Party B</PARENT><CLOSINGBALANCE>-5000</CLOSINGBALANCE><FINALDUEDATE>20200101</FINALDUEDATE></BILL>
+    </ENVELOPE>`;
+    mockResponses.postTally = async (url, xml) => (xml.includes('<ID>PartyContacts</ID>') ? '<ENVELOPE></ENVELOPE>' : billXml);
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'get_payment_reminders', { _allowedParties: ['Party B'] }, skillConfig);
+    assert(r.success && r.data.reminders.length === 1 && r.data.reminders[0].party === 'Party B', JSON.stringify(r.data.reminders));
+    assert(!r.message.includes('Party A'), r.message);
+  });
+
   await test('get_payment_reminders no overdue', async () => {
     const mock = mockTdl();
     resetCalls(); resetMockResponses();
@@ -1155,6 +1406,20 @@ async function runTests() {
     assert(r.message.includes('Amount'), 'should mention amount');
   });
 
+  await test('create_voucher previews without posting until confirmed', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    let callNum = 0;
+    const searchXml = `<ENVELOPE><LEDGER NAME="Meril Life Sciences"><NAME>Meril Life Sciences</NAME><PARENT>Sundry Debtors</PARENT></LEDGER></ENVELOPE>`;
+    mockResponses.postTally = async () => { callNum++; return searchXml; };
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Meril Life Sciences', amount: 50000 }, skillConfig);
+    assert(r.success && r.message.includes('Sales Voucher — Preview'), 'should show a preview');
+    assert(r.message.includes('📒 Ledger: Sales Account') && r.message.includes('₹50,000.00'), 'should show ledger and amount');
+    assert(r._confirm && r._confirm.params.party_name === 'Meril Life Sciences' && r._confirm.editable.includes('amount'), 'should ask for confirmation');
+    assert(callNum === 1, 'should only look up the party, got ' + callNum + ' calls');
+  });
+
   await test('create_voucher success', async () => {
     const mock = mockTdl();
     resetCalls(); resetMockResponses();
@@ -1163,9 +1428,10 @@ async function runTests() {
     const createResp = '<ENVELOPE><HEADER><STATUS>1</STATUS></HEADER><BODY><DATA><IMPORTRESULT><CREATED>1</CREATED><ERRORS>0</ERRORS></IMPORTRESULT></DATA></BODY></ENVELOPE>';
     mockResponses.postTally = async () => { callNum++; return callNum === 1 ? searchXml : createResp; };
     const execute = loadExecuteWithMock(mock);
-    const r = await execute('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Meril', amount: 50000, narration: 'Test' }, skillConfig);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Meril', amount: 50000, narration: 'Test', confirmed: true }, skillConfig);
     assert(r.success, 'should succeed');
     assert(r.message.includes('Voucher Created'), 'should confirm creation');
+    assert(r._audit && r._audit.requestXml.includes('<VOUCHER') && r._audit.responseXml === createResp, 'should hand XML and Tally response to the audit journal');
   });
 
   await test('create_voucher failure from Tally', async () => {
@@ -1176,7 +1442,7 @@ async function runTests() {
     const createResp = '<ENVELOPE><HEADER><STATUS>1</STATUS></HEADER><BODY><DATA><IMPORTRESULT><CREATED>0</CREATED><ERRORS>1</ERRORS><LINEERROR>Ledger not found</LINEERROR></IMPORTRESULT></DATA></BODY></ENVELOPE>';
     mockResponses.postTally = async () => { callNum++; return callNum === 1 ? searchXml : createResp; };
     const execute = loadExecuteWithMock(mock);
-    const r = await execute('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Meril', amount: 50000 }, skillConfig);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Meril', amount: 50000, confirmed: true }, skillConfig);
     assert(!r.success, 'should fail');
     assert(r.message.includes('Ledger not found'), 'should show Tally error');
   });
@@ -1196,6 +1462,484 @@ async function runTests() {
     assert(r.data.suggestions, 'should have suggestions');
   });
 
+  // GST: party lookup, company info, party detail, duty ledger check, then the import
+  const gstResponder = (existing, createResp) => async (url, xml) => {
+    if (xml.includes('<ID>CompanyInfo</ID>')) return '<ENVELOPE><COMPANY NAME="Mobibox"><GSTIN>24AAACM1234F1Z5</GSTIN></COMPANY></ENVELOPE>';
+    if (xml.includes('<ID>PartyDetail</ID>')) return '<ENVELOPE><LEDGER NAME="Meril"><NAME>Meril</NAME><LEDGSTREGDETAILS.LIST><GSTIN>27AAACX9999K1Z2</GSTIN></LEDGSTREGDETAILS.LIST></LEDGER></ENVELOPE>';
+    if (xml.includes('<ID>LedgerExists</ID>')) return '<ENVELOPE>' + existing.map(n => `<LEDGER NAME="${n}"><NAME>${n}</NAME></LEDGER>`).join('') + '</ENVELOPE>';
+    if (xml.includes('ACTION="Create"')) return createResp;
+    return '<ENVELOPE><LEDGER NAME="Meril"><NAME>Meril</NAME><PARENT>Sundry Debtors</PARENT></LEDGER></ENVELOPE>';
+  };
+
+  await test('create_voucher with gst_rate previews the IGST split for an out-of-state party', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = gstResponder(['Output IGST'], '');
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Meril', amount: 50000, gst_rate: 18 }, skillConfig);
+    assert(r.success && r.message.includes('IGST @18% (Output IGST): ₹9,000.00') && r.message.includes('Total: ₹59,000.00'), 'preview shows tax');
+    assert(r.message.includes('Place of supply: Maharashtra'), 'place of supply from the party GSTIN');
+    assert(r._confirm.editable.includes('gst'), 'gst rate can be edited');
+  });
+
+  await test('create_voucher reports missing tax ledgers before posting', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = gstResponder([], '');
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Meril', amount: 50000, confirmed: true }, Object.assign({}, skillConfig, { gst: { enabled: true, defaultRate: 12 } }));
+    assert(!r.success && r.message.includes('• Output IGST'), 'should list the missing ledger');
+    assert(!calls.some(c => c.fn === 'postTally' && c.xml.includes('ACTION="Create"')), 'nothing posted');
+  });
+
+  await test('create_voucher posts GST lines when confirmed', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    const createResp = '<RESPONSE><CREATED>1</CREATED><ERRORS>0</ERRORS></RESPONSE>';
+    mockResponses.postTally = gstResponder(['Output IGST'], createResp);
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Meril', amount: 59000, gst_rate: 18, tax_inclusive: true, confirmed: true }, skillConfig);
+    assert(r.success && r.data.voucherData.gst.total === 59000, 'should post');
+    const xml = r._audit.requestXml;
+    assert(xml.includes('<LEDGERNAME>Output IGST</LEDGERNAME>') && xml.includes('<AMOUNT>9000</AMOUNT>') && xml.includes('<AMOUNT>50000</AMOUNT>'), 'inclusive amount split');
+  });
+
+  // Journal/Contra ledgers are searched like parties; notes fetch the original bill (InvoiceDetail)
+  const ledgersByTerm = { hdfc: ['HDFC Bank'], cash: ['Cash'], bank: ['HDFC Bank', 'SBI Bank'], meril: ['Meril'] };
+  const noteResponder = (bill, createResp) => async (url, xml) => {
+    const term = xml.match(/\$Name Contains "([^"]*)"/);
+    if (term) return '<ENVELOPE>' + (ledgersByTerm[term[1]] || []).map(n => `<LEDGER NAME="${n}"><NAME>${n}</NAME><PARENT>X</PARENT></LEDGER>`).join('') + '</ENVELOPE>';
+    if (xml.includes('<ID>InvoiceDetail</ID>')) return bill;
+    if (xml.includes('ACTION="Create"')) return createResp;
+    return '<ENVELOPE></ENVELOPE>';
+  };
+  const billXml = (party) => `<ENVELOPE><VOUCHER VCHTYPE="Sales"><DATE>20261001</DATE><VOUCHERTYPENAME>Sales</VOUCHERTYPENAME><VOUCHERNUMBER>INV-101</VOUCHERNUMBER><PARTYLEDGERNAME>${party}</PARTYLEDGERNAME><AMOUNT>-11800</AMOUNT></VOUCHER></ENVELOPE>`;
+
+  await test('create_voucher contra previews Dr/Cr lines with Tally ledger names', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = noteResponder('', '');
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'contra', from_ledger: 'hdfc', to_ledger: 'cash', amount: 20000 }, skillConfig);
+    assert(r.success && r.message.includes('Dr Cash: ₹20,000.00') && r.message.includes('Cr HDFC Bank: ₹20,000.00'), r.message);
+    assert(r._confirm.editable.join() === 'date,narration,type', 'date, narration and the type (Journal ↔ Contra) can change');
+  });
+
+  await test('create_voucher journal refuses unbalanced or ambiguous lines', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = noteResponder('', '');
+    const execute = loadExecuteWithMock(mock);
+    const off = await execute('tally', 'create_voucher', { voucher_type: 'Journal', entries: [{ ledger: 'rent', dr: 5000 }, { ledger: 'cash', cr: 4500 }] }, skillConfig);
+    assert(!off.success && off.message.includes('must be equal') && !calls.some(c => c.fn === 'postTally'), 'checked before asking Tally');
+    const vague = await execute('tally', 'create_voucher', { voucher_type: 'Journal', entries: [{ ledger: 'bank', dr: 5000 }, { ledger: 'suspense', cr: 5000 }] }, skillConfig);
+    assert(!vague.success && vague.message.includes('"bank" could be HDFC Bank, SBI Bank') && vague.message.includes('"suspense" is not a ledger'), vague.message);
+  });
+
+  await test('create_voucher journal refuses a party line outside the sender\'s parties', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    const groups = { cash: ['Cash', 'Cash-in-Hand'], meril: ['Meril', 'Sundry Debtors'] };
+    mockResponses.postTally = async (url, xml) => {
+      const term = xml.match(/\$Name Contains "([^"]*)"/);
+      const hit = term && groups[term[1]];
+      return '<ENVELOPE>' + (hit ? `<LEDGER NAME="${hit[0]}"><NAME>${hit[0]}</NAME><PARENT>${hit[1]}</PARENT></LEDGER>` : '') + '</ENVELOPE>';
+    };
+    const execute = loadExecuteWithMock(mock);
+    const entries = [{ ledger: 'cash', dr: 5000 }, { ledger: 'meril', cr: 5000 }];
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Journal', entries, _allowedParties: ['ABC Traders'] }, skillConfig);
+    assert(!r.success && r.message.includes("🔒 *Meril* isn't one of your assigned parties") && !r.message.includes('Cash'), r.message);
+    const own = await execute('tally', 'create_voucher', { voucher_type: 'Journal', entries, _allowedParties: ['Meril'] }, skillConfig);
+    assert(own.success && own._confirm, 'assigned party previews: ' + own.message);
+  });
+
+  await test('create_voucher credit note reverses the whole bill and posts Agst Ref', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = noteResponder(billXml('Meril'), '<RESPONSE><CREATED>1</CREATED><ERRORS>0</ERRORS></RESPONSE>');
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Credit Note', party_name: 'meril', against_voucher: '#INV-101', confirmed: true }, skillConfig);
+    assert(r.success && r.data.voucherData.amount === 11800, 'amount from the bill');
+    assert(r.message.includes('Against: Sales #INV-101 (01-10-2026, ₹11,800.00)'), r.message);
+    assert(r._audit.requestXml.includes('<BILLTYPE>Agst Ref</BILLTYPE>') && r._audit.requestXml.includes('<AMOUNT>11800</AMOUNT>'), 'bill-wise reference');
+  });
+
+  await test('create_voucher credit note checks the bill party and amount', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = noteResponder(billXml('Someone Else'), '');
+    const execute = loadExecuteWithMock(mock);
+    const other = await execute('tally', 'create_voucher', { voucher_type: 'Credit Note', party_name: 'meril', amount: 500, against_voucher: 'INV-101' }, skillConfig);
+    assert(!other.success && other.message.includes('is for Someone Else, not Meril'), other.message);
+    mockResponses.postTally = noteResponder(billXml('Meril'), '');
+    const over = await execute('tally', 'create_voucher', { voucher_type: 'Credit Note', party_name: 'meril', amount: 20000, against_voucher: 'INV-101' }, skillConfig);
+    assert(!over.success && over.message.includes('more than Sales bill #INV-101'), over.message);
+    mockResponses.postTally = noteResponder('<ENVELOPE></ENVELOPE>', '');
+    const missing = await execute('tally', 'create_voucher', { voucher_type: 'Credit Note', party_name: 'meril', amount: 500, against_voucher: 'INV-999' }, skillConfig);
+    assert(!missing.success && missing.message.includes('#INV-999 not found'), missing.message);
+  });
+
+  // Receipts: party lookup, then the party's pending bills (BillList)
+  const receiptResponder = (createResp) => async (url, xml) => {
+    if (xml.includes('<ID>BillList</ID>')) return `<ENVELOPE>
+      <BILL NAME="INV-2"><NAME>INV-2</NAME><CLOSINGBALANCE>-20000</CLOSINGBALANCE><BILLDATE>20260201</BILLDATE></BILL>
+      <BILL NAME="INV-1"><NAME>INV-1</NAME><CLOSINGBALANCE>-35000</CLOSINGBALANCE><BILLDATE>20260101</BILLDATE></BILL>
+    </ENVELOPE>`;
+    if (xml.includes('ACTION="Create"')) return createResp;
+    return '<ENVELOPE><LEDGER NAME="Meril"><NAME>Meril</NAME><PARENT>Sundry Debtors</PARENT></LEDGER></ENVELOPE>';
+  };
+
+  await test('create_voucher receipt proposes oldest-first bill allocation', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = receiptResponder('');
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Receipt', party_name: 'Meril', amount: 40000 }, skillConfig);
+    assert(r.success && r.message.includes('INV-1 (01-01-2026): ₹35,000.00 — settled') && r.message.includes('INV-2 (01-02-2026): ₹5,000.00 of ₹20,000.00'), r.message);
+    assert(r._confirm.editable.includes('bill'), 'allocation can be changed');
+  });
+
+  await test('create_voucher receipt against a named bill posts Agst Ref', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = receiptResponder('<RESPONSE><CREATED>1</CREATED><ERRORS>0</ERRORS></RESPONSE>');
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Receipt', party_name: 'Meril', amount: 20000, against_voucher: 'inv-2', confirmed: true }, skillConfig);
+    assert(r.success && r._audit.requestXml.includes('<NAME>INV-2</NAME>') && !r._audit.requestXml.includes('INV-1'), 'only the named bill');
+    const unknown = await execute('tally', 'create_voucher', { voucher_type: 'Receipt', party_name: 'Meril', amount: 100, against_voucher: 'INV-9' }, skillConfig);
+    assert(!unknown.success && unknown.message.includes('INV-9 is not pending'), unknown.message);
+  });
+
+  await test('create_voucher receipt on account skips the bill lookup', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = receiptResponder('');
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Receipt', party_name: 'Meril', amount: 100, against_voucher: 'on account' }, skillConfig);
+    assert(r.success && !r.message.includes('Bill-wise'), 'no allocation');
+    assert(!calls.some(c => c.fn === 'postTally' && c.xml.includes('<ID>BillList</ID>')), 'bills not fetched');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nAction Routing — Master Create:');
+  // ═══════════════════════════════════════════════
+
+  const createdResp = '<RESPONSE><CREATED>1</CREATED><ERRORS>0</ERRORS></RESPONSE>';
+
+  await test('create_voucher offers to create a party Tally does not have', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_voucher', { voucher_type: 'Purchase', party_name: 'new traders', amount: 5000 }, skillConfig);
+    assert(r.success && r.message.includes('Create new party *New Traders* under Sundry Creditors?'), r.message);
+    assert(r._confirm.action === 'create_ledger' && r._confirm.params.group === 'Sundry Creditors', 'offers create_ledger');
+    assert(r._confirm.params.resume_voucher.amount === 5000 && r._confirm.params.resume_voucher.voucher_type === 'Purchase', 'keeps the voucher to resume');
+  });
+
+  await test('create_ledger previews, refuses duplicates and bad GSTINs', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'create_ledger', { party_name: 'new traders', gstin: '27aapfu0939f1zv', credit_days: 30 }, skillConfig);
+    assert(r.success && r.message.includes('New Party — Preview') && r.message.includes('State: Maharashtra'), r.message);
+    assert(r._confirm.params.party_name === 'New Traders' && r._confirm.verb === 'create it', 'asks for confirmation');
+    assert(!calls.some(c => c.fn === 'postTally' && c.xml.includes('ACTION="Create"')), 'nothing created yet');
+    const bad = await execute('tally', 'create_ledger', { party_name: 'X', gstin: '27AAPFU0939F1ZA' }, skillConfig);
+    assert(!bad.success && bad.message.includes('check digit'), bad.message);
+    mockResponses.postTally = async () => '<ENVELOPE><LEDGER NAME="New Traders"><NAME>New Traders</NAME></LEDGER></ENVELOPE>';
+    const dup = await execute('tally', 'create_ledger', { party_name: 'New Traders', confirmed: true }, skillConfig);
+    assert(!dup.success && dup.message.includes('already exists'), dup.message);
+  });
+
+  await test('create_ledger creates the party and resumes the voucher preview', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = async (url, xml) => {
+      if (xml.includes('<ID>LedgerExists</ID>')) return '<ENVELOPE></ENVELOPE>';
+      if (xml.includes('ACTION="Create"')) return createdResp;
+      return '<ENVELOPE><LEDGER NAME="New Traders"><NAME>New Traders</NAME><PARENT>Sundry Debtors</PARENT></LEDGER></ENVELOPE>';
+    };
+    const execute = loadExecuteWithMock(mock);
+    const resume = { voucher_type: 'Sales', party_name: 'new traders', amount: 5000 };
+    const r = await execute('tally', 'create_ledger', { party_name: 'New Traders', group: 'Sundry Debtors', resume_voucher: resume, confirmed: true }, skillConfig);
+    assert(r.success && r.message.includes('Party Created') && r.message.includes('Sales Voucher — Preview'), r.message);
+    assert(r._audit.requestXml.includes('<LEDGER NAME="New Traders" ACTION="Create">'), 'ledger XML kept for the audit journal');
+    assert(r._confirm.action === 'create_voucher' && r._confirm.params.party_name === 'New Traders' && r._confirm.params.amount === 5000, 'voucher waits for its own yes');
+    assert(!calls.some(c => c.fn === 'postTally' && c.xml.includes('<VOUCHER')), 'voucher not posted yet');
+  });
+
+  await test('create_stock_item previews and creates with GST details', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = async (url, xml) => xml.includes('ACTION="Create"') ? createdResp : '<ENVELOPE></ENVELOPE>';
+    const execute = loadExecuteWithMock(mock);
+    const params = { item_name: 'Widget', hsn: '8471', gst_rate: 18, opening_qty: 10, opening_rate: 50 };
+    const preview = await execute('tally', 'create_stock_item', params, skillConfig);
+    assert(preview.success && preview.message.includes('New Stock Item — Preview') && preview._confirm.editable.includes('gst'), preview.message);
+    const r = await execute('tally', 'create_stock_item', Object.assign({}, params, { confirmed: true }), skillConfig);
+    assert(r.success && r.message.includes('Stock Item Created') && r._audit.requestXml.includes('<HSNCODE>8471</HSNCODE>'), r.message);
+    const bad = await execute('tally', 'create_stock_item', { item_name: 'Widget', gst_rate: 15 }, skillConfig);
+    assert(!bad.success && bad.message.includes('not a GST slab'), bad.message);
+    mockResponses.postTally = async () => '<ENVELOPE><STOCKITEM NAME="Widget"><NAME>Widget</NAME></STOCKITEM></ENVELOPE>';
+    const dup = await execute('tally', 'create_stock_item', params, skillConfig);
+    assert(!dup.success && dup.message.includes('already exists'), dup.message);
+  });
+
+  // Party search, then the PartyMaster fetch, then the alter
+  const partyResponder = (alterResp) => async (url, xml) => {
+    if (xml.includes('<ID>PartyMaster</ID>')) return '<ENVELOPE><LEDGER NAME="Meril"><PARENT>Sundry Debtors</PARENT><LEDGERMOBILE>9000000000</LEDGERMOBILE><BILLCREDITPERIOD>30 Days</BILLCREDITPERIOD></LEDGER></ENVELOPE>';
+    if (xml.includes('ACTION="Alter"')) return alterResp;
+    return '<ENVELOPE><LEDGER NAME="Meril"><NAME>Meril</NAME><PARENT>Sundry Debtors</PARENT></LEDGER></ENVELOPE>';
+  };
+
+  await test('update_party previews before/after and alters on yes', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = partyResponder('<RESPONSE><ALTERED>1</ALTERED><ERRORS>0</ERRORS></RESPONSE>');
+    const execute = loadExecuteWithMock(mock);
+    const preview = await execute('tally', 'update_party', { party_name: 'meril', phone: '98765 43210' }, skillConfig);
+    assert(preview.success && preview.message.includes('Phone: 9000000000 → *9876543210*'), preview.message);
+    assert(preview._confirm.params.party_name === 'Meril' && preview._confirm.verb === 'update it', 'asks for confirmation');
+    assert(!calls.some(c => c.fn === 'postTally' && c.xml.includes('ACTION="Alter"')), 'nothing altered yet');
+    const r = await execute('tally', 'update_party', { party_name: 'Meril', phone: '98765 43210', confirmed: true }, skillConfig);
+    assert(r.success && r.message.includes('Meril Updated') && r._audit.requestXml.includes('<LEDGERMOBILE>9876543210</LEDGERMOBILE>'), r.message);
+  });
+
+  await test('update_party reports bad values, no-op changes and Tally errors', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = partyResponder('<RESPONSE><ERRORS>1</ERRORS><LINEERROR>Ledger is locked</LINEERROR></RESPONSE>');
+    const execute = loadExecuteWithMock(mock);
+    const bad = await execute('tally', 'update_party', { party_name: 'Meril', credit_days: 500 }, skillConfig);
+    assert(!bad.success && bad.message.includes('Credit period'), bad.message);
+    const same = await execute('tally', 'update_party', { party_name: 'Meril', credit_days: 30 }, skillConfig);
+    assert(same.success && same.message.includes('nothing to change') && !same._confirm, same.message);
+    const failed = await execute('tally', 'update_party', { party_name: 'Meril', credit_days: 45, confirmed: true }, skillConfig);
+    assert(!failed.success && failed.message.includes('Ledger is locked'), failed.message);
+  });
+
+  const undoParams = { voucher_number: '101', voucher_type: 'Sales', party_name: 'Meril', amount: 5000, date: '20261019' };
+  const balanceXml = (amt) => `<ENVELOPE><LEDGER NAME="Meril"><PARENT>Sundry Debtors</PARENT><CLOSINGBALANCE>${amt}</CLOSINGBALANCE></LEDGER></ENVELOPE>`;
+
+  await test('undo_voucher previews with the current balance', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = async () => balanceXml(12000);
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'undo_voucher', undoParams, skillConfig);
+    assert(r.success && r.message.includes('Delete Sales Voucher #101?') && r.message.includes('₹12,000.00'), 'preview with balance');
+    assert(r._confirm && r._confirm.verb === 'delete it', 'should ask for confirmation');
+    assert(r._confirm.params.voucher_number === '101', 'yes undoes this voucher');
+    assert(!calls.some(c => c.fn === 'postTally' && c.xml.includes('ACTION="Delete"')), 'nothing deleted yet');
+  });
+
+  await test('undo_voucher deletes when confirmed and shows before/after', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    let callNum = 0;
+    const deleteResp = '<RESPONSE><DELETED>1</DELETED><ERRORS>0</ERRORS></RESPONSE>';
+    mockResponses.postTally = async () => { callNum++; return callNum === 1 ? balanceXml(12000) : callNum === 2 ? deleteResp : balanceXml(7000); };
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'undo_voucher', Object.assign({}, undoParams, { confirmed: true }), skillConfig);
+    assert(r.success && r.message.includes('Deleted'), 'should delete');
+    assert(r.message.includes('*Before:* posted — Meril balance ₹12,000.00') && r.message.includes('Meril balance ₹7,000.00'), 'before/after balance');
+    assert(r._audit.requestXml.includes('TAGVALUE="101"') && r._audit.responseXml === deleteResp, 'XML kept for the audit journal');
+  });
+
+  await test('undo_voucher reports Tally errors and needs a voucher to find', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = async (url, xml) => xml.includes('ACTION=') ? '<RESPONSE><ERRORS>1</ERRORS><LINEERROR>Voucher does not exist</LINEERROR></RESPONSE>' : balanceXml(12000);
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'undo_voucher', Object.assign({}, undoParams, { mode: 'cancel', confirmed: true }), skillConfig);
+    assert(!r.success && r.message.includes('Voucher does not exist'), 'should show Tally error');
+    assert(calls.some(c => c.fn === 'postTally' && c.xml.includes('ACTION="Cancel"')), 'cancel mode');
+    const missing = await execute('tally', 'undo_voucher', { voucher_type: 'Sales', date: '20261019' }, skillConfig);
+    assert(!missing.success && missing.message.includes('undo last voucher'), 'no number');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nAction Routing — Voucher Import:');
+  // ═══════════════════════════════════════════════
+
+  const importCsv = 'Date,Type,Party,Amount,Invoice No\n05/04/2025,Sales,meril,"1,000",INV-1\n06/04/2025,Sales,Meril,2000,INV-2\n'
+    + '07/04/2025,Sales,Nobody,500,INV-3\n08/04/2025,Sales,Meril,abc,INV-4\n';
+  const importFile = { data: Buffer.from(importCsv).toString('base64'), filename: 'april.csv', mimetype: 'text/csv' };
+  const importResponder = (createResp) => async (url, xml) => {
+    if (xml.includes('<ID>LedgerSearch</ID>')) return xml.includes('"meril"') || xml.includes('"Meril"') ? '<ENVELOPE><LEDGER NAME="Meril"><NAME>Meril</NAME></LEDGER></ENVELOPE>' : '<ENVELOPE></ENVELOPE>';
+    if (xml.includes('<ID>LedgerExists</ID>')) return '<ENVELOPE><LEDGER NAME="Sales Account"><NAME>Sales Account</NAME></LEDGER></ENVELOPE>';
+    return createResp;
+  };
+
+  await test('import_vouchers dry run: ready rows, unknown parties and errors', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = importResponder('');
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'import_vouchers', { _file: importFile, caption: '' }, skillConfig);
+    assert(r.success && r.message.includes('2 ready to post (₹3,000.00)') && r.message.includes('1 with unknown parties: Nobody') && r.message.includes('Row 5'), r.message);
+    assert(r._confirm.verb === 'post 2 vouchers' && r._confirm.params.file_name === 'april.csv' && r._confirm.params.rows.length === 4, 'rows wait for yes');
+    assert(r._confirm.params.rows[0].voucherData.party === 'Meril', 'party resolved to the Tally name');
+    assert(calls.filter(c => c.fn === 'postTally' && c.xml.includes('<ID>LedgerSearch</ID>')).length === 2, 'each distinct party looked up once');
+    assert(!calls.some(c => c.fn === 'postTally' && c.xml.includes('<VOUCHER ')), 'nothing posted yet');
+    const none = await execute('tally', 'import_vouchers', {}, skillConfig);
+    assert(!none.success && none.message.includes('Send the Excel'), none.message);
+  });
+
+  await test('import_vouchers posts in batches and returns a result sheet', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = importResponder('');
+    const execute = loadExecuteWithMock(mock);
+    const preview = await execute('tally', 'import_vouchers', { _file: importFile }, skillConfig);
+    let batch = 0;
+    mockResponses.postTally = async () => (++batch === 1 ? '<RESPONSE><CREATED>1</CREATED><ERRORS>0</ERRORS></RESPONSE>' : '<RESPONSE><CREATED>0</CREATED><ERRORS>1</ERRORS><LINEERROR>Voucher date is missing</LINEERROR></RESPONSE>');
+    const config = Object.assign({}, skillConfig, { import: { batchSize: 1 } });
+    const r = await execute('tally', 'import_vouchers', Object.assign({}, preview._confirm.params, { confirmed: true }), config);
+    assert(r.success && r.message.includes('1 posted to Tally') && r.message.includes('Voucher date is missing') && r.message.includes('2 skipped'), r.message);
+    assert(r.data.posted === 1 && r.data.failed === 1 && r._audit.batches.length === 2, JSON.stringify(r.data));
+    assert(r.attachment.filename === 'Import Result - april.xlsx' && Buffer.isBuffer(r.attachment.buffer), 'result workbook attached');
+  });
+
+  await test('import_vouchers skips rows for parties outside the sender\'s', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = importResponder('');
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'import_vouchers', { _file: importFile, _allowedParties: ['ABC Traders'] }, skillConfig);
+    assert(!r.success && r.message.includes("🔒 Meril isn't one of your assigned parties") && !r._confirm, r.message);
+    // Rows parked before the scope applied are checked again on "yes"
+    const preview = await execute('tally', 'import_vouchers', { _file: importFile }, skillConfig);
+    resetCalls();
+    const posted = await execute('tally', 'import_vouchers', Object.assign({}, preview._confirm.params, { confirmed: true, _allowedParties: ['ABC Traders'] }), skillConfig);
+    assert(!posted.success && !calls.some(c => c.fn === 'postTally'), 'nothing posted');
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nAction Routing — Bank Reconciliation:');
+  // ═══════════════════════════════════════════════
+
+  const statementCsv = 'Date,Narration,Chq./Ref.No.,Withdrawal Amt.,Deposit Amt.\n'
+    + '01/04/25,NEFT CR-MERIL-UTR991,UTR991,,"5,000.00"\n02/04/25,UPI-NEW CUSTOMER,,,750.00\n03/04/25,BANK CHARGES,,118.00,\n';
+  const statementFile = { data: Buffer.from(statementCsv).toString('base64'), filename: 'hdfc-apr.csv', mimetype: 'text/csv' };
+  const reconcileResponder = async (url, xml) => {
+    if (xml.includes('<CHILDOF>Bank Accounts</CHILDOF>')) return '<ENVELOPE><LEDGER NAME="HDFC Bank"><NAME>HDFC Bank</NAME></LEDGER><LEDGER NAME="SBI"><NAME>SBI</NAME></LEDGER></ENVELOPE>';
+    if (xml.includes('<CHILDOF>Sundry Debtors</CHILDOF>')) return '<ENVELOPE><LEDGER NAME="New Customer"><NAME>New Customer</NAME></LEDGER></ENVELOPE>';
+    if (xml.includes('<ID>BankLedgerVchList</ID>')) {
+      return '<ENVELOPE><VOUCHER><DATE>20250401</DATE><VOUCHERTYPENAME>Receipt</VOUCHERTYPENAME><VOUCHERNUMBER>5</VOUCHERNUMBER><MASTERID>77</MASTERID>'
+        + '<NARRATION>UTR991</NARRATION><PARTYLEDGERNAME>Meril</PARTYLEDGERNAME><ALLLEDGERENTRIES.LIST><LEDGERNAME>HDFC Bank</LEDGERNAME><AMOUNT>-5000</AMOUNT></ALLLEDGERENTRIES.LIST></VOUCHER></ENVELOPE>';
+    }
+    return '<ENVELOPE></ENVELOPE>';
+  };
+
+  await test('reconcile_bank dry run: matches, proposes vouchers and bank dates', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = reconcileResponder;
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'reconcile_bank', { _file: statementFile, caption: 'reconcile hdfc' }, skillConfig);
+    assert(r.success && r.message.includes('HDFC Bank') && r.message.includes('Matched: 1'), r.message);
+    assert(r.data.matched === 1 && r.data.bankOnly === 2 && r.data.tallyOnly === 0, JSON.stringify(r.data));
+    assert(r.attachment.filename === 'Bank Reconciliation - HDFC Bank.xlsx', 'reconciliation sheet attached');
+    const p = r._confirm.params;
+    assert(p.bank_ledger === 'HDFC Bank' && p.create.length === 1 && p.create[0].voucherData.party === 'New Customer', JSON.stringify(p.create));
+    assert(p.bank_dates.length === 1 && p.bank_dates[0].masterId === '77' && p.bank_dates[0].bankDate === '20250401', JSON.stringify(p.bank_dates));
+    assert(r._confirm.verb === 'create the vouchers and set the bank dates', r._confirm.verb);
+    assert(!calls.some(c => c.fn === 'postTally' && c.xml.includes('<IMPORTDATA>')), 'nothing written yet');
+    const ask = await execute('tally', 'reconcile_bank', { _file: statementFile, caption: 'reconcile' }, skillConfig);
+    assert(!ask.success && ask.message.includes('Which bank') && ask.message.includes('• SBI'), ask.message);
+    const none = await execute('tally', 'reconcile_bank', {}, skillConfig);
+    assert(!none.success && none.message.includes('Send the bank statement'), none.message);
+  });
+
+  await test('reconcile_bank is refused for party-restricted senders', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = reconcileResponder;
+    const execute = loadExecuteWithMock(mock);
+    const r = await execute('tally', 'reconcile_bank', { _file: statementFile, caption: 'reconcile hdfc', _allowedParties: ['Meril'] }, skillConfig);
+    assert(!r.success && r.message.includes('covers every party') && !calls.some(c => c.fn === 'postTally'), r.message);
+  });
+
+  await test('reconcile_bank confirmed: creates vouchers, then sets bank dates', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = reconcileResponder;
+    const execute = loadExecuteWithMock(mock);
+    const preview = await execute('tally', 'reconcile_bank', { _file: statementFile, caption: 'reconcile HDFC Bank' }, skillConfig);
+    resetCalls();
+    mockResponses.postTally = async (url, xml) => (xml.includes('ACTION="Alter"')
+      ? '<RESPONSE><ALTERED>1</ALTERED><ERRORS>0</ERRORS></RESPONSE>'
+      : '<RESPONSE><CREATED>1</CREATED><ERRORS>0</ERRORS></RESPONSE>');
+    const r = await execute('tally', 'reconcile_bank', Object.assign({}, preview._confirm.params, { confirmed: true }), skillConfig);
+    assert(r.success && r.message.includes('1 of 1 voucher created') && r.message.includes('Bank date set on 1 of 1 voucher'), r.message);
+    const posts = calls.filter(c => c.fn === 'postTally');
+    assert(posts.length === 2 && posts[0].xml.includes('<BANKERSDATE>2-Apr-2025</BANKERSDATE>') && posts[1].xml.includes('TAGVALUE="77"'), 'create first, then alter');
+    assert(r._audit.bankLedger === 'HDFC Bank' && r._audit.batches.length === 2 && r.data.dated === 1);
+  });
+
+  // ═══════════════════════════════════════════════
+  console.log('\nLocal Mirror:');
+  // ═══════════════════════════════════════════════
+
+  const mirrorDir = require('fs').mkdtempSync(path.join(require('os').tmpdir(), 'tally-mirror-'));
+  const mirrored = Object.assign({}, skillConfig, { mirror: { enabled: true, path: mirrorDir, chunkDays: 31 } });
+  // Tally with one sale of Mobibox's; mirror requests are answered, the live top report says so
+  const mirrorTally = async (url, xml) => {
+    if (xml.includes('<ID>MirrorCompany</ID>')) {
+      return '<ENVELOPE><COMPANY NAME="Mobibox Pvt Ltd"><ALTVCHID>20</ALTVCHID><ALTMSTID>10</ALTMSTID><LASTVOUCHERDATE>20260210</LASTVOUCHERDATE><BOOKSFROM>20260201</BOOKSFROM></COMPANY></ENVELOPE>';
+    }
+    if (xml.includes('<ID>MirrorVouchers</ID>')) {
+      return `<ENVELOPE><VOUCHER VCHTYPE="Sales"><DATE>20260205</DATE><VOUCHERTYPENAME>Sales</VOUCHERTYPENAME><VOUCHERNUMBER>S9</VOUCHERNUMBER>
+        <PARTYLEDGERNAME>Mirror Customer</PARTYLEDGERNAME><AMOUNT>-42000</AMOUNT><MASTERID>9</MASTERID><ALTERID>20</ALTERID><ISCANCELLED>No</ISCANCELLED></VOUCHER></ENVELOPE>`;
+    }
+    if (xml.includes('<ID>Mirror')) return '<ENVELOPE></ENVELOPE>';
+    return `<ENVELOPE><VOUCHER VCHTYPE="Sales"><DATE>20260205</DATE><VOUCHERTYPENAME>Sales</VOUCHERTYPENAME><VOUCHERNUMBER>S9</VOUCHERNUMBER>
+      <PARTYLEDGERNAME>Live Customer</PARTYLEDGERNAME><AMOUNT>-42000</AMOUNT></VOUCHER></ENVELOPE>`;
+  };
+
+  await test('top customers: live until the mirror is built, then from the mirror, labelled offline when Tally is down', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = mirrorTally;
+    const execute = loadExecuteWithMock(mock);
+    try {
+      const live = await execute('tally', 'get_top_customers', {}, mirrored);
+      assert(live.success && live.data.entries[0].name === 'Live Customer' && !live.data.mirror, live.message);
+      await realTdl.syncMirror('http://localhost:9000', 'Mobibox Pvt Ltd'); // the build the report started
+      resetCalls();
+      const fromMirror = await execute('tally', 'get_top_customers', {}, mirrored);
+      assert(fromMirror.data.entries[0].name === 'Mirror Customer' && fromMirror.data.mirror.stale === false, fromMirror.message);
+      const posts = calls.filter(c => c.fn === 'postTally');
+      assert(posts.length === 1 && posts[0].xml.includes('<ID>MirrorCompany</ID>'), 'only the counters are asked for');
+
+      mockResponses.checkTallyStatus = async () => ({ responding: false, companies: [] });
+      mockResponses.postTally = async () => { const e = new Error('connect ECONNREFUSED'); e.code = 'ECONNREFUSED'; throw e; };
+      const offline = await execute('tally', 'get_top_customers', {}, mirrored);
+      assert(offline.success && offline.message.startsWith('📦 _Offline copy') && offline.message.includes('Tally is not reachable'), offline.message);
+      assert(offline.data.mirror.stale && offline.data.entries[0].name === 'Mirror Customer', 'stale copy');
+    } finally {
+      realTdl.forgetMirrors();
+    }
+  });
+
+  await test('sync_mirror syncs every open company; off when the mirror is disabled', async () => {
+    const mock = mockTdl();
+    resetCalls(); resetMockResponses();
+    mockResponses.postTally = mirrorTally;
+    mockResponses.checkTallyStatus = async () => ({ responding: true, companies: [{ name: 'Mobibox Pvt Ltd' }], activeCompany: 'Mobibox Pvt Ltd' });
+    const execute = loadExecuteWithMock(mock);
+    try {
+      const r = await execute('tally', 'sync_mirror', {}, mirrored);
+      assert(r.success && r.message.includes('Mobibox Pvt Ltd — ✅ 1 vouchers') && r.data.companies[0].status === 'synced', r.message);
+      const off = await execute('tally', 'sync_mirror', {}, skillConfig);
+      assert(!off.success && off.message.includes('turned off'), off.message);
+    } finally {
+      realTdl.forgetMirrors();
+      require('fs').rmSync(mirrorDir, { recursive: true, force: true });
+    }
+  });
+
   // ── Summary ──
   console.log(`\n${pass} passed, ${fail} failed out of ${pass + fail} tests`);
   process.exit(fail > 0 ? 1 : 0);
@@ -44,8 +44,6 @@ function mockTdl() {
   mock.startTally = async () => true;
   mock.getFullStatus = async () => ({ success: true, message: '✅ Running', data: {} });
   mock.openCompany = async (q) => ({ success: true, message: `✅ Opened ${q}` });
-  // htmlToPdfBuffer — mock to avoid needing puppeteer
-  mock.htmlToPdfBuffer = async (html) => Buffer.from('fake-pdf-content');
   return mock;
 }
 
@@ -536,6 +534,7 @@ async function runTests() {
     assert(r.attachment, 'should have attachment');
     assert(r.attachment.filename.includes('INV-501'), 'filename should include invoice number');
     assert(Buffer.isBuffer(r.attachment.buffer), 'should have buffer');
+    assert(r.attachment.buffer.slice(0, 5).toString() === '%PDF-', 'built-in renderer, no browser');
     assert(r.data.invoice.party === 'Rajesh Traders', 'should have correct party');
     assert(r.data.company.name === 'TestCo Pvt Ltd' || r.data.company.name === 'TestCo Private Limited', 'should have company name');
   });
@@ -549,6 +548,80 @@ async function runTests() {
     assert(r.message.includes('not found'), 'should say not found');
   });
 
+  await test('refuses an invoice of a party outside the sender\'s assigned ones', async () => {
+    const mock = mockTdl(); reset();
+    let n = 0;
+    mockResponses.postTally = async () => { n++; if (n === 1) return INVOICE_DETAIL; if (n === 2) return COMPANY_INFO; return PARTY_DETAIL; };
+    const exec = loadExecuteWithMock(mock);
+    const r = await exec('tally', 'get_invoice_pdf', { invoice_number: 'INV-501', _allowedParties: ['Meril Life Sciences'] }, cfg);
+    assert(!r.success && !r.attachment, 'should not render');
+    assert(r.message.includes("*Rajesh Traders* isn't one of your assigned parties"), r.message);
+    assert(n === 1, 'stops after reading the invoice');
+    n = 0;
+    const own = await exec('tally', 'get_invoice_pdf', { invoice_number: 'INV-501', _allowedParties: ['Rajesh Traders Pvt. Ltd.'] }, cfg);
+    assert(own.success && own.attachment, 'own party renders: ' + own.message);
+  });
+
+  await test('renders the named template and rejects unknown ones', async () => {
+    const mock = mockTdl(); reset();
+    let n = 0;
+    mockResponses.postTally = async () => { n++; if (n === 1) return INVOICE_DETAIL; if (n === 2) return COMPANY_INFO; return PARTY_DETAIL; };
+    const exec = loadExecuteWithMock(mock);
+    const r = await exec('tally', 'get_invoice_pdf', { invoice_number: 'INV-501', template: 'plain' }, cfg);
+    assert(r.success, 'should succeed: ' + r.message);
+    assert(r.data.template === 'plain', `expected plain, got ${r.data.template}`);
+    assert(!r.message.includes('UPI QR'), 'plain template has no QR');
+
+    n = 0;
+    const bad = await exec('tally', 'get_invoice_pdf', { invoice_number: 'INV-501', template: 'fancy' }, cfg);
+    assert(!bad.success, 'should fail');
+    assert(bad.message.includes('Unknown invoice template "fancy"'), bad.message);
+    assert(n === 0, 'should not query Tally for an unknown template');
+  });
+
+  // Invoice to the party's WhatsApp: contacts come from the Sundry Debtors collection
+  const invoiceToParty = (contactsXml, partyXml) => async (url, xml) => {
+    if (xml.includes('<ID>PartyContacts</ID>')) return contactsXml;
+    if (xml.includes('ACTION="Alter"')) { mockResponses.altered = xml; return '<RESPONSE><CREATED>0</CREATED><ALTERED>1</ALTERED><ERRORS>0</ERRORS></RESPONSE>'; }
+    if (xml.includes('VOUCHERNUMBER') || xml.includes('INV-501')) return INVOICE_DETAIL;
+    if (xml.includes('Company')) return COMPANY_INFO;
+    return partyXml;
+  };
+
+  await test('send to party: previews the number, sends on yes', async () => {
+    const mock = mockTdl(); reset();
+    mockResponses.postTally = invoiceToParty('<ENVELOPE><LEDGER NAME="Rajesh Traders"><LEDGERMOBILE>98250 11111</LEDGERMOBILE></LEDGER></ENVELOPE>', PARTY_DETAIL);
+    const exec = loadExecuteWithMock(mock);
+    const preview = await exec('tally', 'get_invoice_pdf', { invoice_number: 'INV-501', send_to: 'party' }, cfg);
+    assert(preview.success && preview._confirm && preview._confirm.verb === 'send it', 'should ask before sending: ' + preview.message);
+    assert(preview.message.includes('98250 11111') && preview.message.includes('Dear Rajesh Traders'), preview.message);
+    assert(preview.attachment && !preview._sendDocument, 'PDF shown to the requester only');
+    const sent = await exec('tally', 'get_invoice_pdf', Object.assign({}, preview._confirm.params, { confirmed: true }), cfg);
+    assert(sent.success && sent._sendDocument && !sent.attachment, 'should hand the PDF to the orchestrator');
+    assert(sent._sendDocument.phone === '98250 11111' && sent._sendDocument.filename === 'INV-501.pdf', JSON.stringify(sent._sendDocument.phone));
+    assert(sent._sendDocument.caption.startsWith('Dear Rajesh Traders,') && sent._sendDocument.buffer.slice(0, 5).toString() === '%PDF-', 'templated message with the PDF');
+    assert(!mockResponses.altered, 'number on file is not re-saved');
+  });
+
+  await test('send to party: refuses without a number and saves one given with edit phone', async () => {
+    const mock = mockTdl(); reset();
+    const noPhone = PARTY_DETAIL.replace(/<LEDGERPHONE[^]*?<\/LEDGERPHONE>/, '');
+    mockResponses.postTally = invoiceToParty('<ENVELOPE><LEDGER NAME="Rajesh Traders"><EMAIL>a@b.in</EMAIL></LEDGER></ENVELOPE>', noPhone);
+    const exec = loadExecuteWithMock(mock);
+    const refused = await exec('tally', 'get_invoice_pdf', { invoice_number: 'INV-501', send_to: 'party' }, cfg);
+    assert(refused.message.includes('has no WhatsApp number') && refused.message.includes('edit phone'), refused.message);
+    assert(!refused.attachment && !refused._sendDocument && refused._confirm.editable[0] === 'phone', 'offers to capture a number');
+    const yesAnyway = await exec('tally', 'get_invoice_pdf', Object.assign({}, refused._confirm.params, { confirmed: true }), cfg);
+    assert(!yesAnyway.success && !yesAnyway._sendDocument, 'still nothing to send to');
+    const bad = await exec('tally', 'get_invoice_pdf', Object.assign({}, refused._confirm.params, { phone: '12345' }), cfg);
+    assert(!bad.success && bad.message.includes('10-digit'), bad.message);
+    const withPhone = await exec('tally', 'get_invoice_pdf', Object.assign({}, refused._confirm.params, { phone: '+91 98250 22222' }), cfg);
+    assert(withPhone.message.includes('will be saved to the ledger') && withPhone._confirm.params.phone === '9825022222', withPhone.message);
+    const sent = await exec('tally', 'get_invoice_pdf', Object.assign({}, withPhone._confirm.params, { confirmed: true }), cfg);
+    assert(mockResponses.altered && mockResponses.altered.includes('<LEDGERMOBILE>9825022222</LEDGERMOBILE>'), 'number saved to the ledger first');
+    assert(sent._sendDocument.phone === '9825022222' && sent._audit.requestXml, 'sent to the new number');
+  });
+
   // ── get_trial_balance ──
   console.log('\n=== get_trial_balance ===');
 
@@ -762,12 +835,19 @@ async function runTests() {
   // ── create_voucher ──
   console.log('\n=== create_voucher ===');
 
-  await test('creates voucher successfully', async () => {
+  await test('previews the voucher, then creates it once confirmed', async () => {
     const mock = mockTdl(); reset();
     let n = 0;
     mockResponses.postTally = async () => { n++; return n === 1 ? SEARCH_SINGLE : CREATE_SUCCESS; };
     const exec = loadExecuteWithMock(mock);
-    const r = await exec('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Rajesh Traders', amount: 50000, narration: 'Test sale' }, cfg);
+    const params = { voucher_type: 'Sales', party_name: 'Rajesh Traders', amount: 50000, narration: 'Test sale' };
+    const preview = await exec('tally', 'create_voucher', params, cfg);
+    assert(preview.success && preview.message.includes('Sales Voucher — Preview'), 'should show a preview');
+    assert(preview._confirm && preview._confirm.params.party_name === 'Rajesh Traders', 'should ask for confirmation');
+    assert(n === 1, `should only look up the party, got ${n} calls`);
+    n = 0;
+    // The orchestrator lays _confirm.params over the original ones when the user says yes
+    const r = await exec('tally', 'create_voucher', Object.assign({}, params, preview._confirm.params, { confirmed: true }), cfg);
     assert(r.success, 'should succeed');
     assert(r.message.includes('Voucher Created') || r.message.includes('✅'), 'should confirm creation');
     assert(r.data.voucherData.party === 'Rajesh Traders', 'should have correct party');
@@ -778,7 +858,7 @@ async function runTests() {
     let n = 0;
     mockResponses.postTally = async () => { n++; return n === 1 ? SEARCH_SINGLE : CREATE_FAILURE; };
     const exec = loadExecuteWithMock(mock);
-    const r = await exec('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Rajesh Traders', amount: 50000 }, cfg);
+    const r = await exec('tally', 'create_voucher', { voucher_type: 'Sales', party_name: 'Rajesh Traders', amount: 50000, confirmed: true }, cfg);
     assert(!r.success, 'should fail');
     assert(r.message.includes('Sales Account'), 'should include Tally error message');
   });
@@ -0,0 +1,89 @@
+/**
+ * Pluggable persistence for bot state that must survive restarts
+ * (alerts, credit limits, scheduled reports).
+ *
+ * config.storage: { type: 'json' | 'memory', path?: 'data/store.json' }
+ * Any object implementing the MemoryStore interface can be passed to the orchestrator as options.store instead.
+ */
+const path = require('path');
+const { MemoryStore } = require('./memory-store');
+const { JsonStore } = require('./json-store');
+
+const DEFAULT_STORE_PATH = path.join('data', 'store.json');
+
+/**
+ * Resolve the store file path. Multi-tenant runs get one file per tenant (store-<tenantId>.json).
+ * @param {object} config - Result of loadConfig()
+ * @param {string} [tenantId]
+ * @returns {string}
+ */
+function resolveStorePath(config, tenantId) {
+  const storageConfig = (config && config.storage) || {};
+  let filePath = path.resolve(process.cwd(), storageConfig.path || DEFAULT_STORE_PATH);
+  if (tenantId) {
+    const ext = path.extname(filePath);
+    filePath = filePath.slice(0, filePath.length - ext.length) + '-' + tenantId + ext;
+  }
+  return filePath;
+}
+
+/**
+ * Create (and load) the configured store backend.
+ * @param {object} config - Result of loadConfig()
+ * @param {string} [tenantId]
+ * @returns {MemoryStore}
+ */
+function createStore(config, tenantId) {
+  const type = (config && config.storage && config.storage.type) || 'json';
+  let store;
+  if (type === 'memory') {
+    store = new MemoryStore();
+  } else if (type === 'json') {
+    store = new JsonStore(resolveStorePath(config, tenantId));
+  } else {
+    throw new Error('Unknown storage type: ' + type + '. Use json or memory.');
+  }
+  store.load();
+  return store;
+}
+
+/**
+ * Export several stores (one per tenant, or just "default") as one backup file for the admin UI.
+ * @param {Object<string, MemoryStore>} stores
+ * @returns {{ version: number, exportedAt: string, stores: object }}
+ */
+function exportBundle(stores) {
+  const out = { version: 1, exportedAt: new Date().toISOString(), stores: {} };
+  for (const [name, store] of Object.entries(stores)) {
+    out.stores[name] = store.exportData();
+  }
+  return out;
+}
+
+/**
+ * Import a backup made by exportBundle(). Only stores present in both the file and `stores` are touched.
+ * @param {Object<string, MemoryStore>} stores
+ * @param {object} bundle
+ * @returns {string[]} Names of the stores that were imported
+ * @throws {Error} if the bundle is invalid or matches no store
+ */
+function importBundle(stores, bundle) {
+  if (!bundle || typeof bundle.stores !== 'object' || bundle.stores === null) {
+    throw new Error('Import failed: invalid format — missing or invalid "stores" field');
+  }
+  const names = Object.keys(bundle.stores).filter((name) => stores[name]);
+  if (names.length === 0) {
+    throw new Error('Import failed: no matching stores (file has: ' + (Object.keys(bundle.stores).join(', ') || 'none') + ')');
+  }
+  // Validate everything first so a bad section doesn't leave a half-imported state
+  for (const name of names) {
+    const data = bundle.stores[name];
+    if (!data || typeof data.collections !== 'object' || data.collections === null || Array.isArray(data.collections)) {
+      throw new Error(`Import failed: store "${name}" has no valid "collections" field`);
+    }
+  }
+  for (const name of names) stores[name].importData(bundle.stores[name]);
+  return names;
+}
+
+module.exports = { createStore, resolveStorePath, exportBundle, importBundle, MemoryStore, JsonStore };
@@ -0,0 +1,88 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('./memory-store');
+
+/**
+ * Data store persisted to a single JSON file.
+ * Writes are debounced the same way PatternStore does it (at most once per 5 seconds; flush() on shutdown).
+ */
+class JsonStore extends MemoryStore {
+  /**
+   * @param {string} filePath - Path to the JSON persistence file
+   */
+  constructor(filePath) {
+    super();
+    this._filePath = filePath;
+    this._persistTimer = null;
+  }
+
+  /**
+   * Load collections from disk. Handles missing/corrupted files gracefully.
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this._filePath)) {
+        this._collections = {};
+        return;
+      }
+      const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+      if (data && typeof data.collections === 'object' && data.collections !== null) {
+        this._collections = data.collections;
+        this._version = data.version || 1;
+      } else {
+        this._collections = {};
+      }
+    } catch (err) {
+      // Corrupted or unreadable file — log warning, start fresh
+      console.warn(`[JsonStore] Failed to load ${this._filePath}: ${err.message}. Starting with empty store.`);
+      this._collections = {};
+    }
+  }
+
+  /**
+   * Schedule a debounced persist. Writes at most once per 5 seconds.
+   * @private
+   */
+  _schedulePersist() {
+    if (this._persistTimer) return; // already scheduled
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this._writeToDisk();
+    }, 5000);
+  }
+
+  /**
+   * Force an immediate persist (useful for testing and shutdown).
+   */
+  flush() {
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
+    this._writeToDisk();
+  }
+
+  /**
+   * Write current state to disk.
+   * @private
+   */
+  _writeToDisk() {
+    try {
+      const dir = path.dirname(this._filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      const data = JSON.stringify({
+        version: this._version,
+        collections: this._collections
+      }, null, 2);
+      fs.writeFileSync(this._filePath, data, 'utf-8');
+    } catch (err) {
+      console.error(`[JsonStore] Failed to persist to ${this._filePath}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * In-memory data store — the base persistence interface for bot state
+ * (alerts, credit limits, scheduled reports, ...).
+ *
+ * Data is grouped in named collections; each collection is one JSON-serializable value.
+ * Backends (e.g. JsonStore) extend this class and override _schedulePersist/_writeToDisk.
+ *
+ * Interface:
+ *   load()                     — read persisted state (no-op here)
+ *   get(collection, fallback)  — current value, or fallback when missing
+ *   set(collection, value)     — replace a collection and schedule a persist
+ *   exportData()               — snapshot of all collections
+ *   importData(data)           — replace the collections present in data; notifies onImport listeners
+ *   onImport(fn)               — subscribe to imports (so managers can reload their caches)
+ *   flush()                    — force pending writes out
+ */
+class MemoryStore {
+  constructor() {
+    this._collections = {};   // { [name]: value }
+    this._version = 1;
+    this._importListeners = [];
+  }
+
+  load() {}
+
+  /**
+   * @param {string} collection
+   * @param {*} [fallback]
+   * @returns {*}
+   */
+  get(collection, fallback) {
+    return Object.prototype.hasOwnProperty.call(this._collections, collection)
+      ? this._collections[collection]
+      : fallback;
+  }
+
+  /**
+   * @param {string} collection
+   * @param {*} value - Must be JSON-serializable
+   */
+  set(collection, value) {
+    this._collections[collection] = value;
+    this._schedulePersist();
+  }
+
+  /**
+   * @returns {{ version: number, collections: object }}
+   */
+  exportData() {
+    return {
+      version: this._version,
+      collections: JSON.parse(JSON.stringify(this._collections)),
+    };
+  }
+
+  /**
+   * Replace every collection present in the imported data. Collections not in the import are kept.
+   * @param {{ collections: object }} data - Result of exportData()
+   * @throws {Error} if data is not in export format
+   */
+  importData(data) {
+    if (!data || typeof data.collections !== 'object' || data.collections === null || Array.isArray(data.collections)) {
+      throw new Error('Import failed: invalid format — missing or invalid "collections" field');
+    }
+    for (const [name, value] of Object.entries(data.collections)) {
+      this._collections[name] = value;
+    }
+    this._schedulePersist();
+    for (const fn of this._importListeners) {
+      try { fn(); } catch (err) { console.warn(`[Store] Import listener failed: ${err.message}`); }
+    }
+  }
+
+  /**
+   * @param {function} fn - Called after every successful importData()
+   */
+  onImport(fn) {
+    this._importListeners.push(fn);
+  }
+
+  flush() {}
+
+  /** @private */
+  _schedulePersist() {}
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,177 @@
+/**
+ * Tests for src/storage (MemoryStore, JsonStore, backup bundles).
+ *
+ * Run: node src/storage/tests/test-store.js
+ */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, resolveStorePath, exportBundle, importBundle, MemoryStore, JsonStore } = require('..');
+
+let pass = 0, fail = 0;
+function test(name, fn) {
+  try {
+    fn();
+    pass++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    fail++;
+    console.log(`  ✗ ${name}: ${e.message}`);
+  }
+}
+
+const tmpFiles = [];
+function tmpFile() {
+  const f = path.join(os.tmpdir(), `_tmp_store_${tmpFiles.length}_${Date.now()}.json`);
+  tmpFiles.push(f);
+  return f;
+}
+
+console.log('\nMemoryStore:');
+
+test('get returns fallback for missing collection', () => {
+  const store = new MemoryStore();
+  assert.deepStrictEqual(store.get('alerts', { items: [] }), { items: [] });
+  assert.strictEqual(store.get('alerts'), undefined);
+});
+
+test('set then get returns the value', () => {
+  const store = new MemoryStore();
+  store.set('creditLimits', { meril: { party: 'Meril', limit: 500000 } });
+  assert.strictEqual(store.get('creditLimits').meril.limit, 500000);
+});
+
+test('exportData is a deep copy', () => {
+  const store = new MemoryStore();
+  store.set('x', { n: 1 });
+  const snap = store.exportData();
+  snap.collections.x.n = 2;
+  assert.strictEqual(store.get('x').n, 1);
+});
+
+test('importData replaces listed collections and keeps the rest', () => {
+  const store = new MemoryStore();
+  store.set('a', 1);
+  store.set('b', 2);
+  store.importData({ version: 1, collections: { b: 20, c: 30 } });
+  assert.strictEqual(store.get('a'), 1);
+  assert.strictEqual(store.get('b'), 20);
+  assert.strictEqual(store.get('c'), 30);
+});
+
+test('importData notifies onImport listeners', () => {
+  const store = new MemoryStore();
+  let calls = 0;
+  store.onImport(() => calls++);
+  store.importData({ collections: {} });
+  assert.strictEqual(calls, 1);
+});
+
+test('importData rejects invalid format', () => {
+  const store = new MemoryStore();
+  assert.throws(() => store.importData({ alerts: [] }), /invalid format/);
+  assert.throws(() => store.importData(null), /invalid format/);
+});
+
+console.log('\nJsonStore:');
+
+test('flush + load round-trips collections', () => {
+  const file = tmpFile();
+  const store = new JsonStore(file);
+  store.load();
+  store.set('alerts', { nextId: 3, items: [{ id: 2, type: 'cash_below', threshold: 50000 }] });
+  store.flush();
+  const reloaded = new JsonStore(file);
+  reloaded.load();
+  assert.strictEqual(reloaded.get('alerts').nextId, 3);
+  assert.strictEqual(reloaded.get('alerts').items[0].threshold, 50000);
+});
+
+test('missing file loads empty', () => {
+  const store = new JsonStore(path.join(os.tmpdir(), '_tmp_store_missing_' + Date.now() + '.json'));
+  store.load();
+  assert.deepStrictEqual(store.exportData().collections, {});
+});
+
+test('corrupted file loads empty', () => {
+  const file = tmpFile();
+  fs.writeFileSync(file, '{oops', 'utf-8');
+  const store = new JsonStore(file);
+  const origWarn = console.warn;
+  console.warn = () => {};
+  try { store.load(); } finally { console.warn = origWarn; }
+  assert.deepStrictEqual(store.exportData().collections, {});
+});
+
+test('set debounces the write until flush', () => {
+  const file = tmpFile();
+  const store = new JsonStore(file);
+  store.set('a', 1);
+  assert.ok(!fs.existsSync(file), 'should not write immediately');
+  assert.ok(store._persistTimer, 'should schedule a write');
+  store.flush();
+  assert.ok(fs.existsSync(file), 'flush should write');
+  assert.strictEqual(store._persistTimer, null);
+});
+
+console.log('\ncreateStore / resolveStorePath:');
+
+test('defaults to a JsonStore at data/store.json', () => {
+  assert.strictEqual(resolveStorePath({}), path.resolve(process.cwd(), 'data', 'store.json'));
+  assert.ok(createStore({ storage: { type: 'json', path: tmpFile() } }) instanceof JsonStore);
+});
+
+test('tenant stores get their own file', () => {
+  assert.strictEqual(resolveStorePath({ storage: { path: 'data/x.json' } }, 'emp1'), path.resolve(process.cwd(), 'data', 'x-emp1.json'));
+});
+
+test('memory type gives a MemoryStore', () => {
+  const store = createStore({ storage: { type: 'memory' } });
+  assert.ok(store instanceof MemoryStore && !(store instanceof JsonStore));
+});
+
+test('unknown type throws', () => {
+  assert.throws(() => createStore({ storage: { type: 'mongo' } }), /Unknown storage type/);
+});
+
+console.log('\nBackup bundles:');
+
+test('exportBundle + importBundle round-trip per tenant', () => {
+  const a = new MemoryStore();
+  const b = new MemoryStore();
+  a.set('creditLimits', { x: { party: 'X', limit: 1 } });
+  b.set('creditLimits', { y: { party: 'Y', limit: 2 } });
+  const bundle = JSON.parse(JSON.stringify(exportBundle({ emp1: a, emp2: b })));
+
+  const a2 = new MemoryStore();
+  const b2 = new MemoryStore();
+  const names = importBundle({ emp1: a2, emp2: b2 }, bundle);
+  assert.deepStrictEqual(names.sort(), ['emp1', 'emp2']);
+  assert.strictEqual(a2.get('creditLimits').x.limit, 1);
+  assert.strictEqual(b2.get('creditLimits').y.limit, 2);
+});
+
+test('importBundle skips unknown stores and fails when nothing matches', () => {
+  const a = new MemoryStore();
+  const names = importBundle({ default: a }, { stores: { default: { collections: { z: 1 } }, other: { collections: {} } } });
+  assert.deepStrictEqual(names, ['default']);
+  assert.throws(() => importBundle({ default: a }, { stores: { other: { collections: {} } } }), /no matching stores/);
+});
+
+test('importBundle validates all sections before importing any', () => {
+  const a = new MemoryStore();
+  const b = new MemoryStore();
+  a.set('keep', 1);
+  assert.throws(() => importBundle({ a, b }, { stores: { a: { collections: { keep: 2 } }, b: { collections: null } } }), /store "b"/);
+  assert.strictEqual(a.get('keep'), 1, 'store a should be untouched');
+});
+
+for (const f of tmpFiles) {
+  try { fs.unlinkSync(f); } catch (e) { /* ignore */ }
+}
+
+console.log(`\nStorage tests: ${pass} passed, ${fail} failed`);
+process.exit(fail > 0 ? 1 : 0);
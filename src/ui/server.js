@@ -15,6 +15,30 @@ function setResetHandler(handler) {
   onResetSession = handler;
 }
 
+// Data export/import callbacks (alerts, credit limits, schedules) — set by cli.js
+let dataHandlers = null;
+function setDataHandlers(handlers) {
+  dataHandlers = handlers; // { exportData: () => object, importData: (data) => void }
+}
+
+// Audit journal search — set by cli.js
+let auditHandlers = null;
+function setAuditHandlers(handlers) {
+  auditHandlers = handlers; // { search: (query) => object[], toCsv: (entries) => string }
+}
+
+// Invoice template list and sample-invoice preview — set by cli.js
+let invoiceTemplateHandlers = null;
+function setInvoiceTemplateHandlers(handlers) {
+  invoiceTemplateHandlers = handlers; // { list: () => { templates, path }, preview: (id) => Promise<Buffer> }
+}
+
+// Tally response cache hit/miss counters — set by cli.js
+let cacheHandlers = null;
+function setCacheHandlers(handlers) {
+  cacheHandlers = handlers; // { stats: () => object, clear: () => void }
+}
+
 function getResolvedConfigPath() {
   return path.isAbsolute(CONFIG_PATH) ? CONFIG_PATH : path.join(process.cwd(), CONFIG_PATH);
 }
@@ -543,6 +567,58 @@ function getAdminHtml() {
       <div id="skills-list"></div>
     </div>
 
+    <div class="card" style="margin-top:24px;">
+      <h2>💾 Bot Data</h2>
+      <p style="color:#94a3b8;font-size:0.85rem;margin-bottom:16px;">Back up or restore alerts, credit limits and scheduled reports. Importing replaces the saved data for every section in the file.</p>
+      <button type="button" id="export-data" class="btn btn-secondary">⬇️ Export Data</button>
+      <label class="btn btn-secondary" style="margin-left:8px;">⬆️ Import Data<input type="file" id="import-data" accept="application/json,.json" style="display:none;"></label>
+    </div>
+
+    <div class="card" style="margin-top:24px;">
+      <h2>🧾 Invoice Templates</h2>
+      <p style="color:#94a3b8;font-size:0.85rem;margin-bottom:16px;">Logo, bank details, terms, signature and UPI ID are set in <code id="invoice-templates-path">config/invoice-templates.json</code>. Preview draws a sample invoice with the template; without a UPI ID the QR uses a placeholder.</p>
+      <div style="display:flex;gap:8px;flex-wrap:wrap;">
+        <div class="form-group" style="flex:1;min-width:200px;margin-bottom:0;"><select id="invoice-template"></select></div>
+        <button type="button" id="invoice-template-preview" class="btn btn-secondary">👁️ Preview</button>
+      </div>
+      <iframe id="invoice-template-frame" title="Invoice preview" style="display:none;width:100%;height:640px;margin-top:12px;border:0;border-radius:8px;background:#fff;"></iframe>
+    </div>
+
+    <div class="card" style="margin-top:24px;">
+      <h2>⚡ Tally Cache</h2>
+      <p style="color:#94a3b8;font-size:0.85rem;margin-bottom:16px;">Repeated reports are answered from memory instead of asking Tally again. Creating a voucher or master clears that company's entries; "refresh" in chat reads fresh data. Times to keep answers are set in the Tally skill's <code>cache</code> config.</p>
+      <div class="table-container">
+        <table>
+          <thead><tr><th>Kind</th><th>Kept for</th><th>Entries</th><th>Hits</th><th>Misses</th></tr></thead>
+          <tbody id="cache-list"></tbody>
+        </table>
+      </div>
+      <div style="display:flex;gap:8px;flex-wrap:wrap;align-items:center;margin-top:12px;">
+        <span id="cache-summary" style="flex:1;color:#94a3b8;font-size:0.85rem;"></span>
+        <button type="button" id="cache-reload" class="btn btn-secondary">🔄 Reload</button>
+        <button type="button" id="cache-clear" class="btn btn-secondary">🗑️ Clear Cache</button>
+      </div>
+    </div>
+
+    <div class="card" style="margin-top:24px;">
+      <h2>📜 Audit Log</h2>
+      <p style="color:#94a3b8;font-size:0.85rem;margin-bottom:16px;">Every command the bot handled: who asked, what ran, and the XML sent to Tally for writes. Click a row for details.</p>
+      <div style="display:flex;gap:8px;flex-wrap:wrap;margin-bottom:12px;">
+        <div class="form-group" style="flex:2;min-width:200px;margin-bottom:0;"><input type="text" id="audit-q" placeholder="Search text, party, voucher no, number…"></div>
+        <div class="form-group" style="flex:1;min-width:140px;margin-bottom:0;"><input type="text" id="audit-from" placeholder="From (YYYY-MM-DD)"></div>
+        <div class="form-group" style="flex:1;min-width:140px;margin-bottom:0;"><input type="text" id="audit-to" placeholder="To (YYYY-MM-DD)"></div>
+        <button type="button" id="audit-search" class="btn btn-secondary">🔍 Search</button>
+        <button type="button" id="audit-export" class="btn btn-secondary">⬇️ Export CSV</button>
+      </div>
+      <div class="table-container">
+        <table>
+          <thead><tr><th>Time</th><th>Sender</th><th>Message</th><th>Action</th><th>Tier</th><th>OK</th></tr></thead>
+          <tbody id="audit-list"></tbody>
+        </table>
+      </div>
+      <pre id="audit-detail" style="display:none;margin-top:12px;padding:12px;background:rgba(15,23,42,0.8);border-radius:8px;font-size:0.8rem;white-space:pre-wrap;word-break:break-all;max-height:320px;overflow:auto;"></pre>
+    </div>
+
     <div style="text-align:center;margin-top:32px;">
       <button type="button" id="save-config" class="btn btn-primary" style="padding:12px 32px;font-size:1rem;">💾 Save Configuration</button>
       <div id="msg" class="alert" style="display:none;margin-top:20px;"></div>
@@ -670,6 +746,92 @@ function getAdminHtml() {
           showMsg(e.message || 'Save failed', true);
         });
     };
+    document.getElementById('export-data').onclick = function() {
+      window.location.href = '/api/data/export';
+    };
+    document.getElementById('import-data').onchange = function() {
+      var file = this.files && this.files[0];
+      var input = this;
+      if (!file) return;
+      var reader = new FileReader();
+      reader.onload = function() {
+        fetch('/api/data/import', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: reader.result })
+          .then(function(r) { return r.json(); })
+          .then(function(data) { showMsg(data.error ? data.error : '✓ Data imported.', !!data.error); })
+          .catch(function(e) { showMsg(e.message || 'Import failed', true); });
+        input.value = '';
+      };
+      reader.readAsText(file);
+    };
+    var auditEntries = [];
+    function auditQuery() {
+      var parts = [];
+      ['q', 'from', 'to'].forEach(function(k) {
+        var v = document.getElementById('audit-' + k).value.trim();
+        if (v) parts.push(k + '=' + encodeURIComponent(v));
+      });
+      return parts.join('&');
+    }
+    function loadAudit() {
+      fetch('/api/audit?' + auditQuery()).then(function(r) { return r.json(); }).then(function(data) {
+        if (data.error) { showMsg(data.error, true); return; }
+        auditEntries = data.entries || [];
+        function esc(v) { return String(v == null ? '' : v).replace(/&/g,'&amp;').replace(/</g,'&lt;'); }
+        document.getElementById('audit-list').innerHTML = auditEntries.length ? auditEntries.map(function(e, i) {
+          return '<tr data-i="' + i + '" style="cursor:pointer;"><td>' + esc(new Date(e.ts).toLocaleString()) + '</td><td>' + esc((e.tenant ? e.tenant + ' · ' : '') + (e.sender || '')) +
+            '</td><td>' + esc(String(e.text || '').slice(0, 60)) + '</td><td>' + esc(e.action) + '</td><td>' + esc(e.tier) + '</td><td>' + (e.type === 'access_denied' ? '🔒' : e.success ? '✅' : '❌') + '</td></tr>';
+        }).join('') : '<tr><td colspan="6" style="color:#94a3b8;">No entries</td></tr>';
+        document.getElementById('audit-detail').style.display = 'none';
+      }).catch(function(e) { showMsg(e.message || 'Audit search failed', true); });
+    }
+    document.getElementById('audit-list').onclick = function(ev) {
+      var row = ev.target.closest('tr[data-i]');
+      if (!row) return;
+      var el = document.getElementById('audit-detail');
+      el.textContent = JSON.stringify(auditEntries[parseInt(row.getAttribute('data-i'), 10)], null, 2);
+      el.style.display = 'block';
+    };
+    document.getElementById('audit-search').onclick = loadAudit;
+    document.getElementById('audit-q').onkeydown = function(ev) { if (ev.key === 'Enter') loadAudit(); };
+    document.getElementById('audit-export').onclick = function() {
+      window.location.href = '/api/audit/export?' + auditQuery();
+    };
+    function loadInvoiceTemplates() {
+      fetch('/api/invoice-templates').then(function(r) { return r.json(); }).then(function(data) {
+        if (data.error) { showMsg(data.error, true); return; }
+        function esc(v) { return String(v == null ? '' : v).replace(/&/g,'&amp;').replace(/</g,'&lt;'); }
+        if (data.path) document.getElementById('invoice-templates-path').textContent = data.path;
+        document.getElementById('invoice-template').innerHTML = (data.templates || []).map(function(t) {
+          return '<option value="' + esc(t.id) + '"' + (t.isDefault ? ' selected' : '') + '>' + esc(t.name) + (t.isDefault ? ' (default)' : '') + '</option>';
+        }).join('');
+      }).catch(function(e) { showMsg(e.message || 'Could not load invoice templates', true); });
+    }
+    document.getElementById('invoice-template-preview').onclick = function() {
+      var id = document.getElementById('invoice-template').value;
+      var frame = document.getElementById('invoice-template-frame');
+      frame.src = '/api/invoice-templates/preview?id=' + encodeURIComponent(id) + '&t=' + Date.now();
+      frame.style.display = 'block';
+    };
+    function loadCacheStats() {
+      fetch('/api/tally-cache').then(function(r) { return r.json(); }).then(function(data) {
+        if (data.error) { showMsg(data.error, true); return; }
+        var names = { masters: 'Masters (ledgers, groups, items)', reports: 'Reports and balances', vouchers: "Today's vouchers" };
+        document.getElementById('cache-list').innerHTML = Object.keys(data.byKind || {}).map(function(k) {
+          var c = data.byKind[k];
+          return '<tr><td>' + (names[k] || k) + '</td><td>' + c.ttl + 's</td><td>' + c.entries + '</td><td>' + c.hits + '</td><td>' + c.misses + '</td></tr>';
+        }).join('');
+        document.getElementById('cache-summary').textContent = data.enabled
+          ? 'Hit rate ' + data.hitRate + '% · ' + data.entries + ' entries (' + data.sizeMB + ' MB) · cleared ' + data.invalidations + ' times since ' + new Date(data.since).toLocaleString()
+          : 'Cache is turned off (cache: { enabled: false }).';
+      }).catch(function(e) { showMsg(e.message || 'Could not load cache stats', true); });
+    }
+    document.getElementById('cache-reload').onclick = loadCacheStats;
+    document.getElementById('cache-clear').onclick = function() {
+      fetch('/api/tally-cache/clear', { method: 'POST' }).then(function(r) { return r.json(); }).then(function(data) {
+        showMsg(data.error ? data.error : '✓ Tally cache cleared.', !!data.error);
+        loadCacheStats();
+      }).catch(function(e) { showMsg(e.message || 'Clear failed', true); });
+    };
     function showMsg(txt, isErr) {
       var el = document.getElementById('msg');
       el.textContent = txt;
@@ -678,6 +840,9 @@ function getAdminHtml() {
       setTimeout(function() { el.style.display = 'none'; }, 5000);
     }
     load();
+    loadAudit();
+    loadInvoiceTemplates();
+    loadCacheStats();
   </script>
 </body>
 </html>`;
@@ -733,6 +898,127 @@ const server = http.createServer((req, res) => {
     res.end(getAdminHtml());
     return;
   }
+  if (url === '/api/data/export' && req.method === 'GET') {
+    if (!dataHandlers) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Data handlers not registered' }));
+      return;
+    }
+    try {
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="tathastu-data-${stamp}.json"`,
+      });
+      res.end(JSON.stringify(dataHandlers.exportData(), null, 2));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+  if (url === '/api/data/import' && req.method === 'POST') {
+    if (!dataHandlers) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Data handlers not registered' }));
+      return;
+    }
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      try {
+        let data;
+        try {
+          data = JSON.parse(body || '{}');
+        } catch (err) {
+          throw new Error('Import failed: malformed JSON — ' + err.message);
+        }
+        dataHandlers.importData(data);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+    });
+    return;
+  }
+  const [pathname, queryString] = url.split('?');
+  if ((pathname === '/api/audit' || pathname === '/api/audit/export') && req.method === 'GET') {
+    if (!auditHandlers) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Audit handlers not registered' }));
+      return;
+    }
+    try {
+      const params = new URLSearchParams(queryString || '');
+      const query = {};
+      for (const key of ['q', 'action', 'sender', 'type', 'from', 'to', 'limit']) {
+        if (params.get(key)) query[key] = params.get(key);
+      }
+      if (pathname === '/api/audit/export') {
+        // The export is the whole match, not just the first page shown in the table
+        if (query.limit == null) query.limit = 0;
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.writeHead(200, {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="tathastu-audit-${stamp}.csv"`,
+        });
+        res.end('\uFEFF' + auditHandlers.toCsv(auditHandlers.search(query)));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ entries: auditHandlers.search(query) }));
+      }
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+  if ((pathname === '/api/invoice-templates' || pathname === '/api/invoice-templates/preview') && req.method === 'GET') {
+    if (!invoiceTemplateHandlers) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invoice template handlers not registered' }));
+      return;
+    }
+    if (pathname === '/api/invoice-templates') {
+      try {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(invoiceTemplateHandlers.list()));
+      } catch (err) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+      return;
+    }
+    const id = new URLSearchParams(queryString || '').get('id');
+    invoiceTemplateHandlers.preview(id)
+      .then((pdf) => {
+        res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Disposition': 'inline; filename="invoice-preview.pdf"' });
+        res.end(pdf);
+      })
+      .catch((err) => {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message || String(err) }));
+      });
+    return;
+  }
+  if ((pathname === '/api/tally-cache' && req.method === 'GET') || (pathname === '/api/tally-cache/clear' && req.method === 'POST')) {
+    if (!cacheHandlers) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Cache handlers not registered' }));
+      return;
+    }
+    try {
+      if (pathname === '/api/tally-cache/clear') cacheHandlers.clear();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(cacheHandlers.stats()));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
   if (url === '/api/reset-session' && req.method === 'POST') {
     if (!onResetSession) {
       res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -775,6 +1061,10 @@ function start(options = {}) {
         setTenantQr,
         addTenantLog,
         setResetHandler,
+        setDataHandlers,
+        setAuditHandlers,
+        setInvoiceTemplateHandlers,
+        setCacheHandlers,
         openBrowser: () => openBrowser(url),
       });
     });
@@ -786,5 +1076,5 @@ function openBrowser(url) {
   require('child_process').exec(start + ' "' + url + '"', () => {});
 }
 
-module.exports = { start, openBrowser, setStatus, setQr, addLog, setTenantStatus, setTenantQr, addTenantLog, initTenants, setResetHandler };
+module.exports = { start, openBrowser, setStatus, setQr, addLog, setTenantStatus, setTenantQr, addTenantLog, initTenants, setResetHandler, setDataHandlers, setAuditHandlers, setInvoiceTemplateHandlers, setCacheHandlers };
 module.exports.state = state;
@@ -155,6 +155,29 @@ async function reply(message, text) {
   }
 }
 
+// Documents the bot sent in the last few minutes, by filename. Their message_create echoes are skipped;
+// a file the user sends from the same phone (e.g. a sheet to import) is not.
+const SENT_DOCUMENT_TTL_MS = 10 * 60 * 1000;
+const sentDocuments = new Map();
+
+function rememberSentDocument(filename) {
+  const now = Date.now();
+  for (const [name, at] of sentDocuments) {
+    if (now - at > SENT_DOCUMENT_TTL_MS) sentDocuments.delete(name);
+  }
+  sentDocuments.set(String(filename), now);
+}
+
+/**
+ * Whether a document with this filename was sent by the bot recently (i.e. an incoming one is its echo).
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isRecentlySentDocument(filename) {
+  const at = sentDocuments.get(String(filename));
+  return at != null && Date.now() - at <= SENT_DOCUMENT_TTL_MS;
+}
+
 /**
  * Send a document/file to the same chat.
  * @param {import('whatsapp-web.js').Message} message - Original message (to get chat)
@@ -172,6 +195,7 @@ async function sendDocument(message, buffer, filename, caption) {
   const mimeMap = { pdf: 'application/pdf', png: 'image/png', jpg: 'image/jpeg', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' };
   const mimetype = mimeMap[ext] || 'application/octet-stream';
   const media = new MessageMedia(mimetype, base64, filename);
+  rememberSentDocument(filename);
   const chat = await message.getChat();
   return await chat.sendMessage(media, { caption: caption || '', sendMediaAsDocument: true });
 }
@@ -202,6 +226,31 @@ async function sendToSelf(client, text) {
  * @param {string} [caption] - Optional caption
  */
 async function sendDocumentToSelf(client, buffer, filename, caption) {
+  const info = client.info;
+  if (!info || !info.wid) throw new Error('Client not ready — no wid');
+  await sendDocumentToChat(client, info.wid._serialized, buffer, filename, caption);
+}
+
+/**
+ * Send a text message to a chat by its ID (1:1 or group), without an incoming message to reply to.
+ * Used by scheduled reports to deliver to the chat that created them.
+ * @param {import('whatsapp-web.js').Client} client - WhatsApp client
+ * @param {string} chatId - Serialized chat ID (e.g. 91XXXXXXXXXX@c.us or ...@g.us)
+ * @param {string} text - Message text
+ */
+async function sendToChat(client, chatId, text) {
+  await client.sendMessage(chatId, text);
+}
+
+/**
+ * Send a document/file to a chat by its ID.
+ * @param {import('whatsapp-web.js').Client} client - WhatsApp client
+ * @param {string} chatId - Serialized chat ID
+ * @param {Buffer} buffer - File content
+ * @param {string} filename - Filename with extension
+ * @param {string} [caption] - Optional caption
+ */
+async function sendDocumentToChat(client, chatId, buffer, filename, caption) {
   const { MessageMedia } = require('whatsapp-web.js');
   const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
   const base64 = buf.toString('base64');
@@ -209,10 +258,8 @@ async function sendDocumentToSelf(client, buffer, filename, caption) {
   const mimeMap = { pdf: 'application/pdf', png: 'image/png', jpg: 'image/jpeg', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' };
   const mimetype = mimeMap[ext] || 'application/octet-stream';
   const media = new MessageMedia(mimetype, base64, filename);
-  const info = client.info;
-  if (!info || !info.wid) throw new Error('Client not ready — no wid');
-  const selfId = info.wid._serialized;
-  await client.sendMessage(selfId, media, { caption: caption || '', sendMediaAsDocument: true });
+  rememberSentDocument(filename);
+  await client.sendMessage(chatId, media, { caption: caption || '', sendMediaAsDocument: true });
 }
 
 /**
@@ -254,6 +301,32 @@ async function sendToNumber(client, phone, text) {
   }
 }
 
+/**
+ * Send a document to a phone number, e.g. an invoice PDF to the party it was raised on.
+ * @param {import('whatsapp-web.js').Client} client - WhatsApp client
+ * @param {string} phone - Phone number (will be normalized)
+ * @param {Buffer} buffer - File content
+ * @param {string} filename - Filename with extension
+ * @param {string} [caption] - Message sent with the document
+ * @returns {Promise<{success: boolean, chatId?: string, messageId?: string|null, error?: string}>}
+ */
+async function sendDocumentToNumber(client, phone, buffer, filename, caption) {
+  const chatId = normalizePhoneToWaId(phone);
+  if (!chatId) return { success: false, error: 'Invalid phone number: ' + phone };
+  try {
+    const { MessageMedia } = require('whatsapp-web.js');
+    const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+    const ext = filename.split('.').pop().toLowerCase();
+    const mimeMap = { pdf: 'application/pdf', png: 'image/png', jpg: 'image/jpeg', xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' };
+    const media = new MessageMedia(mimeMap[ext] || 'application/octet-stream', buf.toString('base64'), filename);
+    rememberSentDocument(filename);
+    const sent = await client.sendMessage(chatId, media, { caption: caption || '', sendMediaAsDocument: true });
+    return { success: true, chatId, messageId: sent && sent.id ? sent.id._serialized : null };
+  } catch (err) {
+    return { success: false, chatId, error: err.message || String(err) };
+  }
+}
+
 module.exports = {
   createClient,
   initialize,
@@ -261,6 +334,10 @@ module.exports = {
   sendDocument,
   sendToSelf,
   sendDocumentToSelf,
+  sendToChat,
+  sendDocumentToChat,
+  isRecentlySentDocument,
   sendToNumber,
+  sendDocumentToNumber,
   normalizePhoneToWaId,
 };